@@ -0,0 +1,979 @@
+/**
+ * AI Provider Layer for aiFiverr Extension
+ * Routes generation requests to Gemini, OpenAI-compatible or Ollama backends
+ *
+ * Requests are always described in Gemini's payload shape ({ contents, generationConfig, tools }).
+ * Each provider translates that shape to its own wire format and normalizes the response back to
+ *   { text, functionCalls, groundingMetadata, urlContextMetadata, usageMetadata, finishReason,
+ *     blockReason, safetyRatings }
+ * Features a provider does not support (grounding tools, function declarations, file parts, response
+ * schemas) are dropped with a warning instead of failing.
+ *
+ * generate/stream/countTokens options: { model, apiKey, signal } - signal is an AbortSignal passed to
+ * fetch. Gemini also manages context caches (cachedContents) that payloads reference as cachedContent,
+ * and batch jobs (batchGenerateContent) - providers without the `batch` capability are run request by
+ * request.
+ */
+
+class AIProvider {
+  constructor(id, config = {}) {
+    this.id = id;
+    this.config = config;
+    this.name = id;
+  }
+
+  /**
+   * Features supported by this provider
+   */
+  getCapabilities() {
+    return {
+      streaming: true,
+      grounding: false,
+      functionCalling: false,
+      files: false,
+      structuredOutput: false,
+      batch: false
+    };
+  }
+
+  /**
+   * Non-streaming generation
+   */
+  async generate(payload, options = {}) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Streaming generation - async iterator of { text, done }
+   */
+  async *stream(payload, options = {}) {
+    const result = await this.generate(payload, options);
+    yield { text: result.text, done: false };
+  }
+
+  /**
+   * List model IDs available for this provider
+   */
+  async listModels(options = {}) {
+    return [];
+  }
+
+  /**
+   * List models with their limits and features
+   * { id, displayName, inputTokenLimit, outputTokenLimit, capabilities } - limits are null when unknown
+   */
+  async listModelDetails(options = {}) {
+    const models = await this.listModels(options);
+    return models.map(id => this.describeModel(id));
+  }
+
+  /**
+   * Best known description of a model that has not been discovered from the API
+   */
+  describeModel(modelId) {
+    return {
+      id: modelId,
+      displayName: modelId,
+      inputTokenLimit: null,
+      outputTokenLimit: null,
+      capabilities: this.getCapabilities()
+    };
+  }
+
+  /**
+   * Exact prompt token count - null when the provider has no counting endpoint
+   */
+  async countTokens(payload, options = {}) {
+    return null;
+  }
+
+  /**
+   * Remove parts of the payload this provider cannot handle
+   */
+  adaptPayload(payload) {
+    const capabilities = this.getCapabilities();
+    const adapted = { ...payload };
+
+    if (adapted.tools && adapted.tools.length > 0) {
+      const unsupported = adapted.tools.filter(tool => (tool.functionDeclarations ? !capabilities.functionCalling : !capabilities.grounding));
+      if (unsupported.length > 0) {
+        console.warn(`aiFiverr ${this.name}: Tools are not supported, ignoring:`, unsupported.map(t => Object.keys(t)[0]));
+        adapted.tools = adapted.tools.filter(tool => !unsupported.includes(tool));
+      }
+      if (adapted.tools.length === 0) {
+        delete adapted.tools;
+      }
+    }
+
+    if (!capabilities.structuredOutput && adapted.generationConfig?.responseSchema) {
+      console.warn(`aiFiverr ${this.name}: Response schemas are not supported, requesting plain text`);
+      const { responseSchema, responseMimeType, ...generationConfig } = adapted.generationConfig;
+      adapted.generationConfig = generationConfig;
+    }
+
+    if (!capabilities.files) {
+      let droppedFiles = 0;
+      adapted.contents = (adapted.contents || []).map(content => ({
+        ...content,
+        parts: (content.parts || []).filter(part => {
+          if (part.fileData) {
+            droppedFiles++;
+            return false;
+          }
+          return true;
+        })
+      }));
+
+      if (droppedFiles > 0) {
+        console.warn(`aiFiverr ${this.name}: File attachments are not supported, ignored ${droppedFiles} file part(s)`);
+      }
+    }
+
+    return adapted;
+  }
+
+  /**
+   * Convert Gemini contents to chat-style messages ({ role, content })
+   */
+  contentsToMessages(payload) {
+    const messages = [];
+
+    const systemText = (payload.systemInstruction?.parts || [])
+      .map(part => part.text || '')
+      .join('\n')
+      .trim();
+    if (systemText) {
+      messages.push({ role: 'system', content: systemText });
+    }
+
+    for (const content of payload.contents || []) {
+      const text = (content.parts || [])
+        .map(part => part.text || '')
+        .join('\n')
+        .trim();
+
+      if (!text) continue;
+
+      messages.push({
+        role: content.role === 'model' ? 'assistant' : (content.role === 'system' ? 'system' : 'user'),
+        content: text
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Build a readable error from a failed response
+   */
+  async buildError(response, prefix) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || errorData.error || response.statusText;
+    const error = new Error(`${prefix}: ${response.status} - ${errorMessage}`);
+    error.status = response.status;
+
+    const retryAfter = parseFloat(response.headers?.get?.('retry-after'));
+    if (!isNaN(retryAfter)) {
+      error.retryAfterMs = retryAfter * 1000;
+    }
+
+    return error;
+  }
+
+  /**
+   * Read a fetch response body line by line
+   */
+  async *readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (line.trim() !== '') {
+            yield line.trim();
+          }
+        }
+      }
+
+      if (buffer.trim() !== '') {
+        yield buffer.trim();
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
+
+/**
+ * Google Gemini (generativelanguage.googleapis.com)
+ */
+class GeminiProvider extends AIProvider {
+  constructor(config = {}) {
+    super('gemini', config);
+    this.name = 'Gemini';
+    this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  getCapabilities() {
+    return {
+      streaming: true,
+      grounding: true,
+      functionCalling: true,
+      files: true,
+      structuredOutput: true,
+      batch: true
+    };
+  }
+
+  async generate(payload, options = {}) {
+    const { model, apiKey } = options;
+
+    const response = await fetch(`${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    const result = await response.json();
+
+    // A blocked prompt has no candidates, only promptFeedback
+    if ((!result.candidates || result.candidates.length === 0) && !result.promptFeedback?.blockReason) {
+      throw new Error('No response generated from Gemini API');
+    }
+
+    const chunk = SSEParser.normalizeGeminiChunk(result);
+
+    return {
+      text: chunk.text,
+      functionCalls: chunk.functionCalls,
+      groundingMetadata: chunk.groundingMetadata,
+      urlContextMetadata: result.candidates?.[0]?.urlContextMetadata,
+      usageMetadata: result.usageMetadata,
+      finishReason: chunk.finishReason,
+      blockReason: chunk.blockReason,
+      safetyRatings: chunk.safetyRatings,
+      raw: result
+    };
+  }
+
+  async *stream(payload, options = {}) {
+    const { model, apiKey } = options;
+
+    const response = await fetch(`${this.baseUrl}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    yield* SSEParser.geminiChunks(response);
+  }
+
+  async countTokens(payload, options = {}) {
+    const { model, apiKey } = options;
+
+    const response = await fetch(`${this.baseUrl}/models/${model}:countTokens?key=${apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ generateContentRequest: { model: `models/${model}`, ...payload } }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    const result = await response.json();
+    return typeof result.totalTokens === 'number' ? result.totalTokens : null;
+  }
+
+  async listModels(options = {}) {
+    const models = await this.listModelDetails(options);
+    return models.map(model => model.id);
+  }
+
+  /**
+   * Create a context cache - returns the cachedContent resource { name, expireTime, usageMetadata }
+   */
+  async createCachedContent({ model, contents, systemInstruction, tools, toolConfig, ttlSeconds, displayName }, options = {}) {
+    const body = { model: `models/${model}`, contents, ttl: `${ttlSeconds}s` };
+    if (systemInstruction) body.systemInstruction = systemInstruction;
+    if (tools) body.tools = tools;
+    if (toolConfig) body.toolConfig = toolConfig;
+    if (displayName) body.displayName = displayName;
+
+    const response = await fetch(`${this.baseUrl}/cachedContents?key=${options.apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Extend a context cache's time to live
+   */
+  async updateCachedContentTtl(name, ttlSeconds, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${name}?updateMask=ttl&key=${options.apiKey}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ttl: `${ttlSeconds}s` })
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Delete a context cache - one that is already gone counts as deleted
+   */
+  async deleteCachedContent(name, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${name}?key=${options.apiKey}`, { method: 'DELETE' });
+
+    if (!response.ok && response.status !== 404) {
+      throw await this.buildGeminiError(response);
+    }
+  }
+
+  async listModelDetails(options = {}) {
+    const { apiKey } = options;
+    if (!apiKey) {
+      return [];
+    }
+
+    const response = await fetch(`${this.baseUrl}/models?key=${apiKey}&pageSize=1000`);
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    const data = await response.json();
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => {
+        const id = model.name.replace(/^models\//, '');
+        return {
+          ...this.describeModel(id),
+          displayName: model.displayName || id,
+          inputTokenLimit: model.inputTokenLimit || null,
+          outputTokenLimit: model.outputTokenLimit || null
+        };
+      });
+  }
+
+  /**
+   * The models endpoint reports token limits but not tool support, so features are inferred from
+   * the model family: googleSearch/urlContext tools need Gemini 2.0+ (not 2.0 Flash-Lite), and
+   * Gemma and single-purpose models (TTS, image generation, live audio) take no files, schemas or
+   * function declarations
+   */
+  describeModel(modelId) {
+    const id = modelId.toLowerCase();
+    const isGemma = id.startsWith('gemma');
+    const isSpecialized = /(tts|image-generation|native-audio|live|embedding|aqa)/.test(id);
+    const version = parseFloat((id.match(/^gemini-(\d+(?:\.\d+)?)/) || [])[1]) || null;
+    const general = !isGemma && !isSpecialized;
+
+    return {
+      ...super.describeModel(modelId),
+      capabilities: {
+        ...this.getCapabilities(),
+        grounding: general && (version === null || version >= 2) && !id.includes('2.0-flash-lite'),
+        functionCalling: general,
+        files: general,
+        structuredOutput: general
+      }
+    };
+  }
+
+  /**
+   * Submit inline requests as a batch job - returns the operation { name, metadata }
+   * requests: [{ key, payload }] - the key comes back with each response
+   */
+  async createBatch(model, requests, displayName, options = {}) {
+    const body = {
+      batch: {
+        displayName,
+        inputConfig: {
+          requests: {
+            requests: requests.map(({ key, payload }) => ({ request: payload, metadata: { key } }))
+          }
+        }
+      }
+    };
+
+    const response = await fetch(`${this.baseUrl}/models/${model}:batchGenerateContent?key=${options.apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Current state of a batch job (the operation; done: true once it has results)
+   */
+  async getBatch(name, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${name}?key=${options.apiKey}`);
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+
+    return await response.json();
+  }
+
+  async cancelBatch(name, options = {}) {
+    const response = await fetch(`${this.baseUrl}/${name}:cancel?key=${options.apiKey}`, { method: 'POST' });
+
+    if (!response.ok) {
+      throw await this.buildGeminiError(response);
+    }
+  }
+
+  /**
+   * Gemini errors carry extra meaning (stale file references, missing context caches, key problems)
+   */
+  async buildGeminiError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message || response.statusText;
+
+    if (response.status === 403 && errorMessage.includes('You do not have permission to access the File')) {
+      const fileIdMatch = errorMessage.match(/File (\w+)/);
+      const fileId = fileIdMatch ? fileIdMatch[1] : 'unknown';
+      const fileError = new Error(`Stale file reference detected (${fileId}). Please remove this file from your knowledge base and upload a fresh copy. The file may have expired or been deleted.`);
+      fileError.status = response.status;
+      fileError.fileError = true;
+      return fileError;
+    }
+
+    const error = new Error(`Gemini API error: ${response.status} - ${errorMessage}`);
+    error.status = response.status;
+    error.apiStatus = errorData.error?.status;
+    // e.g. "CachedContent not found (or permission denied)" once a context cache expired
+    error.cacheError = /cached ?content/i.test(errorMessage);
+
+    // 429 responses carry a RetryInfo detail such as { retryDelay: "13s" }
+    const details = errorData.error?.details || [];
+    const retryInfo = details.find(detail => detail.retryDelay);
+    if (retryInfo) {
+      error.retryAfterMs = parseFloat(retryInfo.retryDelay) * 1000;
+    }
+
+    // ErrorInfo says why a key was refused, e.g. API_KEY_INVALID, BILLING_DISABLED or SERVICE_DISABLED
+    const errorInfo = details.find(detail => detail.reason);
+    if (errorInfo) {
+      error.reason = errorInfo.reason;
+    }
+
+    // QuotaFailure names the exhausted quota - per-day quotas only come back at the daily reset
+    error.dailyQuota = details.some(detail => (detail.violations || []).some(violation => /PerDay/i.test(violation.quotaId || '')));
+
+    return error;
+  }
+}
+
+/**
+ * Any OpenAI-compatible /v1/chat/completions endpoint
+ */
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(config = {}) {
+    super('openai', config);
+    this.name = 'OpenAI-compatible';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  getCapabilities() {
+    return { ...super.getCapabilities(), structuredOutput: true };
+  }
+
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.config.apiKey) {
+      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Map OpenAI usage to Gemini's usageMetadata field names
+   */
+  mapUsage(usage) {
+    return {
+      promptTokenCount: usage.prompt_tokens,
+      candidatesTokenCount: usage.completion_tokens,
+      totalTokenCount: usage.total_tokens
+    };
+  }
+
+  buildBody(payload, model, stream) {
+    const adapted = this.adaptPayload(payload);
+    const config = adapted.generationConfig || {};
+
+    const body = {
+      model,
+      messages: this.contentsToMessages(adapted),
+      stream
+    };
+
+    // Without this the stream carries no token counts - usage arrives in a final chunk with no choices
+    if (stream) {
+      body.stream_options = { include_usage: true };
+    }
+
+    if (config.temperature !== undefined) body.temperature = config.temperature;
+    if (config.topP !== undefined) body.top_p = config.topP;
+    if (config.maxOutputTokens !== undefined) body.max_tokens = config.maxOutputTokens;
+    if (config.stopSequences && config.stopSequences.length > 0) body.stop = config.stopSequences;
+
+    if (config.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'structured_response', schema: StructuredOutput.toJsonSchema(config.responseSchema) }
+      };
+    } else if (config.responseMimeType === 'application/json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return body;
+  }
+
+  async generate(payload, options = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(payload, options.model, false)),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.buildError(response, 'OpenAI-compatible API error');
+    }
+
+    const result = await response.json();
+    const choice = result.choices?.[0];
+
+    if (!choice) {
+      throw new Error('No response generated from OpenAI-compatible API');
+    }
+
+    return {
+      text: choice.message?.content || '',
+      usageMetadata: result.usage ? this.mapUsage(result.usage) : undefined,
+      finishReason: choice.finish_reason,
+      raw: result
+    };
+  }
+
+  async *stream(payload, options = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(payload, options.model, true)),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.buildError(response, 'OpenAI-compatible API error');
+    }
+
+    for await (const event of SSEParser.events(response)) {
+      if (event.data === '[DONE]') break;
+
+      try {
+        const chunk = JSON.parse(event.data);
+        const choice = chunk.choices?.[0];
+        yield {
+          text: choice?.delta?.content || '',
+          finishReason: choice?.finish_reason || undefined,
+          usageMetadata: chunk.usage ? this.mapUsage(chunk.usage) : undefined,
+          done: false
+        };
+      } catch (parseError) {
+        console.warn('aiFiverr OpenAI-compatible: Failed to parse streaming chunk:', parseError.message);
+      }
+    }
+  }
+
+  async listModels() {
+    const response = await fetch(`${this.baseUrl}/models`, {
+      headers: this.getHeaders()
+    });
+
+    if (!response.ok) {
+      throw await this.buildError(response, 'OpenAI-compatible API error');
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => model.id).sort();
+  }
+}
+
+/**
+ * Local Ollama server (/api/chat)
+ *
+ * Ollama rejects requests from web page origins unless OLLAMA_ORIGINS lists them, and Chrome's local
+ * network protections block pages from reaching localhost. In a content script (a fiverr.com page) the
+ * calls are therefore relayed to the service worker over a port (OllamaProvider.RELAY_PORT), which sends
+ * them from the extension's origin - allowed by Ollama's default OLLAMA_ORIGINS.
+ */
+class OllamaProvider extends AIProvider {
+  constructor(config = {}) {
+    super('ollama', config);
+    this.name = 'Ollama';
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  getCapabilities() {
+    return { ...super.getCapabilities(), structuredOutput: true };
+  }
+
+  /**
+   * Map the token counts of a final (done) Ollama response to Gemini's usageMetadata field names
+   */
+  mapUsage(result) {
+    return {
+      promptTokenCount: result.prompt_eval_count,
+      candidatesTokenCount: result.eval_count
+    };
+  }
+
+  buildBody(payload, model, stream) {
+    const adapted = this.adaptPayload(payload);
+    const config = adapted.generationConfig || {};
+
+    const ollamaOptions = {};
+    if (config.temperature !== undefined) ollamaOptions.temperature = config.temperature;
+    if (config.topP !== undefined) ollamaOptions.top_p = config.topP;
+    if (config.topK !== undefined) ollamaOptions.top_k = config.topK;
+    if (config.maxOutputTokens !== undefined) ollamaOptions.num_predict = config.maxOutputTokens;
+    if (config.stopSequences && config.stopSequences.length > 0) ollamaOptions.stop = config.stopSequences;
+
+    const body = {
+      model,
+      messages: this.contentsToMessages(adapted),
+      stream,
+      options: ollamaOptions
+    };
+
+    if (config.responseSchema) {
+      body.format = StructuredOutput.toJsonSchema(config.responseSchema);
+    } else if (config.responseMimeType === 'application/json') {
+      body.format = 'json';
+    }
+
+    return body;
+  }
+
+  /**
+   * Whether calls have to go through the service worker - true in content scripts on web pages
+   */
+  static shouldRelay() {
+    return typeof window !== 'undefined' &&
+      /^https?:$/.test(window.location?.protocol || '') &&
+      typeof chrome !== 'undefined' && !!chrome.runtime?.connect;
+  }
+
+  /**
+   * fetch() an Ollama endpoint - failures get errors that say what to fix
+   */
+  async request(path, init = {}) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, init);
+    } catch (error) {
+      if (!(error instanceof TypeError)) throw error;
+      const unreachable = new Error(`Could not reach Ollama at ${this.baseUrl} - check that it is running and the Base URL is right`);
+      unreachable.code = 'OLLAMA_UNREACHABLE';
+      throw unreachable;
+    }
+
+    if (response.status === 403) {
+      const forbidden = new Error('Ollama refused the request (403) - restart Ollama with OLLAMA_ORIGINS=chrome-extension://* to allow the extension');
+      forbidden.code = 'OLLAMA_ORIGIN';
+      forbidden.status = 403;
+      throw forbidden;
+    }
+    if (!response.ok) {
+      throw await this.buildError(response, 'Ollama API error');
+    }
+
+    return response;
+  }
+
+  /**
+   * Run a method in the service worker and yield what it sends back
+   * Aborting the signal disconnects the port, which aborts the request there
+   */
+  async *relay(method, payload, options = {}) {
+    const { signal, ...relayOptions } = options;
+    if (signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const port = chrome.runtime.connect({ name: OllamaProvider.RELAY_PORT });
+    const messages = [];
+    let disconnected = false;
+    let wake = null;
+    port.onMessage.addListener(message => {
+      messages.push(message);
+      wake?.();
+    });
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      wake?.();
+    });
+    const onAbort = () => wake?.();
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      port.postMessage({ method, payload, options: relayOptions, config: this.config });
+
+      while (true) {
+        if (signal?.aborted) {
+          throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+        if (messages.length === 0) {
+          if (disconnected) {
+            throw new Error('The extension stopped relaying the Ollama request - reload the page and try again');
+          }
+          await new Promise(resolve => { wake = resolve; });
+          wake = null;
+          continue;
+        }
+
+        const message = messages.shift();
+        if (message.error) {
+          throw Object.assign(new Error(message.error.message), message.error);
+        }
+        if (message.done) return;
+        yield message.value;
+      }
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      if (!disconnected) port.disconnect();
+    }
+  }
+
+  /**
+   * Single value of a relayed call
+   */
+  async relayCall(method, payload, options) {
+    for await (const value of this.relay(method, payload, options)) {
+      return value;
+    }
+    throw new Error('The extension returned no Ollama response');
+  }
+
+  async generate(payload, options = {}) {
+    if (OllamaProvider.shouldRelay()) {
+      return this.relayCall('generate', payload, options);
+    }
+
+    const response = await this.request('/api/chat', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.buildBody(payload, options.model, false)),
+      signal: options.signal
+    });
+
+    const result = await response.json();
+
+    return {
+      text: result.message?.content || '',
+      usageMetadata: this.mapUsage(result),
+      finishReason: result.done_reason,
+      raw: result
+    };
+  }
+
+  async *stream(payload, options = {}) {
+    if (OllamaProvider.shouldRelay()) {
+      yield* this.relay('stream', payload, options);
+      return;
+    }
+
+    const response = await this.request('/api/chat', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.buildBody(payload, options.model, true)),
+      signal: options.signal
+    });
+
+    // Ollama streams newline-delimited JSON objects
+    for await (const line of this.readLines(response)) {
+      try {
+        const chunk = JSON.parse(line);
+        yield {
+          text: chunk.message?.content || '',
+          finishReason: chunk.done ? chunk.done_reason : undefined,
+          usageMetadata: chunk.done ? this.mapUsage(chunk) : undefined,
+          done: false
+        };
+        if (chunk.done) break;
+      } catch (parseError) {
+        console.warn('aiFiverr Ollama: Failed to parse streaming chunk:', parseError.message);
+      }
+    }
+  }
+
+  async listModels(options = {}) {
+    if (OllamaProvider.shouldRelay()) {
+      return this.relayCall('listModels', null, options);
+    }
+
+    const response = await this.request('/api/tags', { signal: options.signal });
+    const data = await response.json();
+    return (data.models || []).map(model => model.name).sort();
+  }
+}
+
+OllamaProvider.RELAY_PORT = 'aiFiverrOllama';
+
+/**
+ * Provider registry - resolves the active provider from settings
+ */
+class AIProviderRegistry {
+  constructor() {
+    this.providerClasses = {
+      gemini: GeminiProvider,
+      openai: OpenAICompatibleProvider,
+      ollama: OllamaProvider
+    };
+    this.defaultProviderId = 'gemini';
+  }
+
+  /**
+   * Provider IDs and display names for UI selectors
+   */
+  getAvailableProviders() {
+    return [
+      { id: 'gemini', name: 'Google Gemini' },
+      { id: 'openai', name: 'OpenAI-compatible' },
+      { id: 'ollama', name: 'Ollama (local)' }
+    ];
+  }
+
+  /**
+   * Built-in model list used before a provider's models have been fetched
+   */
+  getDefaultModels(providerId) {
+    switch (providerId) {
+      case 'openai':
+        return ['gpt-4o-mini', 'gpt-4o'];
+      case 'ollama':
+        return ['llama3.1'];
+      default:
+        return ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite'];
+    }
+  }
+
+  async getSettings() {
+    try {
+      if (typeof window !== 'undefined' && window.storageManager) {
+        return await window.storageManager.getSettings();
+      }
+
+      const result = await chrome.storage.local.get('settings');
+      return result.settings || {};
+    } catch (error) {
+      console.warn('aiFiverr Providers: Failed to read settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Create a provider instance with its stored configuration
+   */
+  createProvider(providerId, providerSettings = {}) {
+    const ProviderClass = this.providerClasses[providerId] || this.providerClasses[this.defaultProviderId];
+    return new ProviderClass(providerSettings[providerId] || {});
+  }
+
+  /**
+   * Get the provider selected in settings
+   */
+  async getActiveProvider() {
+    const settings = await this.getSettings();
+    const providerId = settings.aiProvider || this.defaultProviderId;
+    return this.createProvider(providerId, settings.providerSettings || {});
+  }
+
+  /**
+   * Get the model selected for the active provider
+   */
+  async getSelectedModel(fallbackModel = 'gemini-2.5-flash') {
+    const settings = await this.getSettings();
+    const providerId = settings.aiProvider || this.defaultProviderId;
+
+    if (providerId === 'gemini') {
+      return settings.selectedModel || settings.defaultModel || fallbackModel;
+    }
+
+    return settings.providerSettings?.[providerId]?.model || this.getDefaultModels(providerId)[0];
+  }
+}
+
+// Initialize global instance
+function initializeAIProviderRegistry() {
+  if (!window.aiProviderRegistry) {
+    window.aiProviderRegistry = new AIProviderRegistry();
+    console.log('aiFiverr: AI Provider Registry created');
+  }
+  return window.aiProviderRegistry;
+}
+
+// Export the initialization function (the service worker uses the provider classes directly)
+if (typeof window !== 'undefined') {
+  window.initializeAIProviderRegistry = initializeAIProviderRegistry;
+}
@@ -0,0 +1,1478 @@
+/**
+ * AI Request Client for aiFiverr Extension
+ * Single place where generation requests are built and sent
+ *
+ * Every AI entry point (injector, text selector, streaming chatbox, chat assistant, prompt flows)
+ * describes what it wants as a request object and lets this client build the payload:
+ *
+ *   {
+ *     prompt,              // current user text, or a processPrompt() result
+ *                          // { prompt, knowledgeBaseFiles, systemInstruction, generationSettings, responseSchema,
+ *                          //   variableCharacters, promptKey }
+ *     session,             // optional ChatSession - supplies history and records the exchange
+ *     contents,            // optional Gemini-style history (used instead of session messages)
+ *     historyLimit,        // how many session messages to include (default 10)
+ *     knowledgeBaseFiles,  // files attached to the current user turn
+ *     googleSearchGrounding, urlContextExtraction, // default to the saved settings
+ *     functionDeclarations, // Gemini function declarations (see LocalTools) - the caller answers the calls
+ *     functionCallingMode, // 'AUTO' (default), 'ANY' or 'NONE' - NONE makes the model answer in text
+ *     systemInstruction,   // replaces the prompt's / saved default system instruction; false sends none
+ *     responseSchema,      // JSON response schema - the result gets a validated `structured` field
+ *     generationSettings,  // per-prompt { model, temperature, topP, topK, maxOutputTokens, stopSequences }
+ *     generationConfig,    // overrides for the default generation config (wins over generationSettings)
+ *     model,               // defaults to the prompt's model, then the selected model
+ *     keySession,          // API key session for Gemini key consistency (default 'gemini')
+ *     variableCharacters,  // length of variable text substituted into the prompt (budget breakdown only)
+ *     promptKey,           // prompt the request came from, for usage accounting (default 'custom')
+ *     recordExchange,      // false keeps the exchange out of the session (variants record only the pick)
+ *     signal,              // AbortSignal - aborting keeps the partial text and records the cancellation
+ *     onRetry,             // optional callback({ attempt, maxRetries, delayMs, error, switchedKey, message })
+ *     onBudget,            // optional callback(budget) - see TokenBudget for the breakdown fields
+ *     onSafety             // optional callback(safety) when the output was blocked or truncated - see ContentSafety
+ *   }
+ *
+ * Payloads are always built in Gemini's shape; the active provider adapts them. The system
+ * instruction (prompt override or settings.systemInstruction, plus the session's system messages)
+ * travels as payload.systemInstruction, never inside a user turn. Features the target model lacks
+ * according to the ModelCatalog (grounding, files, response schemas) are removed before sending.
+ *
+ * On its way out a payload is trimmed to the context budget (applyContextBudget), its files move into
+ * a context cache (applyContextCache) and a Gemini key is taken from the service worker's queue
+ * (acquireKey). Failed attempts are retried with backoff and key failover (prepareRetry). Each outcome
+ * is reported back for the key's rate limits and circuit (reportKeyUsage) and for the usage totals
+ * (recordUsage). Results carry a `safety` report, null for a normal finish (see ContentSafety).
+ */
+
+class AIRequestClient {
+  constructor() {
+    this.initialized = false;
+    this.defaultModel = 'gemini-2.5-flash';
+    this.defaultHistoryLimit = 10;
+    this.defaultTimeoutSeconds = 30;
+    this.defaultMaxRetries = 3;
+    this.retryBaseDelay = 1000;
+    this.retryMaxDelay = 16000;
+    this.retryableStatuses = [429, 500, 502, 503, 504];
+    this.defaultContextLimit = 1048576;
+    this.defaultGenerationConfig = {
+      temperature: 0.7,
+      maxOutputTokens: 8192,
+      candidateCount: 1
+    };
+    this.variantPresets = {
+      temperature: [
+        { label: 'Focused', temperature: 0.3 },
+        { label: 'Balanced', temperature: 0.8 },
+        { label: 'Creative', temperature: 1.2 }
+      ],
+      tone: [
+        { label: 'Professional', tone: 'professional and polished' },
+        { label: 'Friendly', tone: 'warm and friendly' },
+        { label: 'Concise', tone: 'short and direct' }
+      ]
+    };
+    this.mimeTypesByExtension = {
+      'txt': 'text/plain',
+      'md': 'text/markdown',
+      'pdf': 'application/pdf',
+      'doc': 'application/msword',
+      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'jpg': 'image/jpeg',
+      'jpeg': 'image/jpeg',
+      'png': 'image/png',
+      'json': 'application/json',
+      'csv': 'text/csv',
+      'html': 'text/html',
+      'js': 'text/javascript',
+      'py': 'text/x-python'
+    };
+    this.supportedMimeTypes = [
+      'text/plain', 'text/markdown', 'text/html', 'text/css', 'text/javascript', 'text/x-python',
+      'application/json', 'text/csv', 'application/pdf', 'image/jpeg', 'image/png',
+      'image/gif', 'video/mp4', 'audio/mpeg', 'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    ];
+  }
+
+  async init() {
+    this.initialized = true;
+    console.log('aiFiverr: AI Request Client initialized');
+  }
+
+  /**
+   * Read extension settings
+   */
+  async getSettings() {
+    try {
+      if (window.storageManager) {
+        return await window.storageManager.getSettings();
+      }
+
+      const result = await chrome.storage.local.get('settings');
+      return result.settings || {};
+    } catch (error) {
+      console.warn('aiFiverr AI Request: Failed to read settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get the active AI provider
+   */
+  async getProvider() {
+    if (window.aiProviderRegistry) {
+      return await window.aiProviderRegistry.getActiveProvider();
+    }
+    return new GeminiProvider();
+  }
+
+  /**
+   * Get selected model for the active provider
+   * A model the provider no longer lists falls back to an available one
+   */
+  async getSelectedModel() {
+    try {
+      if (window.aiProviderRegistry) {
+        const model = await window.aiProviderRegistry.getSelectedModel(this.defaultModel);
+        return await this.ensureModelAvailable(model);
+      }
+
+      const settings = await this.getSettings();
+      return settings.selectedModel || settings.defaultModel || this.defaultModel;
+    } catch (error) {
+      console.warn('aiFiverr AI Request: Failed to get model setting, using default:', error);
+      return this.defaultModel;
+    }
+  }
+
+  /**
+   * Swap a model missing from the discovered model list for the default (or first) available model
+   */
+  async ensureModelAvailable(model) {
+    if (!window.modelCatalog) {
+      return model;
+    }
+
+    const settings = await this.getSettings();
+    const models = await window.modelCatalog.getModels(settings.aiProvider || 'gemini');
+    if (models.length === 0 || models.some(entry => entry.id === model)) {
+      return model;
+    }
+
+    const fallback = models.find(entry => entry.id === this.defaultModel) || models[0];
+    console.warn('aiFiverr AI Request: Model', model, 'is not available from the provider, using', fallback.id);
+    return fallback.id;
+  }
+
+  /**
+   * Limits and capabilities of the target model
+   */
+  async getModelInfo(provider, model) {
+    if (window.modelCatalog) {
+      try {
+        return await window.modelCatalog.getModelInfo(model, provider.id);
+      } catch (error) {
+        console.warn('aiFiverr AI Request: Failed to look up model capabilities:', error);
+      }
+    }
+    return provider.describeModel(model);
+  }
+
+  /**
+   * Get a Gemini API key for a session
+   */
+  async getApiKey(sessionId = 'gemini') {
+    const keyData = await this.getKeyData(sessionId);
+    return keyData.key;
+  }
+
+  /**
+   * Get a Gemini API key and its APIKeyManager id (keyRef) for a session
+   * New sessions inherit the 'gemini' session key so uploaded files stay accessible.
+   * With a model, keys that are not allowed to use it are skipped (see KeyProfiles).
+   * The keyRef is null when the key came from the background script.
+   */
+  async getKeyData(sessionId = 'gemini', model = null) {
+    try {
+      if (window.apiKeyManager && window.apiKeyManager.initialized) {
+        if (sessionId !== 'gemini' && !window.apiKeyManager.sessionKeys.has(sessionId)) {
+          const geminiKeyData = window.apiKeyManager.getKeyForSession('gemini', model);
+          if (geminiKeyData) {
+            window.apiKeyManager.setSessionKey(sessionId, geminiKeyData.key);
+          }
+        }
+
+        const keyData = window.apiKeyManager.getKeyForSession(sessionId, model);
+        if (keyData) {
+          return { key: keyData.key, keyRef: keyData.keyRef };
+        }
+        if (model && window.apiKeyManager.keys.length > 0) {
+          throw KeyProfiles.modelNotAllowedError(model);
+        }
+      }
+
+      // Fallback to background script
+      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY' });
+      if (response?.success && response?.data) {
+        return { key: response.data.key, keyRef: null };
+      }
+      if (response?.code === 'KEY_VAULT_LOCKED') {
+        throw KeyVault.lockedError();
+      }
+
+      throw new Error('No API key available. Please configure your Gemini API key in the extension settings.');
+    } catch (error) {
+      console.error('aiFiverr AI Request: Failed to get API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve provider, model and API key for a request
+   * keyRef is kept so failed keys can be reported to the APIKeyManager and swapped out
+   */
+  async resolveTarget(request = {}) {
+    const provider = await this.getProvider();
+    const { generationSettings } = this.normalizePrompt(request);
+    const model = request.model || generationSettings.model || await this.getSelectedModel();
+    const keySession = request.keySession || 'gemini';
+    const keyData = provider.id === 'gemini' ? await this.getKeyData(keySession, model) : null;
+
+    return {
+      provider,
+      model,
+      modelInfo: await this.getModelInfo(provider, model),
+      apiKey: keyData?.key || null,
+      keyRef: keyData?.keyRef ?? null,
+      keySession
+    };
+  }
+
+  /**
+   * Timeout and retry limits from settings
+   * settings.apiTimeout (seconds) bounds each attempt - for streams, the wait for the next chunk
+   */
+  async getNetworkPolicy() {
+    const settings = await this.getSettings();
+    const timeoutSeconds = parseInt(settings.apiTimeout, 10);
+    const maxRetries = parseInt(settings.maxRetries, 10);
+
+    return {
+      timeoutMs: (timeoutSeconds > 0 ? timeoutSeconds : this.defaultTimeoutSeconds) * 1000,
+      maxRetries: maxRetries >= 0 ? Math.min(maxRetries, 10) : this.defaultMaxRetries
+    };
+  }
+
+  /**
+   * Check if a file is expired (48 hours from creation)
+   */
+  isFileExpired(file) {
+    if (!file || !file.createTime) {
+      return false;
+    }
+
+    try {
+      const hoursDiff = (new Date() - new Date(file.createTime)) / (1000 * 60 * 60);
+      return hoursDiff >= 48;
+    } catch (error) {
+      console.warn('aiFiverr AI Request: Error checking file expiration:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Pick a MIME type Gemini accepts for a knowledge base file
+   */
+  normalizeMimeType(file) {
+    let mimeType = file.mimeType;
+
+    if (!mimeType || mimeType === 'application/octet-stream') {
+      const extension = file.name ? file.name.toLowerCase().split('.').pop() : '';
+      mimeType = this.mimeTypesByExtension[extension] || 'text/plain';
+      console.warn(`aiFiverr AI Request: Fixed MIME type for ${file.name}: ${file.mimeType} → ${mimeType}`);
+    }
+
+    if (!this.supportedMimeTypes.includes(mimeType)) {
+      console.warn('aiFiverr AI Request: Unsupported MIME type', mimeType, 'for file:', file.name);
+      mimeType = 'text/plain';
+    }
+
+    return mimeType;
+  }
+
+  /**
+   * Filter knowledge base files down to usable Gemini files with clean MIME types
+   */
+  prepareFiles(files = []) {
+    const prepared = [];
+    const seenUris = new Set();
+
+    for (const file of files || []) {
+      if (!file || !file.geminiUri) {
+        continue;
+      }
+
+      if (this.isFileExpired(file)) {
+        console.warn('aiFiverr AI Request: Skipping expired file:', file.name);
+        continue;
+      }
+
+      if (seenUris.has(file.geminiUri)) {
+        continue;
+      }
+
+      seenUris.add(file.geminiUri);
+      prepared.push({ ...file, mimeType: this.normalizeMimeType(file) });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Build prior conversation turns from Gemini contents or session messages
+   */
+  buildHistory(request) {
+    // Stopped responses stay in the transcript (cancelled flag) but are never sent back to the model
+    if (Array.isArray(request.contents)) {
+      return request.contents.filter(content => !content.cancelled).map(content => ({
+        role: content.role === 'model' ? 'model' : 'user',
+        parts: (content.parts || []).map(part => ({ ...part }))
+      }));
+    }
+
+    const limit = request.historyLimit ?? this.defaultHistoryLimit;
+    if (request.session?.getMessagesForAPI) {
+      return request.session.getMessagesForAPI(limit);
+    }
+
+    const messages = request.session?.messages || [];
+    return messages
+      .slice(-limit)
+      .filter(msg => msg.role === 'user' || msg.role === 'assistant' || msg.role === 'model')
+      .filter(msg => !msg.metadata?.cancelled)
+      .map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'model',
+        parts: [{ text: msg.content }]
+      }));
+  }
+
+  /**
+   * Build the Gemini systemInstruction for a request (null when there is nothing to send)
+   */
+  async buildSystemInstruction(request) {
+    const { systemInstruction } = this.normalizePrompt(request);
+    if (systemInstruction === false) {
+      return null;
+    }
+
+    const settings = await this.getSettings();
+    const texts = [
+      systemInstruction || settings.systemInstruction,
+      request.session?.getSystemInstruction?.()
+    ]
+      .map(text => (typeof text === 'string' ? text.trim() : ''))
+      .filter(Boolean);
+
+    return texts.length > 0 ? { parts: [{ text: texts.join('\n\n') }] } : null;
+  }
+
+  /**
+   * Resolve grounding tools - explicit request flags win over saved settings
+   */
+  async buildTools(request) {
+    const settings = await this.getSettings();
+    const googleSearch = request.googleSearchGrounding ?? settings.googleSearchGrounding === true;
+    const urlContext = request.urlContextExtraction ?? settings.urlContextExtraction === true;
+
+    const tools = [];
+    if (googleSearch) tools.push({ googleSearch: {} });
+    if (urlContext) tools.push({ urlContext: {} });
+
+    // Gemini rejects grounding tools combined with function declarations - explicit grounding wins
+    if (request.functionDeclarations?.length > 0) {
+      if (tools.length > 0) {
+        console.warn('aiFiverr AI Request: Grounding is on, not sending function declarations');
+      } else {
+        tools.push({ functionDeclarations: request.functionDeclarations });
+      }
+    }
+
+    return tools;
+  }
+
+  /**
+   * Build the request payload
+   * Saved per-category safety thresholds (settings.safetySettings) are sent as safetySettings
+   */
+  async buildPayload(request = {}) {
+    const { prompt, files, generationSettings, responseSchema } = this.normalizePrompt(request);
+    const contents = this.buildHistory(request);
+    const fileParts = this.prepareFiles(files).map(file => ({
+      fileData: {
+        fileUri: file.geminiUri,
+        mimeType: file.mimeType
+      }
+    }));
+
+    if (prompt) {
+      contents.push({
+        role: 'user',
+        parts: [...fileParts, { text: prompt }]
+      });
+    } else if (contents.length > 0 && contents[contents.length - 1].role === 'user') {
+      // History already ends with the current user turn - attach files to it
+      const lastUserMessage = contents[contents.length - 1];
+      const existingUris = new Set(lastUserMessage.parts.filter(part => part.fileData).map(part => part.fileData.fileUri));
+      lastUserMessage.parts = [
+        ...fileParts.filter(part => !existingUris.has(part.fileData.fileUri)),
+        ...lastUserMessage.parts
+      ];
+    } else {
+      throw new Error('Request has no user message to send');
+    }
+
+    const payload = {
+      contents,
+      generationConfig: {
+        ...this.defaultGenerationConfig,
+        ...this.toGenerationConfig(generationSettings),
+        ...(request.generationConfig || {})
+      }
+    };
+
+    const systemInstruction = await this.buildSystemInstruction(request);
+    if (systemInstruction) {
+      payload.systemInstruction = systemInstruction;
+    }
+
+    const safetySettings = ContentSafety.toSafetySettings((await this.getSettings()).safetySettings);
+    if (safetySettings) {
+      payload.safetySettings = safetySettings;
+    }
+
+    if (responseSchema) {
+      payload.generationConfig.responseMimeType = 'application/json';
+      payload.generationConfig.responseSchema = responseSchema;
+    }
+
+    // Gemini rejects grounding tools combined with a JSON response type
+    const tools = responseSchema ? [] : await this.buildTools(request);
+    if (tools.length > 0) {
+      payload.tools = tools;
+      console.log('aiFiverr AI Request: Using tools:', tools.map(t => Object.keys(t)[0]));
+    }
+
+    if (request.functionCallingMode && tools.some(tool => tool.functionDeclarations)) {
+      payload.toolConfig = { functionCallingConfig: { mode: request.functionCallingMode } };
+    }
+
+    return this.sanitizePayload(payload);
+  }
+
+  /**
+   * Accept a plain prompt or a processPrompt() result
+   * Explicit request generationSettings / systemInstruction / responseSchema win over the prompt's own
+   */
+  normalizePrompt(request) {
+    const promptInput = request.prompt;
+    let prompt = promptInput;
+    let files = request.knowledgeBaseFiles || [];
+    let generationSettings = request.generationSettings || {};
+    let systemInstruction = request.systemInstruction;
+    let responseSchema = request.responseSchema;
+    let variableCharacters = request.variableCharacters || 0;
+    let promptKey = request.promptKey;
+
+    if (promptInput && typeof promptInput === 'object') {
+      prompt = promptInput.prompt;
+      files = [...files, ...(promptInput.knowledgeBaseFiles || [])];
+      generationSettings = { ...(promptInput.generationSettings || {}), ...generationSettings };
+      systemInstruction = systemInstruction ?? (promptInput.systemInstruction || undefined);
+      responseSchema = responseSchema ?? (promptInput.responseSchema || undefined);
+      variableCharacters = variableCharacters || promptInput.variableCharacters || 0;
+      promptKey = promptKey || promptInput.promptKey;
+    }
+
+    return { prompt, files, generationSettings, systemInstruction, responseSchema, variableCharacters, promptKey };
+  }
+
+  /**
+   * Map a prompt's generation settings onto Gemini generationConfig fields
+   * Empty values fall through to the defaults
+   */
+  toGenerationConfig(generationSettings = {}) {
+    const config = {};
+
+    ['temperature', 'topP', 'topK', 'maxOutputTokens'].forEach(field => {
+      const value = generationSettings[field];
+      if (value !== undefined && value !== null && value !== '' && !isNaN(Number(value))) {
+        config[field] = Number(value);
+      }
+    });
+
+    const stopSequences = (generationSettings.stopSequences || []).filter(sequence => sequence);
+    if (stopSequences.length > 0) {
+      config.stopSequences = stopSequences;
+    }
+
+    return config;
+  }
+
+  /**
+   * Measure the payload against the context limit and trim it in place when it does not fit
+   * The limit is settings.maxContextLength (tokens), capped at the model's input token limit. Estimates
+   * come from TokenBudget, or from countTokens() when settings.exactTokenCount is on. Over-budget
+   * payloads lose old history first, then files, then current text.
+   * Reports the breakdown through request.onBudget and returns it
+   */
+  async applyContextBudget(payload, target, request) {
+    const settings = await this.getSettings();
+    const { files, variableCharacters } = this.normalizePrompt(request);
+    const configuredLimit = parseInt(settings.maxContextLength, 10);
+    const modelLimit = target.modelInfo?.inputTokenLimit || Infinity;
+    const options = {
+      limit: Math.min(configuredLimit > 0 ? configuredLimit : this.defaultContextLimit, modelLimit),
+      variableCharacters,
+      fileSizes: Object.fromEntries(
+        (files || []).filter(file => file && file.geminiUri).map(file => [file.geminiUri, file])
+      )
+    };
+
+    const estimate = TokenBudget.measure(payload, options);
+    let budget = settings.exactTokenCount === true
+      ? await this.countExactTokens(payload, target, estimate)
+      : estimate;
+
+    if (budget.total > budget.limit) {
+      // When the exact count is above the estimate, trim the estimate to a correspondingly lower target
+      const correction = Math.max(0, budget.total - estimate.total);
+      const trimmed = TokenBudget.trim(payload, { ...options, limit: options.limit - correction });
+      budget = { ...TokenBudget.measure(payload, options), trimmed };
+      console.warn('aiFiverr AI Request: Payload over the context budget - trimmed', trimmed.join(', '));
+    }
+
+    console.log('aiFiverr AI Request: Context budget', TokenBudget.format(budget));
+
+    if (request.onBudget) {
+      try {
+        request.onBudget(budget);
+      } catch (error) {
+        console.warn('aiFiverr AI Request: onBudget callback failed:', error);
+      }
+    }
+
+    return budget;
+  }
+
+  /**
+   * Remove features the target model cannot handle and keep the output limit within its maximum
+   */
+  adaptToModel(payload, target) {
+    const { capabilities, outputTokenLimit } = target.modelInfo || {};
+    if (!capabilities) {
+      return payload;
+    }
+
+    if (payload.tools?.length > 0) {
+      // Catalog entries cached before function calling was tracked have no functionCalling flag
+      const unsupported = payload.tools.filter(tool => (tool.functionDeclarations ? capabilities.functionCalling === false : !capabilities.grounding));
+      if (unsupported.length > 0) {
+        console.warn('aiFiverr AI Request:', target.model, 'does not support these tools, ignoring:', unsupported.map(t => Object.keys(t)[0]));
+        payload.tools = payload.tools.filter(tool => !unsupported.includes(tool));
+      }
+      if (!payload.tools.some(tool => tool.functionDeclarations)) {
+        delete payload.toolConfig;
+      }
+      if (payload.tools.length === 0) {
+        delete payload.tools;
+      }
+    }
+
+    if (!capabilities.files) {
+      let removedFiles = 0;
+      payload.contents.forEach(content => {
+        const parts = content.parts.filter(part => !part.fileData);
+        removedFiles += content.parts.length - parts.length;
+        content.parts = parts;
+      });
+      payload.contents = payload.contents.filter(content => content.parts.length > 0);
+      if (removedFiles > 0) {
+        console.warn('aiFiverr AI Request:', target.model, 'does not accept files, removed', removedFiles, 'file parts');
+      }
+    }
+
+    if (!capabilities.structuredOutput && payload.generationConfig.responseSchema) {
+      console.warn('aiFiverr AI Request:', target.model, 'does not support response schemas, ignoring the schema');
+      delete payload.generationConfig.responseSchema;
+      delete payload.generationConfig.responseMimeType;
+    }
+
+    if (outputTokenLimit && payload.generationConfig.maxOutputTokens > outputTokenLimit) {
+      payload.generationConfig.maxOutputTokens = outputTokenLimit;
+    }
+
+    return payload;
+  }
+
+  /**
+   * Replace the current turn's file parts, the system instruction and the tools with a Gemini context cache
+   * The cache (cachedContents, managed by the KnowledgeBaseManager) bills repeated requests with the same
+   * files at the cached rate. Gemini only accepts tools and tool config inside the cache on such requests.
+   * The budget has already been measured with the files inline, so totals stay comparable
+   */
+  async applyContextCache(payload, target) {
+    if (target.provider.id !== 'gemini' || !target.apiKey || !window.knowledgeBaseManager?.getContextCache) {
+      return null;
+    }
+
+    const currentTurn = payload.contents[payload.contents.length - 1];
+    const fileParts = currentTurn.parts.filter(part => part.fileData);
+    if (fileParts.length === 0) {
+      return null;
+    }
+
+    const cache = await window.knowledgeBaseManager.getContextCache({
+      apiKey: target.apiKey,
+      model: target.model,
+      fileParts,
+      systemInstruction: payload.systemInstruction || null,
+      // Gemini rejects tools and tool config next to cached content - they belong to the cache
+      tools: payload.tools || null,
+      toolConfig: payload.toolConfig || null
+    });
+    if (!cache) {
+      return null;
+    }
+
+    target.contextCache = {
+      name: cache.name,
+      currentTurn,
+      fileParts,
+      systemInstruction: payload.systemInstruction,
+      tools: payload.tools,
+      toolConfig: payload.toolConfig
+    };
+    currentTurn.parts = currentTurn.parts.filter(part => !part.fileData);
+    delete payload.systemInstruction;
+    delete payload.tools;
+    delete payload.toolConfig;
+    payload.cachedContent = cache.name;
+
+    console.log('aiFiverr AI Request: Using context cache', cache.name, 'for', fileParts.length, 'files');
+    return cache;
+  }
+
+  /**
+   * Put the cached files, system instruction and tools back inline (the cache expired on the server)
+   */
+  removeContextCache(target, payload) {
+    const { name, currentTurn, fileParts, systemInstruction, tools, toolConfig } = target.contextCache;
+    currentTurn.parts = [...fileParts, ...currentTurn.parts];
+    if (systemInstruction) {
+      payload.systemInstruction = systemInstruction;
+    }
+    if (tools) {
+      payload.tools = tools;
+    }
+    if (toolConfig) {
+      payload.toolConfig = toolConfig;
+    }
+    delete payload.cachedContent;
+    target.contextCache = null;
+
+    window.knowledgeBaseManager?.forgetContextCache(name).catch(error => {
+      console.warn('aiFiverr AI Request: Failed to forget context cache:', error);
+    });
+  }
+
+  /**
+   * Replace the estimated total with the provider's exact count - the estimate is kept when counting fails
+   */
+  async countExactTokens(payload, target, budget) {
+    try {
+      const totalTokens = await target.provider.countTokens(payload, { model: target.model, apiKey: target.apiKey });
+      if (typeof totalTokens === 'number') {
+        return { ...budget, total: totalTokens, exact: true };
+      }
+    } catch (error) {
+      console.warn('aiFiverr AI Request: countTokens failed, using the estimate:', error.message);
+    }
+    return budget;
+  }
+
+  /**
+   * Last line of defense against file parts Gemini rejects
+   */
+  sanitizePayload(payload) {
+    for (const content of payload.contents) {
+      for (const part of content.parts) {
+        if (part.fileData && (!part.fileData.mimeType || part.fileData.mimeType === 'application/octet-stream')) {
+          console.error('aiFiverr AI Request: Replacing application/octet-stream file part with text/plain');
+          part.fileData.mimeType = 'text/plain';
+        }
+      }
+    }
+    return payload;
+  }
+
+  /**
+   * Non-streaming generation
+   */
+  async generate(request = {}) {
+    const target = await this.resolveTarget(request);
+    const { provider, model } = target;
+    const payload = this.adaptToModel(await this.buildPayload(request), target);
+    const budget = await this.applyContextBudget(payload, target, request);
+    target.estimatedTokens = budget.total;
+    await this.applyContextCache(payload, target);
+    const policy = await this.getNetworkPolicy();
+
+    console.log('aiFiverr AI Request: Generating with', provider.name, 'model:', model, '-', payload.contents.length, 'content turns');
+
+    let result;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let attemptSignal = null;
+        try {
+          // The queue wait is not part of the attempt timeout, but Stop ends it
+          await this.acquireKey(target, payload, request.signal);
+          attemptSignal = this.createAttemptSignal(request.signal, policy.timeoutMs);
+          result = await provider.generate(payload, { model, apiKey: target.apiKey, signal: attemptSignal.signal });
+          break;
+        } catch (error) {
+          const networkError = this.normalizeNetworkError(error, attemptSignal, policy);
+          if (!await this.prepareRetry(request, target, payload, networkError, attempt, policy)) {
+            throw networkError;
+          }
+        } finally {
+          attemptSignal?.clear();
+        }
+      }
+    } catch (error) {
+      if (this.isAbortError(error)) {
+        this.recordInSession(request, '', { cancelled: true });
+      }
+      throw error;
+    }
+
+    this.markKeySuccess(target);
+    this.reportKeyUsage(target, result.usageMetadata);
+    this.recordUsage(target, request, result.usageMetadata);
+
+    const { responseSchema } = this.normalizePrompt(request);
+    let text = result.text;
+    if (!responseSchema && result.groundingMetadata && result.groundingMetadata.groundingSupports) {
+      console.log('aiFiverr AI Request: Response includes grounding metadata with', result.groundingMetadata.groundingSupports.length, 'supports');
+      text = this.addCitations(text, result.groundingMetadata);
+    }
+
+    this.recordInSession(request, text);
+
+    const safety = this.reportSafety(request, result);
+
+    return {
+      text,
+      response: text, // For compatibility
+      groundingMetadata: result.groundingMetadata,
+      urlContextMetadata: result.urlContextMetadata,
+      usageMetadata: result.usageMetadata,
+      finishReason: result.finishReason,
+      functionCalls: result.functionCalls || [],
+      blockReason: result.blockReason,
+      safety,
+      structured: responseSchema ? this.parseStructured(text, responseSchema) : undefined,
+      budget,
+      model,
+      provider: provider.id
+    };
+  }
+
+  /**
+   * Generate one candidate per variant preset in parallel
+   * The variants differ by temperature or by tone (settings.variantStyle)
+   * Returns [{ label, text, structured, error }] - rejects only when every variant failed
+   */
+  async generateVariants(request = {}, variants = null) {
+    const presets = variants || await this.getVariantPresets();
+    const outcomes = await Promise.allSettled(
+      presets.map(variant => this.generate(this.buildVariantRequest(request, variant)))
+    );
+
+    const failed = outcomes.filter(outcome => outcome.status === 'rejected');
+    if (failed.length === outcomes.length) {
+      throw failed[0].reason;
+    }
+
+    return outcomes.map((outcome, index) => {
+      const label = presets[index].label;
+      if (outcome.status === 'rejected') {
+        console.warn('aiFiverr AI Request: Variant', label, 'failed:', outcome.reason?.message);
+        return { label, text: '', structured: undefined, error: outcome.reason?.message || 'Generation failed' };
+      }
+      return { label, text: outcome.value.text, structured: outcome.value.structured, error: null };
+    });
+  }
+
+  /**
+   * Variant presets for the saved variant style (temperature or tone)
+   */
+  async getVariantPresets() {
+    const settings = await this.getSettings();
+    return this.variantPresets[settings.variantStyle] || this.variantPresets.temperature;
+  }
+
+  /**
+   * Copy of a request with one variant's temperature or tone applied
+   */
+  buildVariantRequest(request, variant) {
+    const variantRequest = {
+      ...request,
+      recordExchange: false,
+      generationConfig: { ...(request.generationConfig || {}) }
+    };
+
+    if (variant.temperature !== undefined) {
+      variantRequest.generationConfig.temperature = variant.temperature;
+    }
+
+    const { prompt } = this.normalizePrompt(request);
+    if (variant.tone && prompt) {
+      const tonedPrompt = `${prompt}\n\nWrite the response in a ${variant.tone} tone.`;
+      variantRequest.prompt = typeof request.prompt === 'object'
+        ? { ...request.prompt, prompt: tonedPrompt }
+        : tonedPrompt;
+    }
+
+    return variantRequest;
+  }
+
+  /**
+   * Streaming generation - async iterator of provider chunks
+   */
+  async *stream(request = {}) {
+    const target = await this.resolveTarget(request);
+    const { provider, model } = target;
+    const payload = this.adaptToModel(await this.buildPayload(request), target);
+    const budget = await this.applyContextBudget(payload, target, request);
+    target.estimatedTokens = budget.total;
+    await this.applyContextCache(payload, target);
+    const policy = await this.getNetworkPolicy();
+
+    console.log('aiFiverr AI Request: Streaming with', provider.name, 'model:', model, '-', payload.contents.length, 'content turns');
+
+    let fullResponse = '';
+    let usageMetadata = null;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        let attemptSignal = null;
+        let receivedChunk = false;
+        try {
+          await this.acquireKey(target, payload, request.signal);
+          // The timeout applies to the wait for each chunk, not to the whole stream
+          attemptSignal = this.createAttemptSignal(request.signal, policy.timeoutMs);
+          for await (const chunk of provider.stream(payload, { model, apiKey: target.apiKey, signal: attemptSignal.signal })) {
+            receivedChunk = true;
+            fullResponse += chunk.text || '';
+            if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+            attemptSignal.clear();
+            yield chunk;
+            attemptSignal.reset();
+          }
+          break;
+        } catch (error) {
+          const networkError = this.normalizeNetworkError(error, attemptSignal, policy);
+          // Once text has been shown a retry would duplicate it, so only failed starts are retried
+          if (receivedChunk || !await this.prepareRetry(request, target, payload, networkError, attempt, policy)) {
+            throw networkError;
+          }
+        } finally {
+          attemptSignal?.clear();
+        }
+      }
+    } catch (error) {
+      if (this.isAbortError(error)) {
+        console.log('aiFiverr AI Request: Stream cancelled after', fullResponse.length, 'characters');
+        this.recordInSession(request, fullResponse, { cancelled: true });
+      }
+      throw error;
+    }
+
+    this.markKeySuccess(target);
+    this.reportKeyUsage(target, usageMetadata);
+    this.recordUsage(target, request, usageMetadata);
+    this.recordInSession(request, fullResponse);
+  }
+
+  /**
+   * Stream a request and gather the full result
+   * Cancellation resolves with the partial text and cancelled: true instead of throwing
+   */
+  async collect(request = {}, onChunk = null) {
+    let text = '';
+    let groundingMetadata;
+    let usageMetadata;
+    let finishReason;
+    let blockReason;
+    let safetyRatings;
+    let budget;
+    let cancelled = false;
+    const functionCalls = [];
+
+    const onBudget = (measured) => {
+      budget = measured;
+      if (request.onBudget) request.onBudget(measured);
+    };
+
+    try {
+      for await (const chunk of this.stream({ ...request, onBudget })) {
+        text += chunk.text || '';
+        if (chunk.groundingMetadata) groundingMetadata = chunk.groundingMetadata;
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (chunk.blockReason) blockReason = chunk.blockReason;
+        if (chunk.safetyRatings) safetyRatings = chunk.safetyRatings;
+        if (chunk.functionCalls) functionCalls.push(...chunk.functionCalls);
+
+        if (onChunk) {
+          onChunk(chunk, text);
+        }
+      }
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        throw error;
+      }
+      cancelled = true;
+    }
+
+    const { responseSchema } = this.normalizePrompt(request);
+    if (!cancelled && !responseSchema && groundingMetadata && groundingMetadata.groundingSupports) {
+      text = this.addCitations(text, groundingMetadata);
+    }
+
+    const safety = cancelled ? null : this.reportSafety(request, { finishReason, blockReason, safetyRatings });
+
+    return {
+      text,
+      response: text, // For compatibility
+      groundingMetadata,
+      usageMetadata,
+      finishReason,
+      blockReason,
+      safety,
+      functionCalls,
+      cancelled,
+      budget,
+      structured: responseSchema && !cancelled && text ? this.parseStructured(text, responseSchema) : undefined
+    };
+  }
+
+  /**
+   * Describe a blocked or truncated result and pass it to request.onSafety
+   */
+  reportSafety(request, result) {
+    const safety = ContentSafety.describe(result);
+    if (safety) {
+      console.warn('aiFiverr AI Request: Output', safety.truncated ? 'truncated' : 'blocked', '-', safety.reason, safety.categories);
+      if (request.onSafety) {
+        try {
+          request.onSafety(safety);
+        } catch (error) {
+          console.warn('aiFiverr AI Request: onSafety callback failed:', error);
+        }
+      }
+    }
+    return safety;
+  }
+
+  /**
+   * Parse and validate a JSON response against its schema
+   */
+  parseStructured(text, responseSchema) {
+    const structured = StructuredOutput.process(text, responseSchema);
+    if (!structured.valid) {
+      console.warn('aiFiverr AI Request: Structured response failed validation:', structured.errors);
+    }
+    return structured;
+  }
+
+  /**
+   * Whether an error came from aborting the request
+   */
+  isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  /**
+   * Per-attempt AbortSignal that follows the caller's signal and aborts itself after timeoutMs
+   * reset() restarts the timer, clear() stops it
+   */
+  createAttemptSignal(parentSignal, timeoutMs) {
+    const controller = new AbortController();
+    let timer = null;
+    let timedOut = false;
+
+    const onParentAbort = () => controller.abort(parentSignal.reason);
+    if (parentSignal) {
+      if (parentSignal.aborted) {
+        controller.abort(parentSignal.reason);
+      } else {
+        parentSignal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+
+    const attemptSignal = {
+      signal: controller.signal,
+      isTimedOut: () => timedOut,
+      clear: () => {
+        clearTimeout(timer);
+        timer = null;
+      },
+      reset: () => {
+        attemptSignal.clear();
+        timer = setTimeout(() => {
+          timedOut = true;
+          parentSignal?.removeEventListener('abort', onParentAbort);
+          controller.abort();
+        }, timeoutMs);
+      }
+    };
+
+    attemptSignal.reset();
+    return attemptSignal;
+  }
+
+  /**
+   * Turn a timed-out attempt into a TIMEOUT error; caller aborts stay AbortErrors
+   */
+  normalizeNetworkError(error, attemptSignal, policy) {
+    if (attemptSignal?.isTimedOut()) {
+      const timeoutError = new Error(`Request timed out after ${Math.round(policy.timeoutMs / 1000)}s`);
+      timeoutError.code = 'TIMEOUT';
+      return timeoutError;
+    }
+    return error;
+  }
+
+  /**
+   * Whether an error is worth retrying with the same request
+   */
+  isRetryableError(error) {
+    if (this.isAbortError(error)) {
+      return false;
+    }
+
+    return error?.code === 'TIMEOUT' ||
+      this.retryableStatuses.includes(error?.status) ||
+      error instanceof TypeError; // fetch() network failure
+  }
+
+  /**
+   * Whether the API key itself was rejected - only another key can help
+   */
+  isKeyError(error) {
+    if (!error || error.fileError) {
+      return false;
+    }
+
+    return error.status === 401 ||
+      error.status === 403 ||
+      /API key not valid|API_KEY_INVALID/i.test(error.message || '');
+  }
+
+  /**
+   * Decide whether to retry a failed attempt; reports the retry and waits out the backoff
+   * Up to settings.maxRetries retries for timeouts, network failures, 429 and 5xx, with exponential
+   * backoff and jitter. Rate-limited or rejected Gemini keys fail over to the next healthy key.
+   * Resolves false when the error should be thrown to the caller
+   */
+  async prepareRetry(request, target, payload, error, attempt, policy) {
+    if (this.isAbortError(error)) {
+      return false;
+    }
+
+    // The context cache is gone - resend with the files inline right away
+    if (payload.cachedContent && error.cacheError && target.contextCache) {
+      console.warn('aiFiverr AI Request: Context cache unavailable, retrying with inline files -', error.message);
+      this.removeContextCache(target, payload);
+      return true;
+    }
+
+    const keyError = this.isKeyError(error);
+    const keyRelated = keyError || error.status === 429;
+    if (keyRelated) {
+      this.markKeyFailure(target, error);
+    }
+    this.reportKeyUsage(target, null, error);
+
+    if (attempt >= policy.maxRetries || (!keyError && !this.isRetryableError(error))) {
+      return false;
+    }
+
+    const switchedKey = keyRelated && this.switchKey(target, payload);
+    if (keyError && !switchedKey) {
+      return false;
+    }
+
+    const delayMs = switchedKey ? 0 : this.getRetryDelay(attempt, error);
+    const info = {
+      attempt: attempt + 1,
+      maxRetries: policy.maxRetries,
+      delayMs,
+      error,
+      switchedKey,
+      message: this.describeRetry(error, attempt + 1, policy.maxRetries, delayMs, switchedKey)
+    };
+
+    console.warn('aiFiverr AI Request:', info.message, '-', error.message);
+    if (typeof request.onRetry === 'function') {
+      try {
+        request.onRetry(info);
+      } catch (callbackError) {
+        console.warn('aiFiverr AI Request: onRetry callback failed:', callbackError);
+      }
+    }
+
+    await this.wait(delayMs, request.signal);
+    return true;
+  }
+
+  /**
+   * Move the request to the next healthy Gemini key
+   * Uploaded files and context caches belong to the key that created them, so requests with files keep their key
+   */
+  switchKey(target, payload) {
+    const manager = window.apiKeyManager;
+    if (!target.keyRef || !manager?.initialized) {
+      return false;
+    }
+
+    if (this.hasKeyBoundFiles(payload)) {
+      return false;
+    }
+
+    const next = manager.getNextHealthyKey(target.model);
+    if (!next || next.keyRef === target.keyRef) {
+      return false;
+    }
+
+    manager.setSessionKey(target.keySession, next.key);
+    target.apiKey = next.key;
+    target.keyRef = next.keyRef;
+    return true;
+  }
+
+  /**
+   * Whether the payload references uploaded files or a context cache - both belong to one key
+   */
+  hasKeyBoundFiles(payload) {
+    return !!payload.cachedContent || payload.contents.some(content => content.parts.some(part => part.fileData));
+  }
+
+  /**
+   * Take the attempt's key from the service worker's rate-limit queue (Gemini only)
+   * The queue counts requests and input tokens per key and model against the key's tier (see RateLimits)
+   * for all tabs together. Waits while every usable key is saturated, and may move the request to a key
+   * with capacity.
+   * Aborting the signal leaves the queue (CANCEL_KEY_REQUEST) and rejects with an AbortError.
+   */
+  async acquireKey(target, payload, signal = null) {
+    target.scheduled = false;
+    target.requestId = null;
+    if (!target.apiKey) {
+      return;
+    }
+    if (signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+
+    const manager = window.apiKeyManager?.initialized ? window.apiKeyManager : null;
+    const requestId = `key_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+    let response;
+    try {
+      response = await this.waitForKeyGrant({
+        type: 'ACQUIRE_API_KEY',
+        requestId,
+        model: target.model,
+        tokens: target.estimatedTokens || 0,
+        preferredKey: target.apiKey,
+        pinned: this.hasKeyBoundFiles(payload)
+      }, signal);
+    } catch (error) {
+      if (this.isAbortError(error)) {
+        throw error;
+      }
+      // Without the service worker the request goes out unscheduled
+      console.warn('aiFiverr AI Request: Key scheduling unavailable:', error.message);
+      return;
+    }
+
+    if (!response?.success) {
+      if (response?.code === 'KEY_VAULT_LOCKED') {
+        throw KeyVault.lockedError();
+      }
+      if (['RATE_LIMITED', 'KEYS_UNAVAILABLE', 'MODEL_NOT_ALLOWED'].includes(response?.code)) {
+        const error = new Error(response.error);
+        error.code = response.code;
+        error.retryAfterMs = response.retryAfterMs;
+        throw error;
+      }
+      console.warn('aiFiverr AI Request: Key scheduling failed, sending unscheduled:', response?.error);
+      return;
+    }
+
+    const { key, keyRef, waitedMs } = response.data;
+    if (waitedMs > 0) {
+      console.log('aiFiverr AI Request: Waited', Math.round(waitedMs / 1000), 's for rate limit capacity');
+    }
+
+    target.keyRef = keyRef;
+    target.requestId = requestId;
+    target.scheduled = true;
+    target.reservedTokens = target.estimatedTokens || 0;
+    if (key !== target.apiKey) {
+      if (manager?.getKeyRef(key)) {
+        manager.setSessionKey(target.keySession, key);
+      }
+      target.apiKey = key;
+    }
+  }
+
+  /**
+   * Send a key request and wait for the grant - an abort cancels the queued request in the service worker
+   */
+  waitForKeyGrant(message, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        try {
+          chrome.runtime.sendMessage({ type: 'CANCEL_KEY_REQUEST', requestId: message.requestId }).catch(error => {
+            console.warn('aiFiverr AI Request: Failed to cancel key request:', error.message);
+          });
+        } catch (error) {
+          console.warn('aiFiverr AI Request: Failed to cancel key request:', error.message);
+        }
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      chrome.runtime.sendMessage(message)
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Tell the key queue what a granted attempt really cost, or how it failed (429s and the key's circuit)
+   * The service worker keeps a circuit breaker per key (see KeyCircuit) and stops handing out keys that
+   * are invalid, lack billing or keep failing until a probe shows they work again
+   */
+  reportKeyUsage(target, usageMetadata, error = null) {
+    if (!target.scheduled || !target.keyRef) return;
+
+    const report = { type: 'REPORT_KEY_USAGE', requestId: target.requestId, keyRef: target.keyRef, model: target.model };
+    if (error) {
+      report.error = KeyCircuit.toReport(error);
+      if (error.status === 429) {
+        report.rateLimited = true;
+        report.retryAfterMs = error.retryAfterMs || null;
+        report.dailyQuota = !!error.dailyQuota;
+      }
+    } else {
+      report.success = true;
+      if (usageMetadata?.promptTokenCount !== undefined) {
+        report.tokens = usageMetadata.promptTokenCount;
+        report.reservedTokens = target.reservedTokens || 0;
+      }
+    }
+
+    try {
+      chrome.runtime.sendMessage(report).catch(sendError => {
+        console.warn('aiFiverr AI Request: Failed to report key usage:', sendError.message);
+      });
+    } catch (sendError) {
+      console.warn('aiFiverr AI Request: Failed to report key usage:', sendError.message);
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter, never shorter than the server's requested delay
+   */
+  getRetryDelay(attempt, error) {
+    const exponential = Math.min(this.retryBaseDelay * Math.pow(2, attempt), this.retryMaxDelay);
+    const jittered = Math.round(exponential * (0.5 + Math.random() * 0.5));
+    return error.retryAfterMs ? Math.max(jittered, Math.round(error.retryAfterMs)) : jittered;
+  }
+
+  /**
+   * Human readable status line for a retry
+   */
+  describeRetry(error, attempt, maxRetries, delayMs, switchedKey) {
+    let reason;
+    if (error.code === 'TIMEOUT') {
+      reason = 'Request timed out';
+    } else if (error.status === 429) {
+      reason = 'Rate limited (429)';
+    } else if (this.isKeyError(error)) {
+      reason = `API key rejected (${error.status || 'invalid'})`;
+    } else if (error.status) {
+      reason = `Server error (${error.status})`;
+    } else {
+      reason = 'Network error';
+    }
+
+    const action = switchedKey
+      ? 'switched to another API key'
+      : `retrying in ${Math.max(1, Math.round(delayMs / 1000))}s`;
+
+    return `${reason} - ${action} (retry ${attempt}/${maxRetries})`;
+  }
+
+  /**
+   * Sleep that ends early with an AbortError when the caller aborts
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Report a successful request to the APIKeyManager
+   */
+  markKeySuccess(target) {
+    if (target.keyRef && window.apiKeyManager?.initialized) {
+      window.apiKeyManager.markKeySuccess(target.keyRef);
+    }
+  }
+
+  /**
+   * Report a rate-limited or rejected key to the APIKeyManager
+   */
+  markKeyFailure(target, error) {
+    if (target.keyRef && window.apiKeyManager?.initialized) {
+      window.apiKeyManager.markKeyFailure(target.keyRef, error);
+    }
+  }
+
+  /**
+   * Report token usage to the service worker, which keeps the per key/model/prompt/day totals (see UsageStats)
+   */
+  async recordUsage(target, request, usageMetadata) {
+    try {
+      const entry = UsageStats.fromUsageMetadata(usageMetadata, {
+        key: await this.getUsageKey(target),
+        model: target.model,
+        prompt: this.normalizePrompt(request).promptKey || 'custom'
+      });
+      if (!entry) return;
+
+      await chrome.runtime.sendMessage({ type: 'RECORD_USAGE', entry });
+    } catch (error) {
+      console.warn('aiFiverr AI Request: Failed to record usage:', error.message);
+    }
+  }
+
+  /**
+   * Usage is recorded by keyRef for Gemini keys - the popup resolves their labels when showing it
+   */
+  async getUsageKey(target) {
+    if (target.provider.id !== 'gemini' || !target.apiKey) {
+      return UsageStats.keyLabel(target.apiKey, target.provider.id);
+    }
+    return target.keyRef || RateLimits.keyRef(target.apiKey);
+  }
+
+  /**
+   * Add the exchange to the request's session
+   */
+  recordInSession(request, responseText, metadata = {}) {
+    const session = request.session;
+    if (!session || !session.addMessage || request.recordExchange === false) {
+      return;
+    }
+    // A blocked response has nothing to continue from - keep it out of the history so a retry starts clean
+    if (!responseText && !metadata.cancelled) {
+      return;
+    }
+
+    const { prompt } = this.normalizePrompt(request);
+    if (prompt) {
+      session.addMessage('user', prompt);
+    }
+    session.addMessage('assistant', responseText, metadata);
+  }
+
+  /**
+   * Add citations to response text based on grounding metadata
+   */
+  addCitations(responseText, groundingMetadata) {
+    try {
+      let text = responseText;
+      const supports = groundingMetadata.groundingSupports;
+      const chunks = groundingMetadata.groundingChunks;
+
+      if (!supports || !chunks) {
+        return text;
+      }
+
+      // Sort supports by end_index in descending order to avoid shifting issues when inserting
+      const sortedSupports = [...supports].sort(
+        (a, b) => (b.segment?.endIndex ?? 0) - (a.segment?.endIndex ?? 0)
+      );
+
+      for (const support of sortedSupports) {
+        const endIndex = support.segment?.endIndex;
+        if (endIndex === undefined || !support.groundingChunkIndices?.length) {
+          continue;
+        }
+
+        const citationLinks = support.groundingChunkIndices
+          .map(i => {
+            const chunk = chunks[i];
+            if (chunk?.web?.uri) {
+              return `[${i + 1}](${chunk.web.uri})`;
+            }
+            return null;
+          })
+          .filter(Boolean);
+
+        if (citationLinks.length > 0) {
+          const citationString = ` ${citationLinks.join(', ')}`;
+          text = text.slice(0, endIndex) + citationString + text.slice(endIndex);
+        }
+      }
+
+      return text;
+    } catch (error) {
+      console.error('aiFiverr AI Request: Error adding citations:', error);
+      return responseText; // Return original text if citation processing fails
+    }
+  }
+}
+
+// Initialize global instance
+function initializeAIRequestClient() {
+  if (!window.aiRequestClient) {
+    window.aiRequestClient = new AIRequestClient();
+    window.aiRequestClient.init();
+    console.log('aiFiverr: AI Request Client created and initialized');
+  }
+  return window.aiRequestClient;
+}
+
+// Export the initialization function
+window.initializeAIRequestClient = initializeAIRequestClient;
@@ -1,50 +1,156 @@
 /**
  * API Key Manager
  * Handles API key rotation, health monitoring, and session-based key persistence
+ * Rate limits are not tracked here - the service worker schedules keys for all tabs (see RateLimits)
+ * Key health follows the service worker's circuit breakers (see KeyCircuit); the counts here are per tab
+ * Keys are identified by their keyRef, which stays the same when other keys are added or removed;
+ * labels, projects and allowed models come from settings.apiKeyProfiles (see KeyProfiles)
  */
 
 class APIKeyManager {
   constructor() {
     this.keys = [];
+    this.keyRefs = []; // RateLimits.keyRef of each key - its stable id
     this.currentKeyIndex = 0;
-    this.keyHealth = new Map();
-    this.sessionKeys = new Map(); // Maps session IDs to specific keys
-    this.rateLimits = new Map();
+    this.keyHealth = new Map(); // Maps keyRefs to health
+    this.sessionKeys = new Map(); // Maps session IDs to keyRefs
+    this.profiles = {}; // settings.apiKeyProfiles
     this.init();
   }
 
   async init() {
     await this.loadKeys();
+    this.setupKeyListener();
     this.startHealthMonitoring();
     this.initialized = true;
   }
 
   /**
-   * Load API keys from storage
+   * Load API keys from storage (through the key vault - empty while it is locked)
    */
   async loadKeys() {
     try {
-      const result = await storageManager.get(['apiKeys', 'keyHealth']);
-      this.keys = result.apiKeys || [];
-      
+      const result = await storageManager.get(['keyHealth', 'settings', KeyCircuit.STORAGE_KEY]);
+      this.keys = await KeyVault.getKeys();
+      this.keyRefs = await Promise.all(this.keys.map(key => RateLimits.keyRef(key)));
+      this.profiles = result.settings?.apiKeyProfiles || {};
+
+      const { keyHealth, migrated } = this.migrateKeyHealth(result.keyHealth || {});
+
       // Initialize health status for all keys
-      this.keys.forEach((key, index) => {
-        const savedHealth = result.keyHealth?.[index];
-        this.keyHealth.set(index, {
-          isHealthy: savedHealth?.isHealthy ?? true,
+      this.keyHealth.clear();
+      this.keyRefs.forEach(keyRef => {
+        const savedHealth = keyHealth[keyRef];
+        this.keyHealth.set(keyRef, {
+          isHealthy: true,
+          circuit: null,
           lastUsed: savedHealth?.lastUsed || null,
           errorCount: savedHealth?.errorCount || 0,
-          quotaExhausted: savedHealth?.quotaExhausted || false,
           lastError: savedHealth?.lastError || null,
           successCount: savedHealth?.successCount || 0,
           totalRequests: savedHealth?.totalRequests || 0
         });
       });
+      this.applyCircuits(result[KeyCircuit.STORAGE_KEY] || {});
+
+      // Session assignments of removed keys are dropped; the others keep their key
+      this.sessionKeys.forEach((keyRef, sessionId) => {
+        if (!this.keyHealth.has(keyRef)) {
+          this.sessionKeys.delete(sessionId);
+        }
+      });
+
+      if (this.currentKeyIndex >= this.keys.length) {
+        this.currentKeyIndex = 0;
+      }
+
+      if (migrated) {
+        await this.saveKeyHealth();
+      }
     } catch (error) {
       console.error('Failed to load API keys:', error);
     }
   }
 
+  /**
+   * Health saved by key position (before keys had stable ids) is moved to the keyRef of the key now at that position
+   */
+  migrateKeyHealth(savedHealth) {
+    const entries = Object.entries(savedHealth);
+    if (!entries.some(([id]) => /^\d+$/.test(id))) {
+      return { keyHealth: savedHealth, migrated: false };
+    }
+
+    const keyHealth = {};
+    entries.forEach(([id, health]) => {
+      const keyRef = /^\d+$/.test(id) ? this.keyRefs[Number(id)] : id;
+      if (keyRef) {
+        keyHealth[keyRef] = health;
+      }
+    });
+
+    console.log('aiFiverr APIKeyManager: Migrated key health to key ids');
+    return { keyHealth, migrated: true };
+  }
+
+  /**
+   * Stable id of a configured key (null for unknown keys)
+   */
+  getKeyRef(apiKey) {
+    const index = this.keys.indexOf(apiKey);
+    return index !== -1 ? this.keyRefs[index] : null;
+  }
+
+  getKeyByRef(keyRef) {
+    const index = this.keyRefs.indexOf(keyRef);
+    return index !== -1 ? this.keys[index] : null;
+  }
+
+  getProfile(keyRef) {
+    return KeyProfiles.normalize(this.profiles[keyRef]);
+  }
+
+  /**
+   * Whether the key may be used for the model (see KeyProfiles)
+   */
+  allowsModel(keyRef, model) {
+    return KeyProfiles.allowsModel(this.getProfile(keyRef), model);
+  }
+
+  /**
+   * Reload the keys when they change in another context or the key vault is unlocked or locked
+   */
+  setupKeyListener() {
+    chrome.storage?.onChanged?.addListener((changes, areaName) => {
+      const keysChanged = areaName === 'local' &&
+        (changes.apiKeys || changes[KeyVault.STORAGE_KEY] || changes[KeyVault.CHANGED_KEY]);
+      if (keysChanged) {
+        this.loadKeys();
+        return;
+      }
+      if (areaName === 'local' && changes[KeyCircuit.STORAGE_KEY]) {
+        this.applyCircuits(changes[KeyCircuit.STORAGE_KEY].newValue || {});
+      }
+      if (areaName === 'local' && changes.settings) {
+        this.profiles = changes.settings.newValue?.apiKeyProfiles || {};
+      }
+    });
+  }
+
+  /**
+   * Mark keys healthy or not from their circuits - keys with an open circuit lose their sessions
+   */
+  applyCircuits(circuits) {
+    this.keyHealth.forEach((health, keyRef) => {
+      const circuit = circuits[keyRef];
+      health.isHealthy = KeyCircuit.isAvailable(circuit);
+      health.circuit = circuit ? { state: circuit.state, kind: circuit.kind, reason: circuit.reason } : null;
+      if (!health.isHealthy) {
+        this.removeKeyFromSessions(keyRef);
+      }
+    });
+  }
+
   /**
    * Save key health status
    */
@@ -64,14 +170,14 @@ class APIKeyManager {
       }
 
       const healthData = {};
-      this.keyHealth.forEach((health, index) => {
+      this.keyHealth.forEach((health, keyRef) => {
         try {
           if (health && typeof health === 'object') {
-            healthData[index] = health;
+            healthData[keyRef] = health;
           }
         } catch (error) {
           if (window.aiFiverrDebug) {
-            console.warn(`aiFiverr: Error processing key health for index ${index}:`, error);
+            console.warn(`aiFiverr: Error processing key health for key ${keyRef}:`, error);
           }
         }
       });
@@ -88,88 +194,101 @@ class APIKeyManager {
    * Add new API keys
    */
   async addKeys(newKeys) {
-    const startIndex = this.keys.length;
+    const newKeyRefs = await Promise.all(newKeys.map(key => RateLimits.keyRef(key)));
     this.keys.push(...newKeys);
-    
+    this.keyRefs.push(...newKeyRefs);
+
     // Initialize health for new keys
-    newKeys.forEach((key, i) => {
-      this.keyHealth.set(startIndex + i, {
+    newKeyRefs.forEach(keyRef => {
+      this.keyHealth.set(keyRef, {
         isHealthy: true,
+        circuit: null,
         lastUsed: null,
         errorCount: 0,
-        quotaExhausted: false,
         lastError: null,
         successCount: 0,
         totalRequests: 0
       });
     });
 
-    await storageManager.set({ apiKeys: this.keys });
+    await KeyVault.setKeys(this.keys);
     await this.saveKeyHealth();
   }
 
   /**
-   * Update all API keys
+   * Update all API keys - keys that stay keep their health and sessions
    */
   async updateKeys(newKeys) {
+    const previousHealth = new Map(this.keyHealth);
     this.keys = [...newKeys];
+    this.keyRefs = await Promise.all(newKeys.map(key => RateLimits.keyRef(key)));
     this.keyHealth.clear();
-    this.sessionKeys.clear();
     this.currentKeyIndex = 0;
 
+    this.sessionKeys.forEach((keyRef, sessionId) => {
+      if (!this.keyRefs.includes(keyRef)) {
+        this.sessionKeys.delete(sessionId);
+      }
+    });
+
     // Initialize health for all keys
-    newKeys.forEach((key, index) => {
-      this.keyHealth.set(index, {
+    this.keyRefs.forEach(keyRef => {
+      this.keyHealth.set(keyRef, previousHealth.get(keyRef) || {
         isHealthy: true,
+        circuit: null,
         lastUsed: null,
         errorCount: 0,
-        quotaExhausted: false,
         lastError: null,
         successCount: 0,
         totalRequests: 0
       });
     });
 
-    await storageManager.set({ apiKeys: this.keys });
+    await KeyVault.setKeys(this.keys);
     await this.saveKeyHealth();
   }
 
   /**
    * Get API key for a specific session
+   * With a model, only keys whose allowed models include it are used
    */
-  getKeyForSession(sessionId) {
+  getKeyForSession(sessionId, model = null) {
     // Check if session already has an assigned key
     if (this.sessionKeys.has(sessionId)) {
-      const keyIndex = this.sessionKeys.get(sessionId);
-      const keyHealth = this.keyHealth.get(keyIndex);
-
-      // If the assigned key is still healthy, use it
-      if (keyHealth?.isHealthy && !keyHealth?.quotaExhausted) {
-        return {
-          key: this.keys[keyIndex],
-          index: keyIndex
-        };
+      const keyRef = this.sessionKeys.get(sessionId);
+      const keyHealth = this.keyHealth.get(keyRef);
+
+      // If the assigned key is still healthy and may use the model, use it
+      if (keyHealth?.isHealthy && this.allowsModel(keyRef, model)) {
+        return this.getKeyData(keyRef);
       }
     }
 
     // Get a new healthy key for the session
-    const keyData = this.getNextHealthyKey();
+    const keyData = this.getNextHealthyKey(model);
     if (keyData) {
-      this.sessionKeys.set(sessionId, keyData.index);
+      this.sessionKeys.set(sessionId, keyData.keyRef);
     }
 
     return keyData;
   }
 
+  /**
+   * { key, keyRef, index } of a configured key
+   */
+  getKeyData(keyRef) {
+    const index = this.keyRefs.indexOf(keyRef);
+    return index !== -1 ? { key: this.keys[index], keyRef, index } : null;
+  }
+
   /**
    * Set API key for a specific session (for consistency)
    */
   setSessionKey(sessionId, apiKey) {
-    // Find the index of the provided API key
-    const keyIndex = this.keys.indexOf(apiKey);
-    if (keyIndex !== -1) {
-      this.sessionKeys.set(sessionId, keyIndex);
-      console.log(`aiFiverr APIKeyManager: Set session '${sessionId}' to use key index ${keyIndex}`);
+    const keyRef = this.getKeyRef(apiKey);
+    if (keyRef) {
+      this.sessionKeys.set(sessionId, keyRef);
+      console.log(`aiFiverr APIKeyManager: Set session '${sessionId}' to use key ${keyRef}`);
       return true;
     } else {
       console.warn(`aiFiverr APIKeyManager: API key not found in keys array for session '${sessionId}'`);
@@ -178,9 +297,9 @@ class APIKeyManager {
   }
 
   /**
-   * Get next healthy API key
+   * Get next healthy API key (allowed to use the model, when one is given)
    */
-  getNextHealthyKey() {
+  getNextHealthyKey(model = null) {
     if (this.keys.length === 0) {
       return null;
     }
@@ -188,21 +307,19 @@ class APIKeyManager {
     // Find the next healthy key
     let attempts = 0;
     while (attempts < this.keys.length) {
-      const keyHealth = this.keyHealth.get(this.currentKeyIndex);
-      
-      if (keyHealth?.isHealthy && !keyHealth?.quotaExhausted) {
-        const keyData = {
-          key: this.keys[this.currentKeyIndex],
-          index: this.currentKeyIndex
-        };
-        
+      const keyRef = this.keyRefs[this.currentKeyIndex];
+      const keyHealth = this.keyHealth.get(keyRef);
+
+      if (keyHealth?.isHealthy && this.allowsModel(keyRef, model)) {
+        const keyData = this.getKeyData(keyRef);
+
         // Update last used time
         keyHealth.lastUsed = Date.now();
         this.saveKeyHealth();
-        
+
         // Move to next key for round-robin
         this.currentKeyIndex = (this.currentKeyIndex + 1) % this.keys.length;
-        
+
         return keyData;
       }
 
@@ -210,25 +327,16 @@ class APIKeyManager {
       attempts++;
     }
 
-    // If no healthy keys found, try to reset quota-exhausted keys
-    this.resetQuotaExhaustedKeys();
-    
-    // Return the first available key as fallback
-    if (this.keys.length > 0) {
-      return {
-        key: this.keys[0],
-        index: 0
-      };
-    }
-
-    return null;
+    // Fall back to the first key that may use the model - the service worker's key queue decides whether it may be used
+    const fallback = this.keyRefs.find(keyRef => this.allowsModel(keyRef, model));
+    return fallback ? this.getKeyData(fallback) : null;
   }
 
   /**
    * Mark key as successful
    */
-  markKeySuccess(keyIndex) {
-    const keyHealth = this.keyHealth.get(keyIndex);
+  markKeySuccess(keyRef) {
+    const keyHealth = this.keyHealth.get(keyRef);
     if (keyHealth) {
       keyHealth.successCount++;
       keyHealth.totalRequests++;
@@ -238,21 +346,16 @@ class APIKeyManager {
       if (keyHealth.errorCount > 0) {
         keyHealth.errorCount = Math.max(0, keyHealth.errorCount - 1);
       }
-      
-      // Mark as healthy if it was unhealthy
-      if (!keyHealth.isHealthy && keyHealth.errorCount === 0) {
-        keyHealth.isHealthy = true;
-      }
-      
+
       this.saveKeyHealth();
     }
   }
 
   /**
-   * Mark key as failed
+   * Mark key as failed - the service worker decides whether the key is disabled (see KeyCircuit)
    */
-  markKeyFailure(keyIndex, error) {
-    const keyHealth = this.keyHealth.get(keyIndex);
+  markKeyFailure(keyRef, error) {
+    const keyHealth = this.keyHealth.get(keyRef);
     if (keyHealth) {
       keyHealth.errorCount++;
       keyHealth.totalRequests++;
@@ -261,69 +364,20 @@ class APIKeyManager {
         timestamp: Date.now()
       };
 
-      // Check for quota exhaustion
-      if (this.isQuotaError(error)) {
-        keyHealth.quotaExhausted = true;
-        keyHealth.quotaExhaustedAt = Date.now();
-      }
-
-      // Mark as unhealthy if too many errors
-      if (keyHealth.errorCount >= 3) {
-        keyHealth.isHealthy = false;
-      }
-
       this.saveKeyHealth();
       
       // Remove session assignment if key failed
-      this.removeKeyFromSessions(keyIndex);
+      this.removeKeyFromSessions(keyRef);
     }
   }
 
-  /**
-   * Check if error is quota-related
-   */
-  isQuotaError(error) {
-    const quotaKeywords = [
-      'quota',
-      'limit',
-      'rate limit',
-      'too many requests',
-      '429',
-      'exceeded'
-    ];
-
-    const errorMessage = error.message?.toLowerCase() || '';
-    return quotaKeywords.some(keyword => errorMessage.includes(keyword));
-  }
-
-  /**
-   * Reset quota-exhausted keys (after 24 hours)
-   */
-  resetQuotaExhaustedKeys() {
-    const now = Date.now();
-    const quotaResetTime = 24 * 60 * 60 * 1000; // 24 hours
-
-    this.keyHealth.forEach((health, index) => {
-      if (health.quotaExhausted && health.quotaExhaustedAt) {
-        if (now - health.quotaExhaustedAt > quotaResetTime) {
-          health.quotaExhausted = false;
-          health.quotaExhaustedAt = null;
-          health.errorCount = 0;
-          health.isHealthy = true;
-        }
-      }
-    });
-
-    this.saveKeyHealth();
-  }
-
   /**
    * Remove key from all session assignments
    */
-  removeKeyFromSessions(keyIndex) {
+  removeKeyFromSessions(keyRef) {
     const sessionsToRemove = [];
-    this.sessionKeys.forEach((assignedKeyIndex, sessionId) => {
-      if (assignedKeyIndex === keyIndex) {
+    this.sessionKeys.forEach((assignedKeyRef, sessionId) => {
+      if (assignedKeyRef === keyRef) {
         sessionsToRemove.push(sessionId);
       }
     });
@@ -341,18 +395,15 @@ class APIKeyManager {
       totalKeys: this.keys.length,
       healthyKeys: 0,
       unhealthyKeys: 0,
-      quotaExhaustedKeys: 0,
       totalRequests: 0,
       totalSuccesses: 0,
       totalErrors: 0,
       keyDetails: []
     };
 
-    this.keyHealth.forEach((health, index) => {
-      if (health.isHealthy && !health.quotaExhausted) {
+    this.keyHealth.forEach((health, keyRef) => {
+      if (health.isHealthy) {
         stats.healthyKeys++;
-      } else if (health.quotaExhausted) {
-        stats.quotaExhaustedKeys++;
       } else {
         stats.unhealthyKeys++;
       }
@@ -361,10 +412,15 @@ class APIKeyManager {
       stats.totalSuccesses += health.successCount;
       stats.totalErrors += health.errorCount;
 
+      const profile = this.getProfile(keyRef);
       stats.keyDetails.push({
-        index,
+        keyRef,
+        index: this.keyRefs.indexOf(keyRef),
+        label: profile.label,
+        project: profile.project,
+        allowedModels: profile.allowedModels,
         isHealthy: health.isHealthy,
-        quotaExhausted: health.quotaExhausted,
+        circuit: health.circuit,
         errorCount: health.errorCount,
         successCount: health.successCount,
         totalRequests: health.totalRequests,
@@ -380,11 +436,6 @@ class APIKeyManager {
    * Start health monitoring
    */
   startHealthMonitoring() {
-    // Reset quota-exhausted keys every hour
-    setInterval(() => {
-      this.resetQuotaExhaustedKeys();
-    }, 60 * 60 * 1000);
-
     // Clean up old session assignments every 30 minutes
     setInterval(() => {
       this.cleanupOldSessions();
@@ -419,7 +470,7 @@ class APIKeyManager {
 
       // Remove assignments for sessions that no longer exist
       const sessionsToRemove = [];
-      this.sessionKeys.forEach((keyIndex, sessionId) => {
+      this.sessionKeys.forEach((keyRef, sessionId) => {
         try {
           if (!validSessionIds.has(sessionId)) {
             sessionsToRemove.push(sessionId);
@@ -450,14 +501,11 @@ class APIKeyManager {
   }
 
   /**
-   * Force refresh key health
+   * Force refresh key health - clears the error counts; disabled keys stay disabled until their probe succeeds
    */
   async refreshKeyHealth() {
-    // Reset all keys to healthy state
     this.keyHealth.forEach((health) => {
-      health.isHealthy = true;
       health.errorCount = 0;
-      health.quotaExhausted = false;
       health.lastError = null;
     });
 
@@ -470,7 +518,7 @@ class APIKeyManager {
   getAvailableKeysCount() {
     let count = 0;
     this.keyHealth.forEach((health) => {
-      if (health.isHealthy && !health.quotaExhausted) {
+      if (health.isHealthy) {
         count++;
       }
     });
@@ -483,55 +531,6 @@ class APIKeyManager {
   hasAvailableKeys() {
     return this.getAvailableKeysCount() > 0;
   }
-
-  /**
-   * Get rate limit info for key
-   */
-  getRateLimit(keyIndex) {
-    return this.rateLimits.get(keyIndex) || {
-      requestsPerMinute: 60,
-      requestsPerDay: 1500,
-      currentMinuteRequests: 0,
-      currentDayRequests: 0,
-      minuteResetTime: 0,
-      dayResetTime: 0
-    };
-  }
-
-  /**
-   * Update rate limit info
-   */
-  updateRateLimit(keyIndex, requestCount = 1) {
-    const now = Date.now();
-    const rateLimit = this.getRateLimit(keyIndex);
-
-    // Reset minute counter if needed
-    if (now > rateLimit.minuteResetTime) {
-      rateLimit.currentMinuteRequests = 0;
-      rateLimit.minuteResetTime = now + 60000; // Next minute
-    }
-
-    // Reset day counter if needed
-    if (now > rateLimit.dayResetTime) {
-      rateLimit.currentDayRequests = 0;
-      rateLimit.dayResetTime = now + 86400000; // Next day
-    }
-
-    // Update counters
-    rateLimit.currentMinuteRequests += requestCount;
-    rateLimit.currentDayRequests += requestCount;
-
-    this.rateLimits.set(keyIndex, rateLimit);
-  }
-
-  /**
-   * Check if key is rate limited
-   */
-  isRateLimited(keyIndex) {
-    const rateLimit = this.getRateLimit(keyIndex);
-    return rateLimit.currentMinuteRequests >= rateLimit.requestsPerMinute ||
-           rateLimit.currentDayRequests >= rateLimit.requestsPerDay;
-  }
 }
 
 // Create global API key manager - but only when explicitly called
@@ -0,0 +1,167 @@
+/**
+ * Batch Jobs for aiFiverr Extension
+ * Run one prompt over many stored conversations and write the results onto the conversations
+ *
+ * The popup submits { promptKey, promptName, promptText, systemInstruction, generationSettings, usernames }
+ * to the service worker (BATCH_SUBMIT). Providers with batch support (Gemini batchGenerateContent)
+ * get a single batch job that the service worker polls on the BATCH_POLL_ALARM; other providers
+ * fall back to sending the requests one by one from the service worker. Jobs are kept in
+ * chrome.storage.local.batchJobs:
+ *
+ *   { [jobId]: { id, mode: 'batch' | 'sync', provider, model, keyRef, keyLabel, operationName, promptKey, promptName,
+ *                state, error, createdAt, updatedAt, items: [{ username, prompt, status, error }] } }
+ *
+ * Each finished item is stored on its conversation as
+ *   fiverrConversations[username].batchResults[promptKey] = { text, error, jobId, model, promptName, completedAt }
+ * Knowledge base files are not attached - batch requests carry the prompt text only.
+ */
+
+class BatchJobs {
+  /**
+   * Prompt text for one conversation - {conversation}, {username} and {{knowledge base}} variables
+   */
+  static buildPrompt(promptText, { username, conversation, variables = {} }) {
+    let prompt = String(promptText || '');
+
+    Object.entries(variables).forEach(([key, value]) => {
+      const text = value && typeof value === 'object' ? value.value : value;
+      prompt = prompt.split(`{{${key}}}`).join(text ?? '');
+    });
+
+    return prompt
+      .split('{conversation}').join(BatchJobs.formatConversation(conversation))
+      .split('{username}').join(username || '');
+  }
+
+  /**
+   * "sender: message" lines for the newest messages of a stored conversation
+   */
+  static formatConversation(conversation) {
+    const lines = (conversation?.messages || [])
+      .slice(-BatchJobs.MAX_MESSAGES)
+      .map(message => `${message.sender || 'Unknown'}: ${message.body || ''}`);
+
+    // Records whose older messages were not fetched yet (see FiverrExtractor.fetchConversationData)
+    if (conversation?.history && !conversation.history.complete) {
+      lines.unshift('[Partial history: some messages have not been fetched yet]');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Gemini-shaped payload for one item
+   */
+  static buildPayload(job, prompt) {
+    const payload = {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { ...BatchJobs.DEFAULT_GENERATION_CONFIG }
+    };
+
+    ['temperature', 'topP', 'topK', 'maxOutputTokens'].forEach(field => {
+      const value = job.generationSettings?.[field];
+      if (value !== undefined && value !== null && value !== '' && !isNaN(Number(value))) {
+        payload.generationConfig[field] = Number(value);
+      }
+    });
+
+    if (job.systemInstruction) {
+      payload.systemInstruction = { parts: [{ text: job.systemInstruction }] };
+    }
+
+    return payload;
+  }
+
+  /**
+   * BATCH_STATE_SUCCEEDED / JOB_STATE_RUNNING -> succeeded / running
+   */
+  static normalizeState(state) {
+    const name = String(state || 'pending').replace(/^(BATCH|JOB)_STATE_/, '').toLowerCase();
+    return name === 'unspecified' ? 'pending' : name;
+  }
+
+  static isFinished(job) {
+    return BatchJobs.FINISHED_STATES.includes(job.state);
+  }
+
+  /**
+   * Results of a finished Gemini batch operation by request key - { text, error, usageMetadata }
+   */
+  static parseBatchOutput(operation) {
+    const output = operation.response || operation.metadata?.output || {};
+    const responses = output.inlinedResponses?.inlinedResponses || [];
+    const results = new Map();
+
+    responses.forEach((entry, index) => {
+      const key = entry.metadata?.key ?? String(index);
+      if (entry.error) {
+        results.set(key, { error: entry.error.message || 'Request failed' });
+        return;
+      }
+
+      const chunk = SSEParser.normalizeGeminiChunk(entry.response || {});
+      results.set(key, chunk.text
+        ? { text: chunk.text, usageMetadata: entry.response.usageMetadata }
+        : { error: chunk.blockReason ? `Blocked (${chunk.blockReason})` : 'Empty response' });
+    });
+
+    return results;
+  }
+
+  /**
+   * Store one item's result on its conversation (mutates and returns conversations)
+   */
+  static applyResult(conversations, job, username, result) {
+    const conversation = conversations[username];
+    if (!conversation) return conversations;
+
+    conversation.batchResults = {
+      ...(conversation.batchResults || {}),
+      [job.promptKey]: {
+        text: result.text || '',
+        error: result.error || null,
+        jobId: job.id,
+        model: job.model,
+        promptName: job.promptName || job.promptKey,
+        completedAt: Date.now()
+      }
+    };
+
+    return conversations;
+  }
+
+  /**
+   * Item counts for status lines
+   */
+  static getProgress(job) {
+    const items = job.items || [];
+    return {
+      total: items.length,
+      done: items.filter(item => item.status === 'done').length,
+      failed: items.filter(item => item.status === 'failed').length
+    };
+  }
+
+  /**
+   * Keep the newest jobs - unfinished jobs are never dropped (mutates and returns jobs)
+   */
+  static prune(jobs, maxJobs = BatchJobs.MAX_JOBS) {
+    Object.values(jobs)
+      .filter(job => BatchJobs.isFinished(job))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(maxJobs)
+      .forEach(job => delete jobs[job.id]);
+
+    return jobs;
+  }
+}
+
+BatchJobs.MAX_JOBS = 20;
+BatchJobs.MAX_MESSAGES = 200;
+BatchJobs.POLL_ALARM = 'aiFiverrBatchPoll';
+BatchJobs.POLL_MINUTES = 1;
+BatchJobs.FINISHED_STATES = ['succeeded', 'failed', 'cancelled', 'expired'];
+BatchJobs.DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  maxOutputTokens: 8192
+};
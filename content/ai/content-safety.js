@@ -0,0 +1,112 @@
+/**
+ * Content Safety for aiFiverr Extension
+ * Gemini safety thresholds and readable reports of blocked or truncated responses
+ *
+ * settings.safetySettings maps a harm category to a threshold, e.g.
+ *   { HARM_CATEGORY_HARASSMENT: 'BLOCK_ONLY_HIGH' }
+ * Categories without an entry keep the model's default and are not sent.
+ *
+ * describe() turns a response's finishReason / blockReason / safetyRatings into
+ *   { reason, blocked, promptBlocked, truncated, categories, message }
+ * and adjustPrompt() rewrites a prompt for the "retry with adjusted prompt" actions.
+ */
+
+class ContentSafety {
+  /**
+   * Gemini safetySettings array for the saved thresholds (null when every category uses the default)
+   */
+  static toSafetySettings(config = {}) {
+    const safetySettings = Object.entries(config || {})
+      .filter(([category, threshold]) => ContentSafety.CATEGORIES[category] && ContentSafety.THRESHOLDS[threshold])
+      .map(([category, threshold]) => ({ category, threshold }));
+
+    return safetySettings.length > 0 ? safetySettings : null;
+  }
+
+  /**
+   * Explain why a response was blocked or cut short - null for a normal finish
+   */
+  static describe({ finishReason, blockReason, safetyRatings } = {}) {
+    const truncated = finishReason === 'MAX_TOKENS';
+    if (!blockReason && !truncated) {
+      return null;
+    }
+
+    const reason = blockReason || finishReason;
+    const promptBlocked = finishReason === 'BLOCKED';
+    const categories = ContentSafety.getFlaggedCategories(safetyRatings);
+    const categoryText = categories.length > 0 ? ` (${categories.join(', ')})` : '';
+
+    let message;
+    if (truncated) {
+      message = '⚠️ Response truncated: the output token limit was reached.';
+    } else if (reason === 'RECITATION') {
+      message = '⚠️ Response stopped: it was too close to existing published text (recitation).';
+    } else if (reason === 'SAFETY') {
+      message = promptBlocked
+        ? `⚠️ The request was blocked by the safety filter${categoryText}.`
+        : `⚠️ Response blocked by the safety filter${categoryText}.`;
+    } else {
+      const details = [ContentSafety.humanize(reason), ...categories].join(', ');
+      message = `⚠️ ${promptBlocked ? 'The request was' : 'Response'} blocked by the content filter (${details}).`;
+    }
+
+    return { reason, blocked: !truncated, promptBlocked, truncated, categories, message };
+  }
+
+  /**
+   * Names of the categories that caused the block, or were rated medium/high
+   */
+  static getFlaggedCategories(safetyRatings = []) {
+    const ratings = safetyRatings || [];
+    const flagged = ratings.filter(rating => rating.blocked);
+    const candidates = flagged.length > 0
+      ? flagged
+      : ratings.filter(rating => ['MEDIUM', 'HIGH'].includes(rating.probability));
+
+    return candidates.map(rating => ContentSafety.CATEGORIES[rating.category] || ContentSafety.humanize(rating.category));
+  }
+
+  /**
+   * Prompt text for a retry that steers away from what stopped the previous response
+   */
+  static adjustPrompt(prompt, safety) {
+    if (!safety) return prompt;
+
+    let instruction;
+    if (safety.truncated) {
+      instruction = 'Keep the response short and concise.';
+    } else if (safety.reason === 'RECITATION') {
+      instruction = 'Write everything in your own words and do not quote existing text verbatim.';
+    } else if (safety.categories.length > 0) {
+      instruction = `Keep the response strictly professional and business-focused, and avoid anything that could be read as ${safety.categories.join(' or ').toLowerCase()} content.`;
+    } else {
+      instruction = 'Keep the response strictly professional and business-focused, and leave out personal data and sensitive topics.';
+    }
+
+    return `${prompt}\n\n${instruction}`;
+  }
+
+  /**
+   * HARM_CATEGORY_HATE_SPEECH / PROHIBITED_CONTENT -> "Hate speech" / "Prohibited content"
+   */
+  static humanize(value) {
+    const text = String(value || 'unknown').replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+ContentSafety.CATEGORIES = {
+  HARM_CATEGORY_HARASSMENT: 'Harassment',
+  HARM_CATEGORY_HATE_SPEECH: 'Hate speech',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sexually explicit',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'Dangerous content'
+};
+
+ContentSafety.THRESHOLDS = {
+  BLOCK_LOW_AND_ABOVE: 'Block low and above',
+  BLOCK_MEDIUM_AND_ABOVE: 'Block medium and above',
+  BLOCK_ONLY_HIGH: 'Block only high',
+  BLOCK_NONE: 'Block none',
+  OFF: 'Off'
+};
@@ -21,161 +21,47 @@ class EnhancedGeminiClient {
     }
   }
 
+  /**
+   * Get the shared request client
+   */
+  getRequestClient() {
+    return window.aiRequestClient || window.initializeAIRequestClient();
+  }
+
   /**
    * Get API key for Gemini API
    */
   async getApiKey() {
-    try {
-      if (window.apiKeyManager && window.apiKeyManager.initialized) {
-        const keyData = window.apiKeyManager.getKeyForSession('gemini');
-        if (keyData) {
-          return keyData.key;
-        }
-      }
-
-      // Fallback to background script
-      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY' });
-      if (response?.success && response?.data) {
-        return response.data.key;
-      }
-
-      throw new Error('No API key available');
-    } catch (error) {
-      console.error('aiFiverr Enhanced Gemini: Failed to get API key:', error);
-      throw error;
-    }
+    return await this.getRequestClient().getApiKey('gemini');
   }
 
   /**
    * Get selected model from settings
    */
   async getSelectedModel() {
-    try {
-      if (window.storageManager && window.storageManager.initialized) {
-        const settings = await window.storageManager.get('settings');
-        return settings.settings?.selectedModel || settings.settings?.defaultModel || this.defaultModel;
-      }
-
-      // Fallback to chrome storage
-      const result = await chrome.storage.local.get('settings');
-      return result.settings?.selectedModel || result.settings?.defaultModel || this.defaultModel;
-    } catch (error) {
-      console.warn('aiFiverr Enhanced Gemini: Failed to get model setting, using default:', error);
-      return this.defaultModel;
-    }
+    return await this.getRequestClient().getSelectedModel();
   }
 
   /**
-   * Generate chat reply with session context (non-streaming)
+   * Generate chat reply with session context
+   * Returns an async iterator of chunks when options.stream is set
    */
   async generateChatReply(session, message, options = {}) {
     try {
       console.log('aiFiverr Enhanced Gemini: Generating chat reply for session:', session?.id);
 
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      // Build conversation history
-      const contents = [];
-
-      if (session && session.messages && session.messages.length > 0) {
-        // Add recent conversation history (last 10 messages for context)
-        const recentMessages = session.messages.slice(-10);
-        for (const msg of recentMessages) {
-          if (msg.role === 'user') {
-            contents.push({
-              role: 'user',
-              parts: [{ text: msg.content }]
-            });
-          } else if (msg.role === 'assistant' || msg.role === 'model') {
-            contents.push({
-              role: 'model',
-              parts: [{ text: msg.content }]
-            });
-          }
-        }
-      }
-
-      // Add current message
-      const currentMessageParts = [];
-
-      // NEW APPROACH: Only add files if they're actually referenced in the message
-      // The variable processor should have already determined which files are needed
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri) {
-            currentMessageParts.push({
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: file.mimeType || 'text/plain'
-              }
-            });
-          }
-        }
-        console.log('aiFiverr Enhanced Gemini: Added', options.knowledgeBaseFiles.length, 'referenced knowledge base files to chat');
-      } else {
-        console.log('aiFiverr Enhanced Gemini: No knowledge base files referenced in message');
-      }
-
-      // Add text message
-      currentMessageParts.push({ text: message });
-
-      contents.push({
-        role: 'user',
-        parts: currentMessageParts
-      });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
+      const request = {
+        session,
+        prompt: message,
+        knowledgeBaseFiles: options.knowledgeBaseFiles,
+        model: options.model
       };
 
-      // DEBUG: Log the exact payload being sent to Gemini
-      console.log('🚨 aiFiverr Enhanced Gemini: EXACT PAYLOAD BEING SENT:', JSON.stringify(payload, null, 2));
-
-      // Check for any application/octet-stream in the payload
-      const payloadStr = JSON.stringify(payload);
-      if (payloadStr.includes('application/octet-stream')) {
-        console.error('🚨 FOUND application/octet-stream IN ENHANCED PAYLOAD!');
-        console.error('🚨 Full payload:', payloadStr);
+      if (options.stream) {
+        return this.processStreamResponse(this.getRequestClient().stream(request), session?.id);
       }
 
-      const response = await fetch(`${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
-
-      const result = await response.json();
-
-      if (!result.candidates || result.candidates.length === 0) {
-        throw new Error('No response generated from Gemini API');
-      }
-
-      const responseText = result.candidates[0].content.parts[0].text;
-
-      // Add to session if provided
-      if (session && session.addMessage) {
-        session.addMessage('user', message);
-        session.addMessage('assistant', responseText);
-      }
-
-      return {
-        response: responseText,
-        text: responseText // For compatibility
-      };
-
+      return await this.getRequestClient().generate(request);
     } catch (error) {
       console.error('aiFiverr Enhanced Gemini: Generate chat reply failed:', error);
       throw error;
@@ -187,73 +73,20 @@ class EnhancedGeminiClient {
    */
   async streamGenerateContent(prompt, fileUri = null, fileMimeType = null, sessionId = 'default', options = {}) {
     try {
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      console.log('aiFiverr Enhanced Gemini: Starting streaming generation with model:', model);
+      const knowledgeBaseFiles = [...(options.knowledgeBaseFiles || [])];
 
-      const contents = [{
-        parts: [],
-        role: "user"
-      }];
-
-      // NEW APPROACH: Only add files if they're actually referenced in the prompt
-      // The variable processor should have already determined which files are needed
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri) {
-            contents[0].parts.push({
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: file.mimeType || 'text/plain'
-              }
-            });
-          }
-        }
-        console.log('aiFiverr Enhanced Gemini: Added', options.knowledgeBaseFiles.length, 'referenced knowledge base files to stream');
-      } else {
-        console.log('aiFiverr Enhanced Gemini: No knowledge base files referenced in prompt');
-      }
-
-      // Add legacy file support
+      // Legacy single file support
       if (fileUri && fileMimeType) {
-        contents[0].parts.push({
-          fileData: {
-            fileUri: fileUri,
-            mimeType: fileMimeType
-          }
-        });
+        knowledgeBaseFiles.push({ geminiUri: fileUri, mimeType: fileMimeType });
       }
 
-      // Add text prompt
-      contents[0].parts.push({
-        text: prompt
-      });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      const response = await fetch(`${this.baseUrl}/models/${model}:streamGenerateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      const stream = this.getRequestClient().stream({
+        prompt,
+        knowledgeBaseFiles,
+        model: options.model
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Gemini streaming API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
-
-      return this.processStreamResponse(response, sessionId);
-
+      return this.processStreamResponse(stream, sessionId);
     } catch (error) {
       console.error('aiFiverr Enhanced Gemini: Stream generate content failed:', error);
       throw error;
@@ -261,50 +94,22 @@ class EnhancedGeminiClient {
   }
 
   /**
-   * Process streaming response from Gemini API
+   * Process streaming chunks from the active provider
    */
-  async processStreamResponse(response, sessionId) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+  processStreamResponse(stream, sessionId) {
     let fullResponse = '';
 
     return {
       async *[Symbol.asyncIterator]() {
         try {
-          while (true) {
-            const { done, value } = await reader.read();
-
-            if (done) {
-              break;
-            }
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-            for (const line of lines) {
-              if (line.trim() === '') continue;
-
-              try {
-                // Remove "data: " prefix if present
-                const jsonStr = line.startsWith('data: ') ? line.slice(6) : line;
-                const data = JSON.parse(jsonStr);
-
-                if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                  const text = data.candidates[0].content.parts[0]?.text || '';
-                  if (text) {
-                    fullResponse += text;
-                    yield {
-                      text: text,
-                      fullResponse: fullResponse,
-                      done: false
-                    };
-                  }
-                }
-              } catch (parseError) {
-                console.warn('aiFiverr Enhanced Gemini: Failed to parse streaming chunk:', parseError);
-              }
+          for await (const chunk of stream) {
+            if (chunk.text) {
+              fullResponse += chunk.text;
+              yield {
+                text: chunk.text,
+                fullResponse: fullResponse,
+                done: false
+              };
             }
           }
 
@@ -318,8 +123,6 @@ class EnhancedGeminiClient {
         } catch (error) {
           console.error('aiFiverr Enhanced Gemini: Stream processing error:', error);
           throw error;
-        } finally {
-          reader.releaseLock();
         }
       }
     };
@@ -1,6 +1,6 @@
 /**
  * Gemini Client for aiFiverr Extension
- * Handles direct API calls to Google's Gemini API
+ * Compatibility facade over the shared AI request client
  */
 
 class GeminiClient {
@@ -20,259 +20,59 @@ class GeminiClient {
     }
   }
 
+  /**
+   * Get the shared request client
+   */
+  getRequestClient() {
+    return window.aiRequestClient || window.initializeAIRequestClient();
+  }
+
   /**
    * Get API key for Gemini API
    */
   async getApiKey() {
-    try {
-      if (window.apiKeyManager && window.apiKeyManager.initialized) {
-        const keyData = window.apiKeyManager.getKeyForSession('gemini');
-        if (keyData) {
-          return keyData.key;
-        }
-      }
-
-      // Fallback to background script
-      const response = await chrome.runtime.sendMessage({ type: 'GET_API_KEY' });
-      if (response?.success && response?.data) {
-        return response.data.key;
-      }
-
-      throw new Error('No API key available');
-    } catch (error) {
-      console.error('aiFiverr Gemini: Failed to get API key:', error);
-      throw error;
-    }
+    return await this.getRequestClient().getApiKey('gemini');
   }
 
   /**
    * Get selected model from settings
    */
   async getSelectedModel() {
-    try {
-      if (window.storageManager && window.storageManager.initialized) {
-        const settings = await window.storageManager.get('settings');
-        return settings.settings?.selectedModel || settings.settings?.defaultModel || this.defaultModel;
-      }
+    return await this.getRequestClient().getSelectedModel();
+  }
 
-      // Fallback to chrome storage
-      const result = await chrome.storage.local.get('settings');
-      return result.settings?.selectedModel || result.settings?.defaultModel || this.defaultModel;
-    } catch (error) {
-      console.warn('aiFiverr Gemini: Failed to get model setting, using default:', error);
-      return this.defaultModel;
+  /**
+   * Map legacy options onto request fields
+   */
+  toRequestOptions(options = {}) {
+    const request = {
+      knowledgeBaseFiles: options.knowledgeBaseFiles,
+      model: options.model,
+      systemInstruction: options.systemInstruction,
+      responseSchema: options.responseSchema,
+      generationSettings: options.generationSettings,
+      generationConfig: options.generationConfig,
+      signal: options.signal,
+      onRetry: options.onRetry
+    };
+
+    if (options.enableGrounding !== undefined) {
+      request.googleSearchGrounding = !!(options.enableGrounding && options.googleSearchGrounding);
+      request.urlContextExtraction = !!(options.enableGrounding && options.urlContextExtraction);
     }
+
+    return request;
   }
 
   /**
-   * Generate content using Gemini API
+   * Generate content using the active AI provider
    */
   async generateContent(prompt, options = {}) {
     try {
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      console.log('aiFiverr Gemini: Generating content with model:', model);
-
-      const contents = [{
-        parts: [],
-        role: "user"
-      }];
-
-      // Add knowledge base files first if provided
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        let validFilesCount = 0;
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri && !this.isFileExpired(file)) {
-            let finalMimeType = file.mimeType || 'text/plain';
-
-            // AGGRESSIVE MIME TYPE FIXING - Multiple levels of protection
-            if (finalMimeType === 'application/octet-stream' ||
-                finalMimeType === '' ||
-                finalMimeType === null ||
-                finalMimeType === undefined) {
-
-              console.error('🚨🚨🚨 GEMINI CLIENT EMERGENCY OVERRIDE: Found problematic MIME type:', finalMimeType);
-              console.error('🚨 File object:', JSON.stringify(file, null, 2));
-
-              // Try to detect proper MIME type from file extension
-              const extension = file.name ? file.name.toLowerCase().split('.').pop() : '';
-              const mimeMap = {
-                'txt': 'text/plain',
-                'md': 'text/markdown',
-                'pdf': 'application/pdf',
-                'doc': 'application/msword',
-                'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                'jpg': 'image/jpeg',
-                'jpeg': 'image/jpeg',
-                'png': 'image/png',
-                'json': 'application/json',
-                'csv': 'text/csv',
-                'html': 'text/html',
-                'js': 'text/javascript',
-                'py': 'text/x-python'
-              };
-
-              finalMimeType = mimeMap[extension] || 'text/plain';
-              console.error('🚨 OVERRIDE: Changed to:', finalMimeType);
-            }
-
-            // Additional safety check - ensure it's a supported MIME type
-            const supportedTypes = [
-              'text/plain', 'text/markdown', 'text/html', 'text/css', 'text/javascript',
-              'application/json', 'text/csv', 'application/pdf', 'image/jpeg', 'image/png',
-              'image/gif', 'video/mp4', 'audio/mpeg', 'application/msword',
-              'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-            ];
-
-            if (!supportedTypes.includes(finalMimeType)) {
-              console.warn('🚨 UNSUPPORTED MIME TYPE DETECTED:', finalMimeType, 'for file:', file.name);
-              finalMimeType = 'text/plain'; // Ultimate fallback
-            }
-
-            const fileDataPart = {
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: finalMimeType
-              }
-            };
-
-            console.log('🚨 GEMINI CLIENT FILE DATA PART:', JSON.stringify(fileDataPart, null, 2));
-            contents[0].parts.push(fileDataPart);
-            validFilesCount++;
-          } else if (file.geminiUri && this.isFileExpired(file)) {
-            console.warn('aiFiverr Gemini: Skipping expired file:', file.name);
-          }
-        }
-        console.log('aiFiverr Gemini: Added', validFilesCount, 'valid knowledge base files (', options.knowledgeBaseFiles.length, 'total)');
-      }
-
-      // Add text prompt
-      contents[0].parts.push({
-        text: prompt
+      return await this.getRequestClient().generate({
+        ...this.toRequestOptions(options),
+        prompt
       });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      // Add grounding tools if enabled in options
-      if (options.enableGrounding) {
-        payload.tools = [];
-
-        if (options.googleSearchGrounding) {
-          payload.tools.push({ googleSearch: {} });
-          console.log('aiFiverr Gemini: Added Google Search grounding tool');
-        }
-
-        if (options.urlContextExtraction) {
-          payload.tools.push({ urlContext: {} });
-          console.log('aiFiverr Gemini: Added URL context extraction tool');
-        }
-
-        if (payload.tools.length > 0) {
-          console.log('aiFiverr Gemini: Using grounding tools:', payload.tools.map(t => Object.keys(t)[0]));
-        }
-      }
-
-      // Log payload summary for debugging
-      console.log('aiFiverr Gemini: Sending request to API with', payload.contents.length, 'content parts');
-
-      // FINAL SAFETY CHECK - Scan and fix any remaining application/octet-stream in payload
-      const payloadStr = JSON.stringify(payload);
-      if (payloadStr.includes('application/octet-stream')) {
-        console.error('🚨🚨🚨 CRITICAL: FOUND application/octet-stream IN PAYLOAD AFTER ALL FIXES!');
-        console.error('🚨 Full payload before fix:', payloadStr);
-
-        // EMERGENCY PAYLOAD SURGERY - Replace all application/octet-stream with text/plain
-        const fixedPayloadStr = payloadStr.replace(/application\/octet-stream/g, 'text/plain');
-        payload = JSON.parse(fixedPayloadStr);
-
-        console.error('🚨 EMERGENCY PAYLOAD SURGERY APPLIED - Fixed payload:', JSON.stringify(payload, null, 2));
-      } else {
-        console.log('✅ REGULAR PAYLOAD CLEAN: No application/octet-stream found in payload');
-      }
-
-      // ULTIMATE SAFETY CHECK - Scan the final JSON string being sent
-      let finalPayloadString = JSON.stringify(payload);
-      if (finalPayloadString.includes('application/octet-stream')) {
-        console.error('🚨🚨🚨 ULTIMATE SAFETY: FOUND application/octet-stream IN FINAL PAYLOAD STRING!');
-        console.error('🚨 Original payload string:', finalPayloadString);
-
-        // Replace ALL instances of application/octet-stream with text/plain
-        finalPayloadString = finalPayloadString.replace(/application\/octet-stream/g, 'text/plain');
-
-        console.error('🚨 ULTIMATE SAFETY: Fixed payload string:', finalPayloadString);
-
-        // Parse back to object to ensure it's valid JSON
-        payload = JSON.parse(finalPayloadString);
-      }
-
-      const response = await fetch(`${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: finalPayloadString
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || response.statusText;
-
-        // CRITICAL FIX: Handle stale file references (403 errors)
-        if (response.status === 403 && errorMessage.includes('You do not have permission to access the File')) {
-          // Extract file ID from error message
-          const fileIdMatch = errorMessage.match(/File (\w+)/);
-          const fileId = fileIdMatch ? fileIdMatch[1] : 'unknown';
-
-          console.error('🚨 STALE FILE REFERENCE DETECTED:', fileId);
-          console.error('💡 This file no longer exists or you don\'t have permission to access it');
-          console.error('🔧 SOLUTION: Remove this file from your knowledge base and upload a fresh copy');
-
-          throw new Error(`Stale file reference detected (${fileId}). Please remove this file from your knowledge base and upload a fresh copy. The file may have expired or been deleted.`);
-        }
-
-        throw new Error(`Gemini API error: ${response.status} - ${errorMessage}`);
-      }
-
-      const result = await response.json();
-
-      if (!result.candidates || result.candidates.length === 0) {
-        throw new Error('No response generated from Gemini API');
-      }
-
-      const text = result.candidates[0].content.parts[0].text;
-
-      // Extract grounding metadata if available
-      const groundingMetadata = result.candidates[0].groundingMetadata;
-      const urlContextMetadata = result.candidates[0].urlContextMetadata;
-
-      let enhancedText = text;
-
-      // Add citations if grounding metadata is available
-      if (groundingMetadata && groundingMetadata.groundingSupports) {
-        console.log('aiFiverr Gemini: Response includes grounding metadata with', groundingMetadata.groundingSupports.length, 'supports');
-        enhancedText = this.addCitations(text, groundingMetadata);
-      }
-
-      // Log URL context metadata if available
-      if (urlContextMetadata) {
-        console.log('aiFiverr Gemini: Response includes URL context metadata:', urlContextMetadata);
-      }
-
-      return {
-        text: enhancedText,
-        response: enhancedText, // For compatibility
-        groundingMetadata,
-        urlContextMetadata
-      };
-
     } catch (error) {
       console.error('aiFiverr Gemini: Generate content failed:', error);
       throw error;
@@ -286,221 +86,11 @@ class GeminiClient {
     try {
       console.log('aiFiverr Gemini: Generating chat reply for session:', session?.id);
 
-      const apiKey = await this.getApiKey();
-      const model = options.model || await this.getSelectedModel();
-
-      // Build conversation history
-      const contents = [];
-
-      if (session && session.messages && session.messages.length > 0) {
-        // Add recent conversation history (last 10 messages for context)
-        const recentMessages = session.messages.slice(-10);
-        for (const msg of recentMessages) {
-          if (msg.role === 'user') {
-            contents.push({
-              role: 'user',
-              parts: [{ text: msg.content }]
-            });
-          } else if (msg.role === 'assistant' || msg.role === 'model') {
-            contents.push({
-              role: 'model',
-              parts: [{ text: msg.content }]
-            });
-          }
-        }
-      }
-
-      // Add current message
-      const currentMessageParts = [];
-
-      // Add knowledge base files first if provided
-      if (options.knowledgeBaseFiles && options.knowledgeBaseFiles.length > 0) {
-        let validFilesCount = 0;
-        for (const file of options.knowledgeBaseFiles) {
-          if (file.geminiUri && !this.isFileExpired(file)) {
-            let finalMimeType = file.mimeType || 'text/plain';
-
-            // AGGRESSIVE MIME TYPE FIXING - Multiple levels of protection (STREAMING)
-            if (finalMimeType === 'application/octet-stream' ||
-                finalMimeType === '' ||
-                finalMimeType === null ||
-                finalMimeType === undefined) {
-
-              console.error('🚨🚨🚨 GEMINI CLIENT STREAMING EMERGENCY OVERRIDE: Found problematic MIME type:', finalMimeType);
-              console.error('🚨 File object:', JSON.stringify(file, null, 2));
-
-              // Try to detect proper MIME type from file extension
-              const extension = file.name ? file.name.toLowerCase().split('.').pop() : '';
-              const mimeMap = {
-                'txt': 'text/plain',
-                'md': 'text/markdown',
-                'pdf': 'application/pdf',
-                'doc': 'application/msword',
-                'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                'jpg': 'image/jpeg',
-                'jpeg': 'image/jpeg',
-                'png': 'image/png',
-                'json': 'application/json',
-                'csv': 'text/csv',
-                'html': 'text/html',
-                'js': 'text/javascript',
-                'py': 'text/x-python'
-              };
-
-              finalMimeType = mimeMap[extension] || 'text/plain';
-              console.error('🚨 STREAMING OVERRIDE: Changed to:', finalMimeType);
-            }
-
-            // Additional safety check - ensure it's a supported MIME type
-            const supportedTypes = [
-              'text/plain', 'text/markdown', 'text/html', 'text/css', 'text/javascript',
-              'application/json', 'text/csv', 'application/pdf', 'image/jpeg', 'image/png',
-              'image/gif', 'video/mp4', 'audio/mpeg', 'application/msword',
-              'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-            ];
-
-            if (!supportedTypes.includes(finalMimeType)) {
-              console.warn('🚨 STREAMING UNSUPPORTED MIME TYPE DETECTED:', finalMimeType, 'for file:', file.name);
-              finalMimeType = 'text/plain'; // Ultimate fallback
-            }
-
-            const fileDataPart = {
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: finalMimeType
-              }
-            };
-
-            console.log('🚨 GEMINI CLIENT STREAMING FILE DATA PART:', JSON.stringify(fileDataPart, null, 2));
-            currentMessageParts.push(fileDataPart);
-            validFilesCount++;
-          } else if (file.geminiUri && this.isFileExpired(file)) {
-            console.warn('aiFiverr Gemini: Skipping expired file in chat:', file.name);
-          }
-        }
-        console.log('aiFiverr Gemini: Added', validFilesCount, 'valid knowledge base files to chat (', options.knowledgeBaseFiles.length, 'total)');
-      }
-
-      // Add text message
-      currentMessageParts.push({ text: message });
-
-      contents.push({
-        role: 'user',
-        parts: currentMessageParts
-      });
-
-      const payload = {
-        contents: contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 8192,
-          candidateCount: 1
-        }
-      };
-
-      // Add grounding tools if enabled in options
-      if (options.enableGrounding) {
-        payload.tools = [];
-
-        if (options.googleSearchGrounding) {
-          payload.tools.push({ googleSearch: {} });
-          console.log('aiFiverr Gemini Chat: Added Google Search grounding tool');
-        }
-
-        if (options.urlContextExtraction) {
-          payload.tools.push({ urlContext: {} });
-          console.log('aiFiverr Gemini Chat: Added URL context extraction tool');
-        }
-
-        if (payload.tools.length > 0) {
-          console.log('aiFiverr Gemini Chat: Using grounding tools:', payload.tools.map(t => Object.keys(t)[0]));
-        }
-      }
-
-      // COMPREHENSIVE PAYLOAD DEBUGGING - Log the entire payload being sent
-      console.log('🚨 STREAMING PAYLOAD DEBUG: Full payload being sent to Gemini API:', JSON.stringify(payload, null, 2));
-
-      // FINAL SAFETY CHECK FOR STREAMING - Scan and fix any remaining application/octet-stream in payload
-      const payloadStr = JSON.stringify(payload);
-      if (payloadStr.includes('application/octet-stream')) {
-        console.error('🚨🚨🚨 CRITICAL STREAMING: FOUND application/octet-stream IN PAYLOAD AFTER ALL FIXES!');
-        console.error('🚨 Full streaming payload before fix:', payloadStr);
-
-        // EMERGENCY PAYLOAD SURGERY - Replace all application/octet-stream with text/plain
-        const fixedPayloadStr = payloadStr.replace(/application\/octet-stream/g, 'text/plain');
-        payload = JSON.parse(fixedPayloadStr);
-
-        console.error('🚨 EMERGENCY STREAMING PAYLOAD SURGERY APPLIED - Fixed payload:', JSON.stringify(payload, null, 2));
-      } else {
-        console.log('✅ STREAMING PAYLOAD CLEAN: No application/octet-stream found in payload');
-      }
-
-      const response = await fetch(`${this.baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      return await this.getRequestClient().generate({
+        ...this.toRequestOptions(options),
+        session,
+        prompt: message
       });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || response.statusText;
-
-        // CRITICAL FIX: Handle stale file references (403 errors)
-        if (response.status === 403 && errorMessage.includes('You do not have permission to access the File')) {
-          // Extract file ID from error message
-          const fileIdMatch = errorMessage.match(/File (\w+)/);
-          const fileId = fileIdMatch ? fileIdMatch[1] : 'unknown';
-
-          console.error('🚨 STALE FILE REFERENCE DETECTED:', fileId);
-          console.error('💡 This file no longer exists or you don\'t have permission to access it');
-          console.error('🔧 SOLUTION: Remove this file from your knowledge base and upload a fresh copy');
-
-          throw new Error(`Stale file reference detected (${fileId}). Please remove this file from your knowledge base and upload a fresh copy. The file may have expired or been deleted.`);
-        }
-
-        throw new Error(`Gemini API error: ${response.status} - ${errorMessage}`);
-      }
-
-      const result = await response.json();
-
-      if (!result.candidates || result.candidates.length === 0) {
-        throw new Error('No response generated from Gemini API');
-      }
-
-      const responseText = result.candidates[0].content.parts[0].text;
-
-      // Extract grounding metadata if available
-      const groundingMetadata = result.candidates[0].groundingMetadata;
-      const urlContextMetadata = result.candidates[0].urlContextMetadata;
-
-      let enhancedResponse = responseText;
-
-      // Add citations if grounding metadata is available
-      if (groundingMetadata && groundingMetadata.groundingSupports) {
-        console.log('aiFiverr Gemini: Response includes grounding metadata with', groundingMetadata.groundingSupports.length, 'supports');
-        enhancedResponse = this.addCitations(responseText, groundingMetadata);
-      }
-
-      // Log URL context metadata if available
-      if (urlContextMetadata) {
-        console.log('aiFiverr Gemini: Response includes URL context metadata:', urlContextMetadata);
-      }
-
-      // Add to session if provided
-      if (session && session.addMessage) {
-        session.addMessage('user', message);
-        session.addMessage('assistant', enhancedResponse);
-      }
-
-      return {
-        response: enhancedResponse,
-        text: enhancedResponse, // For compatibility
-        groundingMetadata,
-        urlContextMetadata
-      };
-
     } catch (error) {
       console.error('aiFiverr Gemini: Generate chat reply failed:', error);
       throw error;
@@ -511,68 +101,14 @@ class GeminiClient {
    * Add citations to response text based on grounding metadata
    */
   addCitations(responseText, groundingMetadata) {
-    try {
-      let text = responseText;
-      const supports = groundingMetadata.groundingSupports;
-      const chunks = groundingMetadata.groundingChunks;
-
-      if (!supports || !chunks) {
-        return text;
-      }
-
-      // Sort supports by end_index in descending order to avoid shifting issues when inserting
-      const sortedSupports = [...supports].sort(
-        (a, b) => (b.segment?.endIndex ?? 0) - (a.segment?.endIndex ?? 0)
-      );
-
-      for (const support of sortedSupports) {
-        const endIndex = support.segment?.endIndex;
-        if (endIndex === undefined || !support.groundingChunkIndices?.length) {
-          continue;
-        }
-
-        const citationLinks = support.groundingChunkIndices
-          .map(i => {
-            const chunk = chunks[i];
-            if (chunk?.web?.uri) {
-              return `[${i + 1}](${chunk.web.uri})`;
-            }
-            return null;
-          })
-          .filter(Boolean);
-
-        if (citationLinks.length > 0) {
-          const citationString = ` ${citationLinks.join(', ')}`;
-          text = text.slice(0, endIndex) + citationString + text.slice(endIndex);
-        }
-      }
-
-      console.log('aiFiverr Gemini: Added citations to response');
-      return text;
-    } catch (error) {
-      console.error('aiFiverr Gemini: Error adding citations:', error);
-      return responseText; // Return original text if citation processing fails
-    }
+    return this.getRequestClient().addCitations(responseText, groundingMetadata);
   }
 
   /**
    * Check if a file is expired (48 hours from creation)
    */
   isFileExpired(file) {
-    if (!file || !file.createTime) {
-      return false;
-    }
-
-    try {
-      const createTime = new Date(file.createTime);
-      const now = new Date();
-      const hoursDiff = (now - createTime) / (1000 * 60 * 60);
-
-      return hoursDiff >= 48;
-    } catch (error) {
-      console.warn('aiFiverr Gemini: Error checking file expiration:', error);
-      return false;
-    }
+    return this.getRequestClient().isFileExpired(file);
   }
 }
 
@@ -0,0 +1,168 @@
+/**
+ * Key Circuit for aiFiverr Extension
+ * Per-key circuit breaker for Gemini API keys, driven by the error the API returned
+ *
+ * Each key (by RateLimits.keyRef) has a circuit in chrome.storage.local.keyCircuits:
+ *   { [keyRef]: { state, kind, reason, message, failures, opens, openedAt, retryAt, probeStartedAt, lastFailureAt, lastSuccessAt } }
+ *
+ *   closed     - the key takes traffic
+ *   open       - the key is skipped until retryAt, then the service worker probes it with a free countTokens call
+ *   half-open  - a probe is running; success closes the circuit, failure opens it again for twice as long.
+ *                A circuit still half-open after PROBE_TIMEOUT_MS lost its probe (service worker suspended)
+ *                and is due again
+ *
+ * Errors are classified from the Gemini error body (ErrorInfo reason, HTTP and API status). Rejected keys
+ * open at once; server errors and timeouts only after KIND.threshold failures in a row. 429s are left to
+ * RateLimits, which blocks the key for the one model. Request errors (400) and local network failures
+ * (offline, a dropped stream, a blocked fetch) say nothing about the key.
+ */
+
+class KeyCircuit {
+  /**
+   * Which circuit kind an error counts towards - null when it says nothing about the key
+   * Takes an Error or the plain object from toReport()
+   */
+  static classify(error) {
+    if (!error || error.fileError || error.cacheError || error.status === 429) {
+      return null;
+    }
+    // A local Ollama server that is down or refuses the extension's origin says nothing about any key
+    if (/^OLLAMA_/.test(error.code || '')) {
+      return null;
+    }
+
+    const reason = error.reason || '';
+    const message = String(error.message || '');
+
+    if (KeyCircuit.INVALID_REASONS.includes(reason) || error.status === 401 || /API key not valid|API_KEY_INVALID/i.test(message)) {
+      return 'invalid';
+    }
+    if (reason === 'BILLING_DISABLED' || /billing/i.test(message)) {
+      return 'billing';
+    }
+    if (error.status === 403) {
+      return 'denied';
+    }
+    // A probe's AbortSignal.timeout() rejects with a TimeoutError DOMException
+    if (error.code === 'TIMEOUT' || error.name === 'TimeoutError' || error.status >= 500) {
+      return 'unavailable';
+    }
+
+    return null;
+  }
+
+  /**
+   * The fields of an API error the service worker needs to classify it
+   */
+  static toReport(error) {
+    return {
+      status: error.status || null,
+      apiStatus: error.apiStatus || null,
+      reason: error.reason || null,
+      code: error.code || null,
+      message: String(error.message || '').slice(0, 300),
+      fileError: !!error.fileError,
+      cacheError: !!error.cacheError
+    };
+  }
+
+  /**
+   * Circuit after a failure of `kind` - opens it once the kind's threshold is reached
+   */
+  static recordFailure(circuit, kind, error = {}, now = Date.now()) {
+    const config = KeyCircuit.KINDS[kind];
+    const next = {
+      ...KeyCircuit.closed(),
+      ...(circuit || {}),
+      kind,
+      reason: error.reason || error.apiStatus || (error.status ? String(error.status) : error.code || null),
+      message: String(error.message || '').slice(0, 300),
+      lastFailureAt: now
+    };
+    // Consecutive failures only count while they are of the same kind
+    next.failures = circuit?.kind === kind ? (circuit.failures || 0) + 1 : 1;
+
+    if (next.state === 'half-open' || next.failures >= config.threshold) {
+      next.opens = (next.opens || 0) + 1;
+      next.state = 'open';
+      next.openedAt = now;
+      next.retryAt = now + Math.min(config.cooldownMs * Math.pow(2, next.opens - 1), config.maxCooldownMs);
+    }
+
+    return next;
+  }
+
+  /**
+   * Circuit after a successful request or probe
+   */
+  static recordSuccess(circuit, now = Date.now()) {
+    return { ...KeyCircuit.closed(), lastSuccessAt: now, lastFailureAt: circuit?.lastFailureAt || null };
+  }
+
+  static closed() {
+    return { state: 'closed', kind: null, reason: null, message: '', failures: 0, opens: 0, openedAt: null, retryAt: null, probeStartedAt: null };
+  }
+
+  /**
+   * Whether the key may take normal traffic
+   */
+  static isAvailable(circuit) {
+    return !circuit || circuit.state === 'closed';
+  }
+
+  static isProbeDue(circuit, now = Date.now()) {
+    if (circuit?.state === 'half-open') {
+      return now - (circuit.probeStartedAt || 0) > KeyCircuit.PROBE_TIMEOUT_MS;
+    }
+    return circuit?.state === 'open' && now >= (circuit.retryAt || 0);
+  }
+
+  /**
+   * { state, label, detail } for the popup - detail explains why the key is not closed
+   */
+  static describe(circuit, now = Date.now()) {
+    if (!circuit || circuit.state === 'closed') {
+      const lastError = circuit?.failures > 0 && circuit.kind
+        ? `${circuit.failures} recent ${KeyCircuit.KINDS[circuit.kind].label.toLowerCase()} error${circuit.failures === 1 ? '' : 's'}`
+        : '';
+      return { state: 'closed', label: 'Healthy', detail: lastError };
+    }
+
+    const kindLabel = KeyCircuit.KINDS[circuit.kind]?.label || 'Failing';
+    const reason = circuit.reason ? ` (${circuit.reason})` : '';
+    if (circuit.state === 'half-open' && !KeyCircuit.isProbeDue(circuit, now)) {
+      return { state: 'half-open', label: 'Probing', detail: `${kindLabel}${reason} - checking the key now` };
+    }
+
+    const wait = Math.max(0, (circuit.retryAt || now) - now);
+    return {
+      state: 'open',
+      label: 'Disabled',
+      detail: `${kindLabel}${reason} - ${wait > 0 ? `next check in ${KeyCircuit.formatDuration(wait)}` : 'check pending'}`
+    };
+  }
+
+  static formatDuration(ms) {
+    if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+    const minutes = Math.ceil(ms / 60000);
+    return minutes < 120 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+  }
+}
+
+KeyCircuit.STORAGE_KEY = 'keyCircuits';
+KeyCircuit.PROBE_ALARM = 'aiFiverrKeyProbe';
+KeyCircuit.PROBE_MINUTES = 1;
+KeyCircuit.PROBE_MODEL = 'gemini-2.5-flash';
+KeyCircuit.PROBE_TIMEOUT_MS = 15000;
+KeyCircuit.PROBE_WAIT_MS = 2000; // How long queued requests give a due probe before looking again
+
+// ErrorInfo reasons of keys that were deleted, mistyped or restricted away from this API
+KeyCircuit.INVALID_REASONS = ['API_KEY_INVALID', 'API_KEY_EXPIRED', 'API_KEY_NOT_FOUND'];
+
+// threshold: failures in a row that open the circuit; cooldowns double on every re-open up to the maximum
+KeyCircuit.KINDS = {
+  invalid: { label: 'Invalid API key', threshold: 1, cooldownMs: 6 * 60 * 60 * 1000, maxCooldownMs: 24 * 60 * 60 * 1000 },
+  billing: { label: 'Billing disabled', threshold: 1, cooldownMs: 30 * 60 * 1000, maxCooldownMs: 6 * 60 * 60 * 1000 },
+  denied: { label: 'Access denied', threshold: 1, cooldownMs: 30 * 60 * 1000, maxCooldownMs: 6 * 60 * 60 * 1000 },
+  unavailable: { label: 'Server unavailable', threshold: 5, cooldownMs: 30 * 1000, maxCooldownMs: 10 * 60 * 1000 }
+};
@@ -0,0 +1,76 @@
+/**
+ * Key Profiles for aiFiverr Extension
+ * Labels, owning projects and model allowlists of the Gemini API keys
+ *
+ * A key's stable id is its RateLimits.keyRef (a SHA-256 prefix), so reordering or removing keys never
+ * moves data onto another key. Profiles live in settings.apiKeyProfiles:
+ *   { [keyRef]: { label, project, allowedModels } }
+ * An empty allowedModels list allows every model; entries ending in '*' match by prefix
+ * (e.g. 'gemini-2.5-*').
+ */
+
+class KeyProfiles {
+  /**
+   * Profile of a key with defaults filled in
+   */
+  static get(settings, keyRef) {
+    return KeyProfiles.normalize(settings?.apiKeyProfiles?.[keyRef]);
+  }
+
+  static normalize(profile = {}) {
+    const allowedModels = Array.isArray(profile?.allowedModels)
+      ? profile.allowedModels
+      : String(profile?.allowedModels || '').split(',');
+
+    return {
+      label: String(profile?.label || '').trim(),
+      project: String(profile?.project || '').trim(),
+      allowedModels: [...new Set(allowedModels.map(model => String(model).trim().replace(/^models\//, '')).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Whether a key with this profile may be used for the model
+   */
+  static allowsModel(profile, model) {
+    const allowedModels = profile?.allowedModels || [];
+    if (allowedModels.length === 0 || !model) {
+      return true;
+    }
+
+    const name = String(model).replace(/^models\//, '');
+    return allowedModels.some(allowed => (allowed.endsWith('*')
+      ? name.startsWith(allowed.slice(0, -1))
+      : name === allowed));
+  }
+
+  /**
+   * Label for lists - the profile label, or "gemini …abcd"
+   */
+  static displayName(profile, apiKey) {
+    return profile?.label || UsageStats.keyLabel(apiKey);
+  }
+
+  /**
+   * [[project, entries]] with named projects first - entries are { profile, ... } objects
+   */
+  static groupByProject(entries) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const project = entry.profile.project || '';
+      if (!groups.has(project)) groups.set(project, []);
+      groups.get(project).push(entry);
+    });
+
+    return [...groups.entries()].sort(([a], [b]) => (!a ? 1 : !b ? -1 : a.localeCompare(b)));
+  }
+
+  /**
+   * Error for a request whose model no configured key may use
+   */
+  static modelNotAllowedError(model) {
+    const error = new Error(`No API key is allowed to use ${model} - check the allowed models in the extension popup`);
+    error.code = 'MODEL_NOT_ALLOWED';
+    return error;
+  }
+}
@@ -10,6 +10,11 @@ class KnowledgeBaseManager {
     this.templates = new Map();
     this.files = new Map(); // Store file references
     this.fileCache = new Map(); // Cache file data
+    this.contextCaches = null; // Gemini context caches by cache ID (chrome.storage.local.contextCaches)
+    this.contextCachePromises = new Map();
+    this.contextCacheTtlSeconds = 60 * 60;
+    this.contextCacheRefreshMarginMs = 10 * 60 * 1000; // Extend a cache used this close to expiry
+    this.contextCacheRetryDelayMs = 30 * 60 * 1000; // Wait before trying again to cache a set that failed
     this.init();
   }
 
@@ -37,6 +42,7 @@ class KnowledgeBaseManager {
 
     // Set up authentication listener to sync when user signs in
     this.setupAuthListener();
+    this.setupContextCacheListener();
   }
 
   /**
@@ -433,13 +439,15 @@ class KnowledgeBaseManager {
         name: 'Proposal',
         description: 'Create project proposal',
         prompt: 'Create a short and concise project proposal (under 3000 characters) based on this:\n\n{conversation}\n\nextract and Include more example urls from my previous work.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.9 }
       },
       'translate': {
         name: 'Translate',
         description: 'Translate text',
         prompt: 'Please go through the attached documents.\n\nTranslate this conversation: {conversation}\n\nInto this language: {language}\n\nProvide only the translated text. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -452,6 +460,34 @@ class KnowledgeBaseManager {
         description: 'Improve message',
         prompt: 'Please go through the attached documents.\n\nImprove this message: {conversation}\n\nMake it grammatically correct, clear, and professional, but keep the original meaning. No explanations.',
         knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+      },
+      'brief_analysis': {
+        name: 'Brief Analysis',
+        description: 'Analyze brief as structured data',
+        prompt: 'Analyze this Fiverr project brief or buyer message:\n\n{conversation}\n\nUse my services and past work from the attached documents to judge how well the project fits me.',
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 },
+        responseSchema: StructuredOutput.BRIEF_ANALYSIS_SCHEMA
+      },
+      'order_delivery': {
+        name: 'Delivery Message',
+        description: 'Draft order delivery message',
+        prompt: 'Please go through the attached documents.\n\nWrite a delivery message for this Fiverr order:\n\n{conversation}\n\nConfirm what is being delivered against the buyer\'s requirements and any revision requests, explain how to use the files, and invite feedback. Keep it short and friendly. No explanations.',
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+      },
+      'order_revision_summary': {
+        name: 'Revision Summary',
+        description: 'Summarize revision requests',
+        prompt: 'Summarize the revision requests in this Fiverr order:\n\n{conversation}\n\nList every change the buyer asked for as a checklist, note which requests are still open after the latest delivery, and flag anything outside the original requirements. No explanations.',
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.3 }
+      },
+      'gig_analysis': {
+        name: 'Gig Analysis',
+        description: 'Compare competitor gig with mine',
+        prompt: 'Please go through the attached documents.\n\nAnalyze this competitor gig from Fiverr:\n\n{conversation}\n\nCompare it with my own gigs, prices and services from the attached documents. Critique its positioning (title, target buyer, unique selling points, FAQ) and its pricing (package tiers, delivery times, revisions) against mine, then list concrete changes I should make to compete. No explanations.',
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.4 }
       }
     };
   }
@@ -532,6 +568,7 @@ class KnowledgeBaseManager {
 
     let processedPrompt = prompt.prompt;
     let knowledgeBaseFiles = [];
+    let variableCharacters = 0;
 
     // NEW APPROACH: Use variable processor if available for smart processing
     if (window.variableProcessor) {
@@ -540,6 +577,7 @@ class KnowledgeBaseManager {
         const processedResult = await window.variableProcessor.processPrompt(processedPrompt, context);
         processedPrompt = processedResult.prompt;
         knowledgeBaseFiles = processedResult.knowledgeBaseFiles || [];
+        variableCharacters = processedResult.variableCharacters || 0;
 
         console.log('aiFiverr KB: Variable processor results:');
         console.log('- Variables used:', processedResult.usedVariables);
@@ -598,10 +636,15 @@ class KnowledgeBaseManager {
 
     console.log('aiFiverr KB: Resolved files for prompt:', resolvedFiles.length, 'files with geminiUri');
 
-    // Return both processed prompt and knowledge base files
+    // Return the processed prompt, its knowledge base files and per-prompt request settings
     return {
       prompt: processedPrompt,
-      knowledgeBaseFiles: resolvedFiles
+      knowledgeBaseFiles: resolvedFiles,
+      systemInstruction: prompt.systemInstruction ? this.replaceVariables(prompt.systemInstruction) : '',
+      generationSettings: prompt.generationSettings || {},
+      responseSchema: prompt.responseSchema || null,
+      variableCharacters,
+      promptKey
     };
   }
 
@@ -653,6 +696,18 @@ class KnowledgeBaseManager {
         this.files.set(key, fileData);
       });
 
+      // Files used to record the raw upload key - keep only its stable id
+      const legacyFiles = Array.from(this.files.values()).filter(fileData => fileData.uploadApiKey);
+      for (const fileData of legacyFiles) {
+        fileData.uploadKeyRef = await RateLimits.keyRef(fileData.uploadApiKey);
+        delete fileData.uploadApiKey;
+        delete fileData.uploadApiKeyHash;
+      }
+      if (legacyFiles.length > 0) {
+        await this.saveKnowledgeBaseFiles();
+        console.log('aiFiverr KB: Migrated', legacyFiles.length, 'file references to key ids');
+      }
+
       // Only log if debugging is enabled
       if (window.aiFiverrDebug) {
         console.log('aiFiverr KB: Loaded', this.files.size, 'file references');
@@ -730,11 +785,11 @@ class KnowledgeBaseManager {
    */
   async addFileReference(key, fileData) {
     // CRITICAL FIX: Track API key used for file upload to maintain access consistency
-    let uploadApiKey = null;
+    let uploadKeyRef = null;
     try {
       if (window.apiKeyManager && window.apiKeyManager.initialized) {
         const geminiKeyData = window.apiKeyManager.getKeyForSession('gemini');
-        uploadApiKey = geminiKeyData ? geminiKeyData.key : null;
+        uploadKeyRef = geminiKeyData ? geminiKeyData.keyRef : null;
       }
     } catch (error) {
       console.warn('aiFiverr KB: Could not determine upload API key:', error);
@@ -744,9 +799,8 @@ class KnowledgeBaseManager {
       ...fileData,
       addedAt: new Date().toISOString(),
       type: 'file',
-      // NEW: Track which API key was used to upload this file
-      uploadApiKey: uploadApiKey,
-      uploadApiKeyHash: uploadApiKey ? this.hashApiKey(uploadApiKey) : null,
+      // Stable id of the API key used to upload this file (see APIKeyManager)
+      uploadKeyRef,
       uploadTimestamp: Date.now()
     });
     await this.saveKnowledgeBaseFiles();
@@ -775,14 +829,6 @@ class KnowledgeBaseManager {
     return Object.fromEntries(this.files);
   }
 
-  /**
-   * Hash API key for secure storage (first 8 characters for identification)
-   */
-  hashApiKey(apiKey) {
-    if (!apiKey) return null;
-    return apiKey.substring(0, 8) + '...';
-  }
-
   /**
    * Get the API key that should be used to access a specific file
    * @param {string} fileKey - The file key
@@ -790,7 +836,7 @@ class KnowledgeBaseManager {
    */
   getFileAccessApiKey(fileKey) {
     const fileRef = this.files.get(fileKey);
-    if (!fileRef || !fileRef.uploadApiKey) {
+    if (!fileRef || !fileRef.uploadKeyRef) {
       return null;
     }
 
@@ -804,7 +850,8 @@ class KnowledgeBaseManager {
       return null;
     }
 
-    return fileRef.uploadApiKey;
+    // Null once the key was removed - the file then needs a fresh upload
+    return window.apiKeyManager?.getKeyByRef(fileRef.uploadKeyRef) || null;
   }
 
   /**
@@ -823,8 +870,7 @@ class KnowledgeBaseManager {
     // Update the file reference with new API key and URI
     this.files.set(fileKey, {
       ...fileRef,
-      uploadApiKey: newApiKey,
-      uploadApiKeyHash: this.hashApiKey(newApiKey),
+      uploadKeyRef: await RateLimits.keyRef(newApiKey),
       uploadTimestamp: Date.now(),
       geminiUri: newGeminiUri,
       refreshedAt: new Date().toISOString()
@@ -838,9 +884,10 @@ class KnowledgeBaseManager {
   /**
    * Get files that need API key refresh (expired or using different key)
    * @param {string} currentApiKey - The current API key being used
-   * @returns {Array} - Array of files that need refresh
+   * @returns {Promise<Array>} - Array of files that need refresh
    */
-  getFilesNeedingRefresh(currentApiKey) {
+  async getFilesNeedingRefresh(currentApiKey) {
+    const currentKeyRef = await RateLimits.keyRef(currentApiKey);
     const needRefresh = [];
     const now = Date.now();
     const fortyEightHours = 48 * 60 * 60 * 1000;
@@ -850,7 +897,7 @@ class KnowledgeBaseManager {
 
       const uploadTime = fileRef.uploadTimestamp || 0;
       const isExpired = now - uploadTime > fortyEightHours;
-      const isDifferentKey = fileRef.uploadApiKey !== currentApiKey;
+      const isDifferentKey = fileRef.uploadKeyRef !== currentKeyRef;
 
       if (isExpired || isDifferentKey) {
         needRefresh.push({
@@ -1135,7 +1182,7 @@ class KnowledgeBaseManager {
     };
 
     try {
-      const filesToRefresh = this.getFilesNeedingRefresh(newApiKey);
+      const filesToRefresh = await this.getFilesNeedingRefresh(newApiKey);
       results.total = filesToRefresh.length;
 
       if (filesToRefresh.length === 0) {
@@ -1216,7 +1263,7 @@ class KnowledgeBaseManager {
    */
   async autoRefreshFilesForNewApiKey(newApiKey) {
     try {
-      const filesToRefresh = this.getFilesNeedingRefresh(newApiKey);
+      const filesToRefresh = await this.getFilesNeedingRefresh(newApiKey);
 
       if (filesToRefresh.length > 0) {
         console.log(`aiFiverr KB: Auto-refreshing ${filesToRefresh.length} files for new API key`);
@@ -1998,6 +2045,162 @@ class KnowledgeBaseManager {
     }
   }
 
+  /**
+   * Gemini context cache holding a request's knowledge base files (null when caching is off or fails)
+   * Caches are kept per API key (its keyRef), model, file set, system instruction and tools. A cache used
+   * within contextCacheRefreshMarginMs of expiry gets its TTL extended; an expired one is created again.
+   * The service worker deletes them all when the knowledge base files change.
+   */
+  async getContextCache({ apiKey, model, fileParts, systemInstruction = null, tools = null, toolConfig = null }) {
+    if (!apiKey || !model || !fileParts?.length) {
+      return null;
+    }
+
+    const settings = window.storageManager ? await window.storageManager.getSettings() : {};
+    if (settings.contextCaching === false) {
+      return null;
+    }
+
+    const fileUris = [...new Set(fileParts.map(part => part.fileData.fileUri))].sort();
+    const keyRef = await RateLimits.keyRef(apiKey);
+    const cacheId = await this.hashText(JSON.stringify([keyRef, model, fileUris, systemInstruction, tools, toolConfig]));
+
+    if (this.contextCachePromises.has(cacheId)) {
+      return this.contextCachePromises.get(cacheId);
+    }
+
+    const caches = await this.loadContextCaches();
+    const entry = caches[cacheId];
+    const now = Date.now();
+
+    if (entry?.failedAt && now - entry.failedAt < this.contextCacheRetryDelayMs) {
+      return null;
+    }
+    if (entry?.name && entry.expiresAt - now > this.contextCacheRefreshMarginMs) {
+      return entry;
+    }
+
+    const pending = this.renewContextCache(cacheId, entry, { apiKey, keyRef, model, fileParts, fileUris, systemInstruction, tools, toolConfig })
+      .catch(async error => {
+        console.warn('aiFiverr KB: Context caching failed, sending files inline:', error.message);
+        const latest = await this.loadContextCaches();
+        latest[cacheId] = { model, fileUris, failedAt: Date.now(), error: error.message };
+        await this.saveContextCaches();
+        return null;
+      })
+      .finally(() => this.contextCachePromises.delete(cacheId));
+
+    this.contextCachePromises.set(cacheId, pending);
+    return pending;
+  }
+
+  /**
+   * Extend a cache that is about to expire, or create it
+   */
+  async renewContextCache(cacheId, entry, details) {
+    const provider = await this.getGeminiProvider();
+    const ttlMs = this.contextCacheTtlSeconds * 1000;
+
+    if (entry?.name && entry.expiresAt > Date.now()) {
+      try {
+        const updated = await provider.updateCachedContentTtl(entry.name, this.contextCacheTtlSeconds, { apiKey: details.apiKey });
+        const caches = await this.loadContextCaches();
+        caches[cacheId] = { ...entry, expiresAt: Date.parse(updated.expireTime) || Date.now() + ttlMs };
+        await this.saveContextCaches();
+        console.log('aiFiverr KB: Extended context cache', entry.name);
+        return caches[cacheId];
+      } catch (error) {
+        console.warn('aiFiverr KB: Could not extend context cache, creating a new one:', error.message);
+      }
+    }
+
+    const created = await provider.createCachedContent({
+      model: details.model,
+      contents: [{ role: 'user', parts: details.fileParts }],
+      systemInstruction: details.systemInstruction || undefined,
+      tools: details.tools || undefined,
+      toolConfig: details.toolConfig || undefined,
+      ttlSeconds: this.contextCacheTtlSeconds,
+      displayName: 'aiFiverr knowledge base'
+    }, { apiKey: details.apiKey });
+
+    const caches = await this.loadContextCaches();
+    caches[cacheId] = {
+      name: created.name,
+      model: details.model,
+      keyRef: details.keyRef,
+      fileUris: details.fileUris,
+      tokenCount: created.usageMetadata?.totalTokenCount || null,
+      createdAt: Date.now(),
+      expiresAt: Date.parse(created.expireTime) || Date.now() + ttlMs
+    };
+    await this.saveContextCaches();
+
+    console.log('aiFiverr KB: Created context cache', created.name, 'for', details.fileUris.length, 'files on', details.model);
+    return caches[cacheId];
+  }
+
+  /**
+   * Drop a cache the API no longer knows (expired or deleted elsewhere)
+   */
+  async forgetContextCache(name) {
+    const caches = await this.loadContextCaches();
+    Object.keys(caches).forEach(cacheId => {
+      if (caches[cacheId].name === name) {
+        delete caches[cacheId];
+      }
+    });
+    await this.saveContextCaches();
+  }
+
+  /**
+   * Follow the cache index written by other tabs and the service worker (which invalidates it)
+   */
+  setupContextCacheListener() {
+    chrome.storage?.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.contextCaches) {
+        this.contextCaches = changes.contextCaches.newValue || {};
+      }
+    });
+  }
+
+  async loadContextCaches() {
+    if (!this.contextCaches) {
+      try {
+        const result = await chrome.storage.local.get('contextCaches');
+        this.contextCaches = result.contextCaches || {};
+      } catch (error) {
+        console.warn('aiFiverr KB: Failed to load context caches:', error);
+        this.contextCaches = {};
+      }
+    }
+    return this.contextCaches;
+  }
+
+  async saveContextCaches() {
+    try {
+      await chrome.storage.local.set({ contextCaches: this.contextCaches });
+    } catch (error) {
+      console.warn('aiFiverr KB: Failed to save context caches:', error);
+    }
+  }
+
+  async getGeminiProvider() {
+    const registry = window.aiProviderRegistry || window.initializeAIProviderRegistry();
+    const settings = await registry.getSettings();
+    return registry.createProvider('gemini', settings.providerSettings || {});
+  }
+
+  /**
+   * Short SHA-256 hex digest - cache IDs without storing what they are made of
+   */
+  async hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest).slice(0, 12))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
   /**
    * Process template with variables and files
    */
@@ -2599,6 +2802,9 @@ class KnowledgeBaseManager {
     const contextMapping = {
       'project_proposal': 'project_focused',
       'brief_analysis': 'project_focused',
+      'order_delivery': 'project_focused',
+      'order_revision_summary': 'key_points',
+      'gig_analysis': 'project_focused',
       'requirement_clarification': 'key_points',
       'follow_up': 'recent',
       'general_reply': 'recent',
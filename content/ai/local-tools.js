@@ -0,0 +1,189 @@
+/**
+ * Local Tools for aiFiverr Extension
+ * Gemini function declarations answered from the extension's own data
+ *
+ * The model may call these while chatting; the caller runs them with execute() and sends each
+ * result back as a functionResponse part. Results are plain JSON objects - failures are reported
+ * as { error } so the model can explain them instead of the request failing.
+ *
+ *   get_stored_conversation     - a conversation saved by FiverrExtractor, by username
+ *   get_knowledge_base_variable - one {{variable}} value from the knowledge base
+ *   list_knowledge_base_files   - knowledge base files and whether they can be attached
+ *   get_current_brief           - the brief open in the current tab (extractBrief)
+ */
+
+class LocalTools {
+  /**
+   * Gemini functionDeclarations for every local tool
+   */
+  static getDeclarations() {
+    return Object.entries(LocalTools.TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      ...(tool.parameters ? { parameters: tool.parameters } : {})
+    }));
+  }
+
+  /**
+   * Run one functionCall ({ name, args }) and return the response object
+   */
+  static async execute(functionCall) {
+    const tool = LocalTools.TOOLS[functionCall?.name];
+    if (!tool) {
+      return { error: `Unknown function: ${functionCall?.name}` };
+    }
+
+    try {
+      return await tool.run(functionCall.args || {});
+    } catch (error) {
+      console.error('aiFiverr Local Tools:', functionCall.name, 'failed:', error);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * One-line description of a call for transcripts, e.g. get_stored_conversation(username: "john")
+   */
+  static describeCall(functionCall) {
+    const args = Object.entries(functionCall.args || {})
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+      .join(', ');
+    return `${functionCall.name}(${args})`;
+  }
+
+  /**
+   * Short summary of a tool result for transcripts
+   */
+  static summarizeResult(response) {
+    if (!response) return 'no result';
+    if (response.error) return `error - ${response.error}`;
+    if (Array.isArray(response.files)) return `${response.files.length} file${response.files.length === 1 ? '' : 's'}`;
+    if (Array.isArray(response.messages)) return `${response.messages.length} message${response.messages.length === 1 ? '' : 's'}`;
+    if (response.found === false) return 'not found';
+    if (response.value !== undefined) return `${String(response.value).length} characters`;
+    if (response.title !== undefined) return response.title || 'untitled brief';
+    return 'done';
+  }
+
+  static getStoredConversation({ username }) {
+    const extractor = window.fiverrExtractor;
+    if (!extractor) {
+      return { error: 'Conversation storage is not available on this page' };
+    }
+    if (!username) {
+      return { error: 'A username is required' };
+    }
+
+    const conversation = extractor.getStoredConversation(username);
+    if (!conversation) {
+      const available = extractor.getAllStoredConversations().map(entry => entry.username);
+      return { found: false, availableUsernames: available.slice(0, LocalTools.MAX_LISTED) };
+    }
+
+    const messages = (conversation.messages || []).slice(-LocalTools.MAX_MESSAGES);
+    let remaining = LocalTools.MAX_RESULT_CHARACTERS;
+    const trimmed = [];
+    // Newest messages matter most - fill the character budget from the end
+    for (let i = messages.length - 1; i >= 0 && remaining > 0; i--) {
+      const body = String(messages[i].body || '').slice(0, remaining);
+      remaining -= body.length;
+      trimmed.unshift({
+        sender: messages[i].sender || 'Unknown',
+        time: messages[i].formattedTime || null,
+        body
+      });
+    }
+
+    return {
+      username,
+      totalMessages: (conversation.messages || []).length,
+      historyComplete: extractor.isHistoryComplete(conversation), // false: older messages were not fetched yet
+      lastUpdated: conversation.lastUpdated ? new Date(conversation.lastUpdated).toISOString() : null,
+      messages: trimmed
+    };
+  }
+
+  static getKnowledgeBaseVariable({ name }) {
+    const manager = window.knowledgeBaseManager;
+    if (!manager) {
+      return { error: 'Knowledge base is not available' };
+    }
+
+    const key = String(name || '').replace(/^\{\{|\}\}$/g, '').trim();
+    const variables = manager.getAllVariables();
+    if (!key || variables[key] === undefined) {
+      return { found: false, availableVariables: Object.keys(variables).slice(0, LocalTools.MAX_LISTED) };
+    }
+
+    return { name: key, value: String(variables[key]).slice(0, LocalTools.MAX_RESULT_CHARACTERS) };
+  }
+
+  static listKnowledgeBaseFiles() {
+    const manager = window.knowledgeBaseManager;
+    if (!manager) {
+      return { error: 'Knowledge base is not available' };
+    }
+
+    const files = Array.from(manager.files.values()).slice(0, LocalTools.MAX_LISTED).map(file => ({
+      name: file.name,
+      mimeType: file.mimeType || null,
+      size: file.size || null,
+      attachable: !!file.geminiUri && !manager.isFileExpired(file)
+    }));
+
+    return { files };
+  }
+
+  static getCurrentBrief() {
+    const extractor = window.fiverrExtractor;
+    if (!extractor) {
+      return { error: 'Brief extraction is not available on this page' };
+    }
+
+    const brief = extractor.extractBrief();
+    if (!brief) {
+      return { error: 'The current page is not a Fiverr brief' };
+    }
+
+    const { extractedAt, ...details } = brief;
+    return details;
+  }
+}
+
+LocalTools.MAX_ROUNDS = 5;
+LocalTools.MAX_MESSAGES = 50;
+LocalTools.MAX_LISTED = 50;
+LocalTools.MAX_RESULT_CHARACTERS = 20000;
+
+LocalTools.TOOLS = {
+  get_stored_conversation: {
+    description: 'Get the saved Fiverr conversation with a buyer (newest messages last).',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        username: { type: 'STRING', description: 'Fiverr username of the buyer' }
+      },
+      required: ['username']
+    },
+    run: args => LocalTools.getStoredConversation(args)
+  },
+  get_knowledge_base_variable: {
+    description: "Get the value of one of the seller's knowledge base variables, such as bio, services or portfolio.",
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        name: { type: 'STRING', description: 'Variable name without braces' }
+      },
+      required: ['name']
+    },
+    run: args => LocalTools.getKnowledgeBaseVariable(args)
+  },
+  list_knowledge_base_files: {
+    description: "List the files in the seller's knowledge base.",
+    run: () => LocalTools.listKnowledgeBaseFiles()
+  },
+  get_current_brief: {
+    description: 'Get the title, description, requirements, budget (min, max, currency), deadline (date, days) and skills of the Fiverr brief open in the current tab.',
+    run: () => LocalTools.getCurrentBrief()
+  }
+};
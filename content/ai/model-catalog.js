@@ -0,0 +1,210 @@
+/**
+ * Model Catalog for aiFiverr Extension
+ * Discovers the models each provider offers and caches their limits and capabilities
+ *
+ * Model lists come from the provider's models endpoint (Gemini: tried with each configured key
+ * until one answers) and are cached in chrome.storage.local.modelCatalog for 24 hours:
+ *
+ *   { [providerId]: { fetchedAt, models: [{ id, displayName, inputTokenLimit, outputTokenLimit,
+ *                                            capabilities: { streaming, grounding, files, structuredOutput } }] } }
+ *
+ * Models that were never discovered are described by the provider's describeModel() so callers
+ * always get a complete capability object.
+ */
+
+class ModelCatalog {
+  constructor() {
+    this.cacheTtlMs = 24 * 60 * 60 * 1000;
+    this.catalog = null;
+    this.refreshPromises = new Map();
+
+    // Another context (usually the popup) refreshed the catalog - drop the in-memory copy
+    chrome.storage?.onChanged?.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.modelCatalog) {
+        this.catalog = changes.modelCatalog.newValue || {};
+      }
+    });
+  }
+
+  getRegistry() {
+    return window.aiProviderRegistry || window.initializeAIProviderRegistry();
+  }
+
+  async loadCatalog() {
+    if (!this.catalog) {
+      try {
+        const result = await chrome.storage.local.get('modelCatalog');
+        this.catalog = result.modelCatalog || {};
+      } catch (error) {
+        console.warn('aiFiverr Model Catalog: Failed to load cached models:', error);
+        this.catalog = {};
+      }
+    }
+    return this.catalog;
+  }
+
+  async saveCatalog() {
+    try {
+      await chrome.storage.local.set({ modelCatalog: this.catalog });
+    } catch (error) {
+      console.warn('aiFiverr Model Catalog: Failed to save models:', error);
+    }
+  }
+
+  /**
+   * Whether a provider's cached list is missing or older than the cache TTL
+   */
+  async isStale(providerId) {
+    const catalog = await this.loadCatalog();
+    const entry = catalog[providerId];
+    return !entry || !entry.fetchedAt || Date.now() - entry.fetchedAt > this.cacheTtlMs;
+  }
+
+  /**
+   * Gemini keys from storage, in the same order the key manager uses them
+   */
+  async getConfiguredKeys() {
+    return KeyVault.getKeys();
+  }
+
+  /**
+   * Query the provider's models endpoint and cache the result
+   * options: { apiKeys, providerSettings } - default to the stored configuration
+   */
+  async refresh(providerId, options = {}) {
+    if (this.refreshPromises.has(providerId)) {
+      return this.refreshPromises.get(providerId);
+    }
+
+    const refreshPromise = this.fetchModels(providerId, options)
+      .finally(() => this.refreshPromises.delete(providerId));
+    this.refreshPromises.set(providerId, refreshPromise);
+    return refreshPromise;
+  }
+
+  async fetchModels(providerId, options) {
+    const registry = this.getRegistry();
+    const settings = await registry.getSettings();
+    const provider = registry.createProvider(providerId, options.providerSettings || settings.providerSettings || {});
+
+    let models = [];
+    if (providerId === 'gemini') {
+      const apiKeys = options.apiKeys || await this.getConfiguredKeys();
+      if (apiKeys.length === 0) {
+        const status = await KeyVault.getStatus();
+        throw status.unlocked ? new Error('Add a Gemini API key first') : KeyVault.lockedError();
+      }
+
+      let lastError = null;
+      for (const apiKey of apiKeys) {
+        try {
+          models = await provider.listModelDetails({ apiKey });
+          break;
+        } catch (error) {
+          lastError = error;
+          console.warn('aiFiverr Model Catalog: Model listing failed with one key, trying the next:', error.message);
+        }
+      }
+      if (models.length === 0 && lastError) {
+        throw lastError;
+      }
+    } else {
+      models = await provider.listModelDetails();
+    }
+
+    if (models.length === 0) {
+      throw new Error('No models returned');
+    }
+
+    const catalog = await this.loadCatalog();
+    catalog[providerId] = { fetchedAt: Date.now(), models };
+    await this.saveCatalog();
+
+    console.log('aiFiverr Model Catalog: Cached', models.length, 'models for', provider.name);
+    return models;
+  }
+
+  /**
+   * Cached models for a provider - a stale cache is refreshed in the background
+   */
+  async getModels(providerId) {
+    const catalog = await this.loadCatalog();
+    if (await this.isStale(providerId)) {
+      this.refresh(providerId).catch(error => {
+        console.warn('aiFiverr Model Catalog: Background refresh failed:', error.message);
+      });
+    }
+    return catalog[providerId]?.models || [];
+  }
+
+  /**
+   * Limits and capabilities of one model (discovered, or described by the provider)
+   */
+  async getModelInfo(modelId, providerId = null) {
+    const registry = this.getRegistry();
+    const settings = await registry.getSettings();
+    const activeProviderId = providerId || settings.aiProvider || registry.defaultProviderId;
+    const model = modelId || await registry.getSelectedModel();
+
+    const models = await this.getModels(activeProviderId);
+    const discovered = models.find(entry => entry.id === model);
+    if (discovered) {
+      return discovered;
+    }
+
+    const provider = registry.createProvider(activeProviderId, settings.providerSettings || {});
+    return provider.describeModel(model);
+  }
+
+  /**
+   * Capabilities of one model
+   */
+  async getCapabilities(modelId, providerId = null) {
+    const info = await this.getModelInfo(modelId, providerId);
+    return info.capabilities;
+  }
+
+  /**
+   * Drop cached models - the next lookup fetches them again
+   */
+  async clear(providerId = null) {
+    const catalog = await this.loadCatalog();
+    if (providerId) {
+      delete catalog[providerId];
+    } else {
+      Object.keys(catalog).forEach(key => delete catalog[key]);
+    }
+    await this.saveCatalog();
+  }
+
+  /**
+   * Short capability summary for model pickers
+   */
+  static describe(info) {
+    if (!info) return '';
+
+    const number = value => value.toLocaleString();
+    const flag = (label, supported) => `${label} ${supported ? '✓' : '✗'}`;
+    const parts = [];
+    if (info.inputTokenLimit) parts.push(`Context ${number(info.inputTokenLimit)}`);
+    if (info.outputTokenLimit) parts.push(`Output ${number(info.outputTokenLimit)}`);
+    parts.push(
+      flag('Grounding', info.capabilities.grounding),
+      flag('Files', info.capabilities.files),
+      flag('JSON schema', info.capabilities.structuredOutput)
+    );
+    return parts.join(' · ');
+  }
+}
+
+// Create global model catalog - but only when explicitly called
+function initializeModelCatalog() {
+  if (!window.modelCatalog) {
+    window.modelCatalog = new ModelCatalog();
+    console.log('aiFiverr: Model Catalog created');
+  }
+  return window.modelCatalog;
+}
+
+// Export the initialization function but DO NOT auto-initialize
+window.initializeModelCatalog = initializeModelCatalog;
@@ -84,7 +84,8 @@ Mention a specific detail we discussed and include clear next steps. No explanat
 {conversation}
 
 extract and Include more example urls from my previous work.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.9 }
       },
       'project_proposal': {
         name: 'Project Proposal',
@@ -94,7 +95,8 @@ extract and Include more example urls from my previous work.`,
 {conversation}
 
 extract and Include more example urls from my previous work.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.9 }
       },
       'translate': {
         name: 'Translate',
@@ -104,7 +106,8 @@ extract and Include more example urls from my previous work.`,
 Into this language: {language}
 
 Provide only the translated text. No explanations.`,
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -121,6 +124,50 @@ Then, translate the improved message to English. Use my bio ({bio}) to add relev
 
 Make it grammatically correct, clear, and professional, but keep the original meaning. No explanations.`,
         knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+      },
+      'brief_analysis': {
+        name: 'Brief Analysis',
+        description: 'Analyze brief as structured data',
+        prompt: `Analyze this Fiverr project brief or buyer message:
+
+{conversation}
+
+Use my services and past work from the attached documents to judge how well the project fits me.`,
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 },
+        responseSchema: StructuredOutput.BRIEF_ANALYSIS_SCHEMA
+      },
+      'order_delivery': {
+        name: 'Delivery Message',
+        description: 'Draft order delivery message',
+        prompt: `Write a delivery message for this Fiverr order:
+
+{conversation}
+
+Confirm what is being delivered against the buyer's requirements and any revision requests, explain how to use the files, and invite feedback. Keep it short and friendly. No explanations.`,
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+      },
+      'order_revision_summary': {
+        name: 'Revision Summary',
+        description: 'Summarize revision requests',
+        prompt: `Summarize the revision requests in this Fiverr order:
+
+{conversation}
+
+List every change the buyer asked for as a checklist, note which requests are still open after the latest delivery, and flag anything outside the original requirements. No explanations.`,
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.3 }
+      },
+      'gig_analysis': {
+        name: 'Gig Analysis',
+        description: 'Compare competitor gig with mine',
+        prompt: `Analyze this competitor gig from Fiverr:
+
+{conversation}
+
+Compare it with my own gigs, prices and services from the attached documents. Critique its positioning (title, target buyer, unique selling points, FAQ) and its pricing (package tiers, delivery times, revisions) against mine, then list concrete changes I should make to compete. No explanations.`,
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.4 }
       }
     };
 
@@ -481,7 +528,10 @@ Make it grammatically correct, clear, and professional, but keep the original me
 
     return {
       prompt: processedPrompt,
-      knowledgeBaseFiles: knowledgeBaseFiles
+      knowledgeBaseFiles: knowledgeBaseFiles,
+      systemInstruction: prompt.systemInstruction || '',
+      generationSettings: prompt.generationSettings || {},
+      responseSchema: prompt.responseSchema || null
     };
   }
 
@@ -0,0 +1,202 @@
+/**
+ * Rate Limits for aiFiverr Extension
+ * Per-key Gemini rate-limit tiers and the request/token counters the service worker schedules with
+ *
+ * Each key has a tier (settings.keyTiers[keyRef], default 'free'); a tier maps model names to
+ *   { rpm, tpm, rpd }  - requests per minute, input tokens per minute, requests per day (null = no limit)
+ * The 'custom' tier uses settings.customRateLimits, edited in the popup. Keys are referenced by a
+ * SHA-256 prefix (keyRef) so settings and counters never hold the key itself.
+ *
+ * Counters live in chrome.storage.local.rateLimitCounters:
+ *   { [keyRef]: { [model]: { minuteStart, minuteRequests, minuteTokens, day, dayRequests, blockedUntil } } }
+ * Days follow the Pacific time midnight at which Gemini resets its daily quota.
+ */
+
+class RateLimits {
+  /**
+   * Limits of a tier for a model - the longest matching model prefix wins, then the tier's default
+   */
+  static getLimits(tier, model, customLimits = {}) {
+    const models = tier === 'custom'
+      ? { ...RateLimits.TIERS.free.models, ...customLimits }
+      : (RateLimits.TIERS[tier] || RateLimits.TIERS.free).models;
+
+    const match = Object.keys(models)
+      .filter(name => name !== 'default' && String(model || '').startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return { ...RateLimits.EMPTY_LIMITS, ...(models[match] || models.default || RateLimits.TIERS.free.models.default) };
+  }
+
+  /**
+   * Counter entry for a key/model with expired windows reset (mutates counters)
+   */
+  static getEntry(counters, keyRef, model, now = Date.now()) {
+    counters[keyRef] = counters[keyRef] || {};
+    const entry = counters[keyRef][model] || (counters[keyRef][model] = {
+      minuteStart: now,
+      minuteRequests: 0,
+      minuteTokens: 0,
+      day: RateLimits.dayKey(now),
+      dayRequests: 0,
+      blockedUntil: 0
+    });
+
+    if (now - entry.minuteStart >= 60000) {
+      entry.minuteStart = now;
+      entry.minuteRequests = 0;
+      entry.minuteTokens = 0;
+    }
+    if (entry.day !== RateLimits.dayKey(now)) {
+      entry.day = RateLimits.dayKey(now);
+      entry.dayRequests = 0;
+    }
+
+    return entry;
+  }
+
+  /**
+   * How long a request of `tokens` input tokens has to wait on this key (0 = it can go now)
+   */
+  static getWaitMs(counters, keyRef, model, limits, tokens = 0, now = Date.now()) {
+    const entry = RateLimits.getEntry(counters, keyRef, model, now);
+    let waitMs = Math.max(0, (entry.blockedUntil || 0) - now);
+
+    if (limits.rpd && entry.dayRequests >= limits.rpd) {
+      waitMs = Math.max(waitMs, RateLimits.msUntilNextDay(now));
+    }
+
+    const minuteFull = (limits.rpm && entry.minuteRequests >= limits.rpm) ||
+      // A single request larger than the whole TPM budget still goes once the minute is empty
+      (limits.tpm && entry.minuteTokens > 0 && entry.minuteTokens + tokens > limits.tpm);
+    if (minuteFull) {
+      waitMs = Math.max(waitMs, entry.minuteStart + 60000 - now);
+    }
+
+    return waitMs;
+  }
+
+  /**
+   * Count a request against the key (mutates counters)
+   */
+  static reserve(counters, keyRef, model, tokens = 0, now = Date.now()) {
+    const entry = RateLimits.getEntry(counters, keyRef, model, now);
+    entry.minuteRequests++;
+    entry.minuteTokens += tokens;
+    entry.dayRequests++;
+    return entry;
+  }
+
+  /**
+   * Give back a reservation whose request was never sent (mutates counters)
+   */
+  static release(counters, keyRef, model, tokens = 0, now = Date.now()) {
+    const entry = RateLimits.getEntry(counters, keyRef, model, now);
+    entry.minuteRequests = Math.max(0, entry.minuteRequests - 1);
+    entry.minuteTokens = Math.max(0, entry.minuteTokens - tokens);
+    entry.dayRequests = Math.max(0, entry.dayRequests - 1);
+    return entry;
+  }
+
+  /**
+   * Replace the reserved token estimate with the measured count (mutates counters)
+   */
+  static adjustTokens(counters, keyRef, model, delta, now = Date.now()) {
+    const entry = RateLimits.getEntry(counters, keyRef, model, now);
+    entry.minuteTokens = Math.max(0, entry.minuteTokens + delta);
+  }
+
+  /**
+   * The API answered 429 - hold the key back for this model (mutates counters)
+   */
+  static block(counters, keyRef, model, retryAfterMs = null, now = Date.now()) {
+    const entry = RateLimits.getEntry(counters, keyRef, model, now);
+    entry.blockedUntil = now + (retryAfterMs || (entry.minuteStart + 60000 - now) || 60000);
+  }
+
+  /**
+   * Drop entries from previous days (mutates and returns counters)
+   */
+  static prune(counters, now = Date.now()) {
+    const today = RateLimits.dayKey(now);
+    Object.entries(counters).forEach(([keyRef, models]) => {
+      Object.entries(models).forEach(([model, entry]) => {
+        if (entry.day !== today && now - entry.minuteStart >= 60000) {
+          delete models[model];
+        }
+      });
+      if (Object.keys(models).length === 0) {
+        delete counters[keyRef];
+      }
+    });
+    return counters;
+  }
+
+  /**
+   * YYYY-MM-DD in Pacific time
+   */
+  static dayKey(now = Date.now()) {
+    return new Date(now).toLocaleDateString('en-CA', { timeZone: RateLimits.QUOTA_TIME_ZONE });
+  }
+
+  static msUntilNextDay(now = Date.now()) {
+    const today = RateLimits.dayKey(now);
+    // Step forward in 15 minute increments - daylight saving time makes fixed offsets unreliable
+    let next = now - (now % (15 * 60000)) + 15 * 60000;
+    while (RateLimits.dayKey(next) === today) {
+      next += 15 * 60000;
+    }
+    return next - now;
+  }
+
+  /**
+   * Non-secret reference for a key in settings and counters
+   */
+  static async keyRef(apiKey) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(apiKey)));
+    return Array.from(new Uint8Array(digest).slice(0, 8))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
+
+RateLimits.QUOTA_TIME_ZONE = 'America/Los_Angeles';
+RateLimits.MAX_QUEUE_WAIT_MS = 75000; // A full minute window plus slack; longer waits fail
+RateLimits.EMPTY_LIMITS = { rpm: null, tpm: null, rpd: null };
+
+// Published Gemini API limits - keys on other tiers or quotas can use 'custom'
+RateLimits.TIERS = {
+  free: {
+    name: 'Free',
+    models: {
+      'gemini-2.5-pro': { rpm: 5, tpm: 250000, rpd: 100 },
+      'gemini-2.5-flash': { rpm: 10, tpm: 250000, rpd: 250 },
+      'gemini-2.5-flash-lite': { rpm: 15, tpm: 250000, rpd: 1000 },
+      'gemini-2.0-flash': { rpm: 15, tpm: 1000000, rpd: 200 },
+      'gemini-2.0-flash-lite': { rpm: 30, tpm: 1000000, rpd: 200 },
+      default: { rpm: 10, tpm: 250000, rpd: 250 }
+    }
+  },
+  tier1: {
+    name: 'Tier 1',
+    models: {
+      'gemini-2.5-pro': { rpm: 150, tpm: 2000000, rpd: 10000 },
+      'gemini-2.5-flash': { rpm: 1000, tpm: 1000000, rpd: 10000 },
+      'gemini-2.5-flash-lite': { rpm: 4000, tpm: 4000000, rpd: null },
+      'gemini-2.0-flash': { rpm: 2000, tpm: 4000000, rpd: null },
+      'gemini-2.0-flash-lite': { rpm: 4000, tpm: 4000000, rpd: null },
+      default: { rpm: 1000, tpm: 1000000, rpd: 10000 }
+    }
+  },
+  tier2: {
+    name: 'Tier 2',
+    models: {
+      'gemini-2.5-pro': { rpm: 1000, tpm: 5000000, rpd: 50000 },
+      'gemini-2.5-flash': { rpm: 2000, tpm: 3000000, rpd: 100000 },
+      'gemini-2.5-flash-lite': { rpm: 10000, tpm: 10000000, rpd: null },
+      'gemini-2.0-flash': { rpm: 10000, tpm: 10000000, rpd: null },
+      'gemini-2.0-flash-lite': { rpm: 20000, tpm: 10000000, rpd: null },
+      default: { rpm: 2000, tpm: 3000000, rpd: 100000 }
+    }
+  }
+};
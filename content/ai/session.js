@@ -15,7 +15,7 @@ class ChatSession {
       title: options.title || 'New Conversation',
       fiverrContext: options.fiverrContext || null
     };
-    this.apiKeyIndex = null;
+    this.apiKeyRef = null; // Stable id of the session's API key (see APIKeyManager)
     this.isActive = false;
   }
 
@@ -31,7 +31,9 @@ class ChatSession {
       session.messages = sessionData.messages || [];
       session.context = sessionData.context || '';
       session.metadata = { ...session.metadata, ...sessionData.metadata };
-      session.apiKeyIndex = sessionData.apiKeyIndex;
+      // Sessions saved before keys had stable ids stored the key's position
+      session.apiKeyRef = sessionData.apiKeyRef ??
+        (Number.isInteger(sessionData.apiKeyIndex) ? window.apiKeyManager?.keyRefs?.[sessionData.apiKeyIndex] ?? null : null);
       
       return session;
     } catch (error) {
@@ -49,7 +51,7 @@ class ChatSession {
         messages: this.messages,
         context: this.context,
         metadata: this.metadata,
-        apiKeyIndex: this.apiKeyIndex
+        apiKeyRef: this.apiKeyRef
       };
 
       await storageManager.saveSession(this.sessionId, sessionData);
@@ -158,16 +160,33 @@ class ChatSession {
 
   /**
    * Get messages in Gemini API format
+   * System messages are left out - they are sent through getSystemInstruction() - and so are
+   * responses the user stopped
    */
   getMessagesForAPI(maxMessages = 20) {
-    const recentMessages = this.messages.slice(-maxMessages);
-    
+    const recentMessages = this.messages
+      .filter(msg => msg.role !== 'system' && !msg.metadata?.cancelled)
+      .slice(-maxMessages);
+
     return recentMessages.map(msg => ({
       role: msg.role === 'assistant' ? 'model' : 'user',
       parts: [{ text: msg.content }]
     }));
   }
 
+  /**
+   * Get the session's system messages as one instruction text (null when there are none)
+   */
+  getSystemInstruction() {
+    const systemTexts = [...new Set(
+      this.messages
+        .filter(msg => msg.role === 'system' && msg.content)
+        .map(msg => msg.content)
+    )];
+
+    return systemTexts.length > 0 ? systemTexts.join('\n\n') : null;
+  }
+
   /**
    * Clear session messages
    */
@@ -0,0 +1,222 @@
+/**
+ * Server-Sent Events parser for aiFiverr Extension
+ * Incremental text/event-stream parsing for streaming AI responses
+ *
+ * Network reads split the stream at arbitrary byte positions, so the parser keeps any partial
+ * frame buffered until its terminating blank line arrives. Events follow the EventSource spec:
+ * multiple "data:" lines are joined with "\n", ":" lines are comments, "\r\n" and "\r" line
+ * endings are accepted.
+ */
+
+class SSEParser {
+  constructor() {
+    this.buffer = '';
+    this.resetEvent();
+  }
+
+  resetEvent() {
+    this.eventType = '';
+    this.dataLines = [];
+    this.lastEventId = this.lastEventId || '';
+  }
+
+  /**
+   * Feed decoded text and return the events completed by it
+   */
+  feed(text) {
+    const events = [];
+    this.buffer += text;
+
+    let lineEnd;
+    while ((lineEnd = this.findLineEnd()) !== -1) {
+      const line = this.buffer.slice(0, lineEnd);
+      // Swallow "\r\n" as a single line break
+      const skip = this.buffer[lineEnd] === '\r' && this.buffer[lineEnd + 1] === '\n' ? 2 : 1;
+      this.buffer = this.buffer.slice(lineEnd + skip);
+
+      const event = this.processLine(line);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Index of the next complete line ending in the buffer
+   * A trailing "\r" is left buffered in case the following "\n" is still in flight
+   */
+  findLineEnd() {
+    for (let i = 0; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+      if (char === '\n') {
+        return i;
+      }
+      if (char === '\r') {
+        return i + 1 < this.buffer.length ? i : -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Apply one line to the pending event; blank lines dispatch it
+   */
+  processLine(line) {
+    if (line === '') {
+      return this.dispatchEvent();
+    }
+
+    if (line.startsWith(':')) {
+      return null; // Comment / keep-alive
+    }
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'data':
+        this.dataLines.push(value);
+        break;
+      case 'event':
+        this.eventType = value;
+        break;
+      case 'id':
+        this.lastEventId = value;
+        break;
+      default:
+        // "retry" and unknown fields are not needed here
+        break;
+    }
+
+    return null;
+  }
+
+  dispatchEvent() {
+    if (this.dataLines.length === 0) {
+      this.resetEvent();
+      return null;
+    }
+
+    const event = {
+      event: this.eventType || 'message',
+      data: this.dataLines.join('\n'),
+      id: this.lastEventId
+    };
+
+    this.resetEvent();
+    return event;
+  }
+
+  /**
+   * Flush a final event that was not followed by a blank line
+   */
+  end() {
+    const events = [];
+    if (this.buffer) {
+      const line = this.buffer.endsWith('\r') ? this.buffer.slice(0, -1) : this.buffer;
+      this.buffer = '';
+      const event = this.processLine(line);
+      if (event) events.push(event);
+    }
+
+    const pending = this.dispatchEvent();
+    if (pending) events.push(pending);
+    return events;
+  }
+
+  /**
+   * Async iterator of events from a fetch response
+   */
+  static async *events(response) {
+    const parser = new SSEParser();
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        for (const event of parser.feed(decoder.decode(value, { stream: true }))) {
+          yield event;
+        }
+      }
+
+      for (const event of parser.feed(decoder.decode())) {
+        yield event;
+      }
+      for (const event of parser.end()) {
+        yield event;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Async iterator of normalized chunks from a Gemini streamGenerateContent?alt=sse response
+   *
+   * Each chunk: { text, functionCalls, finishReason, blocked, blockReason, safetyRatings, groundingMetadata, usageMetadata, done }
+   * blocked is set when the prompt or the candidate was stopped by SAFETY/RECITATION style filters.
+   * functionCalls are the raw functionCall parts - they keep any thoughtSignature, which must be sent back.
+   */
+  static async *geminiChunks(response) {
+    for await (const event of SSEParser.events(response)) {
+      if (event.data === '[DONE]') {
+        break;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (parseError) {
+        // A complete SSE event with invalid JSON is a server fault, not a split frame
+        console.warn('aiFiverr SSE: Ignoring malformed event data:', parseError.message);
+        continue;
+      }
+
+      if (data.error) {
+        throw new Error(`Gemini API error: ${data.error.code || ''} - ${data.error.message || 'Stream error'}`);
+      }
+
+      yield SSEParser.normalizeGeminiChunk(data);
+    }
+  }
+
+  /**
+   * Normalize one GenerateContentResponse
+   */
+  static normalizeGeminiChunk(data) {
+    const candidate = data.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    const text = parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+
+    const promptBlockReason = data.promptFeedback?.blockReason;
+    const finishReason = candidate?.finishReason || (promptBlockReason ? 'BLOCKED' : undefined);
+    const blockReason = promptBlockReason || (SSEParser.BLOCKING_FINISH_REASONS.includes(finishReason) ? finishReason : undefined);
+
+    return {
+      text,
+      functionCalls: parts.filter(part => part.functionCall),
+      finishReason,
+      blocked: !!blockReason,
+      blockReason,
+      safetyRatings: candidate?.safetyRatings || data.promptFeedback?.safetyRatings,
+      groundingMetadata: candidate?.groundingMetadata,
+      usageMetadata: data.usageMetadata,
+      done: false
+    };
+  }
+}
+
+// Finish reasons that mean the response was cut off by a content filter
+SSEParser.BLOCKING_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
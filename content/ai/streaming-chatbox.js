@@ -1,6 +1,9 @@
 /**
  * Streaming Chatbox Component for aiFiverr Extension
  * Provides continuous chat functionality with streaming responses
+ *
+ * With local tools on (settings.localTools, 🧰 in the header) the model may call LocalTools
+ * functions; each call is answered, shown in the transcript and sent back until it replies in text.
  */
 
 class StreamingChatbox {
@@ -24,16 +27,22 @@ class StreamingChatbox {
     this.messagesContainer = null;
     this.inputElement = null;
     this.sendButton = null;
+    this.stopButton = null;
+    this.abortController = null; // Aborts the in-flight generation
     this.dragState = { isDragging: false, startX: 0, startY: 0, startLeft: 0, startTop: 0 };
 
     // NEW: Context preservation for variable processor consistency
     this.originalPromptContext = null; // Stores the original prompt processing context
     this.originalVariableUsage = null; // Stores which variables were used in original prompt
     this.manuallyAttachedFiles = []; // Stores manually attached files
+    this.generationSettings = null; // Model/sampling settings of the prompt that started the chat
+    this.systemInstruction = null; // System instruction of the prompt that started the chat
+    this.currentVariableCharacters = 0; // Variable text substituted into the latest message (budget breakdown)
 
     // NEW: Grounding settings preservation
     this.googleSearchGrounding = false; // Google Search grounding state
     this.urlContextExtraction = false; // URL context extraction state
+    this.localToolsEnabled = true; // Let the model call LocalTools functions (settings.localTools)
 
     // NEW: File access validation and error handling
     // FIXED: Remove hardcoded file blacklist since API key consistency fix resolves access issues
@@ -98,6 +107,7 @@ class StreamingChatbox {
     this.messagesContainer = this.chatboxElement.querySelector('.chatbox-messages');
     this.inputElement = this.chatboxElement.querySelector('.chatbox-input');
     this.sendButton = this.chatboxElement.querySelector('.chatbox-send-btn');
+    this.stopButton = this.chatboxElement.querySelector('.chatbox-stop-btn');
 
     // Append to body
     document.body.appendChild(this.chatboxElement);
@@ -115,6 +125,7 @@ class StreamingChatbox {
           <span class="drag-indicator">⋮⋮</span>
         </div>
         <div class="chatbox-controls">
+          <button class="chatbox-tools-btn active" title="Local tools on - the AI can read stored conversations, the knowledge base and the open brief">🧰</button>
           <button class="chatbox-minimize-btn" title="Minimize">−</button>
           <button class="chatbox-close-btn" title="Close">×</button>
         </div>
@@ -128,10 +139,12 @@ class StreamingChatbox {
               placeholder="Continue the conversation..."
               rows="1"
             ></textarea>
+            <button class="chatbox-stop-btn" title="Stop generating" style="display: none;">■</button>
             <button class="chatbox-send-btn" title="Send message">➤</button>
           </div>
         </div>
       </div>
+      <div class="chatbox-budget" style="display: none;"></div>
       <div class="chatbox-status">Ready to chat</div>
     `;
   }
@@ -244,6 +257,26 @@ class StreamingChatbox {
         color: #374151;
       }
 
+      .chatbox-tools-btn {
+        width: 24px;
+        height: 24px;
+        border: none;
+        background: #e5e7eb;
+        border-radius: 4px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 12px;
+        opacity: 0.5;
+        transition: all 0.2s;
+      }
+
+      .chatbox-tools-btn.active {
+        background: #dcfce7;
+        opacity: 1;
+      }
+
       .chatbox-content {
         flex: 1;
         display: flex;
@@ -319,6 +352,24 @@ class StreamingChatbox {
         margin-right: auto;
       }
 
+      .chatbox-message.tool {
+        justify-content: center;
+      }
+
+      .chatbox-message.tool .chatbox-message-content {
+        max-width: 90%;
+        padding: 3px 8px;
+        font-size: 11px;
+        color: #6b7280;
+        background: #f3f4f6;
+        border: 1px dashed #d1d5db;
+      }
+
+      .chatbox-message.tool code {
+        font-size: 11px;
+        color: #374151;
+      }
+
       .chatbox-message.streaming .chatbox-message-content {
         position: relative;
         min-height: 20px;
@@ -475,6 +526,25 @@ class StreamingChatbox {
         transform: none;
       }
 
+      .chatbox-stop-btn {
+        width: 36px;
+        height: 36px;
+        border: none;
+        background: #ef4444;
+        color: white;
+        border-radius: 50%;
+        cursor: pointer;
+        align-items: center;
+        justify-content: center;
+        font-size: 14px;
+        transition: all 0.2s;
+      }
+
+      .chatbox-stop-btn:hover {
+        background: #dc2626;
+        transform: scale(1.05);
+      }
+
       .chatbox-status {
         padding: 8px 16px;
         font-size: 11px;
@@ -487,6 +557,26 @@ class StreamingChatbox {
         align-items: center;
       }
 
+      .chatbox-budget {
+        padding: 4px 16px;
+        font-size: 10px;
+        background: #f9fafb;
+        border-top: 1px solid #e5e7eb;
+        color: #9ca3af;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+
+      .chatbox-budget.trimmed {
+        background: #fffbeb;
+        color: #d97706;
+      }
+
+      .aifiverr-streaming-chatbox.minimized .chatbox-budget {
+        display: none !important;
+      }
+
       .chatbox-status.error {
         background: #fef2f2;
         color: #dc2626;
@@ -497,6 +587,11 @@ class StreamingChatbox {
         color: #16a34a;
       }
 
+      .chatbox-status.warning {
+        background: #fffbeb;
+        color: #d97706;
+      }
+
       /* Enhanced formatting styles */
       .chat-link {
         color: #3b82f6;
@@ -590,11 +685,22 @@ class StreamingChatbox {
       this.minimize();
     });
 
+    // Local tools toggle
+    this.chatboxElement.querySelector('.chatbox-tools-btn').addEventListener('click', () => {
+      this.setLocalToolsEnabled(!this.localToolsEnabled);
+    });
+    this.loadLocalToolsSetting();
+
     // Send button
     this.sendButton.addEventListener('click', () => {
       this.sendMessage();
     });
 
+    // Stop button
+    this.stopButton.addEventListener('click', () => {
+      this.stopGeneration();
+    });
+
     // Input field
     this.inputElement.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -621,6 +727,8 @@ class StreamingChatbox {
         this.editMessage(e.target);
       } else if (e.target.classList.contains('chatbox-insert-btn')) {
         this.insertMessage(e.target);
+      } else if (e.target.classList.contains('chatbox-retry-btn')) {
+        this.retryWithAdjustedPrompt(e.target);
       }
     });
 
@@ -989,6 +1097,9 @@ class StreamingChatbox {
     // Clear context
     this.originalPromptContext = null;
     this.originalVariableUsage = null;
+    this.generationSettings = null;
+    this.systemInstruction = null;
+    this.currentVariableCharacters = 0;
     this.manuallyAttachedFiles = [];
     this.currentMessageFiles = [];
 
@@ -996,6 +1107,7 @@ class StreamingChatbox {
     if (this.messagesContainer) {
       this.messagesContainer.innerHTML = '';
     }
+    this.showBudget(null);
 
     // Reset API key session if available
     if (window.apiKeyManager && window.apiKeyManager.initialized) {
@@ -1236,6 +1348,7 @@ class StreamingChatbox {
    * Hide the chatbox
    */
   hide() {
+    this.stopGeneration();
     this.isVisible = false;
     this.chatboxElement.style.display = 'none';
   }
@@ -1348,6 +1461,7 @@ class StreamingChatbox {
     // This ensures contextual responses even for simple messages like "thanks", "explain more", etc.
     let processedMessage = message;
     let additionalFiles = [];
+    this.currentVariableCharacters = 0;
 
     if (window.variableProcessor) {
       try {
@@ -1362,6 +1476,7 @@ class StreamingChatbox {
 
         processedMessage = processedResult.prompt;
         additionalFiles = processedResult.knowledgeBaseFiles || [];
+        this.currentVariableCharacters = processedResult.variableCharacters || 0;
 
         console.log('aiFiverr StreamingChatbox: Processed follow-up message with variable processor');
         console.log('aiFiverr StreamingChatbox: Variables used in follow-up:', processedResult.usedVariables);
@@ -1400,6 +1515,8 @@ class StreamingChatbox {
   async streamResponse() {
     this.isStreaming = true;
     this.sendButton.disabled = true;
+    this.abortController = new AbortController();
+    this.setStopButtonVisible(true);
     this.updateStatus('AI is thinking...', '');
 
     // Create streaming message
@@ -1414,8 +1531,11 @@ class StreamingChatbox {
       console.error('aiFiverr StreamingChatbox: Streaming error:', error);
       this.handleStreamingError(error);
     } finally {
+      const wasCancelled = this.abortController?.signal.aborted;
       this.isStreaming = false;
       this.sendButton.disabled = false;
+      this.abortController = null;
+      this.setStopButtonVisible(false);
 
       // Show action buttons for the completed streaming message
       if (this.currentStreamingMessage) {
@@ -1423,72 +1543,105 @@ class StreamingChatbox {
       }
 
       this.currentStreamingMessage = null;
-      this.updateStatus('Ready to chat', 'success');
+      if (wasCancelled) {
+        this.updateStatus('Generation stopped', 'warning');
+      } else {
+        this.updateStatus('Ready to chat', 'success');
+      }
     }
   }
 
   /**
-   * Stream response with full conversation context
+   * Abort the in-flight generation, keeping whatever text already arrived
    */
-  async streamWithFullContext() {
-    // CRITICAL FIX: Enhanced API key handling with session consistency for file access
-    let apiKey;
-    let sessionId = 'streaming_chat'; // Consistent session ID for this chat
-
-    try {
-      if (window.apiKeyManager && window.apiKeyManager.initialized) {
-        // FIXED: Try to get the same key used for this session to maintain file access consistency
-        const keyData = window.apiKeyManager.getKeyForSession(sessionId);
-        apiKey = keyData ? keyData.key : null;
-        console.log('aiFiverr StreamingChatbox: API key from apiKeyManager for session:', apiKey ? 'Found' : 'Not found');
-
-        // If no key for this session, try to inherit from gemini session first
-        if (!apiKey) {
-          console.log('aiFiverr StreamingChatbox: No streaming_chat session key, trying to inherit from gemini session');
-          const geminiKeyData = window.apiKeyManager.getKeyForSession('gemini');
-          if (geminiKeyData && geminiKeyData.key) {
-            apiKey = geminiKeyData.key;
-            // Set this key for the streaming session to maintain consistency
-            window.apiKeyManager.setSessionKey(sessionId, geminiKeyData.key);
-            console.log('aiFiverr StreamingChatbox: Inherited API key from gemini session for file access consistency');
-          } else {
-            // Last resort: get any available healthy key
-            const newKeyData = window.apiKeyManager.getNextHealthyKey();
-            if (newKeyData) {
-              apiKey = newKeyData.key;
-              // Associate this key with our session to maintain consistency
-              window.apiKeyManager.setSessionKey(sessionId, newKeyData.key);
-              console.log('aiFiverr StreamingChatbox: Assigned new healthy API key to session');
-            }
-          }
-        }
-      }
+  stopGeneration() {
+    if (this.abortController && !this.abortController.signal.aborted) {
+      console.log('aiFiverr StreamingChatbox: Stopping generation');
+      this.abortController.abort();
+    }
+  }
 
-      if (!apiKey && window.enhancedGeminiClient) {
-        apiKey = await window.enhancedGeminiClient.getApiKey();
-        console.log('aiFiverr StreamingChatbox: API key from enhancedGeminiClient:', apiKey ? 'Found' : 'Not found');
-      }
+  /**
+   * Swap the send button for the stop button while streaming
+   */
+  setStopButtonVisible(visible) {
+    if (!this.stopButton) return;
+    this.stopButton.style.display = visible ? 'flex' : 'none';
+    this.sendButton.style.display = visible ? 'none' : 'flex';
+  }
 
-      if (!apiKey) {
-        console.error('aiFiverr StreamingChatbox: No API key available from any source');
-        throw new Error('No API key available. Please configure your Gemini API key in the extension settings.');
-      }
+  /**
+   * Initial local tools state from settings.localTools (on unless disabled)
+   */
+  async loadLocalToolsSetting() {
+    try {
+      const settings = await window.aiRequestClient?.getSettings();
+      this.setLocalToolsEnabled(settings?.localTools !== false);
     } catch (error) {
-      console.error('aiFiverr StreamingChatbox: Error retrieving API key:', error);
-      throw new Error('Failed to retrieve API key: ' + error.message);
+      console.warn('aiFiverr StreamingChatbox: Failed to load local tools setting:', error);
     }
+  }
 
-    // Build complete conversation context
-    const contents = [];
+  /**
+   * Turn local tools on or off for this chat
+   */
+  setLocalToolsEnabled(enabled) {
+    this.localToolsEnabled = enabled;
+    const toolsButton = this.chatboxElement?.querySelector('.chatbox-tools-btn');
+    if (toolsButton) {
+      toolsButton.classList.toggle('active', enabled);
+      toolsButton.title = enabled
+        ? 'Local tools on - the AI can read stored conversations, the knowledge base and the open brief'
+        : 'Local tools off';
+    }
+  }
 
-    // Add conversation history
-    for (const message of this.conversationHistory) {
-      contents.push({
-        role: message.role === 'model' ? 'model' : 'user',
-        parts: message.parts
+  /**
+   * Answer the model's function calls with LocalTools, show each call in the transcript and
+   * add the results to the history as a functionResponse turn
+   */
+  async runLocalTools(functionCalls) {
+    const parts = [];
+
+    for (const part of functionCalls) {
+      const call = part.functionCall;
+      this.updateStatus(`Running ${call.name}...`, '');
+      const response = await LocalTools.execute(call);
+      console.log('aiFiverr StreamingChatbox: Local tool', call.name, 'returned', LocalTools.summarizeResult(response));
+      this.addToolMessage(call, response);
+
+      parts.push({
+        functionResponse: {
+          ...(call.id ? { id: call.id } : {}),
+          name: call.name,
+          response
+        }
       });
     }
 
+    this.conversationHistory.push({ role: 'user', parts });
+  }
+
+  /**
+   * Show a tool call and a short summary of its result in the transcript
+   */
+  addToolMessage(functionCall, response) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'chatbox-message tool';
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'chatbox-message-content';
+    contentDiv.innerHTML = `🔧 <code>${this.escapeHtml(LocalTools.describeCall(functionCall))}</code> → ${this.escapeHtml(LocalTools.summarizeResult(response))}`;
+
+    messageDiv.appendChild(contentDiv);
+    this.messagesContainer.appendChild(messageDiv);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Stream response with full conversation context
+   */
+  async streamWithFullContext() {
     // NEW: Get files based on variable processor logic (manually attached + referenced files)
     let knowledgeBaseFiles = [];
 
@@ -1531,162 +1684,35 @@ class StreamingChatbox {
       }
     }
 
-    // Add files to the last user message if available
-    if (knowledgeBaseFiles.length > 0 && contents.length > 0) {
-      const lastUserMessage = contents[contents.length - 1];
-      if (lastUserMessage.role === 'user') {
-        for (const file of knowledgeBaseFiles) {
-          if (file.geminiUri) {
-            lastUserMessage.parts.unshift({
-              fileData: {
-                fileUri: file.geminiUri,
-                mimeType: file.mimeType || 'text/plain'
-              }
-            });
-            console.log('aiFiverr StreamingChatbox: Added file to message:', file.name);
-          }
-        }
-      }
-    }
-
-    const payload = {
-      contents: contents,
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 8192,
-        candidateCount: 1
-      }
-    };
-
-    // Add grounding tools if enabled
-    const enableGrounding = this.googleSearchGrounding || this.urlContextExtraction;
-    if (enableGrounding) {
-      payload.tools = [];
-
-      if (this.googleSearchGrounding) {
-        payload.tools.push({ googleSearch: {} });
-        console.log('aiFiverr StreamingChatbox: Added Google Search grounding tool');
-      }
-
-      if (this.urlContextExtraction) {
-        payload.tools.push({ urlContext: {} });
-        console.log('aiFiverr StreamingChatbox: Added URL context extraction tool');
-      }
-
-      if (payload.tools.length > 0) {
-        console.log('aiFiverr StreamingChatbox: Using grounding tools:', payload.tools.map(t => Object.keys(t)[0]));
-      }
-    }
-
-    // Get model name
-    let model = 'gemini-2.5-flash';
-    if (window.enhancedGeminiClient) {
-      try {
-        model = await window.enhancedGeminiClient.getSelectedModel();
-      } catch (error) {
-        console.warn('Failed to get selected model, using default:', error);
-      }
-    }
-
-    // Making streaming request with conversation history
-
-    // Use SSE format like the working example
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      let errorMessage = `Gemini streaming API error: ${response.status} - ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        if (errorData.error?.message) {
-          errorMessage = `Gemini API error: ${errorData.error.message}`;
-        }
-      } catch (e) {
-        // If we can't parse the error response, use the status text
-      }
-      console.error('aiFiverr StreamingChatbox: API request failed:', errorMessage);
-      throw new Error(errorMessage);
-    }
-
-    console.log('aiFiverr StreamingChatbox: API request successful, starting stream processing');
-    await this.processStreamResponse(response);
-  }
-
-  /**
-   * Parse multiple JSON objects from a single string
-   * Handles cases where streaming chunks contain multiple JSON objects
-   */
-  parseMultipleJSONObjects(jsonStr) {
-    const results = [];
-
-    if (!jsonStr || jsonStr.trim() === '') {
-      return results;
-    }
-
-    // Sanitize the input first
-    const sanitizedStr = this.sanitizeJSONChunk(jsonStr);
-
-    // First, try parsing as a single JSON object
-    try {
-      const singleObject = JSON.parse(sanitizedStr);
-      results.push(singleObject);
-      return results;
-    } catch (error) {
-      // If single parse fails, try to handle multiple objects or malformed JSON
-      console.log('aiFiverr StreamingChatbox: Single JSON parse failed, attempting advanced parsing');
-      console.log('aiFiverr StreamingChatbox: Raw content:', jsonStr.substring(0, 200) + (jsonStr.length > 200 ? '...' : ''));
-      console.log('aiFiverr StreamingChatbox: Sanitized content:', sanitizedStr.substring(0, 200) + (sanitizedStr.length > 200 ? '...' : ''));
-    }
+    // Build and send the request through the shared request client - local tool calls are
+    // answered and sent back until the model replies in text (calls are refused after MAX_ROUNDS)
+    for (let round = 0; ; round++) {
+      const stream = window.aiRequestClient.stream({
+        contents: this.conversationHistory,
+        knowledgeBaseFiles,
+        generationSettings: this.generationSettings || undefined,
+        systemInstruction: this.systemInstruction || undefined,
+        variableCharacters: this.currentVariableCharacters,
+        promptKey: 'chat',
+        googleSearchGrounding: this.googleSearchGrounding,
+        urlContextExtraction: this.urlContextExtraction,
+        functionDeclarations: this.localToolsEnabled ? LocalTools.getDeclarations() : undefined,
+        functionCallingMode: round >= LocalTools.MAX_ROUNDS ? 'NONE' : undefined,
+        keySession: 'streaming_chat',
+        signal: this.abortController?.signal,
+        onRetry: (info) => this.updateStatus(info.message, 'warning'),
+        onBudget: (budget) => this.showBudget(budget)
+      });
 
-    // Try to extract valid JSON from the beginning of the string
-    const extractedJSON = this.extractValidJSON(sanitizedStr);
-    if (extractedJSON) {
-      try {
-        const parsed = JSON.parse(extractedJSON);
-        results.push(parsed);
-        return results;
-      } catch (e) {
-        console.log('aiFiverr StreamingChatbox: Extracted JSON still invalid:', e.message);
+      const functionCalls = await this.processStreamResponse(stream);
+      if (functionCalls.length === 0 || round >= LocalTools.MAX_ROUNDS) {
+        break;
       }
-    }
-
-    // Try common patterns - multiple objects separated by newlines or whitespace
-    const commonPatterns = [
-      // Pattern 1: Objects separated by newlines
-      sanitizedStr.split('\n').filter(line => line.trim()),
-      // Pattern 2: Objects separated by whitespace (but not within strings)
-      this.splitJSONObjects(sanitizedStr)
-    ];
-
-    for (const pattern of commonPatterns) {
-      if (pattern.length > 1) {
-        let allParsed = true;
-        const patternResults = [];
-
-        for (const part of pattern) {
-          try {
-            const cleanPart = this.sanitizeJSONChunk(part.trim());
-            const parsed = JSON.parse(cleanPart);
-            patternResults.push(parsed);
-          } catch (e) {
-            allParsed = false;
-            break;
-          }
-        }
 
-        if (allParsed && patternResults.length > 0) {
-          return patternResults;
-        }
-      }
+      await this.runLocalTools(functionCalls);
+      this.currentStreamingMessage = this.addMessage('assistant', '', true);
+      this.updateStatus('AI is thinking...', '');
     }
-
-    // Fallback: Advanced brace-counting parser
-    return this.parseWithBraceCounting(sanitizedStr);
   }
 
   /**
@@ -1743,463 +1769,18 @@ class StreamingChatbox {
   }
 
   /**
-   * Sanitize JSON chunk by removing common streaming artifacts
-   */
-  sanitizeJSONChunk(jsonStr) {
-    if (!jsonStr) return '';
-
-    let sanitized = jsonStr.trim();
-
-    // Remove common streaming prefixes
-    if (sanitized.startsWith('data: ')) {
-      sanitized = sanitized.slice(6).trim();
-    }
-
-    // Handle streaming termination markers
-    if (sanitized === '[DONE]' || sanitized === 'data: [DONE]') {
-      return '';
-    }
-
-    // Remove null bytes and other control characters that can break JSON parsing
-    sanitized = sanitized.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-
-    // Remove trailing commas that might be left from incomplete streaming
-    sanitized = sanitized.replace(/,\s*$/, '');
-
-    return sanitized;
-  }
-
-  /**
-   * Extract valid JSON from the beginning of a string, handling cases where
-   * valid JSON is followed by additional non-JSON content
-   */
-  extractValidJSON(jsonStr) {
-    if (!jsonStr || jsonStr.trim() === '') return null;
-
-    const trimmed = jsonStr.trim();
-
-    // Must start with { or [ to be valid JSON
-    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
-      return null;
-    }
-
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escapeNext = false;
-    let jsonEnd = -1;
-
-    for (let i = 0; i < trimmed.length; i++) {
-      const char = trimmed[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === '{') {
-          braceCount++;
-        } else if (char === '}') {
-          braceCount--;
-        } else if (char === '[') {
-          bracketCount++;
-        } else if (char === ']') {
-          bracketCount--;
-        }
-
-        // Check if we've completed a valid JSON object/array
-        if (braceCount === 0 && bracketCount === 0 && (trimmed.startsWith('{') || trimmed.startsWith('['))) {
-          jsonEnd = i;
-          break;
-        }
-      }
-    }
-
-    if (jsonEnd >= 0) {
-      return trimmed.substring(0, jsonEnd + 1);
-    }
-
-    return null;
-  }
-
-  /**
-   * Split JSON objects by finding complete object boundaries
-   * Enhanced version that prevents isolated braces and validates objects
-   */
-  splitJSONObjects(jsonStr) {
-    const objects = [];
-    let braceCount = 0;
-    let currentObject = '';
-    let inString = false;
-    let escapeNext = false;
-    let hasOpenedBrace = false; // Track if we've seen an opening brace
-
-    for (let i = 0; i < jsonStr.length; i++) {
-      const char = jsonStr[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        currentObject += char;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        currentObject += char;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-      }
-
-      if (!inString) {
-        if (char === '{') {
-          braceCount++;
-          hasOpenedBrace = true;
-        } else if (char === '}') {
-          braceCount--;
-        }
-      }
-
-      currentObject += char;
-
-      // Complete object found - only if we've seen an opening brace
-      if (braceCount === 0 && hasOpenedBrace && currentObject.trim()) {
-        const trimmedObject = currentObject.trim();
-        // Validate that this looks like valid JSON before adding
-        if (this.isLikelyValidJSON(trimmedObject)) {
-          objects.push(trimmedObject);
-        } else {
-          console.warn('aiFiverr StreamingChatbox: Skipping invalid JSON object:', trimmedObject.substring(0, 100));
-        }
-        currentObject = '';
-        hasOpenedBrace = false; // Reset for next object
-      }
-    }
-
-    // Only add remaining content if it contains an opening brace (valid JSON structure)
-    if (currentObject.trim() && currentObject.includes('{')) {
-      const trimmedRemaining = currentObject.trim();
-      if (this.isLikelyValidJSON(trimmedRemaining)) {
-        objects.push(trimmedRemaining);
-      } else {
-        console.warn('aiFiverr StreamingChatbox: Skipping invalid JSON object:', trimmedRemaining.substring(0, 100));
-      }
-    } else if (currentObject.trim()) {
-      // This is where isolated braces would be caught and ignored
-      console.log('aiFiverr StreamingChatbox: Ignoring invalid remaining content (likely isolated brace):', currentObject.trim());
-    }
-
-    return objects;
-  }
-
-  /**
-   * Quick validation to check if a string looks like valid JSON
-   * This prevents obviously invalid content from being passed to JSON.parse()
-   */
-  isLikelyValidJSON(str) {
-    if (!str || str.trim() === '') return false;
-
-    let trimmed = str.trim();
-
-    // Handle streaming prefixes - remove them for validation
-    if (trimmed.startsWith('data: ')) {
-      trimmed = trimmed.slice(6).trim();
-    }
-
-    // Handle streaming termination markers
-    if (trimmed === '[DONE]') {
-      return false; // Not JSON, but valid streaming marker
-    }
-
-    // Must start and end with proper JSON delimiters
-    const startsCorrectly = trimmed.startsWith('{') || trimmed.startsWith('[');
-    const endsCorrectly = trimmed.endsWith('}') || trimmed.endsWith(']');
-
-    if (!startsCorrectly || !endsCorrectly) {
-      return false;
-    }
-
-    // Check for balanced braces/brackets
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < trimmed.length; i++) {
-      const char = trimmed[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === '{') braceCount++;
-        else if (char === '}') braceCount--;
-        else if (char === '[') bracketCount++;
-        else if (char === ']') bracketCount--;
-      }
-    }
-
-    // Must have balanced braces and brackets
-    return braceCount === 0 && bracketCount === 0;
-  }
-
-  /**
-   * Advanced parsing with brace counting (fallback method)
-   * Enhanced with multiple recovery strategies and better error handling
-   */
-  parseWithBraceCounting(jsonStr) {
-    const results = [];
-    const objects = this.splitJSONObjects(jsonStr);
-
-    for (const obj of objects) {
-      // Skip empty or whitespace-only objects
-      if (!obj || obj.trim() === '') continue;
-
-      try {
-        // Try to sanitize the object first
-        const sanitizedObj = this.sanitizeJSONChunk(obj);
-        if (!sanitizedObj) continue;
-
-        // Additional validation before parsing
-        if (!this.isLikelyValidJSON(sanitizedObj)) {
-          console.warn('aiFiverr StreamingChatbox: Skipping object that doesn\'t look like valid JSON:', sanitizedObj.substring(0, 100));
-          continue;
-        }
-
-        const parsed = JSON.parse(sanitizedObj);
-        results.push(parsed);
-      } catch (parseError) {
-        console.warn('aiFiverr StreamingChatbox: Failed to parse JSON object:', parseError);
-        console.warn('aiFiverr StreamingChatbox: Object content:', obj.substring(0, 200) + (obj.length > 200 ? '...' : ''));
-
-        // Enhanced debugging for position-specific errors
-        if (parseError.message.includes('position')) {
-          const match = parseError.message.match(/position (\d+)/);
-          if (match) {
-            const position = parseInt(match[1]);
-            const sanitizedObj = this.sanitizeJSONChunk(obj);
-            const contentToAnalyze = sanitizedObj || obj;
-
-            console.warn('aiFiverr StreamingChatbox: Error at position', position);
-            if (position < contentToAnalyze.length) {
-              console.warn('aiFiverr StreamingChatbox: Character at position:', contentToAnalyze.charAt(position), '(code:', contentToAnalyze.charCodeAt(position), ')');
-              console.warn('aiFiverr StreamingChatbox: Context around position:', contentToAnalyze.substring(Math.max(0, position - 10), position + 10));
-            }
-            console.warn('aiFiverr StreamingChatbox: Full problematic content for debugging:', JSON.stringify(contentToAnalyze));
-          }
-        }
-
-        // Try multiple recovery strategies
-        const recoveryStrategies = [
-          () => this.extractValidJSON(obj),
-          () => this.extractValidJSON(this.sanitizeJSONChunk(obj)),
-          () => this.attemptJSONFix(obj),
-          () => this.attemptJSONFix(this.sanitizeJSONChunk(obj)),
-          () => this.aggressiveJSONExtraction(obj)
-        ];
-
-        let recovered = false;
-        for (const strategy of recoveryStrategies) {
-          try {
-            const recoveredJSON = strategy();
-            if (recoveredJSON && this.isLikelyValidJSON(recoveredJSON)) {
-              const parsed = JSON.parse(recoveredJSON);
-              results.push(parsed);
-              console.log('aiFiverr StreamingChatbox: Successfully recovered JSON using recovery strategy');
-              recovered = true;
-              break;
-            }
-          } catch (recoveryError) {
-            // Continue to next strategy
-          }
-        }
-
-        if (!recovered) {
-          console.warn('aiFiverr StreamingChatbox: All JSON recovery attempts failed for object:', obj.substring(0, 100));
-        }
-      }
-    }
-
-    return results;
-  }
-
-  /**
-   * Attempt to fix common JSON formatting issues
-   */
-  attemptJSONFix(jsonStr) {
-    if (!jsonStr || jsonStr.trim() === '') return null;
-
-    let fixed = jsonStr.trim();
-
-    // Fix common issues:
-    // 1. Remove trailing commas before closing braces/brackets
-    fixed = fixed.replace(/,(\s*[}\]])/g, '$1');
-
-    // 2. Fix unescaped quotes in strings (basic attempt)
-    // This is risky but might help with some cases
-    fixed = fixed.replace(/([^\\])"([^"]*)"([^,}\]:])/g, '$1\\"$2\\"$3');
-
-    // 3. Remove any trailing non-JSON content after a complete JSON object
-    const extractedJSON = this.extractValidJSON(fixed);
-    if (extractedJSON) {
-      return extractedJSON;
-    }
-
-    // 4. Try to close incomplete objects/arrays
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escapeNext = false;
-
-    for (let i = 0; i < fixed.length; i++) {
-      const char = fixed[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === '{') braceCount++;
-        else if (char === '}') braceCount--;
-        else if (char === '[') bracketCount++;
-        else if (char === ']') bracketCount--;
-      }
-    }
-
-    // Add missing closing braces/brackets
-    while (braceCount > 0) {
-      fixed += '}';
-      braceCount--;
-    }
-    while (bracketCount > 0) {
-      fixed += ']';
-      bracketCount--;
-    }
-
-    return fixed;
-  }
-
-  /**
-   * Aggressive JSON extraction for difficult cases
-   * This method tries to find any valid JSON within the string, even if it's embedded
-   */
-  aggressiveJSONExtraction(str) {
-    if (!str || str.trim() === '') return null;
-
-    const trimmed = str.trim();
-
-    // Try to find the first occurrence of { or [ and extract from there
-    let startIndex = -1;
-    for (let i = 0; i < trimmed.length; i++) {
-      if (trimmed[i] === '{' || trimmed[i] === '[') {
-        startIndex = i;
-        break;
-      }
-    }
-
-    if (startIndex === -1) return null;
-
-    // Extract from the start index and try to find a complete JSON object
-    const candidate = trimmed.substring(startIndex);
-
-    // Use the existing extractValidJSON method on this candidate
-    const extracted = this.extractValidJSON(candidate);
-    if (extracted) {
-      return extracted;
-    }
-
-    // If that fails, try a more aggressive approach - look for the longest valid JSON
-    let braceCount = 0;
-    let bracketCount = 0;
-    let inString = false;
-    let escapeNext = false;
-    let bestEnd = -1;
-
-    for (let i = 0; i < candidate.length; i++) {
-      const char = candidate[i];
-
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
-      }
-
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
-      }
-
-      if (char === '"') {
-        inString = !inString;
-        continue;
-      }
-
-      if (!inString) {
-        if (char === '{') braceCount++;
-        else if (char === '}') braceCount--;
-        else if (char === '[') bracketCount++;
-        else if (char === ']') bracketCount--;
-
-        // Check if we have a complete, balanced structure
-        if (braceCount === 0 && bracketCount === 0 && i > 0) {
-          bestEnd = i;
-          // Don't break immediately - continue to find the longest valid JSON
-        }
-      }
-    }
-
-    if (bestEnd >= 0) {
-      return candidate.substring(0, bestEnd + 1);
-    }
-
-    return null;
-  }
-
-  /**
-   * Process streaming response (Enhanced with SSE support)
+   * Process streaming chunks from the active provider
    */
-  async processStreamResponse(response) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
+  async processStreamResponse(stream) {
     let fullResponse = '';
     let chunkCount = 0;
     let groundingMetadata = null; // Track grounding metadata for final processing
+    let finishReason = null;
+    let blockReason = null;
+    let safetyRatings = null;
+    let usageMetadata = null;
+    let cancelled = false;
+    const functionCalls = [];
 
     const contentDiv = this.currentStreamingMessage.querySelector('.chatbox-message-content');
 
@@ -2211,89 +1792,75 @@ class StreamingChatbox {
     console.log('aiFiverr StreamingChatbox: Starting stream processing');
 
     try {
-      while (true) {
-        const { done, value } = await reader.read();
+      try {
+        for await (const chunk of stream) {
+          chunkCount++;
 
-        if (done) {
-          console.log('aiFiverr StreamingChatbox: Stream completed, processed', chunkCount, 'chunks');
-          break;
-        }
+          if (chunk.text) {
+            fullResponse += chunk.text;
+            contentDiv.innerHTML = this.formatMessage(fullResponse, { editMode: false });
+            // Store original markdown for editing
+            contentDiv.dataset.originalMarkdown = fullResponse;
+            this.scrollToBottom();
+          }
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
+          // Capture grounding metadata if available
+          if (chunk.groundingMetadata) {
+            groundingMetadata = chunk.groundingMetadata;
+            console.log('aiFiverr StreamingChatbox: Captured grounding metadata');
+          }
 
-        for (const line of lines) {
-          if (line.trim() === '') continue;
+          if (chunk.finishReason) finishReason = chunk.finishReason;
+          if (chunk.blockReason) blockReason = chunk.blockReason;
+          if (chunk.safetyRatings) safetyRatings = chunk.safetyRatings;
+          if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+          if (chunk.functionCalls) functionCalls.push(...chunk.functionCalls);
+        }
+      } catch (streamError) {
+        // Stop button - keep the partial text instead of failing the message
+        if (streamError.name !== 'AbortError') {
+          throw streamError;
+        }
+        cancelled = true;
+      }
 
-          chunkCount++;
+      console.log('aiFiverr StreamingChatbox: Stream completed, processed', chunkCount, 'chunks, finish reason:', finishReason);
+      this.lastUsageMetadata = usageMetadata;
 
-          try {
-            // Handle Server-Sent Events format (like working example)
-            if (line.startsWith('data: ')) {
-              const jsonData = line.substring(6); // Remove 'data: ' prefix
-
-              // Handle SSE termination marker
-              if (jsonData.trim() === '[DONE]') {
-                console.log('aiFiverr StreamingChatbox: SSE streaming completed with [DONE] marker');
-                return; // Exit the function
-              }
-
-              // Debug logging for chunks
-              console.log('aiFiverr StreamingChatbox: Processing SSE chunk', chunkCount + ':', jsonData.substring(0, 100) + (jsonData.length > 100 ? '...' : ''));
-
-              // Parse JSON response chunk
-              const chunk = JSON.parse(jsonData);
-
-              if (chunk.candidates && chunk.candidates[0] && chunk.candidates[0].content && chunk.candidates[0].content.parts) {
-                const textPart = chunk.candidates[0].content.parts.find(part => part.text);
-                if (textPart && textPart.text) {
-                  const text = textPart.text;
-                  fullResponse += text;
-                  contentDiv.innerHTML = this.formatMessage(fullResponse, { editMode: false });
-                  // Store original markdown for editing
-                  contentDiv.dataset.originalMarkdown = fullResponse;
-                  this.scrollToBottom();
-                  console.log('aiFiverr StreamingChatbox: Added text chunk:', text.substring(0, 50) + (text.length > 50 ? '...' : ''));
-                }
-
-                // Capture grounding metadata if available
-                if (chunk.candidates[0].groundingMetadata) {
-                  groundingMetadata = chunk.candidates[0].groundingMetadata;
-                  console.log('aiFiverr StreamingChatbox: Captured grounding metadata');
-                }
-              }
-            } else {
-              // Fallback: try to parse as direct JSON (for compatibility)
-              console.log('aiFiverr StreamingChatbox: Processing non-SSE chunk:', line.substring(0, 100) + (line.length > 100 ? '...' : ''));
-
-              const jsonObjects = this.parseMultipleJSONObjects(line);
-              for (const data of jsonObjects) {
-                if (data && data.candidates && data.candidates[0] && data.candidates[0].content) {
-                  const text = data.candidates[0].content.parts[0]?.text || '';
-                  if (text) {
-                    fullResponse += text;
-                    contentDiv.innerHTML = this.formatMessage(fullResponse, { editMode: false });
-                    // Store original markdown for editing
-                    contentDiv.dataset.originalMarkdown = fullResponse;
-                    this.scrollToBottom();
-                  }
-                }
-              }
-            }
-          } catch (parseError) {
-            console.warn('aiFiverr StreamingChatbox: Failed to parse streaming chunk:', parseError.message);
-            console.warn('aiFiverr StreamingChatbox: Problematic line:', line.substring(0, 200) + (line.length > 200 ? '...' : ''));
-            // Continue processing other lines even if one fails
-          }
-        }
+      // Tell the user when the response was stopped early
+      const safety = cancelled ? null : ContentSafety.describe({ finishReason, blockReason, safetyRatings });
+      const finishNotice = this.getFinishNotice(safety, cancelled);
+      if (finishNotice) {
+        const displayText = fullResponse ? `${fullResponse}\n\n> ${finishNotice}` : `> ${finishNotice}`;
+        contentDiv.innerHTML = this.formatMessage(displayText, { editMode: false });
+        contentDiv.dataset.originalMarkdown = fullResponse;
+        this.scrollToBottom();
+      }
+
+      // A stopped response cannot continue with tool results, so its calls are dropped
+      if (cancelled) {
+        functionCalls.length = 0;
       }
 
-      // Add to conversation history
-      this.conversationHistory.push({
+      // Add to conversation history (model turns must not be empty; function calls are sent back as received)
+      const textParts = fullResponse || functionCalls.length === 0
+        ? [{ text: fullResponse || finishNotice || '(no response)' }]
+        : [];
+      const historyEntry = {
         role: 'model',
-        parts: [{ text: fullResponse }]
-      });
+        parts: [...textParts, ...functionCalls]
+      };
+      if (cancelled) {
+        historyEntry.cancelled = true; // Kept for the transcript, skipped by AIRequestClient.buildHistory
+      }
+      this.conversationHistory.push(historyEntry);
+
+      // A turn with only function calls leaves no text to show - the tool calls take its place
+      if (functionCalls.length > 0 && !fullResponse) {
+        this.currentStreamingMessage.remove();
+        this.currentStreamingMessage = null;
+        return functionCalls;
+      }
 
       // Process grounding metadata if available
       if (groundingMetadata) {
@@ -2315,16 +1882,59 @@ class StreamingChatbox {
           <button class="chatbox-action-btn chatbox-copy-btn">📋 <small>T|M</small></button>
           <button class="chatbox-action-btn chatbox-edit-btn">✏️ Edit</button>
           <button class="chatbox-action-btn chatbox-insert-btn">📝 Insert</button>
+          ${safety ? '<button class="chatbox-action-btn chatbox-retry-btn" title="Ask again with an adjusted prompt">🔁 Retry adjusted</button>' : ''}
         `;
         contentDiv.appendChild(actionsDiv);
       }
+      this.currentStreamingMessage._safety = safety;
 
+      return functionCalls;
     } catch (error) {
       console.error('Stream processing error:', error);
       throw error;
     }
   }
 
+  /**
+   * Explain why the response was cut short (stop button, content filter, token limit)
+   */
+  getFinishNotice(safety, cancelled = false) {
+    if (cancelled) {
+      return '⏹️ Generation stopped.';
+    }
+    if (safety) {
+      return safety.blocked
+        ? `${safety.message} Rephrase your message or use 🔁 Retry adjusted.`
+        : safety.message;
+    }
+    return null;
+  }
+
+  /**
+   * Replace a blocked or truncated response with one generated from an adjusted prompt
+   */
+  async retryWithAdjustedPrompt(button) {
+    const messageElement = button.closest('.chatbox-message');
+    if (this.isStreaming || !messageElement?._safety) return;
+
+    if (messageElement !== this.messagesContainer.lastElementChild) {
+      this.updateStatus('Only the latest response can be retried', 'warning');
+      return;
+    }
+
+    // The last user turn with text is the message that produced this response
+    const userIndex = this.conversationHistory.map(entry => entry.role === 'user' && entry.parts?.some(part => part.text !== undefined)).lastIndexOf(true);
+    if (userIndex === -1) return;
+
+    const textPart = this.conversationHistory[userIndex].parts.find(part => part.text !== undefined);
+    textPart.text = ContentSafety.adjustPrompt(textPart.text, messageElement._safety);
+    this.conversationHistory.length = userIndex + 1;
+    messageElement.remove();
+
+    console.log('aiFiverr StreamingChatbox: Retrying with adjusted prompt after', messageElement._safety.reason);
+    await this.streamResponse();
+  }
+
   /**
    * Handle streaming errors with better user feedback
    */
@@ -2341,9 +1951,10 @@ class StreamingChatbox {
           // File permission errors should display as-is with proper context
           errorMessage += error.message.replace('File access error: ', '');
         } else if (error.message.includes('You do not have permission to access the File') ||
+                   error.message.includes('Stale file reference detected') ||
                    (error.message.includes('403') && error.message.includes('File'))) {
           // Handle specific file permission errors from API
-          const fileIdMatch = error.message.match(/File (\w+)/);
+          const fileIdMatch = error.message.match(/File (\w+)/) || error.message.match(/Stale file reference detected \((\w+)\)/);
           const fileId = fileIdMatch ? fileIdMatch[1] : 'unknown';
 
           // Add to suspicious files list
@@ -2850,6 +2461,28 @@ class StreamingChatbox {
     }
   }
 
+  /**
+   * Show the token budget breakdown of the request being sent (null hides it)
+   */
+  showBudget(budget) {
+    const budgetElement = this.chatboxElement?.querySelector('.chatbox-budget');
+    if (!budgetElement) return;
+
+    if (!budget) {
+      budgetElement.style.display = 'none';
+      budgetElement.textContent = '';
+      return;
+    }
+
+    const trimmed = budget.trimmed.length > 0;
+    budgetElement.textContent = trimmed
+      ? `✂️ Trimmed ${budget.trimmed.join(', ')} - ${TokenBudget.format(budget)}`
+      : `📊 ${TokenBudget.format(budget)}`;
+    budgetElement.title = budgetElement.textContent;
+    budgetElement.className = `chatbox-budget${trimmed ? ' trimmed' : ''}`;
+    budgetElement.style.display = '';
+  }
+
   /**
    * Update status message
    */
@@ -0,0 +1,311 @@
+/**
+ * Structured Output for aiFiverr Extension
+ * JSON response schemas: parsing, validation and card rendering
+ *
+ * Schemas use Gemini's responseSchema format (an OpenAPI subset: type, properties, required,
+ * items, enum, minimum, maximum, nullable, description). Types may be upper or lower case.
+ * Providers without responseSchema support get the same schema as JSON Schema via toJsonSchema().
+ */
+
+class StructuredOutput {
+  /**
+   * Parse model text as JSON, tolerating ```json fences and text around the object
+   */
+  static parse(text) {
+    const trimmed = (text || '').trim();
+    const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    const candidate = fenced ? fenced[1] : trimmed;
+
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      const start = candidate.search(/[{[]/);
+      const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        return JSON.parse(candidate.slice(start, end + 1));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a value against a schema - returns a list of "path: problem" strings
+   */
+  static validate(value, schema, path = 'result') {
+    if (!schema) return [];
+
+    const errors = [];
+    const type = (schema.type || '').toLowerCase();
+
+    if (value === null || value === undefined) {
+      if (!schema.nullable) {
+        errors.push(`${path}: value is missing`);
+      }
+      return errors;
+    }
+
+    switch (type) {
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${path}: expected an object`);
+          break;
+        }
+        (schema.required || []).forEach(key => {
+          if (value[key] === undefined) {
+            errors.push(`${path}.${key}: required field is missing`);
+          }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+          if (value[key] !== undefined) {
+            errors.push(...StructuredOutput.validate(value[key], propertySchema, `${path}.${key}`));
+          }
+        });
+        break;
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${path}: expected an array`);
+          break;
+        }
+        value.forEach((item, index) => {
+          errors.push(...StructuredOutput.validate(item, schema.items, `${path}[${index}]`));
+        });
+        break;
+
+      case 'string':
+        if (typeof value !== 'string') {
+          errors.push(`${path}: expected a string`);
+        }
+        break;
+
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value)) {
+          errors.push(`${path}: expected a number`);
+          break;
+        }
+        if (type === 'integer' && !Number.isInteger(value)) {
+          errors.push(`${path}: expected a whole number`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+          errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+        break;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${path}: expected true or false`);
+        }
+        break;
+
+      default:
+        break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse and validate a response - { data, valid, errors }
+   */
+  static process(text, schema) {
+    let data;
+    try {
+      data = StructuredOutput.parse(text);
+    } catch (error) {
+      return { data: null, valid: false, errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const errors = StructuredOutput.validate(data, schema);
+    return { data, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check that a user supplied schema is usable - returns an error message or null
+   */
+  static checkSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return 'Schema must be a JSON object';
+    }
+
+    const validTypes = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+    if (!validTypes.includes((schema.type || '').toLowerCase())) {
+      return `Schema type must be one of ${validTypes.join(', ')}`;
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      const problem = StructuredOutput.checkSchema(propertySchema);
+      if (problem) return `${key}: ${problem}`;
+    }
+
+    if (schema.items) {
+      const problem = StructuredOutput.checkSchema(schema.items);
+      if (problem) return `items: ${problem}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a Gemini responseSchema to standard JSON Schema (lower case types)
+   */
+  static toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === 'type') {
+        converted.type = schema.nullable ? [value.toLowerCase(), 'null'] : value.toLowerCase();
+      } else if (key === 'properties') {
+        converted.properties = Object.fromEntries(
+          Object.entries(value).map(([name, propertySchema]) => [name, StructuredOutput.toJsonSchema(propertySchema)])
+        );
+      } else if (key === 'items') {
+        converted.items = StructuredOutput.toJsonSchema(value);
+      } else if (key !== 'nullable' && key !== 'propertyOrdering') {
+        converted[key] = value;
+      }
+    });
+
+    return converted;
+  }
+
+  /**
+   * Render structured data as HTML cards, one per top-level field
+   */
+  static renderCards(data, schema = {}) {
+    const escape = StructuredOutput.escapeHtml;
+    const properties = schema.properties || {};
+    const entries = data && typeof data === 'object' && !Array.isArray(data)
+      ? Object.entries(data)
+      : [['result', data]];
+
+    const cards = entries.map(([key, value]) => {
+      const propertySchema = properties[key] || {};
+      const label = propertySchema.title || StructuredOutput.humanizeKey(key);
+
+      return `
+        <div class="aifiverr-structured-card${StructuredOutput.isLevelValue(value) ? ` level-${escape(String(value).toLowerCase())}` : ''}">
+          <div class="aifiverr-structured-label">${escape(label)}</div>
+          <div class="aifiverr-structured-value">${StructuredOutput.renderValue(value, propertySchema)}</div>
+        </div>
+      `;
+    });
+
+    return `<div class="aifiverr-structured-cards">${cards.join('')}</div>`;
+  }
+
+  /**
+   * Render a single value - lists become chips, bounded numbers get a meter
+   */
+  static renderValue(value, schema = {}) {
+    const escape = StructuredOutput.escapeHtml;
+
+    if (value === null || value === undefined || value === '') {
+      return '<span class="aifiverr-structured-empty">Not specified</span>';
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return '<span class="aifiverr-structured-empty">None</span>';
+      }
+      if (value.every(item => typeof item !== 'object')) {
+        return value.map(item => `<span class="aifiverr-structured-chip">${escape(String(item))}</span>`).join('');
+      }
+      return value.map(item => StructuredOutput.renderValue(item, schema.items || {})).join('');
+    }
+
+    if (typeof value === 'object') {
+      const properties = schema.properties || {};
+      return `<dl class="aifiverr-structured-object">${Object.entries(value).map(([key, nested]) => `
+        <dt>${escape(StructuredOutput.humanizeKey(key))}</dt>
+        <dd>${StructuredOutput.renderValue(nested, properties[key] || {})}</dd>
+      `).join('')}</dl>`;
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && schema.maximum !== undefined && schema.maximum > schema.minimum) {
+      const percent = Math.round(((value - schema.minimum) / (schema.maximum - schema.minimum)) * 100);
+      const clamped = Math.max(0, Math.min(100, percent));
+      return `
+        <div class="aifiverr-structured-meter"><span style="width: ${clamped}%"></span></div>
+        <span class="aifiverr-structured-number">${escape(String(value))} / ${escape(String(schema.maximum))}</span>
+      `;
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+
+    return escape(String(value));
+  }
+
+  /**
+   * Plain text version of structured data for copying and inserting
+   */
+  static toText(data, schema = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return JSON.stringify(data, null, 2);
+    }
+
+    const properties = schema.properties || {};
+    const formatItem = item => (item && typeof item === 'object' ? JSON.stringify(item) : item);
+
+    return Object.entries(data).map(([key, value]) => {
+      const label = properties[key]?.title || StructuredOutput.humanizeKey(key);
+      let text = value ?? 'Not specified';
+      if (Array.isArray(value)) {
+        text = value.map(formatItem).join(', ');
+      } else if (value && typeof value === 'object') {
+        text = formatItem(value);
+      }
+      return `${label}: ${text}`;
+    }).join('\n');
+  }
+
+  /**
+   * Risk-style values (low/medium/high) get a colour class
+   */
+  static isLevelValue(value) {
+    return typeof value === 'string' && ['low', 'medium', 'high'].includes(value.toLowerCase());
+  }
+
+  /**
+   * fitScore -> "Fit Score", due_date -> "Due Date"
+   */
+  static humanizeKey(key) {
+    return String(key)
+      .replace(/[_-]+/g, ' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/\b\w/g, char => char.toUpperCase());
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Example schema used by the built-in brief analysis prompt
+StructuredOutput.BRIEF_ANALYSIS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    budget: { type: 'STRING', description: 'Budget stated by the buyer, with currency, or "Not specified"' },
+    deadline: { type: 'STRING', description: 'Requested deadline or timeline, or "Not specified"' },
+    skills: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Skills needed to deliver the project' },
+    risk: { type: 'STRING', enum: ['low', 'medium', 'high'], description: 'Risk of scope creep, unclear requirements or payment issues' },
+    fitScore: { type: 'INTEGER', minimum: 0, maximum: 100, description: 'How well the project fits my services (0-100)' }
+  },
+  required: ['budget', 'deadline', 'skills', 'risk', 'fitScore'],
+  propertyOrdering: ['budget', 'deadline', 'skills', 'risk', 'fitScore']
+};
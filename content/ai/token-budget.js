@@ -0,0 +1,205 @@
+/**
+ * Token Budget for aiFiverr Extension
+ * Token estimation, per-request budget breakdown and priority trimming
+ *
+ * Estimates follow Gemini's published rules of thumb: about 4 characters per text token, 258 tokens
+ * per image and per PDF page. They are deliberately rough - when settings.exactTokenCount is on the
+ * AIRequestClient replaces the total with the provider's countTokens() result.
+ *
+ * A budget is { conversation, variables, files, history, system, total, limit, exact, trimmed }:
+ *   conversation - the current user turn's own text (prompt template, message, Fiverr context)
+ *   variables    - text substituted from {variables} and {{knowledge base variables}}
+ *   files        - attached file parts (knowledge base files) in any turn
+ *   history      - text of earlier turns
+ *   system       - the system instruction
+ */
+
+class TokenBudget {
+  /**
+   * Estimate tokens for a piece of text
+   */
+  static estimateText(text) {
+    return text ? Math.ceil(String(text).length / TokenBudget.CHARS_PER_TOKEN) : 0;
+  }
+
+  /**
+   * Estimate tokens for an attached file from its MIME type and size in bytes
+   */
+  static estimateFile(file = {}) {
+    if (typeof file.tokenCount === 'number') {
+      return file.tokenCount;
+    }
+
+    const mimeType = file.mimeType || '';
+    const size = Number(file.size) || 0;
+
+    if (mimeType.startsWith('image/')) {
+      return TokenBudget.TOKENS_PER_IMAGE;
+    }
+
+    if (!size) {
+      return TokenBudget.UNKNOWN_FILE_TOKENS;
+    }
+
+    if (mimeType === 'application/pdf') {
+      const pages = Math.max(1, Math.round(size / TokenBudget.BYTES_PER_PDF_PAGE));
+      return pages * TokenBudget.TOKENS_PER_IMAGE;
+    }
+
+    return Math.ceil(size / TokenBudget.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Break a Gemini-shaped payload down by category
+   * fileSizes maps fileUri -> { size, mimeType, tokenCount }; variableCharacters is the length of
+   * the variable text substituted into the current turn
+   */
+  static measure(payload, options = {}) {
+    const { fileSizes = {}, variableCharacters = 0, limit = null } = options;
+    const budget = { conversation: 0, variables: 0, files: 0, history: 0, system: 0, total: 0, limit, exact: false, trimmed: [] };
+    const contents = payload.contents || [];
+    const currentIndex = TokenBudget.findCurrentTurn(contents);
+
+    contents.forEach((content, index) => {
+      (content.parts || []).forEach(part => {
+        if (part.fileData) {
+          budget.files += TokenBudget.estimateFile({
+            mimeType: part.fileData.mimeType,
+            ...(fileSizes[part.fileData.fileUri] || {})
+          });
+        } else if (part.text || part.functionCall || part.functionResponse) {
+          // Function calls and results are billed as their JSON text
+          const tokens = TokenBudget.estimateText(part.text || JSON.stringify(part.functionCall || part.functionResponse));
+          if (index === currentIndex) {
+            budget.conversation += tokens;
+          } else {
+            budget.history += tokens;
+          }
+        }
+      });
+    });
+
+    // Variable text is part of the current turn - move its share out of the conversation count
+    budget.variables = Math.min(budget.conversation, Math.ceil(variableCharacters / TokenBudget.CHARS_PER_TOKEN));
+    budget.conversation -= budget.variables;
+
+    (payload.systemInstruction?.parts || []).forEach(part => {
+      budget.system += TokenBudget.estimateText(part.text);
+    });
+
+    budget.total = budget.conversation + budget.variables + budget.files + budget.history + budget.system;
+    return budget;
+  }
+
+  /**
+   * Index of the current (last) user turn
+   */
+  static findCurrentTurn(contents) {
+    for (let i = contents.length - 1; i >= 0; i--) {
+      if (contents[i].role === 'user') return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Index of the last user turn that can start the history
+   */
+  static findLastTurnStart(contents) {
+    for (let i = contents.length - 1; i >= 0; i--) {
+      if (TokenBudget.isTurnStart(contents[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Function results belong to the model's functionCall before them, so they never start the history
+   */
+  static isTurnStart(content) {
+    return content.role === 'user' && !(content.parts || []).some(part => part.functionResponse);
+  }
+
+  /**
+   * Trim a payload in place until its estimate fits the limit
+   * Priority: oldest history turns first, then the largest files, then the middle of the current text.
+   * Returns a list of human readable notes describing what was removed.
+   */
+  static trim(payload, options = {}) {
+    const { limit } = options;
+    const trimmed = [];
+    const total = () => TokenBudget.measure(payload, options).total;
+
+    if (!limit || total() <= limit) {
+      return trimmed;
+    }
+
+    // 1. Oldest history turns - the turn order must still start with a user turn, and a functionCall
+    // is dropped together with its functionResponse
+    let droppedTurns = 0;
+    while (total() > limit && TokenBudget.findLastTurnStart(payload.contents) > 0) {
+      payload.contents.shift();
+      droppedTurns++;
+      while (payload.contents.length > 1 && !TokenBudget.isTurnStart(payload.contents[0])) {
+        payload.contents.shift();
+        droppedTurns++;
+      }
+    }
+    if (droppedTurns > 0) {
+      trimmed.push(`${droppedTurns} earlier message${droppedTurns === 1 ? '' : 's'}`);
+    }
+
+    // 2. Attached files, largest first
+    const current = payload.contents[TokenBudget.findLastTurnStart(payload.contents)];
+    if (!current) {
+      return trimmed;
+    }
+
+    const fileSizes = options.fileSizes || {};
+    const fileCost = part => TokenBudget.estimateFile({ mimeType: part.fileData.mimeType, ...(fileSizes[part.fileData.fileUri] || {}) });
+    let droppedFiles = 0;
+    while (total() > limit && current.parts.some(part => part.fileData)) {
+      const largest = current.parts
+        .filter(part => part.fileData)
+        .reduce((max, part) => (fileCost(part) > fileCost(max) ? part : max));
+      current.parts.splice(current.parts.indexOf(largest), 1);
+      droppedFiles++;
+    }
+    if (droppedFiles > 0) {
+      trimmed.push(`${droppedFiles} knowledge base file${droppedFiles === 1 ? '' : 's'}`);
+    }
+
+    // 3. The middle of the current text - the instructions at the start and the question at the end are kept
+    const overflow = total() - limit;
+    const textPart = current.parts.filter(part => part.text).sort((a, b) => b.text.length - a.text.length)[0];
+    if (overflow > 0 && textPart) {
+      const removeChars = Math.min(textPart.text.length, overflow * TokenBudget.CHARS_PER_TOKEN + TokenBudget.TRIM_MARKER_CHARS);
+      const keepChars = textPart.text.length - removeChars;
+      const head = textPart.text.slice(0, Math.ceil(keepChars / 2));
+      const tail = textPart.text.slice(textPart.text.length - Math.floor(keepChars / 2));
+      textPart.text = `${head}\n\n[... ${removeChars} characters trimmed to fit the context budget ...]\n\n${tail}`;
+      trimmed.push(`${removeChars} characters of the current message`);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * One-line summary for status displays
+   */
+  static format(budget) {
+    const number = value => value.toLocaleString();
+    const categories = ['conversation', 'variables', 'files', 'history']
+      .map(key => `${key} ${number(budget[key])}`);
+    if (budget.system > 0) {
+      categories.push(`system ${number(budget.system)}`);
+    }
+
+    const total = `${budget.exact ? '' : '~'}${number(budget.total)}${budget.limit ? ` / ${number(budget.limit)}` : ''} tokens`;
+    return `${total} (${categories.join(', ')})`;
+  }
+}
+
+TokenBudget.CHARS_PER_TOKEN = 4;
+TokenBudget.TOKENS_PER_IMAGE = 258;
+TokenBudget.BYTES_PER_PDF_PAGE = 50 * 1024;
+TokenBudget.UNKNOWN_FILE_TOKENS = 1000;
+TokenBudget.TRIM_MARKER_CHARS = 80;
@@ -0,0 +1,218 @@
+/**
+ * Usage Stats for aiFiverr Extension
+ * Token usage records, cost estimation and CSV export
+ *
+ * Each successful request is reported as one entry { day, key, model, prompt, inputTokens,
+ * cachedTokens, outputTokens } built from the response's usageMetadata. key is the keyRef of a
+ * Gemini key (labels are resolved when displayed) or a provider label. The service worker adds
+ * entries into chrome.storage.local.usageStats, keyed by day|key|model|prompt. Costs are not
+ * stored - they are estimated when displayed from settings.priceTable (USD per 1M tokens), so
+ * editing a price re-prices all history.
+ */
+
+class UsageStats {
+  /**
+   * Build a usage entry from a Gemini-shaped usageMetadata (null when there is nothing to record)
+   */
+  static fromUsageMetadata(usageMetadata, details = {}) {
+    if (!usageMetadata) return null;
+
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const cachedTokens = usageMetadata.cachedContentTokenCount || 0;
+    // Thinking tokens are billed as output
+    const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+
+    if (promptTokens === 0 && outputTokens === 0) return null;
+
+    return {
+      day: UsageStats.dayKey(),
+      key: details.key || 'unknown',
+      model: details.model || 'unknown',
+      prompt: details.prompt || 'custom',
+      inputTokens: Math.max(0, promptTokens - cachedTokens),
+      cachedTokens,
+      outputTokens
+    };
+  }
+
+  /**
+   * Short, non-secret label for an API key
+   */
+  static keyLabel(apiKey, providerId = 'gemini') {
+    if (!apiKey) return providerId;
+    return `${providerId} …${String(apiKey).slice(-4)}`;
+  }
+
+  /**
+   * Local calendar day as YYYY-MM-DD
+   */
+  static dayKey(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Storage key of the aggregate record an entry belongs to
+   */
+  static recordKey(entry) {
+    return [entry.day, entry.key, entry.model, entry.prompt].join('|');
+  }
+
+  /**
+   * Add an entry into the stored records (mutates and returns records)
+   */
+  static addEntry(records, entry) {
+    const recordKey = UsageStats.recordKey(entry);
+    const record = records[recordKey] || {
+      day: entry.day,
+      key: entry.key,
+      model: entry.model,
+      prompt: entry.prompt,
+      requests: 0,
+      inputTokens: 0,
+      cachedTokens: 0,
+      outputTokens: 0
+    };
+
+    record.requests += 1;
+    record.inputTokens += entry.inputTokens || 0;
+    record.cachedTokens += entry.cachedTokens || 0;
+    record.outputTokens += entry.outputTokens || 0;
+    records[recordKey] = record;
+
+    return records;
+  }
+
+  /**
+   * Drop records older than the retention window
+   */
+  static prune(records, retentionDays = UsageStats.RETENTION_DAYS) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    const cutoffDay = UsageStats.dayKey(cutoff);
+
+    Object.keys(records).forEach(recordKey => {
+      if (records[recordKey].day < cutoffDay) {
+        delete records[recordKey];
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Price for a model - exact match first, then the longest matching model prefix
+   */
+  static getPrice(model, priceTable = UsageStats.DEFAULT_PRICES) {
+    if (priceTable[model]) return priceTable[model];
+
+    const prefix = Object.keys(priceTable)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? priceTable[prefix] : null;
+  }
+
+  /**
+   * Estimated cost in USD - null when the model has no price
+   */
+  static estimateCost(record, priceTable = UsageStats.DEFAULT_PRICES) {
+    const price = UsageStats.getPrice(record.model, priceTable);
+    if (!price) return null;
+
+    const perToken = value => (Number(value) || 0) / 1000000;
+    return record.inputTokens * perToken(price.input)
+      + record.cachedTokens * perToken(price.cachedInput ?? price.input)
+      + record.outputTokens * perToken(price.output);
+  }
+
+  /**
+   * Display name of a stored key - keyNames maps keyRefs to labels, older records hold a label already
+   */
+  static keyName(key, keyNames = {}) {
+    return keyNames[key] || key;
+  }
+
+  /**
+   * Group records by key, model, prompt or day, keeping only days on or after sinceDay
+   */
+  static summarize(records, groupBy = 'model', sinceDay = null, priceTable = UsageStats.DEFAULT_PRICES, keyNames = {}) {
+    const groups = new Map();
+
+    Object.values(records || {})
+      .filter(record => !sinceDay || record.day >= sinceDay)
+      .forEach(record => {
+        const name = record[groupBy] || 'unknown';
+        const group = groups.get(name) || {
+          name, requests: 0, inputTokens: 0, cachedTokens: 0, outputTokens: 0, cost: 0, unpriced: false
+        };
+
+        group.requests += record.requests;
+        group.inputTokens += record.inputTokens;
+        group.cachedTokens += record.cachedTokens;
+        group.outputTokens += record.outputTokens;
+
+        const cost = UsageStats.estimateCost(record, priceTable);
+        if (cost === null) {
+          group.unpriced = true;
+        } else {
+          group.cost += cost;
+        }
+
+        groups.set(name, group);
+      });
+
+    const rows = [...groups.values()];
+    if (groupBy === 'key') {
+      rows.forEach(row => { row.name = UsageStats.keyName(row.name, keyNames); });
+    }
+    return groupBy === 'day'
+      ? rows.sort((a, b) => b.name.localeCompare(a.name))
+      : rows.sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+  }
+
+  /**
+   * CSV with one line per stored record
+   */
+  static toCsv(records, priceTable = UsageStats.DEFAULT_PRICES, keyNames = {}) {
+    const header = ['day', 'key', 'model', 'prompt', 'requests', 'input_tokens', 'cached_tokens', 'output_tokens', 'estimated_cost_usd'];
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = Object.values(records || {})
+      .sort((a, b) => a.day.localeCompare(b.day) || a.key.localeCompare(b.key) || a.model.localeCompare(b.model))
+      .map(record => {
+        const cost = UsageStats.estimateCost(record, priceTable);
+        return [
+          record.day, UsageStats.keyName(record.key, keyNames), record.model, record.prompt, record.requests,
+          record.inputTokens, record.cachedTokens, record.outputTokens,
+          cost === null ? '' : cost.toFixed(6)
+        ].map(escape).join(',');
+      });
+
+    return [header.join(','), ...lines].join('\n');
+  }
+
+  /**
+   * $0.0123 style formatting for small amounts
+   */
+  static formatCost(cost) {
+    if (cost === null || cost === undefined) return '—';
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+}
+
+UsageStats.RETENTION_DAYS = 180;
+
+// USD per 1M tokens (standard paid tier, prompts up to 200k tokens) - editable in the popup
+UsageStats.DEFAULT_PRICES = {
+  'gemini-2.5-pro': { input: 1.25, cachedInput: 0.31, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, cachedInput: 0.075, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gemini-2.0-flash': { input: 0.10, cachedInput: 0.025, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, cachedInput: 0.075, output: 0.30 },
+  'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 }
+};
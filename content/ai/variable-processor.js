@@ -302,10 +302,14 @@ class VariableProcessor {
       // FIXED: Track which variables have been replaced to prevent duplication
       const replacedVariables = new Set();
 
+      // Length of substituted variable text, for the context budget breakdown
+      let variableCharacters = 0;
+
       // Replace single brace variables
       Object.entries(requiredContext).forEach(([key, value]) => {
         const regex = new RegExp(`\\{${key}\\}`, 'g');
         if (processedPrompt.includes(`{${key}}`)) {
+          variableCharacters += (value || '').length * (processedPrompt.match(regex) || []).length;
           processedPrompt = processedPrompt.replace(regex, value || '');
           replacedVariables.add(key);
           console.log(`aiFiverr Variable Processor: Replaced {${key}} with content length: ${(value || '').length}`);
@@ -317,7 +321,9 @@ class VariableProcessor {
         // Get references to avoid double processing
         const references = this.parsePromptReferences(processedPrompt);
         if (references.knowledgeBaseVariables.length > 0) {
+          const lengthBefore = processedPrompt.length;
           processedPrompt = window.knowledgeBaseManager.replaceVariables(processedPrompt);
+          variableCharacters += Math.max(0, processedPrompt.length - lengthBefore);
         }
       }
 
@@ -330,7 +336,8 @@ class VariableProcessor {
         prompt: processedPrompt,
         knowledgeBaseFiles: requiredFiles,
         usedVariables: Object.keys(requiredContext),
-        usedFiles: requiredFiles.map(f => f.name)
+        usedFiles: requiredFiles.map(f => f.name),
+        variableCharacters
       };
 
       console.log('aiFiverr Variable Processor: Processed prompt result:', {
@@ -347,7 +354,8 @@ class VariableProcessor {
         prompt: promptText,
         knowledgeBaseFiles: [],
         usedVariables: [],
-        usedFiles: []
+        usedFiles: [],
+        variableCharacters: 0
       };
     }
   }
@@ -0,0 +1,296 @@
+/**
+ * Brief Model for aiFiverr Extension
+ * Typed Fiverr briefs and their fit score against the seller profile
+ *
+ * fromDetails() turns the loose strings of FiverrExtractor.extractBriefDetails() into
+ *   { title, description, overview, requirements, budget, deadline, skills, extractedAt }
+ *   budget   - { min, max, currency, text }  (min or max null for "up to" / "from" budgets)
+ *   deadline - { date, days, text }           (date is a timestamp, days counted from extraction)
+ *   skills   - lower case, de-duplicated, common aliases merged ("React.js" -> "react")
+ *
+ * The seller profile is read from knowledge base variables (see PROFILE_VARIABLES):
+ *   {{skills}} comma separated, {{min_budget}} e.g. "$100", {{capacity}} days of lead time a new project needs
+ */
+
+class BriefModel {
+  /**
+   * Typed brief from extractBriefDetails() output - null when there is no brief
+   */
+  static fromDetails(details, now = Date.now()) {
+    if (!details) return null;
+
+    return {
+      title: details.title || null,
+      description: details.description || null,
+      overview: details.overview || null,
+      requirements: details.requirements || [],
+      budget: BriefModel.parseBudget(details.budget),
+      deadline: BriefModel.parseDeadline(details.deadline, now),
+      skills: BriefModel.normalizeSkills(details.skills),
+      extractedAt: details.extractedAt || now
+    };
+  }
+
+  /**
+   * { min, max, currency, text } from "$50 - $100", "Up to €500", "$1.5k+" - null without an amount
+   */
+  static parseBudget(text) {
+    if (!text) return null;
+
+    const source = String(text).replace(/\s+/g, ' ').trim();
+    const amounts = [];
+    let currency = null;
+
+    source.replace(BriefModel.AMOUNT_PATTERN, (match, before, number, suffix, after) => {
+      const symbol = before || after;
+      if (symbol && !currency) {
+        currency = BriefModel.CURRENCIES[symbol.toUpperCase()] || BriefModel.CURRENCIES[symbol] || null;
+      }
+      amounts.push(parseFloat(number.replace(/,/g, '')) * (suffix ? 1000 : 1));
+      return match;
+    });
+
+    if (amounts.length === 0) return null;
+
+    let min = Math.min(...amounts);
+    let max = Math.max(...amounts);
+    if (amounts.length === 1) {
+      if (/up to|under|less than|max(imum)?|below/i.test(source)) {
+        min = null;
+      } else if (/\+|from|at least|min(imum)?|over|above/i.test(source)) {
+        max = null;
+      }
+    }
+
+    return { min, max, currency, text: source };
+  }
+
+  /**
+   * { date, days, text } from "3 days", "Within 2 weeks", "ASAP" or a date - null when it can't be read
+   */
+  static parseDeadline(text, now = Date.now()) {
+    if (!text) return null;
+
+    const source = String(text).replace(/\s+/g, ' ').trim();
+    let days = null;
+
+    const relative = source.match(/(\d+(?:\.\d+)?)\s*(hour|day|week|month)s?/i);
+    if (relative) {
+      days = parseFloat(relative[1]) * BriefModel.DAYS_PER_UNIT[relative[2].toLowerCase()];
+    } else if (/asap|urgent|today|tomorrow|immediately/i.test(source)) {
+      days = 1;
+    } else if (/\d/.test(source)) {
+      // Date.parse reads almost anything once a year is added, so only try text with a day number
+      const cleaned = source.replace(/^(deadline|due|delivery|by|before)\s*:?\s*/i, '');
+      const hasYear = /\b\d{4}\b/.test(cleaned);
+      const year = new Date(now).getFullYear();
+      let timestamp = Date.parse(hasYear ? cleaned : `${cleaned}, ${year}`);
+
+      // "Jan 3" read in October is next January - only dates that are really past count as overdue
+      if (!hasYear && !isNaN(timestamp) && now - timestamp > BriefModel.YEAR_ROLLOVER_MS) {
+        timestamp = Date.parse(`${cleaned}, ${year + 1}`);
+      }
+      if (!isNaN(timestamp)) {
+        days = Math.max(0, (timestamp - now) / BriefModel.DAY_MS);
+      }
+    }
+
+    if (days === null) return null;
+
+    return { date: now + days * BriefModel.DAY_MS, days: Math.round(days * 10) / 10, text: source };
+  }
+
+  /**
+   * Normalized skill list - accepts strings with comma separated skills
+   */
+  static normalizeSkills(skills) {
+    const list = Array.isArray(skills) ? skills : [skills];
+    const normalized = list
+      .flatMap(skill => String(skill || '').split(/[,;\n|•]/))
+      .map(skill => BriefModel.normalizeSkill(skill))
+      .filter(Boolean);
+
+    return [...new Set(normalized)];
+  }
+
+  static normalizeSkill(skill) {
+    const name = String(skill || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9+#.\s-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/\.$/, '');
+
+    return BriefModel.SKILL_ALIASES[name] || name;
+  }
+
+  /**
+   * Seller profile from knowledge base variables - { skills, minBudget, capacityDays, configured }
+   */
+  static getSellerProfile(variables = {}) {
+    const names = BriefModel.PROFILE_VARIABLES;
+    const minBudget = BriefModel.parseBudget(variables[names.minBudget]);
+    const capacity = String(variables[names.capacity] || '').match(/\d+(?:\.\d+)?/);
+
+    const profile = {
+      skills: BriefModel.normalizeSkills(variables[names.skills]),
+      minBudget: minBudget ? { amount: minBudget.min ?? minBudget.max, currency: minBudget.currency } : null,
+      capacityDays: capacity ? parseFloat(capacity[0]) : null
+    };
+    profile.configured = profile.skills.length > 0 || !!profile.minBudget || profile.capacityDays !== null;
+
+    return profile;
+  }
+
+  /**
+   * Fit of a typed brief for the seller - { score (0-100), level, reasons: [{ type, text }] }
+   * Skills weigh 50 points, budget 30 and timeline 20; unknown parts score half their weight.
+   */
+  static score(brief, profile) {
+    const reasons = [];
+    const parts = [
+      BriefModel.scoreSkills(brief, profile, reasons),
+      BriefModel.scoreBudget(brief, profile, reasons),
+      BriefModel.scoreTimeline(brief, profile, reasons)
+    ];
+
+    const score = Math.round(parts.reduce((total, part) => total + part, 0));
+    const level = score >= 70 ? 'good' : score >= 40 ? 'fair' : 'poor';
+
+    return { score, level, reasons };
+  }
+
+  static scoreSkills(brief, profile, reasons) {
+    const weight = BriefModel.WEIGHTS.skills;
+    if (!profile.skills.length) {
+      reasons.push({ type: 'neutral', text: `Add a {{${BriefModel.PROFILE_VARIABLES.skills}}} variable to match skills` });
+      return weight / 2;
+    }
+
+    // Briefs without a skills list are matched against their text
+    const text = [brief.title, brief.description, brief.overview, ...(brief.requirements || [])].join(' ').toLowerCase();
+    const wanted = brief.skills.length
+      ? brief.skills
+      : profile.skills.filter(skill => BriefModel.mentions(text, skill));
+
+    if (!brief.skills.length) {
+      if (wanted.length === 0) {
+        reasons.push({ type: 'negative', text: 'None of your skills are mentioned in the brief' });
+        return 0;
+      }
+      reasons.push({ type: 'positive', text: `Mentions your skills: ${wanted.join(', ')}` });
+      return Math.min(weight, weight * (0.5 + wanted.length / 4));
+    }
+
+    // "wordpress" matches "wordpress plugins", but "c" doesn't match "css"
+    const matched = wanted.filter(skill => profile.skills.some(own => BriefModel.mentions(own, skill) || BriefModel.mentions(skill, own)));
+    const missing = wanted.filter(skill => !matched.includes(skill));
+
+    if (matched.length) {
+      reasons.push({ type: 'positive', text: `Matches ${matched.length} of ${wanted.length} skills: ${matched.join(', ')}` });
+    }
+    if (missing.length) {
+      reasons.push({ type: 'negative', text: `Missing skills: ${missing.join(', ')}` });
+    }
+
+    return weight * (matched.length / wanted.length);
+  }
+
+  static scoreBudget(brief, profile, reasons) {
+    const weight = BriefModel.WEIGHTS.budget;
+    const budget = brief.budget;
+    const minBudget = profile.minBudget;
+
+    if (!minBudget) {
+      reasons.push({ type: 'neutral', text: `Add a {{${BriefModel.PROFILE_VARIABLES.minBudget}}} variable to check budgets` });
+      return weight / 2;
+    }
+    if (!budget) {
+      reasons.push({ type: 'neutral', text: 'Budget not stated' });
+      return weight / 2;
+    }
+    if (budget.currency && minBudget.currency && budget.currency !== minBudget.currency) {
+      reasons.push({ type: 'neutral', text: `Budget is in ${budget.currency}, your minimum in ${minBudget.currency}` });
+      return weight / 2;
+    }
+
+    const top = budget.max ?? budget.min;
+    if (budget.max === null) {
+      // "From $X" budgets can still grow to the minimum
+      const meets = top >= minBudget.amount;
+      reasons.push({ type: meets ? 'positive' : 'neutral', text: `Open budget (${budget.text})` });
+      return meets ? weight : weight / 2;
+    }
+    if (top >= minBudget.amount) {
+      reasons.push({ type: 'positive', text: `Budget ${budget.text} meets your minimum` });
+      return weight;
+    }
+
+    reasons.push({ type: 'negative', text: `Budget ${budget.text} is below your minimum of ${minBudget.amount}` });
+    return top >= minBudget.amount / 2 ? weight * (top / minBudget.amount) / 2 : 0;
+  }
+
+  static scoreTimeline(brief, profile, reasons) {
+    const weight = BriefModel.WEIGHTS.timeline;
+    const deadline = brief.deadline;
+
+    if (profile.capacityDays === null) {
+      reasons.push({ type: 'neutral', text: `Add a {{${BriefModel.PROFILE_VARIABLES.capacity}}} variable (days you need) to check deadlines` });
+      return weight / 2;
+    }
+    if (!deadline) {
+      reasons.push({ type: 'neutral', text: 'Deadline not stated' });
+      return weight / 2;
+    }
+    if (deadline.days >= profile.capacityDays) {
+      reasons.push({ type: 'positive', text: `Deadline in ${deadline.days} days fits your ${profile.capacityDays} day lead time` });
+      return weight;
+    }
+
+    reasons.push({ type: 'negative', text: `Deadline in ${deadline.days} days, you need ${profile.capacityDays}` });
+    return weight * (deadline.days / profile.capacityDays);
+  }
+
+  /**
+   * Whether text mentions a skill as a whole word
+   */
+  static mentions(text, skill) {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+}
+
+BriefModel.DAY_MS = 24 * 60 * 60 * 1000;
+BriefModel.YEAR_ROLLOVER_MS = 180 * BriefModel.DAY_MS; // Year-less dates further back than this belong to next year
+BriefModel.DAYS_PER_UNIT = { hour: 1 / 24, day: 1, week: 7, month: 30 };
+BriefModel.WEIGHTS = { skills: 50, budget: 30, timeline: 20 };
+
+// Knowledge base variables holding the seller profile
+BriefModel.PROFILE_VARIABLES = { skills: 'skills', minBudget: 'min_budget', capacity: 'capacity' };
+
+// An amount with its currency before or after it: "$1,500", "1.5k USD", "€ 200"
+BriefModel.AMOUNT_PATTERN = /(US\$|\$|€|£|₹|USD|EUR|GBP|INR|AUD|CAD)?\s?(\d[\d,]*(?:\.\d+)?)\s?(k)?\b\s?(USD|EUR|GBP|INR|AUD|CAD)?/gi;
+
+BriefModel.CURRENCIES = {
+  'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR',
+  USD: 'USD', EUR: 'EUR', GBP: 'GBP', INR: 'INR', AUD: 'AUD', CAD: 'CAD'
+};
+
+BriefModel.SKILL_ALIASES = {
+  'js': 'javascript',
+  'ts': 'typescript',
+  'react.js': 'react',
+  'reactjs': 'react',
+  'node.js': 'node',
+  'nodejs': 'node',
+  'vue.js': 'vue',
+  'vuejs': 'vue',
+  'next.js': 'nextjs',
+  'wp': 'wordpress',
+  'ui ux': 'ui/ux',
+  'ux ui': 'ui/ux',
+  'ps': 'photoshop',
+  'adobe photoshop': 'photoshop',
+  'adobe illustrator': 'illustrator',
+  'search engine optimization': 'seo'
+};
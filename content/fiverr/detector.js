@@ -34,6 +34,8 @@ class FiverrDetector {
       return 'brief';
     } else if (url.includes('/create_offer') || url.includes('/proposals/')) {
       return 'proposal';
+    } else if (url.includes('/orders/')) {
+      return 'order';
     } else if (url.includes('/gigs/')) {
       return 'gig';
     } else {
@@ -100,6 +102,12 @@ class FiverrDetector {
       '[data-testid*="brief"]',
       '.brief-description',
       
+      // Order elements
+      '[data-testid*="order"]',
+      '[data-testid*="delivery"]',
+      '.order-activity',
+      '.delivery-message',
+      
       // General input elements
       'textarea',
       'input[type="text"]',
@@ -122,6 +130,7 @@ class FiverrDetector {
     this.detectChatElements();
     this.detectProposalElements();
     this.detectBriefElements();
+    this.detectOrderElements();
     this.detectInputElements();
     this.detectMessageElements();
 
@@ -222,6 +231,35 @@ class FiverrDetector {
     return elements;
   }
 
+  /**
+   * Detect order page elements - the message and delivery inputs
+   */
+  detectOrderElements() {
+    if (this.pageType !== 'order') {
+      this.detectedElements.set('order', []);
+      return [];
+    }
+
+    const orderSelectors = [
+      // Delivery form
+      '[data-testid*="delivery"] textarea',
+      '.delivery-message textarea',
+      'textarea[placeholder*="deliver"]',
+      'textarea[placeholder*="Deliver"]',
+
+      // Order activity message box
+      '[data-testid*="order"] textarea',
+      '.order-activity textarea',
+      'textarea[placeholder*="message"]',
+      'textarea[placeholder*="Type"]'
+    ];
+
+    const elements = this.findElements(orderSelectors).filter(el => el.offsetParent !== null);
+    this.detectedElements.set('order', elements);
+
+    return elements;
+  }
+
   /**
    * Detect general input elements
    */
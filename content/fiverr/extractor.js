@@ -9,7 +9,22 @@ class FiverrExtractor {
     this.conversationCache = new Map();
     this.extractionInProgress = false;
     this.storedConversations = new Map();
+    this.conversationWriteQueue = Promise.resolve();
     this.loadStoredConversations();
+    this.setupConversationListener();
+  }
+
+  /**
+   * Follow conversations written by other tabs and the service worker (inbox sync, batch results)
+   */
+  setupConversationListener() {
+    chrome.storage?.onChanged?.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes.fiverrConversations) return;
+
+      this.storedConversations = new Map(Object.entries(changes.fiverrConversations.newValue || {}));
+      // The storage manager would otherwise keep serving this tab's last copy
+      storageManager.cache?.delete('fiverrConversations');
+    });
   }
 
   /**
@@ -18,9 +33,7 @@ class FiverrExtractor {
   async loadStoredConversations() {
     try {
       const stored = await storageManager.get('fiverrConversations');
-      if (stored) {
-        this.storedConversations = new Map(Object.entries(stored));
-      }
+      this.storedConversations = new Map(Object.entries(stored.fiverrConversations || {}));
     } catch (error) {
       console.error('Failed to load stored conversations:', error);
     }
@@ -29,7 +42,9 @@ class FiverrExtractor {
   /**
    * Save conversation to storage
    */
-  async saveConversation(username, conversationData) {
+  async saveConversation(username, conversationData, options = {}) {
+    const { syncToDrive = true } = options;
+
     try {
       const conversationWithMeta = {
         ...conversationData,
@@ -37,10 +52,11 @@ class FiverrExtractor {
         lastUpdated: Date.now()
       };
 
-      this.storedConversations.set(username, conversationWithMeta);
-
-      const storageData = Object.fromEntries(this.storedConversations);
-      await storageManager.set({ 'fiverrConversations': storageData });
+      await this.updateStoredConversations(conversations => {
+        // Batch results are written by the service worker - the stored ones are the latest
+        const batchResults = conversations[username]?.batchResults || conversationWithMeta.batchResults;
+        conversations[username] = batchResults ? { ...conversationWithMeta, batchResults } : conversationWithMeta;
+      });
 
       // Also save to cache
       this.conversationCache.set(username, {
@@ -48,8 +64,10 @@ class FiverrExtractor {
         timestamp: Date.now()
       });
 
-      // Sync individual conversation to Google Drive
-      await this.syncConversationToGoogleDrive(username, conversationWithMeta);
+      // Sync individual conversation to Google Drive - skipped for fetch checkpoints
+      if (syncToDrive) {
+        await this.syncConversationToGoogleDrive(username, conversationWithMeta);
+      }
 
       return true;
     } catch (error) {
@@ -58,6 +76,22 @@ class FiverrExtractor {
     }
   }
 
+  /**
+   * Read-modify-write of the stored conversations, one record at a time
+   * Reads storage first so records written by other tabs and the service worker are kept
+   */
+  updateStoredConversations(update) {
+    const write = this.conversationWriteQueue.then(async () => {
+      const result = await chrome.storage.local.get('fiverrConversations');
+      const conversations = result.fiverrConversations || {};
+      update(conversations);
+      await storageManager.set({ fiverrConversations: conversations });
+      this.storedConversations = new Map(Object.entries(conversations));
+    });
+    this.conversationWriteQueue = write.catch(() => {});
+    return write;
+  }
+
   /**
    * Get stored conversation
    */
@@ -132,82 +166,235 @@ class FiverrExtractor {
   }
 
   /**
-   * Fetch conversation data from Fiverr API
+   * Fetch conversation data from Fiverr API - checkpointed and resumable
+   *
+   * Pages go from the newest message back in time, at most options.maxBatches per run. The oldest
+   * timestamp reached is checkpointed into the stored record after every batch, so the next run first
+   * catches up on new messages and then continues further back. When more new messages arrived than one
+   * run can fetch, the stored messages are kept and the missing stretch between them and the new ones is
+   * recorded as a gap, filled on later runs. The record's history says whether it holds the whole thread:
+   *   { complete, startReached, gaps: [{ after, before }], oldestTimestamp, batches, updatedAt }
+   * complete is startReached (paged back to the first message) with no gaps left.
+   * options.backfill: false stops after the new messages and gaps, without paging further back.
    */
-  async fetchConversationData(username) {
+  async fetchConversationData(username, options = {}) {
+    const { resume = true, backfill = true, maxBatches = FiverrExtractor.MAX_BATCHES_PER_RUN } = options;
+
     try {
-      let allMessages = [];
-      let lastPage = false;
-      let timestamp = null;
-      let batchNumber = 1;
-      let conversationId = null;
+      const stored = resume ? this.getStoredConversation(username) : null;
+      const known = stored?.messages?.length ? stored : null;
+      const newestKnown = known ? Math.max(...known.messages.map(m => m.createdAt)) : null;
+
+      const messages = new Map();
+      const addMessages = list => list.forEach(message => messages.set(this.getMessageKey(message), message));
+      if (known) addMessages(known.messages);
+
+      let conversationId = known?.conversationId || null;
+      // Records saved before checkpointing may be cut off - treat them as partial
+      let startReached = !!(known?.history?.startReached ?? known?.history?.complete);
+      let gaps = (known?.history?.gaps || []).map(gap => ({ ...gap }));
+      let oldestTimestamp = known
+        ? (known.history?.oldestTimestamp ?? Math.min(...known.messages.map(m => m.createdAt)))
+        : null;
+      let batches = 0;
+
+      const getHistory = () => ({
+        complete: startReached && gaps.length === 0,
+        startReached,
+        gaps,
+        oldestTimestamp,
+        batches: (known?.history?.batches || 0) + batches
+      });
 
-      while (!lastPage && batchNumber <= 10) { // Limit to 10 batches for safety
-        const url = timestamp 
-          ? `https://www.fiverr.com/inbox/contacts/${username}/conversation?timestamp=${timestamp}`
-          : `https://www.fiverr.com/inbox/contacts/${username}/conversation`;
+      const checkpoint = async () => {
+        const record = this.buildConversationRecord(username, conversationId, messages, getHistory());
+        await this.saveConversation(username, record, { syncToDrive: false });
+        return record;
+      };
 
-        const response = await fetch(url, {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        });
+      const fetchBatch = async timestamp => {
+        if (batches > 0) {
+          // Add delay to avoid rate limiting
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        const page = await this.fetchConversationPage(username, timestamp);
+        batches++;
+        conversationId = conversationId || page.conversationId;
+        addMessages(page.messages);
+
+        const pageOldest = page.messages.length > 0 ? Math.min(...page.messages.map(m => m.createdAt)) : null;
+        this.notifyProgress('EXTRACTION_PROGRESS',
+          `Fetched batch ${batches} of the conversation with ${username} (${messages.size} messages)`,
+          { username, batch: batches, messageCount: messages.size, oldestTimestamp: pageOldest }
+        );
+        return { ...page, pageOldest };
+      };
 
-        if (!response.ok) {
-          throw new Error(`Failed to fetch conversation: ${response.status}`);
+      // Newest messages first, until they reach the ones already stored
+      let timestamp = null;
+      let caughtUp = !known;
+      while (batches < maxBatches) {
+        const page = await fetchBatch(timestamp);
+
+        if (!known && page.pageOldest !== null) {
+          oldestTimestamp = oldestTimestamp === null ? page.pageOldest : Math.min(oldestTimestamp, page.pageOldest);
+        }
+        if (page.lastPage || page.pageOldest === null) {
+          // Paged back to the first message - nothing older exists, and no stretch is missing
+          startReached = true;
+          gaps = [];
+          oldestTimestamp = messages.size > 0 ? Math.min(...Array.from(messages.values()).map(m => m.createdAt)) : null;
+          caughtUp = true;
+          break;
         }
+        if (known && page.pageOldest <= newestKnown) {
+          caughtUp = true;
+          break;
+        }
+        if (!known) {
+          await checkpoint();
+        }
+        timestamp = page.pageOldest;
+      }
+
+      if (known && !caughtUp) {
+        // More new messages than one run can fetch - keep both and fill the stretch between them later
+        console.warn(`aiFiverr: New messages with ${username} exceed ${maxBatches} batches, leaving a gap for the next run`);
+        gaps.push({ after: newestKnown, before: timestamp });
+      }
 
-        const data = await response.json();
-        
-        if (!conversationId) {
-          conversationId = data.conversationId;
+      // Then the missing stretches, newest first
+      while (gaps.length > 0 && batches < maxBatches) {
+        await checkpoint();
+        const gap = gaps[0];
+        const page = await fetchBatch(gap.before);
+
+        if (page.lastPage || page.pageOldest === null) {
+          startReached = true;
+          gaps = [];
+        } else if (page.pageOldest <= gap.after) {
+          gaps.shift();
+        } else if (page.pageOldest < gap.before) {
+          gap.before = page.pageOldest;
+        } else {
+          // The API returned nothing older - stop instead of asking for the same page again
+          break;
         }
+      }
+
+      // Then further back in time from the checkpoint
+      timestamp = oldestTimestamp;
+      while (backfill && gaps.length === 0 && !startReached && batches < maxBatches && timestamp !== null) {
+        await checkpoint();
+        const page = await fetchBatch(timestamp);
 
-        // Process messages
-        const processedMessages = await Promise.all(data.messages.map(async message => ({
-          ...message,
-          formattedTime: this.formatDate(message.createdAt),
-          attachments: await Promise.all((message.attachments || []).map(async attachment => ({
-            filename: attachment.file_name,
-            downloadUrl: attachment.download_url,
-            fileSize: attachment.file_size,
-            contentType: attachment.content_type,
-            created_at: attachment.created_at || message.createdAt,
-            formattedTime: this.formatDate(attachment.created_at || message.createdAt)
-          }))),
-          repliedToMessage: message.repliedToMessage ? {
-            ...message.repliedToMessage,
-            formattedTime: this.formatDate(message.repliedToMessage.createdAt)
-          } : null
-        })));
-
-        allMessages = [...allMessages, ...processedMessages];
-        lastPage = data.lastPage;
-
-        if (!lastPage && processedMessages.length > 0) {
-          timestamp = Math.min(...processedMessages.map(m => m.createdAt));
+        if (page.pageOldest === null || page.lastPage) {
+          startReached = true;
+        }
+        if (page.pageOldest !== null && page.pageOldest < timestamp) {
+          oldestTimestamp = page.pageOldest;
+          timestamp = page.pageOldest;
+        } else if (!startReached) {
+          // The API returned nothing older - stop instead of asking for the same page again
+          break;
         }
+      }
 
-        batchNumber++;
-        
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      const record = this.buildConversationRecord(username, conversationId, messages, getHistory());
+      const complete = record.history.complete;
+
+      if (!complete) {
+        this.notifyProgress('EXTRACTION_PROGRESS',
+          `Fetched ${record.messages.length} messages with ${username} - the rest of the history continues on the next run`,
+          { username, messageCount: record.messages.length, oldestTimestamp, complete }
+        );
       }
 
-      return {
-        conversationId,
-        username,
-        messages: allMessages.sort((a, b) => a.createdAt - b.createdAt),
-        extractedAt: Date.now()
-      };
+      return record;
     } catch (error) {
       console.error('Failed to fetch conversation data:', error);
       throw error;
     }
   }
 
+  /**
+   * Fetch one page of a conversation - messages older than `timestamp`, or the newest page
+   */
+  async fetchConversationPage(username, timestamp = null) {
+    const url = timestamp
+      ? `https://www.fiverr.com/inbox/contacts/${username}/conversation?timestamp=${timestamp}`
+      : `https://www.fiverr.com/inbox/contacts/${username}/conversation`;
+
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch conversation: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      conversationId: data.conversationId,
+      lastPage: !!data.lastPage,
+      messages: (data.messages || []).map(message => this.processConversationMessage(message))
+    };
+  }
+
+  /**
+   * Add display fields to a message from the conversation API
+   */
+  processConversationMessage(message) {
+    return {
+      ...message,
+      formattedTime: this.formatDate(message.createdAt),
+      attachments: (message.attachments || []).map(attachment => ({
+        filename: attachment.file_name,
+        downloadUrl: attachment.download_url,
+        fileSize: attachment.file_size,
+        contentType: attachment.content_type,
+        created_at: attachment.created_at || message.createdAt,
+        formattedTime: this.formatDate(attachment.created_at || message.createdAt)
+      })),
+      repliedToMessage: message.repliedToMessage ? {
+        ...message.repliedToMessage,
+        formattedTime: this.formatDate(message.repliedToMessage.createdAt)
+      } : null
+    };
+  }
+
+  /**
+   * Key that identifies a message across fetches
+   */
+  getMessageKey(message) {
+    return message.id ? String(message.id) : `${message.createdAt}|${message.sender}|${message.body}`;
+  }
+
+  /**
+   * Conversation record with sorted messages and the fetch checkpoint
+   */
+  buildConversationRecord(username, conversationId, messages, history) {
+    return {
+      conversationId,
+      username,
+      messages: Array.from(messages.values()).sort((a, b) => a.createdAt - b.createdAt),
+      extractedAt: Date.now(),
+      history: { ...history, updatedAt: Date.now() }
+    };
+  }
+
+  /**
+   * Whether a stored record holds the whole thread - false for partial or legacy records
+   */
+  isHistoryComplete(conversationData) {
+    return !!conversationData?.history?.complete;
+  }
+
   /**
    * Extract visible messages from DOM
    */
@@ -370,15 +557,15 @@ class FiverrExtractor {
     for (const selector of selectors) {
       const element = document.querySelector(selector);
       if (element) {
-        const text = element.textContent.trim();
-        const budgetMatch = text.match(/\$[\d,]+/);
-        if (budgetMatch) {
-          return budgetMatch[0];
+        // Keep ranges and currencies ("$50 - $100", "Up to €500") - BriefModel parses them
+        const text = element.textContent.replace(/\s+/g, ' ').trim().replace(/^budget\s*:?\s*/i, '');
+        if (/\d/.test(text)) {
+          return text;
         }
       }
     }
 
-    return null;
+    return this.extractBriefLabeledValue(/^budget\b/i, /\d/);
   }
 
   /**
@@ -398,9 +585,37 @@ class FiverrExtractor {
       }
     }
 
+    return this.extractBriefLabeledValue(/^(deadline|delivery time|due date|timeline)\b/i);
+  }
+
+  /**
+   * Value next to a label such as "Budget" or "Deadline" - for briefs without the expected classes
+   */
+  extractBriefLabeledValue(labelPattern, valuePattern = null) {
+    const labels = document.querySelectorAll('h3, h4, h5, h6, dt, label, strong, span, p');
+
+    for (const label of labels) {
+      const text = label.textContent.replace(/\s+/g, ' ').trim();
+      if (text.length > 60 || !labelPattern.test(text)) continue;
+
+      // "Budget: $50" carries the value, a bare "Budget" heading is followed by it
+      const inline = text.replace(labelPattern, '').replace(/^\s*:?\s*/, '');
+      const value = inline || label.nextElementSibling?.textContent.replace(/\s+/g, ' ').trim() || '';
+      if (value && (!valuePattern || valuePattern.test(value))) {
+        return value;
+      }
+    }
+
     return null;
   }
 
+  /**
+   * Typed brief of the current page (see BriefModel) - null when this is not a brief
+   */
+  extractBrief() {
+    return BriefModel.fromDetails(this.extractBriefDetails());
+  }
+
   /**
    * Extract brief skills
    */
@@ -477,6 +692,511 @@ class FiverrExtractor {
     return null;
   }
 
+  /**
+   * Extract order details - buyer requirements, activity timeline, deliveries, revisions and due date
+   */
+  extractOrderDetails() {
+    if (!isFiverrOrderPage()) return null;
+
+    try {
+      const timeline = this.extractOrderTimeline();
+      const due = this.extractOrderDueDate();
+
+      return {
+        orderId: this.extractOrderId(),
+        title: this.extractFirstText(['[data-testid*="order-title"]', '[data-testid*="gig-title"]', '.order-title', '.gig-title', 'h1']),
+        buyer: this.extractFirstText(['[data-testid*="buyer-name"]', '.buyer-name', '.order-buyer .username', '.buyer-info .username']),
+        status: this.extractFirstText(['[data-testid*="order-status"]', '.order-status', '.order-status-label']),
+        requirements: this.extractOrderRequirements(),
+        timeline,
+        deliveries: timeline.filter(entry => entry.type === 'delivery'),
+        revisions: timeline.filter(entry => entry.type === 'revision'),
+        dueDate: due.dueDate,
+        dueText: due.dueText,
+        extractedAt: Date.now()
+      };
+    } catch (error) {
+      console.error('Failed to extract order details:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract order id from the URL (/orders/FO1234ABCD)
+   */
+  extractOrderId() {
+    const match = window.location.pathname.match(/\/orders\/([A-Za-z0-9]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Text of the first matching element, whitespace collapsed
+   */
+  extractFirstText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element && element.textContent.trim()) {
+        return element.textContent.trim().replace(/\s+/g, ' ');
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract the buyer's answers to the gig requirements
+   */
+  extractOrderRequirements() {
+    const selectors = [
+      '[data-testid*="requirement-item"]',
+      '.order-requirements li',
+      '.requirements-list li',
+      '.requirement-item'
+    ];
+
+    const requirements = [];
+    const seen = new Set();
+
+    selectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach(element => {
+        const questionElement = element.querySelector('h3, h4, h5, strong, .question, [class*="question"]');
+        const question = questionElement ? questionElement.textContent.trim() : '';
+        const answer = element.textContent.trim().slice(question.length).trim() || element.textContent.trim();
+
+        const key = `${question}\n${answer}`;
+        if (answer && !seen.has(key)) {
+          seen.add(key);
+          requirements.push({ question, answer });
+        }
+      });
+    });
+
+    return requirements;
+  }
+
+  /**
+   * Extract the order activity timeline - oldest entry first
+   */
+  extractOrderTimeline() {
+    const selectors = [
+      '[data-testid*="activity-item"]',
+      '[data-testid*="timeline-item"]',
+      '.order-activity-item',
+      '.activity-item',
+      '.timeline-item'
+    ];
+
+    return this.findInnermostElements(selectors)
+      .map(element => {
+        const text = element.textContent.trim().replace(/\s+/g, ' ');
+        const timeElement = element.querySelector('time');
+        const dateText = timeElement?.getAttribute('datetime') || timeElement?.textContent.trim() || null;
+
+        return {
+          type: this.classifyOrderActivity(element, text),
+          text,
+          date: this.parseOrderDate(dateText, 'past')
+        };
+      })
+      .filter(entry => entry.text);
+  }
+
+  /**
+   * 'delivery', 'revision', 'message' or 'event' for a timeline entry
+   */
+  classifyOrderActivity(element, text) {
+    if (/requested (a )?(revision|modification)|revision request/i.test(text)) {
+      return 'revision';
+    }
+    if (/\bdelivered\b|\bdelivery #?\d*\b/i.test(text) || element.querySelector('[class*="delivery"]')) {
+      return 'delivery';
+    }
+    if (element.querySelector('[class*="message"], [data-qa*="message"]')) {
+      return 'message';
+    }
+    return 'event';
+  }
+
+  /**
+   * Extract the expected delivery date - { dueDate (timestamp or null), dueText }
+   */
+  extractOrderDueDate() {
+    const selectors = [
+      '[data-testid*="due-date"]',
+      '[data-testid*="delivery-date"]',
+      '.order-due-date',
+      '.expected-delivery',
+      '.delivery-date'
+    ];
+
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element && element.textContent.trim()) {
+        const dueText = element.textContent.trim().replace(/\s+/g, ' ');
+        const dateText = element.querySelector('time')?.getAttribute('datetime') || dueText;
+        return { dueDate: this.parseOrderDate(dateText), dueText };
+      }
+    }
+
+    // Fiverr shows a "Time left to deliver" countdown while the order is active
+    const countdown = document.querySelector('[data-testid*="countdown"], .countdown, .delivery-countdown');
+    if (countdown && countdown.textContent.trim()) {
+      const dueText = countdown.textContent.trim().replace(/\s+/g, ' ');
+      return { dueDate: this.parseOrderCountdown(dueText), dueText };
+    }
+
+    // Fallback: a label such as "Expected delivery" or "Due date" followed by the date
+    const labels = document.querySelectorAll('h3, h4, h5, h6, dt, label, span, p');
+    for (const label of labels) {
+      const text = label.textContent.trim();
+      if (text.length < 40 && /^(expected delivery|due date|delivery date|due)\b/i.test(text)) {
+        const dueText = label.nextElementSibling?.textContent.trim() || text;
+        const dueDate = this.parseOrderDate(dueText);
+        if (dueDate) {
+          return { dueDate, dueText };
+        }
+      }
+    }
+
+    return { dueDate: null, dueText: null };
+  }
+
+  /**
+   * Parse an order date such as "Jun 14, 10:30 AM" - Fiverr leaves out the year for the current year
+   * direction tells which way a year-less date may lie: 'future' for due dates, 'past' for timeline entries
+   */
+  parseOrderDate(text, direction = 'future', now = Date.now()) {
+    if (!text) return null;
+
+    const cleaned = String(text)
+      .replace(/^(expected delivery|due date|delivery date|due|delivered)\s*:?\s*/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    let timestamp;
+    if (/\b\d{4}\b/.test(cleaned) || /^\d{4}-\d{2}-\d{2}/.test(cleaned)) {
+      timestamp = Date.parse(cleaned);
+    } else {
+      const year = new Date(now).getFullYear();
+      timestamp = Date.parse(cleaned.replace(/^((?:[A-Za-z]{3,9},? )?[A-Za-z]{3,9} \d{1,2})(,?)/, `$1, ${year}$2`));
+
+      // "Jan 3" due in late December belongs to the next year, "Dec 20" delivered in January to the last
+      const dayMs = 24 * 60 * 60 * 1000;
+      const yearShift = direction === 'past'
+        ? (timestamp - now > dayMs ? -1 : 0)
+        : (now - timestamp > 180 * dayMs ? 1 : 0);
+      if (!isNaN(timestamp) && yearShift !== 0) {
+        const date = new Date(timestamp);
+        date.setFullYear(year + yearShift);
+        timestamp = date.getTime();
+      }
+    }
+
+    if (isNaN(timestamp)) return null;
+
+    // A due date without a time lasts until the end of that day
+    if (direction === 'future' && !/\d{1,2}:\d{2}/.test(cleaned)) {
+      const date = new Date(timestamp);
+      date.setHours(23, 59, 59, 0);
+      timestamp = date.getTime();
+    }
+
+    return timestamp;
+  }
+
+  /**
+   * Parse a countdown such as "2 Days 05 Hours 30 Minutes" into the due timestamp
+   */
+  parseOrderCountdown(text, now = Date.now()) {
+    const units = { day: 86400000, hour: 3600000, minute: 60000, min: 60000, second: 1000, sec: 1000 };
+    let remainingMs = 0;
+    let matched = false;
+
+    String(text || '').replace(/(\d+)\s*(day|hour|minute|min|second|sec)s?\b/gi, (match, value, unit) => {
+      remainingMs += parseInt(value, 10) * units[unit.toLowerCase()];
+      matched = true;
+      return match;
+    });
+
+    return matched ? now + remainingMs : null;
+  }
+
+  /**
+   * How close the due date is - { dueAt, remainingMs, level: 'overdue' | 'urgent' | 'soon' | 'ok' } or null
+   * 'urgent' is within the warning window, 'soon' within twice the window
+   */
+  getOrderDueStatus(orderData, warningHours = 24, now = Date.now()) {
+    if (!orderData?.dueDate) return null;
+
+    // Finished orders have nothing left to deliver
+    if (orderData.status && /completed|cancell?ed/i.test(orderData.status)) return null;
+
+    const remainingMs = orderData.dueDate - now;
+    const warningMs = warningHours * 60 * 60 * 1000;
+
+    let level = 'ok';
+    if (remainingMs < 0) {
+      level = 'overdue';
+    } else if (remainingMs <= warningMs) {
+      level = 'urgent';
+    } else if (remainingMs <= warningMs * 2) {
+      level = 'soon';
+    }
+
+    return { dueAt: orderData.dueDate, remainingMs, level };
+  }
+
+  /**
+   * Convert order details to context string
+   */
+  orderToContext(orderData) {
+    if (!orderData) {
+      return '';
+    }
+
+    let context = `Order${orderData.orderId ? ` #${orderData.orderId}` : ''}`;
+    if (orderData.title) context += `: ${orderData.title}`;
+    context += '\n';
+    if (orderData.buyer) context += `Buyer: ${orderData.buyer}\n`;
+    if (orderData.status) context += `Status: ${orderData.status}\n`;
+    if (orderData.dueDate) {
+      context += `Due: ${this.formatDate(orderData.dueDate)}\n`;
+    } else if (orderData.dueText) {
+      context += `Due: ${orderData.dueText}\n`;
+    }
+
+    if (orderData.requirements?.length) {
+      context += '\nBuyer requirements:\n';
+      orderData.requirements.forEach(requirement => {
+        context += requirement.question
+          ? `Q: ${requirement.question}\nA: ${requirement.answer}\n`
+          : `- ${requirement.answer}\n`;
+      });
+    }
+
+    if (orderData.timeline?.length) {
+      context += '\nOrder activity:\n';
+      orderData.timeline.forEach(entry => {
+        const time = entry.date ? ` (${this.formatDate(entry.date)})` : '';
+        context += `[${entry.type}]${time} ${entry.text}\n`;
+      });
+    }
+
+    return context;
+  }
+
+  /**
+   * Extract public gig details - packages, FAQ, seller level and reviews
+   */
+  extractGigDetails() {
+    if (!isFiverrGigPage()) return null;
+
+    try {
+      return {
+        url: window.location.origin + window.location.pathname,
+        title: this.extractFirstText(['[data-testid*="gig-title"]', '.gig-overview h1', '.gig-title', 'h1']),
+        seller: this.extractFirstText(['[data-testid*="seller-name"]', '.seller-overview .seller-name', '.seller-name', '.seller-link']),
+        sellerLevel: this.extractGigSellerLevel(),
+        rating: this.parseGigNumber(this.extractFirstText(['[data-testid*="rating-score"]', '.rating-score', '.seller-overview .rating'])),
+        reviewCount: this.parseGigNumber(this.extractFirstText(['[data-testid*="ratings-count"]', '.ratings-count', '.rating-count', '.reviews-count'])),
+        description: this.extractFirstText(['[data-testid*="gig-description"]', '.description-content', '.gig-description']),
+        packages: this.extractGigPackages(),
+        faq: this.extractGigFaq(),
+        extractedAt: Date.now()
+      };
+    } catch (error) {
+      console.error('Failed to extract gig details:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract seller level ("Level 2", "Top Rated", "Pro")
+   */
+  extractGigSellerLevel() {
+    const level = this.extractFirstText(['[data-testid*="seller-level"]', '.seller-level', '.seller-badge', '[class*="level-badge"]']);
+    if (level) return level;
+
+    const match = document.body.textContent.match(/\b(Level [12] Seller|Level [12]|Top Rated Seller|Top Rated|Fiverr Pro)\b/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Extract packages - the comparison table has every package, the package tabs only the selected one
+   */
+  extractGigPackages() {
+    const table = document.querySelector('[data-testid*="packages-table"], .gig-page-packages-table, table.packages-table');
+    if (table) {
+      const packages = this.extractGigPackagesTable(table);
+      if (packages.length > 0) return packages;
+    }
+
+    const selectors = ['[data-testid*="package-content"]', '.package-content', '.packages-tabs .package'];
+    const tabNames = Array.from(document.querySelectorAll('.packages-tabs [role="tab"], .packages-tabs label'))
+      .map(tab => tab.textContent.trim());
+
+    const packages = [];
+    this.findInnermostElements(selectors).forEach((element, index) => {
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      const features = Array.from(element.querySelectorAll('li'))
+        .map(item => item.textContent.trim())
+        .filter(Boolean);
+
+      packages.push({
+        name: tabNames[index] || element.querySelector('h3, .package-name')?.textContent.trim() || `Package ${index + 1}`,
+        title: element.querySelector('h3, .package-title, .title')?.textContent.trim() || null,
+        ...this.parseGigPackageText(text),
+        features
+      });
+    });
+
+    return packages;
+  }
+
+  /**
+   * Read the package comparison table - one column per package
+   */
+  extractGigPackagesTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    if (rows.length < 2) return [];
+
+    const cells = row => Array.from(row.querySelectorAll('th, td')).map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+    const names = cells(rows[0]).slice(1);
+    const packages = names.map(name => ({ name, title: null, price: null, priceText: null, deliveryDays: null, revisions: null, features: [] }));
+
+    rows.slice(1).forEach(row => {
+      const [label, ...values] = cells(row);
+      const columns = row.querySelectorAll('th, td');
+
+      values.forEach((value, index) => {
+        const gigPackage = packages[index];
+        if (!gigPackage) return;
+
+        if (/price|total/i.test(label)) {
+          Object.assign(gigPackage, this.parseGigPackageText(value, ['price', 'priceText']));
+        } else if (/delivery/i.test(label)) {
+          gigPackage.deliveryDays = this.parseGigPackageText(`${value} delivery`).deliveryDays;
+        } else if (/revision/i.test(label)) {
+          gigPackage.revisions = /unlimited/i.test(value) ? 'unlimited' : this.parseGigNumber(value);
+        } else if (value) {
+          gigPackage.features.push(`${label}: ${value}`);
+        } else if (label && columns[index + 1]?.querySelector('[class*="check"], svg')) {
+          // Feature rows show a check mark instead of text
+          gigPackage.features.push(label);
+        }
+      });
+    });
+
+    return packages;
+  }
+
+  /**
+   * Price, delivery days and revisions from package text - `fields` limits what is returned
+   */
+  parseGigPackageText(text, fields = null) {
+    const priceMatch = text.match(/(US\$|[$€£])\s?([\d,]+(?:\.\d{2})?)/);
+    const deliveryMatch = text.match(/(\d+)[\s-]*days?\s*delivery/i) || text.match(/delivery[^\d]{0,20}(\d+)\s*days?/i);
+    const revisionMatch = text.match(/(\d+|unlimited)\s*revisions?/i);
+
+    const parsed = {
+      price: priceMatch ? parseFloat(priceMatch[2].replace(/,/g, '')) : null,
+      priceText: priceMatch ? priceMatch[0] : null,
+      deliveryDays: deliveryMatch ? parseInt(deliveryMatch[1], 10) : null,
+      revisions: revisionMatch ? (/unlimited/i.test(revisionMatch[1]) ? 'unlimited' : parseInt(revisionMatch[1], 10)) : null
+    };
+
+    return fields ? Object.fromEntries(fields.map(field => [field, parsed[field]])) : parsed;
+  }
+
+  /**
+   * Extract FAQ questions and answers
+   */
+  extractGigFaq() {
+    const selectors = ['[data-testid*="faq-item"]', '.faq-collapsable', '.faq .collapsible-package', '.faq-item'];
+    const faq = [];
+
+    this.findInnermostElements(selectors).forEach(element => {
+      const questionElement = element.querySelector('[role="button"], button, h3, h4, .question, [class*="title"]');
+      const question = questionElement ? questionElement.textContent.trim() : '';
+      const answer = element.textContent.trim().slice(question.length).trim();
+
+      if (question) {
+        faq.push({ question, answer });
+      }
+    });
+
+    return faq;
+  }
+
+  /**
+   * Unique elements for a selector list - the innermost ones when selectors match nested containers
+   */
+  findInnermostElements(selectors) {
+    const elements = [];
+    selectors.forEach(selector => {
+      document.querySelectorAll(selector).forEach(element => elements.push(element));
+    });
+
+    const unique = [...new Set(elements)];
+    return unique.filter(element => !unique.some(other => other !== element && element.contains(other)));
+  }
+
+  /**
+   * Number from text such as "(1,234)", "1.2k reviews" or "4.9"
+   */
+  parseGigNumber(text) {
+    const match = String(text || '').match(/([\d,]*\.?\d+)\s*(k)?/i);
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    return match[2] ? Math.round(value * 1000) : value;
+  }
+
+  /**
+   * Convert gig details to context string
+   */
+  gigToContext(gigData) {
+    if (!gigData) {
+      return '';
+    }
+
+    let context = `Gig: ${gigData.title || 'Untitled'}\n`;
+    if (gigData.url) context += `URL: ${gigData.url}\n`;
+    if (gigData.seller) context += `Seller: ${gigData.seller}${gigData.sellerLevel ? ` (${gigData.sellerLevel})` : ''}\n`;
+    else if (gigData.sellerLevel) context += `Seller level: ${gigData.sellerLevel}\n`;
+    if (gigData.rating !== null && gigData.rating !== undefined) context += `Rating: ${gigData.rating}\n`;
+    if (gigData.reviewCount !== null && gigData.reviewCount !== undefined) context += `Reviews: ${gigData.reviewCount}\n`;
+
+    if (gigData.packages?.length) {
+      context += '\nPackages:\n';
+      gigData.packages.forEach(gigPackage => {
+        const details = [
+          gigPackage.priceText || (gigPackage.price !== null ? String(gigPackage.price) : null),
+          gigPackage.deliveryDays ? `${gigPackage.deliveryDays}-day delivery` : null,
+          gigPackage.revisions !== null && gigPackage.revisions !== undefined ? `${gigPackage.revisions} revisions` : null
+        ].filter(Boolean).join(', ');
+
+        context += `- ${gigPackage.name}${gigPackage.title ? ` "${gigPackage.title}"` : ''}${details ? `: ${details}` : ''}\n`;
+        if (gigPackage.features?.length) {
+          context += `  Includes: ${gigPackage.features.join('; ')}\n`;
+        }
+      });
+    }
+
+    if (gigData.description) {
+      context += `\nDescription:\n${gigData.description}\n`;
+    }
+
+    if (gigData.faq?.length) {
+      context += '\nFAQ:\n';
+      gigData.faq.forEach(item => {
+        context += `Q: ${item.question}\nA: ${item.answer}\n`;
+      });
+    }
+
+    return context;
+  }
+
   /**
    * Format date for display
    */
@@ -508,6 +1228,13 @@ class FiverrExtractor {
     }
 
     let context = `Conversation with ${conversationData.username}:\n\n`;
+
+    // Tell the model when older messages are missing instead of letting it assume a full thread
+    if (conversationData.history?.gaps?.length > 0) {
+      context += `[Partial history: some messages between ${conversationData.history.gaps.map(gap => `${this.formatDate(gap.after)} and ${this.formatDate(gap.before)}`).join(', ')} have not been fetched yet.]\n\n`;
+    } else if (conversationData.history && !conversationData.history.complete && conversationData.messages.length > 0) {
+      context += `[Partial history: only messages since ${conversationData.messages[0].formattedTime || this.formatDate(conversationData.messages[0].createdAt)} are included - older messages have not been fetched yet.]\n\n`;
+    }
     
     conversationData.messages.forEach(message => {
       const sender = message.sender || 'Unknown';
@@ -822,8 +1549,10 @@ class FiverrExtractor {
       await this.saveConversation(username, conversationData);
 
       this.notifyProgress('CONVERSATION_EXTRACTED',
-        `Conversation with ${username} extracted successfully!`,
-        { conversation: conversationData, username }
+        this.isHistoryComplete(conversationData)
+          ? `Conversation with ${username} extracted successfully!`
+          : `Extracted ${conversationData.messages.length} messages with ${username} - extract again to fetch older history`,
+        { conversation: conversationData, username, complete: this.isHistoryComplete(conversationData) }
       );
 
       return conversationData;
@@ -835,49 +1564,36 @@ class FiverrExtractor {
   }
 
   /**
-   * Update conversation with new messages only
+   * Update a stored conversation with the messages that arrived since it was fetched
+   * Pages back from the newest message until it reaches the stored ones (fetchConversationData) - more
+   * than one run can fetch is kept as a gap for the next update. Fetch errors are thrown.
    */
   async updateConversation(username) {
     try {
       const stored = this.getStoredConversation(username);
-      if (!stored) {
+      if (!stored?.messages?.length) {
         // No stored conversation, extract full conversation
         return await this.extractConversationByUsername(username, true);
       }
 
       this.notifyProgress('EXTRACTION_PROGRESS', `Updating conversation with ${username}...`);
 
-      // Get the latest message timestamp from stored conversation
-      const latestTimestamp = stored.messages && stored.messages.length > 0
-        ? Math.max(...stored.messages.map(m => m.createdAt))
-        : 0;
+      const updated = await this.fetchConversationData(username, { backfill: false });
+      const newMessages = updated.messages.length - stored.messages.length;
+      const gapsChanged = JSON.stringify(updated.history.gaps) !== JSON.stringify(stored.history?.gaps || []);
 
-      // Fetch only newer messages
-      const newMessages = await this.fetchNewMessages(username, latestTimestamp);
-
-      if (newMessages.length > 0) {
-        // Merge with existing messages
-        const updatedConversation = {
-          ...stored,
-          messages: [...stored.messages, ...newMessages].sort((a, b) => a.createdAt - b.createdAt),
-          lastUpdated: Date.now()
-        };
-
-        await this.saveConversation(username, updatedConversation);
+      if (newMessages > 0 || gapsChanged) {
+        await this.saveConversation(username, updated);
+      }
 
-        this.notifyProgress('CONVERSATION_UPDATED',
-          `Added ${newMessages.length} new messages to conversation with ${username}`,
-          { conversation: updatedConversation, newMessages: newMessages.length }
-        );
+      this.notifyProgress('CONVERSATION_UPDATED',
+        newMessages > 0
+          ? `Added ${newMessages} new messages to conversation with ${username}${updated.history.gaps.length > 0 ? ' - older new messages follow on the next update' : ''}`
+          : `No new messages found for ${username}`,
+        { conversation: updated, newMessages: Math.max(0, newMessages) }
+      );
 
-        return updatedConversation;
-      } else {
-        this.notifyProgress('CONVERSATION_UPDATED',
-          `No new messages found for ${username}`,
-          { conversation: stored, newMessages: 0 }
-        );
-        return stored;
-      }
+      return updated;
     } catch (error) {
       console.error(`Failed to update conversation for ${username}:`, error);
       this.notifyProgress('EXTRACTION_ERROR', error.message, { isError: true });
@@ -885,65 +1601,16 @@ class FiverrExtractor {
     }
   }
 
-  /**
-   * Fetch only new messages since a timestamp
-   */
-  async fetchNewMessages(username, sinceTimestamp) {
-    try {
-      const url = `https://www.fiverr.com/inbox/contacts/${username}/conversation`;
-
-      const response = await fetch(url, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        credentials: 'include'
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch new messages: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      // Filter messages newer than the timestamp
-      const newMessages = data.messages.filter(message => message.createdAt > sinceTimestamp);
-
-      // Process new messages
-      const processedMessages = await Promise.all(newMessages.map(async message => ({
-        ...message,
-        formattedTime: this.formatDate(message.createdAt),
-        attachments: await Promise.all((message.attachments || []).map(async attachment => ({
-          filename: attachment.file_name,
-          downloadUrl: attachment.download_url,
-          fileSize: attachment.file_size,
-          contentType: attachment.content_type,
-          created_at: attachment.created_at || message.createdAt,
-          formattedTime: this.formatDate(attachment.created_at || message.createdAt)
-        }))),
-        repliedToMessage: message.repliedToMessage ? {
-          ...message.repliedToMessage,
-          formattedTime: this.formatDate(message.repliedToMessage.createdAt)
-        } : null
-      })));
-
-      return processedMessages;
-    } catch (error) {
-      console.error('Failed to fetch new messages:', error);
-      return [];
-    }
-  }
-
   /**
    * Delete stored conversation
    */
   async deleteStoredConversation(username) {
     try {
-      this.storedConversations.delete(username);
       this.conversationCache.delete(username);
 
-      const storageData = Object.fromEntries(this.storedConversations);
-      await storageManager.set('fiverrConversations', storageData);
+      await this.updateStoredConversations(conversations => {
+        delete conversations[username];
+      });
 
       return true;
     } catch (error) {
@@ -1193,11 +1860,7 @@ class FiverrExtractor {
       }
 
       // Save contacts to storage
-      await storageManager.set('fiverrContacts', {
-        contacts: allContacts,
-        lastFetched: Date.now(),
-        totalCount: allContacts.length
-      });
+      await this.saveStoredContacts(allContacts);
 
       this.notifyProgress('CONTACTS_FETCHED',
         `Completed! Total contacts found: ${allContacts.length}`,
@@ -1217,7 +1880,110 @@ class FiverrExtractor {
    */
   async getStoredContacts() {
     const result = await storageManager.get('fiverrContacts');
-    return result.fiverrContacts?.contacts || [];
+    return result.fiverrContacts || { contacts: [], lastFetched: 0, totalCount: 0 };
+  }
+
+  /**
+   * Store the contact list - newest conversation first
+   */
+  async saveStoredContacts(contacts) {
+    await storageManager.set({
+      fiverrContacts: {
+        contacts,
+        lastFetched: Date.now(),
+        totalCount: contacts.length
+      }
+    });
+  }
+
+  /**
+   * Scheduled inbox sync (see InboxSync) - pulls contacts with messages since `since` (a recentMessageDate),
+   * then adds the new messages of stored conversations that changed or still have gaps. Conversations that
+   * were never extracted are left alone. A failed fetch fails the run, so syncedThrough stays where it was.
+   */
+  async syncInbox(since = 0, maxConversations = 20) {
+    const contacts = await this.fetchContactsSince(since);
+
+    // Merge into the stored list - fresh entries replace the old ones
+    const stored = await this.getStoredContacts();
+    const byUsername = new Map((stored.contacts || []).map(contact => [contact.username, contact]));
+    contacts.forEach(contact => byUsername.set(contact.username, contact));
+    await this.saveStoredContacts(Array.from(byUsername.values()).sort((a, b) => b.recentMessageDate - a.recentMessageDate));
+
+    const changed = contacts.filter(contact => {
+      const conversation = this.getStoredConversation(contact.username);
+      if (!conversation?.messages?.length) return false;
+      const newest = Math.max(...conversation.messages.map(m => m.createdAt));
+      return contact.recentMessageDate > newest || conversation.history?.gaps?.length > 0;
+    });
+
+    let conversationsUpdated = 0;
+    let newMessages = 0;
+    const withGaps = [];
+    for (const contact of changed.slice(0, maxConversations)) {
+      const before = this.getStoredConversation(contact.username).messages.length;
+      const updated = await this.updateConversation(contact.username);
+      const added = (updated?.messages?.length || 0) - before;
+      if (added > 0) {
+        conversationsUpdated++;
+        newMessages += added;
+      }
+      if (updated?.history?.gaps?.length > 0) {
+        withGaps.push(contact);
+      }
+    }
+
+    // Next run starts from the newest contact seen - or from here again while changes are left over.
+    // Conversations with new messages still missing hold it back so the next run lists them again
+    const syncedThrough = changed.length > maxConversations
+      ? since
+      : Math.max(since, Math.min(
+        Math.max(...contacts.map(contact => contact.recentMessageDate)),
+        ...withGaps.map(contact => contact.recentMessageDate - 1)
+      ));
+
+    console.log('aiFiverr: Inbox sync -', contacts.length, 'contacts,', newMessages, 'new messages in', conversationsUpdated, 'conversations');
+    return { contacts: contacts.length, changed: changed.length, conversationsUpdated, newMessages, syncedThrough };
+  }
+
+  /**
+   * Contacts with a message newer than `since` - every contact when since is 0
+   */
+  async fetchContactsSince(since = 0) {
+    const contacts = [];
+    let oldestTimestamp = null;
+
+    for (let batchNumber = 1; batchNumber <= 20; batchNumber++) { // Limit to 20 batches for safety
+      const url = oldestTimestamp
+        ? `https://www.fiverr.com/inbox/contacts?older_than=${oldestTimestamp}`
+        : 'https://www.fiverr.com/inbox/contacts';
+
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch contacts: ${response.status} ${response.statusText}`);
+      }
+
+      const page = await response.json();
+      if (!page || page.length === 0) break;
+
+      contacts.push(...page.filter(contact => contact.recentMessageDate > since));
+      oldestTimestamp = Math.min(...page.map(contact => contact.recentMessageDate));
+
+      // Contacts come newest first - the rest of the list has not changed
+      if (oldestTimestamp <= since) break;
+
+      // Add delay to prevent rate limiting
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return contacts;
   }
 
   /**
@@ -1377,6 +2143,8 @@ class FiverrExtractor {
   }
 }
 
+FiverrExtractor.MAX_BATCHES_PER_RUN = 10; // Conversation pages per fetch - longer threads continue on the next run
+
 // Create global extractor instance - but only when explicitly called
 function initializeFiverrExtractor() {
   if (!window.fiverrExtractor) {
@@ -39,6 +39,15 @@ class FiverrInjector {
       case 'proposal':
         this.injectProposalUI(elements);
         break;
+      case 'order':
+        this.injectOrderUI(elements);
+        break;
+      case 'gig':
+        this.injectGigUI();
+        break;
+      case 'brief':
+        this.injectBriefBadge();
+        break;
 
     }
   }
@@ -88,6 +97,203 @@ class FiverrInjector {
 
 
 
+  /**
+   * Inject order page UI - the due date banner, order actions and a delivery button on order inputs
+   */
+  injectOrderUI(elements) {
+    this.injectOrderToolbar();
+
+    if (elements.order) {
+      elements.order.forEach(element => {
+        if (!fiverrDetector.isProcessed(element)) {
+          this.injectOrderInputButton(element);
+          fiverrDetector.markAsProcessed(element);
+        }
+      });
+    }
+  }
+
+  /**
+   * Inject the order toolbar once per order - re-rendered after navigating to another order
+   */
+  async injectOrderToolbar() {
+    const orderData = fiverrExtractor.extractOrderDetails();
+    if (!orderData) return;
+
+    const existing = document.querySelector('.aifiverr-order-toolbar');
+    if (existing && existing.dataset.orderId === String(orderData.orderId)) return;
+    if (existing) existing.remove();
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'aifiverr-order-toolbar';
+    toolbar.dataset.orderId = String(orderData.orderId);
+
+    const actions = this.createButtonContainer();
+    const deliveryButton = this.createAIButton('Draft Delivery', 'order-delivery');
+    deliveryButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.handleDraftDelivery(null, deliveryButton);
+    });
+    actions.appendChild(deliveryButton);
+
+    const revisionButton = this.createAIButton('Summarize Revisions', 'order-revisions');
+    revisionButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.handleSummarizeRevisions(revisionButton);
+    });
+    actions.appendChild(revisionButton);
+    toolbar.appendChild(actions);
+
+    // Place the toolbar above the order activity when it can be found
+    const anchor = document.querySelector('[data-testid*="order-activity"], .order-activity, main');
+    if (anchor) {
+      anchor.insertBefore(toolbar, anchor.firstChild);
+    } else {
+      document.body.appendChild(toolbar);
+    }
+    this.injectedElements.set(toolbar, toolbar);
+
+    // Warn when the delivery is close
+    const settings = window.storageManager ? await window.storageManager.getSettings() : {};
+    const dueStatus = fiverrExtractor.getOrderDueStatus(orderData, settings.orderDueWarningHours || 24);
+    if (!dueStatus || dueStatus.level === 'ok') return;
+
+    const banner = document.createElement('div');
+    banner.className = `aifiverr-order-due ${dueStatus.level}`;
+    banner.textContent = this.formatOrderDue(dueStatus);
+    toolbar.insertBefore(banner, toolbar.firstChild);
+
+    if (dueStatus.level === 'urgent' || dueStatus.level === 'overdue') {
+      showTooltip(banner.textContent, toolbar);
+      setTimeout(removeTooltip, 5000);
+    }
+  }
+
+  /**
+   * Inject delivery draft button for an order message or delivery input
+   */
+  injectOrderInputButton(inputElement) {
+    const container = this.createButtonContainer();
+    const button = this.createAIButton('Draft Delivery', 'order-delivery');
+
+    button.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.handleDraftDelivery(inputElement, button);
+    });
+
+    container.appendChild(button);
+    this.insertButtonContainer(inputElement, container);
+
+    this.injectedElements.set(inputElement, container);
+  }
+
+  /**
+   * Banner text for an order due status
+   */
+  formatOrderDue(dueStatus) {
+    const hours = Math.abs(dueStatus.remainingMs) / (60 * 60 * 1000);
+    const amount = hours >= 48 ? `${Math.round(hours / 24)} days` : hours >= 1 ? `${Math.round(hours)} hours` : `${Math.max(1, Math.round(hours * 60))} minutes`;
+
+    return dueStatus.level === 'overdue'
+      ? `Order delivery is ${amount} late`
+      : `Order is due in ${amount}`;
+  }
+
+  /**
+   * Inject the "Analyze Gig" action once per gig page
+   */
+  injectGigUI() {
+    const gigData = fiverrExtractor.extractGigDetails();
+    if (!gigData) return;
+
+    const existing = document.querySelector('.aifiverr-gig-toolbar');
+    if (existing && existing.dataset.gigUrl === gigData.url) return;
+    if (existing) existing.remove();
+
+    const toolbar = this.createButtonContainer();
+    toolbar.classList.add('aifiverr-gig-toolbar');
+    toolbar.dataset.gigUrl = gigData.url;
+
+    const button = this.createAIButton('Analyze Gig', 'gig-analysis');
+    button.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.handleAnalyzeGig(button);
+    });
+    toolbar.appendChild(button);
+
+    // Place the action under the gig title when it can be found
+    const title = document.querySelector('[data-testid*="gig-title"], .gig-overview h1, .gig-title, h1');
+    if (title && title.parentNode) {
+      title.parentNode.insertBefore(toolbar, title.nextSibling);
+    } else {
+      document.body.appendChild(toolbar);
+    }
+    this.injectedElements.set(toolbar, toolbar);
+  }
+
+  /**
+   * Inject the fit score badge on a brief page - scored against the seller profile in the knowledge base
+   */
+  async injectBriefBadge() {
+    const brief = fiverrExtractor.extractBrief();
+    if (!brief || (!brief.title && !brief.description)) return;
+
+    const briefUrl = window.location.origin + window.location.pathname;
+    const existing = document.querySelector('.aifiverr-brief-badge');
+    if (existing && existing.dataset.briefUrl === briefUrl) return;
+    if (existing) existing.remove();
+
+    const badge = document.createElement('div');
+    badge.className = 'aifiverr-brief-badge';
+    badge.dataset.briefUrl = briefUrl;
+
+    const title = document.querySelector('[data-testid*="title"], .brief-title, .project-title, h1');
+    if (title && title.parentNode) {
+      title.parentNode.insertBefore(badge, title.nextSibling);
+    } else {
+      document.body.appendChild(badge);
+    }
+    this.injectedElements.set(badge, badge);
+
+    const variables = window.storageManager ? await window.storageManager.getKnowledgeBase() : {};
+    const profile = BriefModel.getSellerProfile(variables);
+    const fit = BriefModel.score(brief, profile);
+    this.renderBriefBadge(badge, fit, profile);
+  }
+
+  /**
+   * Render the score and its reasons - the reasons open on click
+   */
+  renderBriefBadge(badge, fit, profile) {
+    badge.innerHTML = '';
+    badge.classList.add(profile.configured ? fit.level : 'unscored');
+
+    const summary = document.createElement('button');
+    summary.type = 'button';
+    summary.className = 'aifiverr-brief-badge-summary';
+    summary.textContent = profile.configured
+      ? `Fit ${fit.score}/100 · ${fit.level.charAt(0).toUpperCase() + fit.level.slice(1)}`
+      : 'Fit score: add your seller profile';
+
+    const reasons = document.createElement('ul');
+    reasons.className = 'aifiverr-brief-badge-reasons';
+    reasons.hidden = profile.configured;
+    fit.reasons.forEach(reason => {
+      const item = document.createElement('li');
+      item.className = reason.type;
+      item.textContent = reason.text;
+      reasons.appendChild(item);
+    });
+
+    summary.addEventListener('click', (e) => {
+      e.preventDefault();
+      reasons.hidden = !reasons.hidden;
+    });
+
+    badge.appendChild(summary);
+    badge.appendChild(reasons);
+  }
+
   /**
    * Inject AI button for chat input - COMPACT VERSION
    */
@@ -646,7 +852,8 @@ class FiverrInjector {
         const item = document.createElement('div');
         item.className = 'aifiverr-prompt-item';
       item.style.cssText = `
-        padding: 12px 16px;
+        position: relative;
+        padding: 12px 40px 12px 16px;
         cursor: pointer;
         border-bottom: 1px solid #f3f4f6;
         transition: background-color 0.2s ease;
@@ -688,8 +895,17 @@ class FiverrInjector {
         <div style="font-size: 12px; color: #6b7280; line-height: 1.3;">
           ${this.escapeHtml(description)}
         </div>
+        <button class="aifiverr-prompt-variants-btn" title="Generate several versions to choose from" style="position: absolute; top: 50%; right: 8px; transform: translateY(-50%); background: none; border: none; cursor: pointer; font-size: 14px; padding: 4px; border-radius: 4px;">🎲</button>
       `;
 
+      // Variants button - several versions side by side in the result popup
+      item.querySelector('.aifiverr-prompt-variants-btn').addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropdown.style.display = 'none';
+        await this.generateReplyVariants(inputElement, key);
+      });
+
       // Hover effect
       item.addEventListener('mouseenter', () => {
         item.style.backgroundColor = '#f9fafb';
@@ -847,8 +1063,9 @@ class FiverrInjector {
 
   /**
    * Show notification next to the message icon (simple positioning)
+   * action: optional { label, onClick } button shown under the message
    */
-  showMessageIconNotification(message, inputElement, duration = 3000) {
+  showMessageIconNotification(message, inputElement, duration = 3000, action = null) {
     // Clear any existing notification
     this.clearMessageIconNotification();
 
@@ -881,6 +1098,21 @@ class FiverrInjector {
       whiteSpace: 'nowrap'
     });
 
+    if (action) {
+      notification.classList.add('has-action');
+      notification.style.whiteSpace = 'normal';
+
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'aifiverr-notification-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        notification.remove();
+        action.onClick();
+      });
+      notification.appendChild(actionBtn);
+    }
+
     // Auto-remove after duration (if duration > 0)
     if (duration > 0) {
       setTimeout(() => {
@@ -1081,7 +1313,9 @@ class FiverrInjector {
       const session = await sessionManager.getOrCreateSession(window.location.href);
 
       // Generate reply using AI
-      const reply = await this.generateAIReply(context, session);
+      const reply = await this.generateAIReply(context, session, null, {
+        onRetry: (info) => showTooltip(info.message, inputElement)
+      });
 
       if (reply) {
         inputElement.value = reply;
@@ -1121,14 +1355,16 @@ class FiverrInjector {
 
   /**
    * Generate reply with specific prompt
+   * safetyAdjustment: the safety report of a blocked/truncated attempt to steer the prompt away from
    */
-  async generateReplyWithPrompt(inputElement, promptKey) {
+  async generateReplyWithPrompt(inputElement, promptKey, safetyAdjustment = null) {
     const messageIconContainer = inputElement.parentElement?.querySelector('.aifiverr-message-icon-container');
     const messageIcon = messageIconContainer?.querySelector('.aifiverr-message-icon-button');
+    const abortController = new AbortController();
 
     try {
       // Start loading animation on message icon
-      this.startMessageIconLoading(messageIcon);
+      this.startMessageIconLoading(messageIcon, abortController);
 
       // Get conversation context
       const conversationData = await fiverrExtractor.extractConversation();
@@ -1138,14 +1374,33 @@ class FiverrInjector {
       const session = await sessionManager.getOrCreateSession(window.location.href);
 
       // Generate reply using AI with specific prompt
-      const reply = await this.generateAIReply(context, session, promptKey);
+      let safety = null;
+      const reply = await this.generateAIReply(context, session, promptKey, {
+        signal: abortController.signal,
+        onRetry: (info) => this.showMessageIconNotification(info.message, inputElement, Math.max(info.delayMs, 2000)),
+        onSafety: (report) => { safety = report; },
+        safetyAdjustment
+      });
+      const cancelled = abortController.signal.aborted;
+      const retryAction = {
+        label: '🔁 Retry adjusted',
+        onClick: () => this.generateReplyWithPrompt(inputElement, promptKey, safety)
+      };
 
       if (reply) {
         // Remove markdown formatting from the reply
         const cleanReply = removeMarkdownFormatting(reply);
         inputElement.value = cleanReply;
         inputElement.dispatchEvent(new Event('input', { bubbles: true }));
-        this.showMessageIconNotification('Reply generated successfully!', inputElement, 2000);
+        if (safety) {
+          this.showMessageIconNotification(safety.message, inputElement, 10000, retryAction);
+        } else {
+          this.showMessageIconNotification(cancelled ? 'Generation stopped - partial reply inserted' : 'Reply generated successfully!', inputElement, 2000);
+        }
+      } else if (safety) {
+        this.showMessageIconNotification(safety.message, inputElement, 10000, retryAction);
+      } else if (cancelled) {
+        this.showMessageIconNotification('Generation stopped', inputElement, 2000);
       } else {
         this.showMessageIconNotification('No reply generated', inputElement);
       }
@@ -1158,15 +1413,84 @@ class FiverrInjector {
     }
   }
 
+  /**
+   * Generate several versions of a reply and show them as tabs in the result popup
+   * The version that gets inserted is recorded in the conversation session
+   */
+  async generateReplyVariants(inputElement, promptKey) {
+    if (!window.textSelector) {
+      this.showMessageIconNotification('Result popup not available', inputElement);
+      return;
+    }
+
+    const messageIconContainer = inputElement.parentElement?.querySelector('.aifiverr-message-icon-container');
+    const messageIcon = messageIconContainer?.querySelector('.aifiverr-message-icon-button');
+    const abortController = new AbortController();
+
+    try {
+      this.clearMessageIconNotification();
+      this.startMessageIconLoading(messageIcon, abortController);
+
+      const conversationData = await fiverrExtractor.extractConversation();
+      const context = conversationData ? fiverrExtractor.getConversationSummary(conversationData) : '';
+      const session = await sessionManager.getOrCreateSession(window.location.href);
+      const request = await this.buildReplyRequest(context, session, promptKey);
+      let recorded = false;
+
+      const popup = window.textSelector.showResultPopup('', context, {
+        streaming: true,
+        onStop: () => abortController.abort(),
+        anchor: messageIcon || inputElement,
+        variantRequest: { ...request, signal: abortController.signal },
+        onInsert: (text) => {
+          if (recorded) return;
+          recorded = true;
+          aiRequestClient.recordInSession(request, text);
+        }
+      });
+
+      await window.textSelector.generateResultVariants(popup);
+    } catch (error) {
+      console.error('Reply variants generation failed:', error);
+      this.showMessageIconNotification('Failed to generate reply variants', inputElement);
+    } finally {
+      this.stopMessageIconLoading(messageIcon);
+    }
+  }
+
   /**
    * Start loading animation on message icon
    */
-  startMessageIconLoading(messageIcon) {
+  startMessageIconLoading(messageIcon, abortController = null) {
     if (!messageIcon) return;
 
     messageIcon.classList.add('loading');
     messageIcon.innerHTML = '💬';
 
+    // Stop button next to the icon aborts the request
+    if (abortController && !messageIcon.parentElement?.querySelector('.aifiverr-stop-generation-btn')) {
+      const stopButton = document.createElement('button');
+      stopButton.className = 'aifiverr-stop-generation-btn';
+      stopButton.innerHTML = '⏹️';
+      stopButton.title = 'Stop generating';
+      Object.assign(stopButton.style, {
+        background: 'none',
+        border: 'none',
+        fontSize: '14px',
+        cursor: 'pointer',
+        padding: '4px',
+        borderRadius: '4px',
+        opacity: '0.8'
+      });
+      stopButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        abortController.abort();
+        stopButton.disabled = true;
+      });
+      messageIcon.insertAdjacentElement('afterend', stopButton);
+    }
+
     // Add animated dots
     let dotCount = 0;
     const animateIcon = () => {
@@ -1190,6 +1514,7 @@ class FiverrInjector {
 
     messageIcon.classList.remove('loading');
     messageIcon.innerHTML = '💬';
+    messageIcon.parentElement?.querySelector('.aifiverr-stop-generation-btn')?.remove();
   }
 
 
@@ -1270,6 +1595,8 @@ class FiverrInjector {
       const result = await knowledgeBaseManager.processPrompt('translate_message', contextVars);
       const prompt = typeof result === 'object' ? result.prompt : result;
       const knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+      const generationSettings = typeof result === 'object' ? result.generationSettings : {};
+      const systemInstruction = typeof result === 'object' ? result.systemInstruction || undefined : undefined;
 
       console.log('aiFiverr Injector: Translation - Knowledge base files:', knowledgeBaseFiles);
       console.log('aiFiverr Injector: Translation - Files details:', knowledgeBaseFiles.map(f => ({
@@ -1279,7 +1606,14 @@ class FiverrInjector {
         hasGeminiUri: !!f.geminiUri
       })));
 
-      const response = await geminiClient.generateContent(prompt, { knowledgeBaseFiles });
+      const response = await aiRequestClient.generate({
+        prompt,
+        knowledgeBaseFiles,
+        generationSettings,
+        systemInstruction,
+        promptKey: 'translate_message',
+        onRetry: (info) => showTooltip(info.message, messageElement)
+      });
 
       removeTooltip();
       return {
@@ -1312,7 +1646,10 @@ class FiverrInjector {
 
       // Process summarize prompt
       const prompt = await knowledgeBaseManager.processPrompt('summarize_message', contextVars);
-      const response = await geminiClient.generateContent(prompt);
+      const response = await aiRequestClient.generate({
+        prompt,
+        onRetry: (info) => showTooltip(info.message, messageElement)
+      });
 
       removeTooltip();
       return {
@@ -1333,13 +1670,14 @@ class FiverrInjector {
     showTooltip('Analyzing message...', messageElement);
 
     try {
-      // Use existing analysis method
-      const analysis = await this.analyzeMessage(messageContent);
+      const analysis = await this.analyzeMessage(messageContent, {
+        onRetry: (info) => showTooltip(info.message, messageElement)
+      });
 
       removeTooltip();
       return {
         title: 'Analysis',
-        content: analysis
+        ...analysis
       };
     } catch (error) {
       console.error('Analysis failed:', error);
@@ -1385,6 +1723,117 @@ class FiverrInjector {
 
 
 
+  /**
+   * Handle delivery message drafting - fills the input, or shows the draft when there is none
+   */
+  async handleDraftDelivery(inputElement, anchorElement) {
+    const anchor = inputElement || anchorElement;
+
+    try {
+      showTooltip('Drafting delivery message...', anchor);
+
+      const orderData = fiverrExtractor.extractOrderDetails();
+      const context = orderData ? fiverrExtractor.orderToContext(orderData) : 'No order details available';
+      const draft = await this.generateWithPageContext('order_delivery', context, anchor,
+        'Write a short, friendly Fiverr delivery message for this order. Confirm what is delivered against the buyer\'s requirements and any revision requests, and invite feedback. No explanations.');
+
+      removeTooltip();
+      if (inputElement) {
+        inputElement.value = draft;
+        inputElement.dispatchEvent(new Event('input', { bubbles: true }));
+      } else {
+        this.showActionResult({ title: 'Delivery Message', content: draft }, anchor, 'order_delivery');
+      }
+    } catch (error) {
+      console.error('Delivery message drafting failed:', error);
+      showTooltip('Failed to draft delivery message', anchor);
+      setTimeout(removeTooltip, 3000);
+    }
+  }
+
+  /**
+   * Handle revision request summary
+   */
+  async handleSummarizeRevisions(anchorElement) {
+    try {
+      const orderData = fiverrExtractor.extractOrderDetails();
+      if (!orderData?.revisions?.length) {
+        showTooltip('No revision requests found on this order', anchorElement);
+        setTimeout(removeTooltip, 3000);
+        return;
+      }
+
+      showTooltip('Summarizing revision requests...', anchorElement);
+      const summary = await this.generateWithPageContext('order_revision_summary', fiverrExtractor.orderToContext(orderData), anchorElement,
+        'Summarize the revision requests in this Fiverr order as a checklist and note which are still open after the latest delivery. No explanations.');
+
+      removeTooltip();
+      this.showActionResult({ title: 'Revision Requests', content: summary }, anchorElement, 'order_revision_summary');
+    } catch (error) {
+      console.error('Revision summary failed:', error);
+      showTooltip('Failed to summarize revision requests', anchorElement);
+      setTimeout(removeTooltip, 3000);
+    }
+  }
+
+  /**
+   * Handle gig analysis - positioning and pricing critique against our own gigs in the knowledge base
+   */
+  async handleAnalyzeGig(anchorElement) {
+    try {
+      // Re-extract on click - package tabs and FAQ answers load after the page
+      const gigData = fiverrExtractor.extractGigDetails();
+      if (!gigData?.title && !gigData?.packages?.length) {
+        showTooltip('No gig details found on this page', anchorElement);
+        setTimeout(removeTooltip, 3000);
+        return;
+      }
+
+      showTooltip('Analyzing gig...', anchorElement);
+      const analysis = await this.generateWithPageContext('gig_analysis', fiverrExtractor.gigToContext(gigData), anchorElement,
+        'Compare this competitor Fiverr gig with my own gigs from the attached documents. Critique its positioning and pricing against mine and list concrete changes I should make to compete. No explanations.');
+
+      removeTooltip();
+      this.showActionResult({ title: 'Gig Analysis', content: analysis }, anchorElement, 'gig_analysis');
+    } catch (error) {
+      console.error('Gig analysis failed:', error);
+      showTooltip('Failed to analyze gig', anchorElement);
+      setTimeout(removeTooltip, 3000);
+    }
+  }
+
+  /**
+   * Run a prompt with page details (order, gig) as {conversation} - falls back to an inline prompt
+   */
+  async generateWithPageContext(promptKey, context, anchorElement, fallbackInstruction) {
+    const onRetry = (info) => showTooltip(info.message, anchorElement);
+
+    let result;
+    try {
+      result = await knowledgeBaseManager.processPrompt(promptKey, { conversation: context });
+    } catch (error) {
+      console.warn(`aiFiverr Injector: ${promptKey} prompt not found, using fallback:`, error);
+      const knowledgeBaseFiles = await this.getKnowledgeBaseFilesForced();
+      const response = await aiRequestClient.generate({
+        prompt: `${fallbackInstruction}\n\n${context}`,
+        knowledgeBaseFiles,
+        promptKey,
+        onRetry
+      });
+      return removeMarkdownFormatting(response.text);
+    }
+
+    const response = await aiRequestClient.generate({
+      prompt: result.prompt,
+      knowledgeBaseFiles: result.knowledgeBaseFiles || [],
+      generationSettings: result.generationSettings,
+      systemInstruction: result.systemInstruction || undefined,
+      promptKey,
+      onRetry
+    });
+    return removeMarkdownFormatting(response.text);
+  }
+
   /**
    * Check if element is a message element
    */
@@ -1523,95 +1972,155 @@ class FiverrInjector {
 
   /**
    * AI integration methods
+   * requestOptions carries per-call request fields such as signal, onRetry and onSafety;
+   * safetyAdjustment (a previous safety report) adjusts the prompt for a retry
    */
-  async generateAIReply(context, session, promptKey = null) {
+  async generateAIReply(context, session, promptKey = null, requestOptions = {}) {
     try {
-      // Use specified prompt key or default to professional reply
-      const selectedPromptKey = promptKey || 'professional_initial_reply';
-
-      // Get the prompt text first
-      let promptText = '';
-      try {
-        if (window.knowledgeBaseManager) {
-          const prompt = window.knowledgeBaseManager.getPrompt(selectedPromptKey);
-          promptText = prompt ? prompt.prompt : '';
-        }
-      } catch (error) {
-        console.warn('aiFiverr Injector: Could not get prompt text:', error);
+      const { safetyAdjustment, ...options } = requestOptions;
+      const request = await this.buildReplyRequest(context, session, promptKey);
+      if (safetyAdjustment) {
+        request.prompt = ContentSafety.adjustPrompt(request.prompt, safetyAdjustment);
       }
 
-      // Prepare available context for variable processor
-      const availableContext = {
-        conversation: context || '', // Use provided context or empty
-        username: 'Client', // Default username
-        reply: '' // No reply context in this flow
-      };
+      console.log('aiFiverr Injector: Chat Reply - Calling request client with options:', { knowledgeBaseFiles: request.knowledgeBaseFiles });
+      const response = await aiRequestClient.collect({ ...options, ...request });
+      return removeMarkdownFormatting(response.response);
+    } catch (error) {
+      console.error('AI reply generation failed:', error);
+      throw new Error('Failed to generate AI reply');
+    }
+  }
 
-      // CRITICAL FIX: Use knowledge base manager for saved prompts to get attached files
-      let prompt;
-      let knowledgeBaseFiles = [];
+  /**
+   * Build the request for a reply with a saved prompt (default: professional initial reply)
+   */
+  async buildReplyRequest(context, session, promptKey = null) {
+    // Use specified prompt key or default to professional reply
+    const selectedPromptKey = promptKey || 'professional_initial_reply';
 
-      if (window.knowledgeBaseManager && selectedPromptKey) {
-        // Use knowledge base manager for saved prompts to get attached files
-        console.log('aiFiverr Injector: Using knowledge base manager for saved prompt:', selectedPromptKey);
-        const processedResult = await window.knowledgeBaseManager.processPrompt(selectedPromptKey, availableContext);
-        prompt = processedResult.prompt;
-        knowledgeBaseFiles = processedResult.knowledgeBaseFiles || [];
+    // Get the prompt text first
+    let promptText = '';
+    try {
+      if (window.knowledgeBaseManager) {
+        const prompt = window.knowledgeBaseManager.getPrompt(selectedPromptKey);
+        promptText = prompt ? prompt.prompt : '';
+      }
+    } catch (error) {
+      console.warn('aiFiverr Injector: Could not get prompt text:', error);
+    }
 
-        console.log('aiFiverr Injector: Files from saved prompt:', knowledgeBaseFiles.length);
-        console.log('aiFiverr Injector: Files details:', knowledgeBaseFiles.map(f => ({
-          name: f.name,
-          hasGeminiUri: !!f.geminiUri,
-          mimeType: f.mimeType
-        })));
+    // Prepare available context for variable processor
+    const availableContext = {
+      conversation: context || '', // Use provided context or empty
+      username: 'Client', // Default username
+      reply: '' // No reply context in this flow
+    };
 
-      } else if (window.variableProcessor && promptText) {
-        // Use variable processor for dynamic prompts
-        console.log('aiFiverr Injector: Using variable processor for dynamic prompt processing');
-        const processedResult = await window.variableProcessor.processPrompt(promptText, availableContext);
-        prompt = processedResult.prompt;
-        knowledgeBaseFiles = processedResult.knowledgeBaseFiles || [];
+    // CRITICAL FIX: Use knowledge base manager for saved prompts to get attached files
+    let prompt;
+    let knowledgeBaseFiles = [];
+    let generationSettings = {};
+    let systemInstruction;
+
+    if (window.knowledgeBaseManager && selectedPromptKey) {
+      // Use knowledge base manager for saved prompts to get attached files
+      console.log('aiFiverr Injector: Using knowledge base manager for saved prompt:', selectedPromptKey);
+      const processedResult = await window.knowledgeBaseManager.processPrompt(selectedPromptKey, availableContext);
+      prompt = processedResult.prompt;
+      knowledgeBaseFiles = processedResult.knowledgeBaseFiles || [];
+      generationSettings = processedResult.generationSettings || {};
+      systemInstruction = processedResult.systemInstruction || undefined;
+
+      console.log('aiFiverr Injector: Files from saved prompt:', knowledgeBaseFiles.length);
+      console.log('aiFiverr Injector: Files details:', knowledgeBaseFiles.map(f => ({
+        name: f.name,
+        hasGeminiUri: !!f.geminiUri,
+        mimeType: f.mimeType
+      })));
 
-        console.log('aiFiverr Injector: Using variable processor for AI reply');
-        console.log('aiFiverr Injector: Variables used:', processedResult.usedVariables);
-        console.log('aiFiverr Injector: Files used:', processedResult.usedFiles);
-      } else {
-        // Fallback to knowledge base manager
-        try {
-          const contextVars = {
-            conversation: context || '',
-            username: 'Client'
-          };
-
-          const result = await knowledgeBaseManager.processPrompt(selectedPromptKey, contextVars);
-          prompt = typeof result === 'object' ? result.prompt : result;
-          knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
-
-          console.log('aiFiverr Injector: Using knowledge base manager fallback');
-        } catch (kbError) {
-          console.warn(`Prompt '${selectedPromptKey}' not found, using basic fallback:`, kbError);
-          // Basic fallback prompt
-          prompt = 'Generate a professional reply for this Fiverr conversation';
-          if (context) {
-            prompt += `\n\nConversation context:\n${context}`;
-          }
-          prompt += '\n\nPlease generate an appropriate, professional response that addresses the conversation context.';
+    } else if (window.variableProcessor && promptText) {
+      // Use variable processor for dynamic prompts
+      console.log('aiFiverr Injector: Using variable processor for dynamic prompt processing');
+      const processedResult = await window.variableProcessor.processPrompt(promptText, availableContext);
+      prompt = processedResult.prompt;
+      knowledgeBaseFiles = processedResult.knowledgeBaseFiles || [];
+
+      console.log('aiFiverr Injector: Using variable processor for AI reply');
+      console.log('aiFiverr Injector: Variables used:', processedResult.usedVariables);
+      console.log('aiFiverr Injector: Files used:', processedResult.usedFiles);
+    } else {
+      // Fallback to knowledge base manager
+      try {
+        const contextVars = {
+          conversation: context || '',
+          username: 'Client'
+        };
+
+        const result = await knowledgeBaseManager.processPrompt(selectedPromptKey, contextVars);
+        prompt = typeof result === 'object' ? result.prompt : result;
+        knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+        generationSettings = typeof result === 'object' ? result.generationSettings : {};
+        systemInstruction = typeof result === 'object' ? result.systemInstruction || undefined : undefined;
+
+        console.log('aiFiverr Injector: Using knowledge base manager fallback');
+      } catch (kbError) {
+        console.warn(`Prompt '${selectedPromptKey}' not found, using basic fallback:`, kbError);
+        // Basic fallback prompt
+        prompt = 'Generate a professional reply for this Fiverr conversation';
+        if (context) {
+          prompt += `\n\nConversation context:\n${context}`;
         }
+        prompt += '\n\nPlease generate an appropriate, professional response that addresses the conversation context.';
       }
-
-      console.log('aiFiverr Injector: Chat Reply - Calling generateChatReply with options:', { knowledgeBaseFiles });
-      const response = await geminiClient.generateChatReply(session, prompt, { knowledgeBaseFiles });
-      return removeMarkdownFormatting(response.response);
-    } catch (error) {
-      console.error('AI reply generation failed:', error);
-      throw new Error('Failed to generate AI reply');
     }
+
+    return {
+      session,
+      prompt,
+      knowledgeBaseFiles,
+      generationSettings,
+      systemInstruction,
+      promptKey: selectedPromptKey
+    };
   }
 
-  async analyzeMessage(content) {
+  /**
+   * Analyze a message (and the open brief, if any) with the structured brief analysis prompt
+   * Returns { content, structured, responseSchema } - structured is null when the response was not valid
+   */
+  async analyzeMessage(content, requestOptions = {}) {
     try {
-      const analysis = await geminiClient.analyzeMessage(content);
-      return analysis;
+      const briefData = fiverrExtractor.extractBriefDetails();
+      const conversation = briefData ? `${this.formatBriefData(briefData)}\n${content}` : content;
+
+      let prompt;
+      try {
+        prompt = await knowledgeBaseManager.processPrompt('brief_analysis', { conversation });
+      } catch (promptError) {
+        console.warn('aiFiverr Injector: Brief analysis prompt not available, using built-in schema:', promptError);
+        prompt = {
+          prompt: `Analyze this Fiverr project brief or buyer message:\n\n${conversation}`,
+          responseSchema: StructuredOutput.BRIEF_ANALYSIS_SCHEMA,
+          promptKey: 'brief_analysis'
+        };
+      }
+
+      const response = await aiRequestClient.generate({ ...requestOptions, prompt });
+      const responseSchema = prompt.responseSchema;
+
+      if (response.structured?.valid) {
+        return {
+          content: StructuredOutput.toText(response.structured.data, responseSchema),
+          structured: response.structured.data,
+          responseSchema
+        };
+      }
+
+      if (response.structured) {
+        console.warn('aiFiverr Injector: Analysis did not match its schema:', response.structured.errors);
+      }
+      return { content: removeMarkdownFormatting(response.text), structured: null, responseSchema };
     } catch (error) {
       console.error('Message analysis failed:', error);
       throw new Error('Failed to analyze message');
@@ -1634,10 +2143,14 @@ class FiverrInjector {
       // Use knowledge base manager to process the project proposal prompt
       let prompt;
       let knowledgeBaseFiles = [];
+      let generationSettings = {};
+      let systemInstruction;
       try {
         const result = await knowledgeBaseManager.processPrompt('project_proposal', contextVars);
         prompt = typeof result === 'object' ? result.prompt : result;
         knowledgeBaseFiles = typeof result === 'object' ? result.knowledgeBaseFiles : [];
+        generationSettings = typeof result === 'object' ? result.generationSettings : {};
+        systemInstruction = typeof result === 'object' ? result.systemInstruction || undefined : undefined;
 
         console.log('aiFiverr Injector: Project Proposal - Knowledge base files from prompt:', knowledgeBaseFiles.length);
 
@@ -1658,7 +2171,6 @@ class FiverrInjector {
         console.warn('Project proposal prompt not found, using fallback with files:', error);
 
         // Force load knowledge base files
-        const knowledgeBase = await storageManager.getKnowledgeBase();
         const kbFiles = await this.getKnowledgeBaseFilesForced();
 
         console.log('aiFiverr Injector: Forced KB files:', kbFiles);
@@ -1669,15 +2181,17 @@ class FiverrInjector {
           hasGeminiUri: !!f.geminiUri
         })));
 
-        return await geminiClient.generateProposal(briefData, knowledgeBase, { knowledgeBaseFiles: kbFiles });
+        const fallbackPrompt = `Write a professional Fiverr proposal for the following project brief. Use the attached knowledge base files for details about my services and experience.\n\n${contextVars.proposal}`;
+        const fallbackResponse = await aiRequestClient.generate({ prompt: fallbackPrompt, knowledgeBaseFiles: kbFiles, promptKey: 'project_proposal' });
+        return removeMarkdownFormatting(fallbackResponse.text);
       }
 
       // Generate proposal using the processed prompt
-      console.log('aiFiverr Injector: Project Proposal - Calling generateContent with options:', { knowledgeBaseFiles });
+      console.log('aiFiverr Injector: Project Proposal - Calling request client with options:', { knowledgeBaseFiles });
       console.log('aiFiverr Injector: Project Proposal - Files count:', knowledgeBaseFiles.length);
       console.log('aiFiverr Injector: Project Proposal - Files with Gemini URI:', knowledgeBaseFiles.filter(f => f.geminiUri).length);
 
-      const response = await geminiClient.generateContent(prompt, { knowledgeBaseFiles });
+      const response = await aiRequestClient.generate({ prompt, knowledgeBaseFiles, generationSettings, systemInstruction, promptKey: 'project_proposal' });
       return removeMarkdownFormatting(response.text);
     } catch (error) {
       console.error('AI proposal generation failed:', error);
@@ -1886,7 +2400,9 @@ class FiverrInjector {
         <button class="close-btn">×</button>
       </div>
       <div class="result-content">
-        ${result.content.replace(/\n/g, '<br>')}
+        ${result.structured
+          ? StructuredOutput.renderCards(result.structured, result.responseSchema)
+          : result.content.replace(/\n/g, '<br>')}
       </div>
       <div class="result-actions">
         <button class="copy-btn">Copy</button>
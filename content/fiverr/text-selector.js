@@ -775,6 +775,8 @@ class TextSelector {
     this.lastProcessedContext = null;
     this.lastUsedVariables = null;
     this.lastKnowledgeBaseFiles = null;
+    this.lastGenerationSettings = null;
+    this.lastSystemInstruction = null;
 
     // Reset badge counter
     this.resetSelectionBadge();
@@ -1325,6 +1327,17 @@ class TextSelector {
       // Get current settings for default values
       const settings = await this.getSettings();
 
+      // Models without tool support get no grounding toggles
+      if (window.modelCatalog) {
+        const capabilities = await window.modelCatalog.getCapabilities();
+        if (!capabilities.grounding) {
+          this.googleSearchGrounding = false;
+          this.urlContextExtraction = false;
+          console.log('aiFiverr: Selected model does not support grounding - hiding grounding toggles');
+          return;
+        }
+      }
+
       // Create Google Search grounding toggle
       const searchToggle = this.createToggleControl(
         '🔍',
@@ -1598,8 +1611,8 @@ class TextSelector {
       if (!window.knowledgeBaseManager) {
         throw new Error('Knowledge base manager not available');
       }
-      if (!window.geminiClient) {
-        throw new Error('Gemini client not available');
+      if (!window.aiRequestClient) {
+        throw new Error('AI request client not available');
       }
 
       // Get or create session for text selection
@@ -1702,7 +1715,8 @@ class TextSelector {
           );
           result = {
             prompt: processedResult.prompt,
-            knowledgeBaseFiles: processedResult.knowledgeBaseFiles
+            knowledgeBaseFiles: processedResult.knowledgeBaseFiles,
+            variableCharacters: processedResult.variableCharacters
           };
 
           // Store context for streaming chat consistency
@@ -1744,12 +1758,20 @@ class TextSelector {
         console.log('aiFiverr: Using improved fallback prompt processing');
       }
 
-      // Safely extract processed prompt and knowledge base files
+      // Safely extract processed prompt, knowledge base files and per-prompt request settings
       let processedPrompt, knowledgeBaseFiles;
+      let generationSettings = {};
+      let systemInstruction;
+      let responseSchema;
+      let variableCharacters = 0;
 
       if (typeof result === 'object' && result !== null) {
         processedPrompt = result.prompt;
         knowledgeBaseFiles = result.knowledgeBaseFiles;
+        generationSettings = result.generationSettings || {};
+        systemInstruction = result.systemInstruction || undefined;
+        responseSchema = result.responseSchema || undefined;
+        variableCharacters = result.variableCharacters || 0;
       } else {
         processedPrompt = result;
         knowledgeBaseFiles = [];
@@ -1810,53 +1832,8 @@ class TextSelector {
       console.log('aiFiverr: Processed prompt:', safeProcessedPrompt.substring(0, 100) + '...');
       console.log('aiFiverr: Knowledge base files for prompt:', knowledgeBaseFiles.length, 'files');
 
-      // Check for files that might need re-upload due to MIME type issues
-      console.log('🚨 TEXT-SELECTOR: Checking files for potential MIME type issues...');
-
-      knowledgeBaseFiles = knowledgeBaseFiles.filter(file => {
-        if (!file || !file.geminiUri) {
-          console.log('🚨 Skipping file without Gemini URI:', file?.name);
-          return false;
-        }
-
-        return true;
-      });
-
-      // CRITICAL FIX: Clean up MIME types before sending to API
-      knowledgeBaseFiles = knowledgeBaseFiles.map(file => {
-        if (file.mimeType === 'application/octet-stream' ||
-            !file.mimeType ||
-            file.mimeType === '' ||
-            file.mimeType === null) {
-
-          // Try to detect proper MIME type from file extension
-          const extension = file.name ? file.name.toLowerCase().split('.').pop() : '';
-          const mimeMap = {
-            'txt': 'text/plain',
-            'md': 'text/markdown',
-            'pdf': 'application/pdf',
-            'doc': 'application/msword',
-            'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'json': 'application/json',
-            'csv': 'text/csv',
-            'html': 'text/html',
-            'js': 'text/javascript',
-            'py': 'text/x-python'
-          };
-
-          const newMimeType = mimeMap[extension] || 'text/plain';
-          console.warn(`🔧 Text Selector: Fixed MIME type for ${file.name}: ${file.mimeType} → ${newMimeType}`);
-
-          return {
-            ...file,
-            mimeType: newMimeType
-          };
-        }
-        return file;
-      });
+      // Drop unusable/expired files and clean up MIME types before sending to API
+      knowledgeBaseFiles = window.aiRequestClient.prepareFiles(knowledgeBaseFiles);
 
       console.log('🚨 TEXT-SELECTOR: After filtering, using', knowledgeBaseFiles.length, 'files');
 
@@ -1876,10 +1853,6 @@ class TextSelector {
       // Generate AI response with enhanced error handling
       console.log('aiFiverr: Generating AI response with options:', { knowledgeBaseFiles: knowledgeBaseFiles.length + ' files' });
 
-      // DEBUG: Check what geminiClient we're using
-      console.log('🚨 TEXT-SELECTOR: window.geminiClient type:', typeof window.geminiClient);
-      console.log('🚨 TEXT-SELECTOR: window.geminiClient constructor:', window.geminiClient?.constructor?.name);
-
       // DEBUG: Log the exact files being passed
       console.log('🚨 TEXT-SELECTOR: Files being passed to Gemini:', JSON.stringify(knowledgeBaseFiles, null, 2));
 
@@ -1897,38 +1870,32 @@ class TextSelector {
 
       // CRITICAL: Store the final prompt that will be sent to AI for streaming chat context consistency
       this.lastUsedPrompt = finalPrompt;
+      this.lastGenerationSettings = generationSettings;
+      this.lastSystemInstruction = systemInstruction;
       console.log('aiFiverr: Stored final prompt for streaming chat context:', finalPrompt.substring(0, 100) + '...');
 
-      let response;
-      try {
-        // Prepare grounding options
-        const groundingOptions = {
-          knowledgeBaseFiles,
-          enableGrounding: this.googleSearchGrounding || this.urlContextExtraction,
-          googleSearchGrounding: this.googleSearchGrounding || false,
-          urlContextExtraction: this.urlContextExtraction || false
-        };
-
-        console.log('aiFiverr: Using grounding options:', {
-          enableGrounding: groundingOptions.enableGrounding,
-          googleSearchGrounding: groundingOptions.googleSearchGrounding,
-          urlContextExtraction: groundingOptions.urlContextExtraction
-        });
-
-        response = await window.geminiClient.generateChatReply(session, finalPrompt, groundingOptions);
+      const request = {
+        prompt: finalPrompt,
+        knowledgeBaseFiles,
+        generationSettings,
+        systemInstruction,
+        responseSchema,
+        variableCharacters,
+        promptKey,
+        googleSearchGrounding: this.googleSearchGrounding || false,
+        urlContextExtraction: this.urlContextExtraction || false
+      };
 
-        if (!response || !response.response) {
-          throw new Error('Empty response from AI service');
-        }
+      // Variants resend the same request - the history is captured before this exchange is added to it
+      const variantRequest = { ...request, contents: window.aiRequestClient.buildHistory({ session }) };
 
-        console.log('aiFiverr: Got AI response:', response.response.substring(0, 100) + '...');
-      } catch (aiError) {
-        console.error('aiFiverr: Error generating AI response:', aiError);
-        throw new Error(`AI service error: ${aiError.message}`);
-      }
+      // Show result popup near the icon right away and stream the response into it
+      const resultPopup = this.showResultPopup('', selectedText, {
+        streaming: true,
+        variantRequest
+      });
 
-      // Show result popup near the icon (like chatbox style) - RESTORED ORIGINAL BEHAVIOR
-      this.showResultPopup(response.response, selectedText);
+      await this.runResultPopupRequest(resultPopup, request, session);
 
     } catch (error) {
       console.error('aiFiverr: Failed to process text with prompt:', error);
@@ -1938,6 +1905,92 @@ class TextSelector {
     }
   }
 
+  /**
+   * Stream a request into a result popup that is in streaming mode and finish it
+   * Blocked or truncated responses keep the popup open with a "retry adjusted" action
+   */
+  async runResultPopupRequest(popup, request, session) {
+    const abortController = new AbortController();
+    popup._onStop = () => abortController.abort();
+
+    let response;
+    try {
+      response = await window.aiRequestClient.collect({
+        ...request,
+        session,
+        signal: abortController.signal,
+        onRetry: (info) => this.setResultPopupStatus(popup, `⏳ ${info.message}`)
+      }, (chunk, text) => {
+        this.setResultPopupStatus(popup, null);
+        this.updateResultPopupText(popup, text);
+      });
+    } catch (aiError) {
+      console.error('aiFiverr: Error generating AI response:', aiError);
+      this.closeResultPopup(popup);
+      throw new Error(`AI service error: ${aiError.message}`);
+    }
+
+    const retryAction = response.safety ? {
+      label: '🔁 Retry adjusted',
+      onClick: () => this.retryResultPopupRequest(popup, request, session, response.safety)
+    } : null;
+
+    if (response.cancelled) {
+      console.log('aiFiverr: Generation stopped by user after', response.text.length, 'characters');
+      if (!response.text) {
+        this.closeResultPopup(popup);
+        this.showToast('⏹️ Generation stopped');
+        return;
+      }
+    } else if (!response.text) {
+      if (response.safety) {
+        popup.querySelector('.result-display').textContent = '';
+        this.finishResultPopupStreaming(popup, response.safety.message, retryAction);
+        return;
+      }
+      this.closeResultPopup(popup);
+      throw new Error('Empty response from AI service');
+    }
+
+    this.updateResultPopupText(popup, response.text);
+
+    const { responseSchema } = window.aiRequestClient.normalizePrompt(request);
+    let notice = response.cancelled ? '⏹️ Generation stopped - partial response' : null;
+    if (response.structured?.valid) {
+      this.showStructuredResult(popup, response.structured.data, responseSchema);
+    } else if (response.structured) {
+      notice = `⚠️ Response did not match the prompt's schema: ${response.structured.errors[0]}`;
+    }
+
+    if (!notice && response.safety) {
+      notice = response.safety.message;
+    }
+
+    if (!notice && response.budget?.trimmed.length > 0) {
+      notice = `✂️ Trimmed to fit the context budget: ${response.budget.trimmed.join(', ')}`;
+    }
+
+    this.finishResultPopupStreaming(popup, notice, notice === response.safety?.message ? retryAction : null);
+  }
+
+  /**
+   * Run a popup's request again with a prompt adjusted for what stopped the previous response
+   */
+  async retryResultPopupRequest(popup, request, session, safety) {
+    const adjustedRequest = { ...request, prompt: ContentSafety.adjustPrompt(request.prompt, safety) };
+    if (popup._variantRequest) {
+      popup._variantRequest = { ...popup._variantRequest, prompt: adjustedRequest.prompt };
+    }
+
+    this.startResultPopupStreaming(popup);
+    try {
+      await this.runResultPopupRequest(popup, adjustedRequest, session);
+    } catch (error) {
+      console.error('aiFiverr: Retry with adjusted prompt failed:', error);
+      this.showErrorMessage(`Failed to process text: ${error.message}. Please try again.`);
+    }
+  }
+
   /**
    * Start loading animation on the floating icon
    */
@@ -2072,7 +2125,9 @@ class TextSelector {
   /**
    * Show result popup near the floating icon (like chatbox style)
    */
-  showResultPopup(result, originalText) {
+  showResultPopup(result, originalText, options = {}) {
+    const { streaming = false, onStop = null, anchor = this.floatingIcon, variantRequest = null, onInsert = null } = options;
+
     // Remove existing popup with proper cleanup
     const existingPopup = document.querySelector('.aifiverr-text-result-popup');
     if (existingPopup) {
@@ -2094,14 +2149,18 @@ class TextSelector {
         </div>
         <button class="close-btn" title="Close">×</button>
       </div>
+      <div class="result-variants" style="display: none;"></div>
       <div class="result-content">
         <div class="result-display">${formattedResult}</div>
         <textarea class="result-text-editor" style="display: none;" placeholder="AI generated text...">${result}</textarea>
       </div>
+      <div class="result-status" style="display: none;"></div>
       <div class="result-actions">
+        <button class="stop-btn" title="Stop generating" style="display: none;">⏹️ Stop</button>
         <button class="copy-btn" title="Left click: Text | Right click: Markdown">📋 Copy <small>T|M</small></button>
         <button class="edit-btn" title="Edit text">✏️ Edit</button>
         <button class="insert-btn" title="Insert into field">📝 Insert</button>
+        <button class="variants-btn" title="Generate alternative versions side by side" style="display: none;">🎲 Variants</button>
         <button class="continue-chat-btn" title="Continue conversation with AI">💬 Chat</button>
       </div>
     `;
@@ -2109,8 +2168,8 @@ class TextSelector {
     // Add styles
     this.addResultPopupStyles();
 
-    // Position popup near the floating icon
-    this.positionResultPopup(popup);
+    // Position popup near the floating icon (or the element that opened it)
+    this.positionResultPopup(popup, anchor);
 
     // Make popup draggable
     this.makeDraggable(popup);
@@ -2161,8 +2220,17 @@ class TextSelector {
       const textToInsert = this.getContentForCopyInsert(popup, 'text');
       this.insertTextIntoActiveField(textToInsert);
       this.showToast('📝 Text inserted!');
+      if (onInsert) onInsert(textToInsert);
     });
 
+    // Variants - the request that produced the result can be sent again with different settings
+    popup._variantRequest = variantRequest;
+    const variantsBtn = popup.querySelector('.variants-btn');
+    if (variantRequest) {
+      variantsBtn.style.display = '';
+      variantsBtn.addEventListener('click', () => this.generateResultVariants(popup));
+    }
+
     // Chat button - transition to streaming chatbox
     const continueBtn = popup.querySelector('.continue-chat-btn');
     console.log('aiFiverr: Chat button found:', continueBtn);
@@ -2249,8 +2317,244 @@ class TextSelector {
       popup.dataset.currentText = e.target.value;
     });
 
+    const stopBtn = popup.querySelector('.stop-btn');
+    stopBtn.addEventListener('click', () => {
+      stopBtn.disabled = true;
+      if (popup._onStop) popup._onStop();
+    });
+
+    // Streaming mode - show a stop control until the response completes
+    if (streaming) {
+      this.startResultPopupStreaming(popup, onStop);
+    }
+
     // Store reference to popup for potential cleanup
     this.currentResultPopup = popup;
+    return popup;
+  }
+
+  /**
+   * Replace the text shown in a result popup (used while streaming)
+   */
+  updateResultPopupText(popup, text) {
+    if (!popup || !popup.parentNode) return;
+
+    popup.dataset.currentText = text;
+    popup.querySelector('.result-display').innerHTML = this.formatAIResult(text, { editMode: false });
+    popup.querySelector('.result-text-editor').value = text;
+  }
+
+  /**
+   * Render a validated structured response as cards
+   * Copy, insert and chat use a readable "Field: value" version of the data
+   */
+  showStructuredResult(popup, data, responseSchema) {
+    if (!popup || !popup.parentNode) return;
+
+    const text = StructuredOutput.toText(data, responseSchema);
+    popup.dataset.currentText = text;
+    popup.querySelector('.result-text-editor').value = text;
+    popup.querySelector('.result-display').innerHTML = StructuredOutput.renderCards(data, responseSchema);
+  }
+
+  /**
+   * Generate variants of the popup's request and show them as tabs
+   * The current result stays available as the "Original" tab
+   */
+  async generateResultVariants(popup) {
+    const request = popup._variantRequest;
+    if (!request || !window.aiRequestClient) return;
+
+    const variantsBtn = popup.querySelector('.variants-btn');
+    variantsBtn.disabled = true;
+    variantsBtn.textContent = '🎲 Generating...';
+    this.setResultPopupStatus(popup, '🎲 Generating variants...');
+
+    let variants;
+    try {
+      variants = await window.aiRequestClient.generateVariants(request);
+    } catch (error) {
+      console.error('aiFiverr: Failed to generate variants:', error);
+      if (popup.classList.contains('streaming')) {
+        if (error.name === 'AbortError') {
+          this.closeResultPopup(popup);
+          this.showToast('⏹️ Generation stopped');
+        } else {
+          popup.querySelector('.result-display').textContent = '';
+          this.finishResultPopupStreaming(popup, `❌ Failed to generate variants: ${error.message}`);
+        }
+      } else {
+        this.setResultPopupStatus(popup, `❌ Failed to generate variants: ${error.message}`);
+      }
+      return;
+    } finally {
+      variantsBtn.disabled = false;
+      variantsBtn.textContent = '🎲 Variants';
+    }
+
+    if (!popup.parentNode) return;
+
+    const { responseSchema } = window.aiRequestClient.normalizePrompt(request);
+    const generated = variants
+      .filter(variant => !variant.error && variant.text)
+      .map(variant => ({
+        label: variant.label,
+        text: variant.structured?.valid ? StructuredOutput.toText(variant.structured.data, responseSchema) : variant.text
+      }));
+
+    // Keep the original result as the first tab; earlier variants are replaced
+    const currentText = popup.dataset.currentText || '';
+    const original = popup._variants ? popup._variants[0] : (currentText ? { label: 'Original', text: currentText } : null);
+    if (popup._variants) {
+      popup._variants[popup._activeVariant].text = currentText;
+    }
+    popup._variants = original ? [original, ...generated] : generated;
+    popup._activeVariant = null;
+
+    const failed = variants.length - generated.length;
+    const notice = failed > 0 ? `⚠️ ${failed} of ${variants.length} variants failed` : null;
+    if (popup.classList.contains('streaming')) {
+      this.finishResultPopupStreaming(popup, notice);
+    } else {
+      this.setResultPopupStatus(popup, notice);
+    }
+
+    this.selectResultVariant(popup, original ? 1 : 0);
+  }
+
+  /**
+   * Show one variant - edits made to the previous tab are kept
+   */
+  selectResultVariant(popup, index) {
+    const variants = popup._variants || [];
+    if (!variants[index]) return;
+
+    if (variants[popup._activeVariant]) {
+      variants[popup._activeVariant].text = popup.dataset.currentText || '';
+    }
+    popup._activeVariant = index;
+    this.updateResultPopupText(popup, variants[index].text);
+
+    const textarea = popup.querySelector('.result-text-editor');
+    if (textarea.style.display !== 'none') {
+      textarea.style.height = 'auto';
+      textarea.style.height = textarea.scrollHeight + 'px';
+    }
+
+    this.renderResultVariantTabs(popup);
+  }
+
+  /**
+   * Render the variant tabs - each tab has a checkbox to include it in a merge
+   */
+  renderResultVariantTabs(popup) {
+    const container = popup.querySelector('.result-variants');
+    const variants = popup._variants || [];
+    const checked = new Set([...container.querySelectorAll('.variant-merge-check:checked')].map(box => box.dataset.index));
+
+    container.style.display = variants.length > 1 ? 'flex' : 'none';
+    container.innerHTML = `
+      <div class="variant-tabs">
+        ${variants.map((variant, index) => `
+          <div class="variant-tab${index === popup._activeVariant ? ' active' : ''}" data-index="${index}" title="Show this version">
+            <input type="checkbox" class="variant-merge-check" data-index="${index}" title="Include in merge"${checked.has(String(index)) ? ' checked' : ''}>
+            <span>${this.escapeHtml(variant.label)}</span>
+          </div>
+        `).join('')}
+      </div>
+      <button class="variant-merge-btn" title="Combine the checked versions into one and edit it">🔀 Merge</button>
+    `;
+
+    container.querySelectorAll('.variant-tab').forEach(tab => {
+      tab.addEventListener('click', (e) => {
+        if (e.target.classList.contains('variant-merge-check')) return;
+        this.selectResultVariant(popup, parseInt(tab.dataset.index, 10));
+      });
+    });
+
+    container.querySelector('.variant-merge-btn').addEventListener('click', () => {
+      this.mergeResultVariants(popup);
+    });
+  }
+
+  /**
+   * Combine the checked variants into a new "Merged" tab and open it for editing
+   */
+  mergeResultVariants(popup) {
+    const variants = popup._variants || [];
+    const indexes = [...popup.querySelectorAll('.variant-merge-check:checked')]
+      .map(box => parseInt(box.dataset.index, 10));
+
+    if (indexes.length < 2) {
+      this.setResultPopupStatus(popup, 'Check at least two versions to merge');
+      return;
+    }
+
+    // Pick up unsaved edits of the visible tab before combining
+    variants[popup._activeVariant].text = popup.dataset.currentText || '';
+    const merged = indexes.map(index => variants[index].text.trim()).join('\n\n');
+    variants.push({ label: `Merged ${indexes.map(index => variants[index].label).join(' + ')}`, text: merged });
+
+    this.setResultPopupStatus(popup, null);
+    this.selectResultVariant(popup, variants.length - 1);
+    if (popup.querySelector('.result-text-editor').style.display === 'none') {
+      this.toggleEditMode(popup, merged);
+    }
+  }
+
+  /**
+   * Enter streaming mode - show the stop control and disable the result actions
+   */
+  startResultPopupStreaming(popup, onStop = null) {
+    if (!popup || !popup.parentNode) return;
+
+    popup._onStop = onStop;
+    popup.classList.add('streaming');
+    popup.querySelector('.result-display').innerHTML = '<span class="result-generating">Generating…</span>';
+    popup.querySelectorAll('.result-actions button').forEach(button => {
+      button.disabled = true;
+    });
+
+    const stopBtn = popup.querySelector('.stop-btn');
+    stopBtn.style.display = '';
+    stopBtn.disabled = false;
+    this.setResultPopupStatus(popup, null);
+  }
+
+  /**
+   * Leave streaming mode - hide the stop control and enable the result actions
+   */
+  finishResultPopupStreaming(popup, notice = null, action = null) {
+    if (!popup || !popup.parentNode) return;
+
+    popup._onStop = null;
+    popup.classList.remove('streaming');
+    popup.querySelector('.stop-btn').style.display = 'none';
+    popup.querySelectorAll('.result-actions button').forEach(button => {
+      button.disabled = false;
+    });
+
+    this.setResultPopupStatus(popup, notice, action);
+  }
+
+  /**
+   * Show a status line (retries, stop notices) above the result; null hides it
+   * action: optional { label, onClick } button shown after the message
+   */
+  setResultPopupStatus(popup, message, action = null) {
+    if (!popup || !popup.parentNode) return;
+
+    const statusElement = popup.querySelector('.result-status');
+    statusElement.textContent = message || '';
+    statusElement.style.display = message ? 'block' : 'none';
+
+    if (message && action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'result-status-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => action.onClick());
+      statusElement.appendChild(actionBtn);
+    }
   }
 
   /**
@@ -2562,9 +2866,7 @@ class TextSelector {
   /**
    * Position result popup near the floating icon with intelligent positioning
    */
-  positionResultPopup(popup) {
-    if (!this.floatingIcon) return;
-
+  positionResultPopup(popup, anchor = this.floatingIcon) {
     // First, add popup to DOM temporarily to get actual dimensions
     popup.style.position = 'fixed';
     popup.style.left = '-9999px';
@@ -2577,8 +2879,8 @@ class TextSelector {
     const popupWidth = popupRect.width;
     const popupHeight = popupRect.height;
 
-    // Get icon and viewport dimensions
-    const iconRect = this.floatingIcon.getBoundingClientRect();
+    // Get anchor and viewport dimensions - without an anchor the popup is centered
+    const iconRect = anchor ? anchor.getBoundingClientRect() : null;
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
     const margin = 12;
@@ -2586,38 +2888,41 @@ class TextSelector {
     const scrollY = window.pageYOffset || document.documentElement.scrollTop;
 
     // Define possible positions in order of preference
-    const positions = [
-      // Right of icon (preferred)
-      {
-        left: iconRect.right + margin,
-        top: iconRect.top,
-        name: 'right'
-      },
-      // Left of icon
-      {
-        left: iconRect.left - popupWidth - margin,
-        top: iconRect.top,
-        name: 'left'
-      },
-      // Below icon
-      {
-        left: iconRect.left,
-        top: iconRect.bottom + margin,
-        name: 'below'
-      },
-      // Above icon
-      {
-        left: iconRect.left,
-        top: iconRect.top - popupHeight - margin,
-        name: 'above'
-      },
-      // Center of viewport (fallback)
-      {
-        left: (viewportWidth - popupWidth) / 2,
-        top: (viewportHeight - popupHeight) / 2,
-        name: 'center'
-      }
-    ];
+    const positions = [];
+    if (iconRect) {
+      positions.push(
+        // Right of icon (preferred)
+        {
+          left: iconRect.right + margin,
+          top: iconRect.top,
+          name: 'right'
+        },
+        // Left of icon
+        {
+          left: iconRect.left - popupWidth - margin,
+          top: iconRect.top,
+          name: 'left'
+        },
+        // Below icon
+        {
+          left: iconRect.left,
+          top: iconRect.bottom + margin,
+          name: 'below'
+        },
+        // Above icon
+        {
+          left: iconRect.left,
+          top: iconRect.top - popupHeight - margin,
+          name: 'above'
+        }
+      );
+    }
+    // Center of viewport (fallback)
+    positions.push({
+      left: (viewportWidth - popupWidth) / 2,
+      top: (viewportHeight - popupHeight) / 2,
+      name: 'center'
+    });
 
     // Find the best position that fits within viewport
     let bestPosition = null;
@@ -2734,6 +3039,12 @@ class TextSelector {
   closeResultPopup(popup) {
     if (!popup || !popup.parentNode) return;
 
+    // Closing while streaming stops the generation
+    if (popup._onStop) {
+      popup._onStop();
+      popup._onStop = null;
+    }
+
     // Clean up event listeners
     if (popup._dragCleanup) {
       popup._dragCleanup();
@@ -3156,6 +3467,103 @@ class TextSelector {
         transform: translateY(-1px);
       }
 
+      .aifiverr-text-result-popup .result-actions button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+        transform: none;
+      }
+
+      .aifiverr-text-result-popup .stop-btn {
+        background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%) !important;
+        color: white !important;
+        border-color: transparent !important;
+      }
+
+      .aifiverr-text-result-popup .result-variants {
+        padding: 8px 16px;
+        border-bottom: 1px solid #f1f5f9;
+        align-items: center;
+        gap: 8px;
+        flex-shrink: 0;
+      }
+
+      .aifiverr-text-result-popup .variant-tabs {
+        display: flex;
+        gap: 4px;
+        flex: 1;
+        overflow-x: auto;
+      }
+
+      .aifiverr-text-result-popup .variant-tab {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 3px 8px;
+        border: 1px solid #e2e8f0;
+        border-radius: 12px;
+        font-size: 11px;
+        color: #64748b;
+        background: white;
+        cursor: pointer;
+        white-space: nowrap;
+      }
+
+      .aifiverr-text-result-popup .variant-tab.active {
+        border-color: #1dbf73;
+        background: #f0fdf4;
+        color: #047857;
+        font-weight: 600;
+      }
+
+      .aifiverr-text-result-popup .variant-merge-check {
+        margin: 0;
+        cursor: pointer;
+      }
+
+      .aifiverr-text-result-popup .variant-merge-btn {
+        padding: 3px 8px;
+        border: 1px solid #e2e8f0;
+        border-radius: 4px;
+        font-size: 11px;
+        background: white;
+        color: #64748b;
+        cursor: pointer;
+        flex-shrink: 0;
+      }
+
+      .aifiverr-text-result-popup .variant-merge-btn:hover {
+        border-color: #cbd5e1;
+        color: #475569;
+      }
+
+      .aifiverr-text-result-popup .result-status {
+        padding: 6px 16px;
+        font-size: 11px;
+        color: #d97706;
+        background: #fffbeb;
+        border-top: 1px solid #fde68a;
+      }
+
+      .aifiverr-text-result-popup .result-status-action {
+        margin-left: 8px;
+        padding: 2px 8px;
+        font-size: 11px;
+        color: #b45309;
+        background: white;
+        border: 1px solid #fcd34d;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      .aifiverr-text-result-popup .result-status-action:hover {
+        background: #fef3c7;
+      }
+
+      .aifiverr-text-result-popup .result-generating {
+        color: #94a3b8;
+        font-style: italic;
+      }
+
       .aifiverr-text-result-popup .edit-btn {
         background: linear-gradient(135deg, #10b981 0%, #059669 100%) !important;
         color: white !important;
@@ -3617,6 +4025,10 @@ class TextSelector {
       // Clear any existing conversation history and UI messages
       this.streamingChatbox.conversationHistory = [];
 
+      // Keep the prompt's model, sampling settings and system instruction for the follow-up conversation
+      this.streamingChatbox.generationSettings = this.lastGenerationSettings || null;
+      this.streamingChatbox.systemInstruction = this.lastSystemInstruction || null;
+
       // Clear existing messages from UI
       const messagesContainer = this.streamingChatbox.messagesContainer;
       if (messagesContainer) {
@@ -289,6 +289,21 @@ class AiFiverrMain {
    */
   async initializeGeminiClient() {
     try {
+      // Provider registry must exist before the clients resolve models/providers
+      if (typeof window.initializeAIProviderRegistry === 'function') {
+        window.initializeAIProviderRegistry();
+      }
+
+      // Cached model list with limits and capabilities for the selected provider
+      if (typeof window.initializeModelCatalog === 'function') {
+        window.initializeModelCatalog();
+      }
+
+      // Shared request builder/transport used by every AI entry point
+      if (typeof window.initializeAIRequestClient === 'function') {
+        window.initializeAIRequestClient();
+      }
+
       if (typeof window.initializeGeminiClient === 'function') {
         console.log('aiFiverr: Initializing Gemini Client...');
         await window.initializeGeminiClient();
@@ -649,6 +664,15 @@ class AiFiverrMain {
           }
           break;
 
+        case 'SYNC_INBOX':
+          try {
+            const result = await window.fiverrExtractor?.syncInbox(request.since, request.maxConversations);
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'GET_STORED_CONTACTS':
           try {
             const storedContacts = await window.fiverrExtractor?.getStoredContacts();
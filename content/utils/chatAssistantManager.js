@@ -212,14 +212,14 @@ class ChatAssistantManager {
             // Set loading state
             this.sendMessage('SET_LOADING', true);
 
-            // Get AI response using enhanced Gemini client with streaming
+            // Get AI response through the shared request client with streaming
             if (!window.sessionManager) {
                 throw new Error('Session manager not available. Please refresh the page.');
             }
 
-            // Initialize enhanced Gemini client if not available
-            if (!window.enhancedGeminiClient) {
-                initializeEnhancedGeminiClient();
+            // Initialize request client if not available
+            if (!window.aiRequestClient) {
+                initializeAIRequestClient();
             }
 
             const session = await window.sessionManager.getOrCreateSession('chat_assistant');
@@ -236,10 +236,8 @@ class ChatAssistantManager {
                 // through the file attachment interface in the chat UI
                 console.log('aiFiverr Chat Assistant: Using message without automatic knowledge base file attachment');
 
-                const options = { stream: true };
                 // Note: Knowledge base files can still be attached through the chat UI's file attachment system
-
-                const streamResponse = await window.enhancedGeminiClient.generateChatReply(session, message, options);
+                const streamResponse = window.aiRequestClient.stream({ session, prompt: message, promptKey: 'chat' });
 
                 let fullResponse = '';
                 const messageId = Date.now().toString();
@@ -251,6 +249,7 @@ class ChatAssistantManager {
 
                 // Process streaming chunks
                 for await (const chunk of streamResponse) {
+                    if (!chunk.text) continue;
                     fullResponse += chunk.text;
                     this.sendMessage('AI_RESPONSE_STREAM_CHUNK', {
                         chunk: chunk.text,
@@ -270,9 +269,8 @@ class ChatAssistantManager {
                 console.log('aiFiverr: Streaming failed, falling back to regular generation:', streamError);
 
                 // Fallback to regular generation without automatic knowledge base files
-                const fallbackOptions = { stream: false };
                 // Note: Knowledge base files would need to be explicitly passed if required
-                const response = await window.enhancedGeminiClient.generateChatReply(session, message, fallbackOptions);
+                const response = await window.aiRequestClient.generate({ session, prompt: message, promptKey: 'chat' });
 
                 this.sendMessage('AI_RESPONSE', {
                     message: response.response,
@@ -11,8 +11,10 @@ class ExportImportManager {
 
   /**
    * Export all data
+   * options.passphrase encrypts the API keys so they can be imported again - without one the export
+   * holds no API keys, only how many there were
    */
-  async exportAllData(format = 'json') {
+  async exportAllData(format = 'json', options = {}) {
     try {
       const exportData = {
         version: this.exportVersion,
@@ -31,8 +33,8 @@ class ExportImportManager {
       // Export knowledge base
       exportData.data.knowledgeBase = await this.exportKnowledgeBase();
       
-      // Export API keys (encrypted)
-      exportData.data.apiKeys = await this.exportApiKeys();
+      // Export API keys (encrypted with the passphrase, left out without one)
+      exportData.data.apiKeys = await this.exportApiKeys(options.passphrase);
       
       // Export statistics
       exportData.data.statistics = await this.exportStatistics();
@@ -103,19 +105,27 @@ class ExportImportManager {
   }
 
   /**
-   * Export API keys (with basic encryption)
+   * Export API keys - PBKDF2 + AES-GCM encrypted when a passphrase is given
+   * Without a passphrase the keys are dropped: plain keys must not end up in a file, and masked ones
+   * could not be imported
    */
-  async exportApiKeys() {
+  async exportApiKeys(passphrase = null) {
+    if (passphrase) {
+      // Not caught - an export that silently dropped the keys would look successful
+      const apiKeys = await KeyVault.getKeys();
+      return {
+        encrypted: await KeyVault.encrypt(JSON.stringify(apiKeys), passphrase),
+        count: apiKeys.length,
+        exportedAt: Date.now()
+      };
+    }
+
     try {
-      const settings = await storageManager.getSettings();
-      const apiKeys = settings.apiKeys || [];
-      
-      // Basic obfuscation for security
-      const obfuscatedKeys = apiKeys.map(key => this.obfuscateApiKey(key));
-      
+      const apiKeys = await KeyVault.getKeys();
       return {
-        keys: obfuscatedKeys,
+        keys: [],
         count: apiKeys.length,
+        dropped: true,
         exportedAt: Date.now()
       };
     } catch (error) {
@@ -454,7 +464,7 @@ class ExportImportManager {
       // Import API keys
       if (importData.data?.apiKeys && options.importApiKeys) {
         try {
-          results.apiKeys = await this.importApiKeys(importData.data.apiKeys);
+          results.apiKeys = await this.importApiKeys(importData.data.apiKeys, options.passphrase);
         } catch (error) {
           results.errors.push(`API keys import failed: ${error.message}`);
         }
@@ -533,20 +543,34 @@ class ExportImportManager {
   }
 
   /**
-   * Import API keys
+   * Import API keys - encrypted exports need the passphrase they were exported with
+   * Exports made without a passphrase hold no keys; older ones hold masked keys, which are skipped
    */
-  async importApiKeys(apiKeysData) {
-    if (!apiKeysData.keys || !Array.isArray(apiKeysData.keys)) {
-      return 0;
+  async importApiKeys(apiKeysData, passphrase = null) {
+    if (apiKeysData.encrypted) {
+      if (!passphrase) {
+        throw new Error('The API keys in this file are encrypted - enter the export passphrase to import them');
+      }
+
+      const keys = JSON.parse(await KeyVault.decrypt(apiKeysData.encrypted, passphrase));
+      await apiKeyManager.updateKeys(keys);
+      return keys.length;
     }
 
-    // Deobfuscate keys
-    const deobfuscatedKeys = apiKeysData.keys.map(key => this.deobfuscateApiKey(key));
+    const keys = Array.isArray(apiKeysData.keys)
+      ? apiKeysData.keys.filter(key => typeof key === 'string' && key && !key.includes('*'))
+      : [];
+    if (keys.length === 0) {
+      if (apiKeysData.count > 0) {
+        throw new Error('This export holds no usable API keys - keys are only exported with a passphrase');
+      }
+      return 0;
+    }
 
     // Update API keys
-    await apiKeyManager.updateKeys(deobfuscatedKeys);
+    await apiKeyManager.updateKeys(keys);
 
-    return deobfuscatedKeys.length;
+    return keys.length;
   }
 
   /**
@@ -622,28 +646,6 @@ class ExportImportManager {
     return version && version.startsWith('1.');
   }
 
-  /**
-   * Basic API key obfuscation
-   */
-  obfuscateApiKey(key) {
-    if (!key || typeof key !== 'string' || key.length < 8) return key;
-
-    const start = key.substring(0, 4);
-    const end = key.substring(key.length - 4);
-    const middle = '*'.repeat(key.length - 8);
-
-    return start + middle + end;
-  }
-
-  /**
-   * Basic API key deobfuscation (placeholder - in real implementation, use proper encryption)
-   */
-  deobfuscateApiKey(obfuscatedKey) {
-    // In a real implementation, this would decrypt properly encrypted keys
-    // For now, return as-is since we're just doing basic obfuscation
-    return obfuscatedKey;
-  }
-
   /**
    * Calculate session statistics
    */
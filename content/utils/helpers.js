@@ -275,6 +275,22 @@ function isFiverrBriefPage() {
          window.location.href.includes('fiverr.com');
 }
 
+/**
+ * Checks if current page is a Fiverr order page
+ */
+function isFiverrOrderPage() {
+  return window.location.href.includes('/orders/') &&
+         window.location.href.includes('fiverr.com');
+}
+
+/**
+ * Checks if current page is a Fiverr gig page
+ */
+function isFiverrGigPage() {
+  return window.location.href.includes('/gigs/') &&
+         window.location.href.includes('fiverr.com');
+}
+
 /**
  * Checks if current page is a Fiverr proposal page
  */
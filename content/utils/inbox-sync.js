@@ -0,0 +1,128 @@
+/**
+ * Inbox Sync for aiFiverr Extension
+ * Scheduled background refresh of Fiverr contacts and stored conversations
+ *
+ * The service worker runs the sync on a chrome.alarms alarm every settings.inboxSyncMinutes while
+ * settings.inboxSyncEnabled is on. Fiverr's inbox API needs the page's session, so the work is done by
+ * the content script of an open Fiverr tab (FiverrExtractor.syncInbox); without one the run is skipped.
+ *
+ * The outcome of the last run lives in chrome.storage.local.inboxSyncState:
+ *   { status, lastRunAt, lastSuccessAt, lastError, failures, nextAttemptAt, syncedThrough, contacts, conversationsUpdated, newMessages }
+ * syncedThrough is the newest contact message date handled; the next run asks for contacts newer than it.
+ * Failed runs back off exponentially (nextAttemptAt) until a run succeeds.
+ */
+
+class InboxSync {
+  /**
+   * Sync interval from settings, clamped to the allowed range
+   */
+  static getIntervalMinutes(settings) {
+    const minutes = parseInt(settings?.inboxSyncMinutes, 10) || InboxSync.DEFAULT_MINUTES;
+    return Math.min(Math.max(minutes, InboxSync.MIN_MINUTES), InboxSync.MAX_MINUTES);
+  }
+
+  static isEnabled(settings) {
+    return !!settings?.inboxSyncEnabled;
+  }
+
+  /**
+   * Wait before the next attempt after `failures` failed runs in a row
+   */
+  static backoffMs(failures) {
+    return Math.min(InboxSync.BACKOFF_BASE_MS * Math.pow(2, Math.max(0, failures - 1)), InboxSync.MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Whether a scheduled run should wait for the backoff to end
+   */
+  static isBackingOff(state, now = Date.now()) {
+    return !!state?.nextAttemptAt && now < state.nextAttemptAt;
+  }
+
+  static recordSuccess(state, result, now = Date.now()) {
+    return {
+      ...(state || {}),
+      status: 'ok',
+      lastRunAt: now,
+      lastSuccessAt: now,
+      lastError: null,
+      failures: 0,
+      nextAttemptAt: null,
+      contacts: result.contacts || 0,
+      conversationsUpdated: result.conversationsUpdated || 0,
+      newMessages: result.newMessages || 0,
+      syncedThrough: result.syncedThrough ?? state?.syncedThrough ?? 0
+    };
+  }
+
+  static recordFailure(state, error, now = Date.now()) {
+    const failures = (state?.failures || 0) + 1;
+    return {
+      ...(state || {}),
+      status: 'error',
+      lastRunAt: now,
+      lastError: String(error?.message || error || 'Unknown error').slice(0, 300),
+      failures,
+      nextAttemptAt: now + InboxSync.backoffMs(failures)
+    };
+  }
+
+  /**
+   * A run that could not start (no Fiverr tab) - keeps the backoff and the last results
+   */
+  static recordSkipped(state, reason, now = Date.now()) {
+    return { ...(state || {}), status: 'skipped', lastRunAt: now, skipReason: reason };
+  }
+
+  /**
+   * { text, isError } status line for the popup
+   */
+  static describe(state, settings, now = Date.now()) {
+    if (!InboxSync.isEnabled(settings)) {
+      return { text: 'Background sync is off', isError: false };
+    }
+    if (!state?.lastRunAt) {
+      return { text: `Background sync every ${InboxSync.getIntervalMinutes(settings)} min - not run yet`, isError: false };
+    }
+
+    const lastSync = state.lastSuccessAt ? `Last synced ${InboxSync.formatAgo(now - state.lastSuccessAt)}` : 'Never synced';
+
+    if (state.status === 'running') {
+      return { text: `Syncing inbox... ${lastSync.toLowerCase()}`, isError: false };
+    }
+    if (state.status === 'error') {
+      const retry = state.nextAttemptAt && state.nextAttemptAt > now
+        ? ` - retrying in ${InboxSync.formatAgo(state.nextAttemptAt - now, false)}`
+        : '';
+      return { text: `${lastSync}. Sync failed ${state.failures}x: ${state.lastError}${retry}`, isError: true };
+    }
+    if (state.status === 'skipped') {
+      return { text: `${lastSync}. ${state.skipReason}`, isError: false };
+    }
+
+    const changes = state.newMessages > 0
+      ? `${state.newMessages} new message${state.newMessages === 1 ? '' : 's'} in ${state.conversationsUpdated} conversation${state.conversationsUpdated === 1 ? '' : 's'}`
+      : 'no new messages';
+    return { text: `${lastSync} - ${changes}`, isError: false };
+  }
+
+  /**
+   * "5 min ago" / "5 min" for durations
+   */
+  static formatAgo(ms, suffix = true) {
+    const minutes = Math.round(ms / 60000);
+    const text = minutes < 1 ? 'less than a minute' : minutes < 120 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+    if (!suffix) return text;
+    return minutes < 1 ? 'just now' : `${text} ago`;
+  }
+}
+
+InboxSync.ALARM = 'aiFiverrInboxSync';
+InboxSync.STORAGE_KEY = 'inboxSyncState';
+InboxSync.DEFAULT_MINUTES = 30;
+InboxSync.MIN_MINUTES = 5;
+InboxSync.MAX_MINUTES = 24 * 60;
+InboxSync.BACKOFF_BASE_MS = 5 * 60 * 1000;
+InboxSync.MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+InboxSync.RUN_TIMEOUT_MS = 5 * 60 * 1000; // A sync of many conversations takes a while; longer runs count as failed
+InboxSync.MAX_CONVERSATIONS_PER_RUN = 20; // Changed conversations updated per run - the rest wait for the next one
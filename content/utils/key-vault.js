@@ -0,0 +1,329 @@
+/**
+ * Key Vault for aiFiverr Extension
+ * Optional passphrase encryption of the Gemini API keys (PBKDF2 + AES-GCM)
+ *
+ * Without a vault the keys stay in chrome.storage.local.apiKeys (and settings.apiKeys) as before.
+ * Once encryption is turned on they are kept only as ciphertext in chrome.storage.local.apiKeyVault:
+ *
+ *   { version, kdf: 'PBKDF2-SHA256', cipher: 'AES-GCM', iterations, salt, iv, data }  (base64 fields)
+ *
+ * Unlocking derives the AES key once per browser session. The derived key is not extractable and only
+ * lives in the service worker's memory, which does all encryption - other contexts forward enable(),
+ * unlock(), lock(), disable() and setKeys() to it (KEY_VAULT messages). The decrypted keys are held in
+ * chrome.storage.session (cleared when the browser closes), which only extension pages can read; tabs
+ * ask the service worker for them. When the worker restarts, the keys stay readable but have to be
+ * unlocked again before they can be changed. Always read and write keys through getKeys() / setKeys().
+ */
+
+class KeyVault {
+  /**
+   * Whether the keys are stored encrypted
+   */
+  static async isEnabled() {
+    const result = await chrome.storage.local.get(KeyVault.STORAGE_KEY);
+    return !!result[KeyVault.STORAGE_KEY];
+  }
+
+  /**
+   * { encrypted, unlocked } for status lines
+   */
+  static async getStatus() {
+    const encrypted = await KeyVault.isEnabled();
+    const unlocked = encrypted ? !!(await KeyVault.getSession()) : true;
+    return { encrypted, unlocked };
+  }
+
+  /**
+   * The configured API keys - empty while the vault is locked
+   */
+  static async getKeys() {
+    const result = await chrome.storage.local.get(['apiKeys', 'settings', KeyVault.STORAGE_KEY]);
+    if (result[KeyVault.STORAGE_KEY]) {
+      const session = await KeyVault.getSession();
+      return session?.keys || [];
+    }
+
+    const keys = result.apiKeys?.length ? result.apiKeys : (result.settings?.apiKeys || []);
+    return keys.filter(Boolean);
+  }
+
+  /**
+   * Replace the API keys - re-encrypted when the vault is on (it must be unlocked)
+   */
+  static async setKeys(keys) {
+    if (!KeyVault.inServiceWorker() && await KeyVault.isEnabled()) {
+      return KeyVault.callServiceWorker('setKeys', { keys });
+    }
+
+    const result = await chrome.storage.local.get(['settings', KeyVault.STORAGE_KEY]);
+    const settings = result.settings || {};
+    const vault = result[KeyVault.STORAGE_KEY];
+
+    if (!vault) {
+      await chrome.storage.local.set({
+        apiKeys: keys,
+        apiKeysUpdated: Date.now(),
+        settings: { ...settings, apiKeys: keys } // Kept in settings for compatibility
+      });
+      return;
+    }
+
+    const session = await KeyVault.getSession();
+    if (!session) {
+      throw KeyVault.lockedError();
+    }
+    if (!KeyVault.cryptoKey) {
+      // The service worker restarted since the unlock - its derived key is gone
+      await KeyVault.lock();
+      throw KeyVault.lockedError('Unlock the API keys again to change them');
+    }
+
+    await chrome.storage.local.set({
+      [KeyVault.STORAGE_KEY]: { ...vault, ...(await KeyVault.encryptWithKey(JSON.stringify(keys), KeyVault.cryptoKey)) },
+      apiKeys: [],
+      apiKeysUpdated: Date.now(),
+      settings: { ...settings, apiKeys: [] }
+    });
+    await chrome.storage.session.set({ [KeyVault.SESSION_KEY]: { ...session, keys } });
+  }
+
+  /**
+   * Encrypt the current keys with a new passphrase and remove the plain copies
+   */
+  static async enable(passphrase) {
+    if (!KeyVault.inServiceWorker()) {
+      return KeyVault.callServiceWorker('enable', { passphrase });
+    }
+
+    KeyVault.validatePassphrase(passphrase);
+    if (await KeyVault.isEnabled()) {
+      throw new Error('API keys are already encrypted');
+    }
+
+    const keys = await KeyVault.getKeys();
+    const salt = crypto.getRandomValues(new Uint8Array(KeyVault.SALT_BYTES));
+    const cryptoKey = await KeyVault.deriveKey(passphrase, salt, KeyVault.ITERATIONS);
+    const vault = {
+      ...KeyVault.getHeader(KeyVault.ITERATIONS),
+      salt: KeyVault.toBase64(salt),
+      ...(await KeyVault.encryptWithKey(JSON.stringify(keys), cryptoKey))
+    };
+
+    await KeyVault.storeSession(keys, cryptoKey);
+
+    const result = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({
+      [KeyVault.STORAGE_KEY]: vault,
+      apiKeys: [],
+      apiKeysUpdated: Date.now(),
+      settings: { ...(result.settings || {}), apiKeys: [] }
+    });
+
+    console.log('aiFiverr Key Vault: Encrypted', keys.length, 'API keys');
+  }
+
+  /**
+   * Decrypt the keys for this browser session - returns them
+   */
+  static async unlock(passphrase) {
+    if (!KeyVault.inServiceWorker()) {
+      return KeyVault.callServiceWorker('unlock', { passphrase });
+    }
+
+    const result = await chrome.storage.local.get(KeyVault.STORAGE_KEY);
+    const vault = result[KeyVault.STORAGE_KEY];
+    if (!vault) {
+      throw new Error('API keys are not encrypted');
+    }
+
+    const cryptoKey = await KeyVault.deriveKey(passphrase, KeyVault.fromBase64(vault.salt), vault.iterations);
+    let keys;
+    try {
+      keys = JSON.parse(await KeyVault.decryptWithKey(vault, cryptoKey));
+    } catch (error) {
+      throw KeyVault.passphraseError();
+    }
+
+    await KeyVault.storeSession(keys, cryptoKey);
+    console.log('aiFiverr Key Vault: Unlocked', keys.length, 'API keys');
+    return keys;
+  }
+
+  /**
+   * Forget the unlocked keys until the passphrase is entered again
+   */
+  static async lock() {
+    if (!KeyVault.inServiceWorker()) {
+      return KeyVault.callServiceWorker('lock');
+    }
+
+    KeyVault.cryptoKey = null;
+    await chrome.storage.session.remove(KeyVault.SESSION_KEY);
+    await KeyVault.signalChange();
+  }
+
+  /**
+   * Turn encryption off - the keys are stored in plain text again
+   */
+  static async disable(passphrase) {
+    if (!KeyVault.inServiceWorker()) {
+      return KeyVault.callServiceWorker('disable', { passphrase });
+    }
+
+    const keys = await KeyVault.unlock(passphrase);
+    await chrome.storage.local.remove(KeyVault.STORAGE_KEY);
+    await KeyVault.setKeys(keys);
+    await KeyVault.lock();
+    console.log('aiFiverr Key Vault: Encryption removed');
+  }
+
+  /**
+   * Encrypt any text with a passphrase (fresh salt) - used for exported keys
+   */
+  static async encrypt(text, passphrase) {
+    KeyVault.validatePassphrase(passphrase);
+    const salt = crypto.getRandomValues(new Uint8Array(KeyVault.SALT_BYTES));
+    const cryptoKey = await KeyVault.deriveKey(passphrase, salt, KeyVault.ITERATIONS);
+    return {
+      ...KeyVault.getHeader(KeyVault.ITERATIONS),
+      salt: KeyVault.toBase64(salt),
+      ...(await KeyVault.encryptWithKey(text, cryptoKey))
+    };
+  }
+
+  /**
+   * Decrypt the output of encrypt() - a wrong passphrase throws
+   */
+  static async decrypt(envelope, passphrase) {
+    if (!passphrase) {
+      throw KeyVault.passphraseError('A passphrase is required');
+    }
+
+    const cryptoKey = await KeyVault.deriveKey(passphrase, KeyVault.fromBase64(envelope.salt), envelope.iterations);
+    try {
+      return await KeyVault.decryptWithKey(envelope, cryptoKey);
+    } catch (error) {
+      throw KeyVault.passphraseError();
+    }
+  }
+
+  static async getSession() {
+    if (!KeyVault.isExtensionPage()) {
+      return KeyVault.callServiceWorker('getSession');
+    }
+
+    try {
+      const result = await chrome.storage.session.get(KeyVault.SESSION_KEY);
+      return result[KeyVault.SESSION_KEY] || null;
+    } catch (error) {
+      // Contexts without session storage access see a locked vault
+      console.warn('aiFiverr Key Vault: Session storage not available:', error.message);
+      return null;
+    }
+  }
+
+  static async storeSession(keys, cryptoKey) {
+    KeyVault.cryptoKey = cryptoKey;
+    await chrome.storage.session.set({
+      [KeyVault.SESSION_KEY]: { keys, unlockedAt: Date.now() }
+    });
+    await KeyVault.signalChange();
+  }
+
+  /**
+   * Tabs cannot watch session storage - tell them the vault was unlocked or locked
+   */
+  static async signalChange() {
+    await chrome.storage.local.set({ [KeyVault.CHANGED_KEY]: Date.now() });
+  }
+
+  static inServiceWorker() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+  }
+
+  static isExtensionPage() {
+    return typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+  }
+
+  /**
+   * Run a vault action in the service worker, which holds the derived key
+   */
+  static async callServiceWorker(action, params = {}) {
+    const response = await chrome.runtime.sendMessage({ type: 'KEY_VAULT', action, ...params });
+    if (!response?.success) {
+      const error = new Error(response?.error || 'Key vault is not available');
+      if (response?.code) error.code = response.code;
+      throw error;
+    }
+    return response.data;
+  }
+
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * { iv, data } - a new IV for every encryption
+   */
+  static async encryptWithKey(text, cryptoKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(KeyVault.IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(text));
+    return { iv: KeyVault.toBase64(iv), data: KeyVault.toBase64(new Uint8Array(data)) };
+  }
+
+  static async decryptWithKey({ iv, data }, cryptoKey) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: KeyVault.fromBase64(iv) }, cryptoKey, KeyVault.fromBase64(data));
+    return new TextDecoder().decode(plain);
+  }
+
+  static getHeader(iterations) {
+    return { version: 1, kdf: 'PBKDF2-SHA256', cipher: 'AES-GCM', iterations };
+  }
+
+  static validatePassphrase(passphrase) {
+    if (!passphrase || passphrase.length < KeyVault.MIN_PASSPHRASE_LENGTH) {
+      throw KeyVault.passphraseError(`Use a passphrase of at least ${KeyVault.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+  }
+
+  static lockedError(message = 'API keys are encrypted - unlock them in the extension popup') {
+    const error = new Error(message);
+    error.code = 'KEY_VAULT_LOCKED';
+    return error;
+  }
+
+  static passphraseError(message = 'Wrong passphrase') {
+    const error = new Error(message);
+    error.code = 'KEY_VAULT_PASSPHRASE';
+    return error;
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+KeyVault.STORAGE_KEY = 'apiKeyVault';
+KeyVault.SESSION_KEY = 'unlockedApiKeys';
+KeyVault.CHANGED_KEY = 'apiKeyVaultChanged'; // Set in chrome.storage.local on every unlock and lock
+KeyVault.SESSION_ACTIONS = ['getSession', 'setKeys']; // Vault actions tabs may request - the rest need an extension page
+KeyVault.cryptoKey = null; // Derived AES key - only ever set in the service worker
+KeyVault.ITERATIONS = 310000;
+KeyVault.SALT_BYTES = 16;
+KeyVault.IV_BYTES = 12;
+KeyVault.MIN_PASSPHRASE_LENGTH = 8;
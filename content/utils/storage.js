@@ -331,6 +331,17 @@ class StorageManager {
       keyRotation: true,
       conversationContext: true,
       maxContextLength: 1048576, // 1,048,576 tokens - Gemini 2.5 maximum input tokens
+      exactTokenCount: false, // Estimate tokens locally instead of calling countTokens
+      contextCaching: true, // Send knowledge base files through a Gemini context cache
+      variantStyle: 'temperature', // Reply variants differ by temperature ('temperature') or tone ('tone')
+      localTools: true, // Chat may call local functions (stored conversations, knowledge base, open brief)
+      safetySettings: {}, // Per-category safety thresholds, e.g. { HARM_CATEGORY_HARASSMENT: 'BLOCK_ONLY_HIGH' }
+      keyTiers: {}, // Rate-limit tier per key reference: 'free', 'tier1', 'tier2' or 'custom' (see RateLimits)
+      customRateLimits: {}, // Limits of the 'custom' tier per model, e.g. { 'gemini-2.5-flash': { rpm: 30, tpm: 500000, rpd: 1000 } }
+      apiKeyProfiles: {}, // Label, project and allowed models per key reference (see KeyProfiles)
+      orderDueWarningHours: 24, // Warn on order pages when the delivery is due within this many hours
+      inboxSyncEnabled: false, // Refresh contacts and stored conversations in the background (see InboxSync)
+      inboxSyncMinutes: 30, // Minutes between background inbox syncs
       restrictToFiverr: true, // New setting: true = Fiverr only, false = all sites
       // Google Search grounding and URL context settings
       googleSearchGrounding: false, // Default: disabled
@@ -5,6 +5,21 @@
 
 console.log('🚀 aiFiverr Firebase Background: Starting service worker...');
 
+// Shared usage accounting helpers (UsageStats), API key storage (KeyVault), key rate limits (RateLimits),
+// key circuit breakers (KeyCircuit), key labels and model allowlists (KeyProfiles), AI providers,
+// batch job helpers (BatchJobs) and the scheduled inbox sync (InboxSync)
+importScripts(
+  '/content/ai/usage-stats.js',
+  '/content/utils/key-vault.js',
+  '/content/ai/rate-limits.js',
+  '/content/ai/key-circuit.js',
+  '/content/ai/key-profiles.js',
+  '/content/ai/sse-parser.js',
+  '/content/ai/ai-providers.js',
+  '/content/ai/batch-jobs.js',
+  '/content/utils/inbox-sync.js'
+);
+
 // Authentication state
 let authState = {
   isAuthenticated: false,
@@ -176,6 +191,45 @@ function stopKeepAlive() {
 // Start keep-alive on initialization
 startKeepAlive();
 
+// The unlocked API keys in session storage stay out of reach of content scripts - tabs ask for them (KEY_VAULT)
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' }).catch(error => {
+  console.warn('Firebase Background: Failed to restrict session storage:', error);
+});
+
+// Batch jobs, disabled API keys and the inbox sync run on alarms so they survive the service worker being suspended
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BatchJobs.POLL_ALARM) {
+    pollBatchJobs().catch(error => {
+      console.error('❌ Firebase Background: Batch poll error:', error);
+    });
+  } else if (alarm.name === KeyCircuit.PROBE_ALARM) {
+    probeDueKeys().catch(error => {
+      console.error('❌ Firebase Background: Key probe error:', error);
+    });
+  } else if (alarm.name === InboxSync.ALARM) {
+    runInboxSync().catch(error => {
+      console.error('❌ Firebase Background: Inbox sync error:', error);
+    });
+  }
+});
+
+// Follow the inbox sync settings from the popup, and drop context caches of replaced knowledge base files
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.settings) {
+    scheduleInboxSyncAlarm().catch(error => {
+      console.error('❌ Firebase Background: Inbox sync schedule error:', error);
+    });
+  }
+  if (changes.knowledgeBaseFiles &&
+      getFileSetSignature(changes.knowledgeBaseFiles.oldValue) !== getFileSetSignature(changes.knowledgeBaseFiles.newValue)) {
+    invalidateContextCaches('knowledge base files changed').catch(error => {
+      console.error('❌ Firebase Background: Context cache invalidation error:', error);
+    });
+  }
+});
+
 // Enhanced message handler with better error handling
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('📨 Firebase Background: Received message:', message.type);
@@ -196,7 +250,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // Set a timeout to ensure response is sent even if handler fails
   // Use longer timeout for file operations that may take time
-  const timeoutDuration = message.type === 'GET_KNOWLEDGE_BASE_FILES' || message.type === 'GET_DRIVE_FILES' ? 60000 : 30000;
+  // Key requests may wait in the rate-limit queue for up to RateLimits.MAX_QUEUE_WAIT_MS
+  const timeoutDuration = message.type === 'ACQUIRE_API_KEY'
+    ? RateLimits.MAX_QUEUE_WAIT_MS + 15000
+    : message.type === 'RUN_INBOX_SYNC'
+      ? InboxSync.RUN_TIMEOUT_MS + 15000
+      : message.type === 'GET_KNOWLEDGE_BASE_FILES' || message.type === 'GET_DRIVE_FILES' ? 60000 : 30000;
   const responseTimeout = setTimeout(() => {
     if (!responseHandled) {
       console.warn('Firebase Background: Handler timeout for message:', message.type, 'after', timeoutDuration / 1000, 'seconds');
@@ -359,6 +418,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true; // Async response
 
+    case 'KEY_VAULT':
+      handleKeyVault(message, sender, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'ACQUIRE_API_KEY':
+      handleAcquireApiKey(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'CANCEL_KEY_REQUEST':
+      handleCancelKeyRequest(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'REPORT_KEY_USAGE':
+      handleReportKeyUsage(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'PROBE_API_KEY':
+      handleProbeApiKey(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'RUN_INBOX_SYNC':
+      handleRunInboxSync(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
     case 'GET_API_KEY':
       console.log('🔑 Firebase Background: Getting API key');
       handleGetApiKey((response) => {
@@ -367,6 +468,39 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true; // Async response
 
+    case 'RECORD_USAGE':
+      handleRecordUsage(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'BATCH_SUBMIT':
+      console.log('📦 Firebase Background: Submitting batch job');
+      handleBatchSubmit(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
+    case 'BATCH_POLL':
+      pollBatchJobs().then(() => {
+        clearResponseTimeout();
+        safeResponse({ success: true });
+      }).catch(error => {
+        clearResponseTimeout();
+        safeResponse({ success: false, error: error.message });
+      });
+      return true; // Async response
+
+    case 'BATCH_CANCEL':
+      console.log('📦 Firebase Background: Cancelling batch job');
+      handleBatchCancel(message, (response) => {
+        clearResponseTimeout();
+        safeResponse(response);
+      });
+      return true; // Async response
+
     case 'INCREMENT_SELECTION_COUNTER':
       console.log('➕ Firebase Background: Incrementing selection counter');
       incrementSelectionCounter();
@@ -1876,15 +2010,9 @@ async function uploadFileToGoogleDrive(file, metadata, detectedMimeType) {
 // Get Gemini API key from storage
 async function getGeminiApiKey() {
   try {
-    // Try to get from apiKeys array first (current system)
-    const result = await chrome.storage.local.get(['apiKeys', 'settings', 'gemini_api_key']);
-
-    let apiKeys = result.apiKeys || [];
-
-    // Fallback to settings if no keys found
-    if (apiKeys.length === 0 && result.settings?.apiKeys) {
-      apiKeys = result.settings.apiKeys;
-    }
+    // Try the configured keys first (current system - may be encrypted)
+    const apiKeys = await KeyVault.getKeys();
+    const result = await chrome.storage.local.get('gemini_api_key');
 
     // Return first available key if we have any
     if (apiKeys.length > 0) {
@@ -2003,24 +2131,57 @@ async function handleUpdateApiKeys(message, sendResponse) {
       throw new Error('Invalid API keys data');
     }
 
-    // Store API keys in chrome storage
-    await chrome.storage.local.set({
-      apiKeys: message.keys,
-      apiKeysUpdated: Date.now()
-    });
-
-    // Also store in settings for compatibility
-    const settings = await chrome.storage.local.get('settings') || {};
-    const currentSettings = settings.settings || {};
-    currentSettings.apiKeys = message.keys;
-    await chrome.storage.local.set({ settings: currentSettings });
+    // Stored in plain text, or re-encrypted when the key vault is on
+    await KeyVault.setKeys(message.keys);
 
     console.log('✅ Firebase Background: API keys updated successfully');
     sendResponse({ success: true, count: message.keys.length });
 
   } catch (error) {
     console.error('❌ Firebase Background: Update API keys error:', error);
-    sendResponse({ success: false, error: error.message });
+    sendResponse({ success: false, error: error.message, code: error.code });
+  }
+}
+
+// Handle a key vault action from a tab or the popup - the derived key never leaves the service worker
+async function handleKeyVault(message, sender, sendResponse) {
+  try {
+    const fromTab = !!sender.tab;
+    if (fromTab && !KeyVault.SESSION_ACTIONS.includes(message.action)) {
+      throw new Error(`Key vault action ${message.action} is only available in the extension popup`);
+    }
+
+    let data;
+    switch (message.action) {
+      case 'getSession':
+        data = await KeyVault.getSession();
+        break;
+      case 'setKeys':
+        if (!Array.isArray(message.keys)) {
+          throw new Error('Invalid API keys data');
+        }
+        data = await KeyVault.setKeys(message.keys);
+        break;
+      case 'enable':
+        data = await KeyVault.enable(message.passphrase);
+        break;
+      case 'unlock':
+        data = await KeyVault.unlock(message.passphrase);
+        break;
+      case 'lock':
+        data = await KeyVault.lock();
+        break;
+      case 'disable':
+        data = await KeyVault.disable(message.passphrase);
+        break;
+      default:
+        throw new Error(`Unknown key vault action: ${message.action}`);
+    }
+
+    sendResponse({ success: true, data: data ?? null });
+  } catch (error) {
+    console.error('❌ Firebase Background: Key vault error:', error.message);
+    sendResponse({ success: false, error: error.message, code: error.code });
   }
 }
 
@@ -2029,18 +2190,12 @@ async function handleGetApiKey(sendResponse) {
   try {
     console.log('🔑 Firebase Background: Getting API key');
 
-    // Try to get from apiKeys array first
-    const result = await chrome.storage.local.get(['apiKeys', 'settings', 'currentKeyIndex']);
-
-    let apiKeys = result.apiKeys || [];
-
-    // Fallback to settings if no keys found
-    if (apiKeys.length === 0 && result.settings?.apiKeys) {
-      apiKeys = result.settings.apiKeys;
-    }
+    const apiKeys = await KeyVault.getKeys();
+    const result = await chrome.storage.local.get('currentKeyIndex');
 
     if (apiKeys.length === 0) {
-      throw new Error('No API keys configured');
+      const status = await KeyVault.getStatus();
+      throw status.unlocked ? new Error('No API keys configured') : KeyVault.lockedError();
     }
 
     // Implement proper key rotation
@@ -2069,6 +2224,912 @@ async function handleGetApiKey(sendResponse) {
 
   } catch (error) {
     console.error('❌ Firebase Background: Get API key error:', error);
+    sendResponse({ success: false, error: error.message, code: error.code });
+  }
+}
+
+// Key scheduling - every tab takes its Gemini keys from one queue so the rate limits hold across tabs
+let rateLimitCounters = null;
+const keyRefs = new Map(); // API key -> RateLimits.keyRef
+const keyQueue = [];
+const keyGrants = new Map(); // requestId -> { keyRef, model, tokens, grantedAt } until the tab uses or cancels it
+const KEY_GRANT_CANCEL_MS = 60000;
+let keyQueueTimer = null;
+let keyQueueDrain = Promise.resolve();
+
+async function loadRateLimitCounters() {
+  if (!rateLimitCounters) {
+    const result = await chrome.storage.local.get('rateLimitCounters');
+    rateLimitCounters = RateLimits.prune(result.rateLimitCounters || {});
+  }
+  return rateLimitCounters;
+}
+
+async function saveRateLimitCounters() {
+  try {
+    await chrome.storage.local.set({ rateLimitCounters: RateLimits.prune(rateLimitCounters || {}) });
+  } catch (error) {
+    console.warn('Firebase Background: Failed to save rate limit counters:', error);
+  }
+}
+
+async function getKeyRef(apiKey) {
+  if (!keyRefs.has(apiKey)) {
+    keyRefs.set(apiKey, await RateLimits.keyRef(apiKey));
+  }
+  return keyRefs.get(apiKey);
+}
+
+// Handle a request for a Gemini key with capacity for { model, tokens }
+// preferredKey is tried first; pinned requests (uploaded files, context caches) only accept it.
+// Keys whose profile does not allow the model are never granted for it
+async function handleAcquireApiKey(message, sendResponse) {
+  try {
+    const grant = await new Promise((resolve, reject) => {
+      keyQueue.push({ request: message, resolve, reject, enqueuedAt: Date.now() });
+      scheduleKeyQueueDrain(0);
+    });
+    sendResponse({ success: true, data: grant });
+  } catch (error) {
+    console.warn('Firebase Background: No API key granted -', error.message);
+    sendResponse({ success: false, error: error.message, code: error.code, retryAfterMs: error.retryAfterMs });
+  }
+}
+
+// Handle a tab giving up on a key request (Stop pressed) - drops it from the queue, or gives back
+// the reservation when the grant crossed the cancellation
+async function handleCancelKeyRequest(message, sendResponse) {
+  try {
+    const waiter = keyQueue.find(entry => entry.request.requestId === message.requestId);
+    if (waiter) {
+      keyQueue.splice(keyQueue.indexOf(waiter), 1);
+      const error = new Error('Key request cancelled');
+      error.code = 'CANCELLED';
+      waiter.reject(error);
+    }
+
+    const grant = keyGrants.get(message.requestId);
+    if (grant) {
+      keyGrants.delete(message.requestId);
+      RateLimits.release(await loadRateLimitCounters(), grant.keyRef, grant.model, grant.tokens);
+      await saveRateLimitCounters();
+      scheduleKeyQueueDrain(0);
+    }
+
+    sendResponse({ success: true, data: { queued: !!waiter, released: !!grant } });
+  } catch (error) {
+    console.error('❌ Firebase Background: Cancel key request error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+function scheduleKeyQueueDrain(delayMs) {
+  clearTimeout(keyQueueTimer);
+  keyQueueTimer = setTimeout(() => {
+    keyQueueDrain = keyQueueDrain.then(drainKeyQueue).catch(error => {
+      console.error('❌ Firebase Background: Key queue error:', error);
+    });
+  }, delayMs);
+}
+
+// Remove a waiter from the queue - false when a cancellation already took it out
+function takeKeyWaiter(waiter) {
+  const index = keyQueue.indexOf(waiter);
+  if (index === -1) return false;
+  keyQueue.splice(index, 1);
+  return true;
+}
+
+// Serve waiting requests in arrival order; the rest wait for the earliest window to open
+// Keys with an open circuit are skipped - the queue waits for their probe when no other key is left
+// The loop works on a snapshot and awaits inside it, so a waiter is re-checked after every await:
+// one cancelled meanwhile is skipped without reserving anything for it
+async function drainKeyQueue() {
+  if (keyQueue.length === 0) return;
+
+  const [apiKeys, stored, counters, circuits] = await Promise.all([
+    KeyVault.getKeys(),
+    chrome.storage.local.get('settings'),
+    loadRateLimitCounters(),
+    loadKeyCircuits()
+  ]);
+  const settings = stored.settings || {};
+  const now = Date.now();
+  let nextWaitMs = Infinity;
+  let reserved = false;
+
+  for (const waiter of [...keyQueue]) {
+    if (!keyQueue.includes(waiter)) continue;
+    const { model, tokens = 0, preferredKey, pinned } = waiter.request;
+    let candidates = pinned && preferredKey ? [preferredKey] : apiKeys;
+    if (preferredKey && candidates.includes(preferredKey)) {
+      candidates = [preferredKey, ...candidates.filter(key => key !== preferredKey)];
+    }
+
+    if (candidates.length === 0) {
+      const status = await KeyVault.getStatus();
+      if (takeKeyWaiter(waiter)) {
+        waiter.reject(status.unlocked ? new Error('No API keys configured') : KeyVault.lockedError());
+      }
+      continue;
+    }
+
+    const allowed = [];
+    for (const apiKey of candidates) {
+      if (KeyProfiles.allowsModel(KeyProfiles.get(settings, await getKeyRef(apiKey)), model)) {
+        allowed.push(apiKey);
+      }
+    }
+    if (!keyQueue.includes(waiter)) continue;
+    if (allowed.length === 0) {
+      takeKeyWaiter(waiter);
+      waiter.reject(KeyProfiles.modelNotAllowedError(model));
+      continue;
+    }
+    candidates = allowed;
+
+    let grant = null;
+    let waitMs = Infinity;
+    const disabled = [];
+    for (const apiKey of candidates) {
+      const keyRef = await getKeyRef(apiKey);
+      if (!keyQueue.includes(waiter)) break;
+      const circuit = circuits[keyRef];
+      if (!KeyCircuit.isAvailable(circuit)) {
+        if (KeyCircuit.isProbeDue(circuit, now)) {
+          probeKey(apiKey, keyRef); // Drains the queue again when it finishes
+        }
+        disabled.push(circuit);
+        waitMs = Math.min(waitMs, Math.max(KeyCircuit.PROBE_WAIT_MS, (circuit.retryAt || now) - now + KeyCircuit.PROBE_WAIT_MS));
+        continue;
+      }
+
+      const limits = RateLimits.getLimits(settings.keyTiers?.[keyRef] || 'free', model, settings.customRateLimits || {});
+      const keyWaitMs = RateLimits.getWaitMs(counters, keyRef, model, limits, tokens, now);
+      if (keyWaitMs === 0) {
+        RateLimits.reserve(counters, keyRef, model, tokens, now);
+        grant = { key: apiKey, keyRef, waitedMs: now - waiter.enqueuedAt };
+        break;
+      }
+      waitMs = Math.min(waitMs, keyWaitMs);
+    }
+    if (!keyQueue.includes(waiter)) continue;
+
+    if (grant) {
+      takeKeyWaiter(waiter);
+      reserved = true;
+      if (waiter.request.requestId) {
+        keyGrants.set(waiter.request.requestId, { keyRef: grant.keyRef, model, tokens, grantedAt: now });
+      }
+      waiter.resolve(grant);
+    } else if (now - waiter.enqueuedAt + waitMs > RateLimits.MAX_QUEUE_WAIT_MS) {
+      takeKeyWaiter(waiter);
+      let error;
+      if (disabled.length === candidates.length) {
+        const reasons = [...new Set(disabled.map(circuit => KeyCircuit.describe(circuit, now).detail))];
+        error = new Error(`${candidates.length === 1 ? 'The API key is' : 'Every API key is'} disabled: ${reasons.join('; ')}`);
+        error.code = 'KEYS_UNAVAILABLE';
+      } else {
+        error = new Error(`Every API key has reached its rate limit for ${model} - try again in ${formatWait(waitMs)}`);
+        error.code = 'RATE_LIMITED';
+      }
+      error.retryAfterMs = waitMs;
+      waiter.reject(error);
+    } else {
+      nextWaitMs = Math.min(nextWaitMs, waitMs);
+    }
+  }
+
+  if (reserved) {
+    await saveRateLimitCounters();
+  }
+  // A cancellation can only cross a grant that is still on its way to the tab
+  keyGrants.forEach((grant, requestId) => {
+    if (now - grant.grantedAt > KEY_GRANT_CANCEL_MS) keyGrants.delete(requestId);
+  });
+  if (keyQueue.length > 0) {
+    scheduleKeyQueueDrain(Math.max(250, nextWaitMs));
+  }
+}
+
+function formatWait(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+  return minutes < 120 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+}
+
+// Handle the outcome of a granted request - measured tokens, a 429, or an error for the key's circuit
+async function handleReportKeyUsage(message, sendResponse) {
+  try {
+    keyGrants.delete(message.requestId);
+    const counters = await loadRateLimitCounters();
+    if (message.rateLimited) {
+      // An exhausted per-day quota only comes back at the Pacific midnight reset
+      const retryAfterMs = message.dailyQuota ? RateLimits.msUntilNextDay() : message.retryAfterMs;
+      RateLimits.block(counters, message.keyRef, message.model, retryAfterMs);
+    } else if (typeof message.tokens === 'number') {
+      RateLimits.adjustTokens(counters, message.keyRef, message.model, message.tokens - (message.reservedTokens || 0));
+    }
+    await saveRateLimitCounters();
+
+    const kind = message.error ? KeyCircuit.classify(message.error) : null;
+    if (kind) {
+      await updateKeyCircuit(message.keyRef, circuit => KeyCircuit.recordFailure(circuit, kind, message.error));
+    } else if (message.success) {
+      await updateKeyCircuit(message.keyRef, circuit => (circuit && (circuit.state !== 'closed' || circuit.failures > 0)
+        ? KeyCircuit.recordSuccess(circuit)
+        : circuit));
+    }
+
+    // A blocked key may have been the only option for a queued request - re-evaluate
+    if (keyQueue.length > 0) {
+      scheduleKeyQueueDrain(0);
+    }
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('❌ Firebase Background: Report key usage error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Key circuits - see KeyCircuit. Only the service worker writes them; tabs and the popup read them
+let keyCircuits = null;
+let keyCircuitWriteQueue = Promise.resolve();
+const keyProbes = new Map(); // keyRef -> running probe
+
+async function loadKeyCircuits() {
+  if (!keyCircuits) {
+    const result = await chrome.storage.local.get(KeyCircuit.STORAGE_KEY);
+    keyCircuits = result[KeyCircuit.STORAGE_KEY] || {};
+  }
+  return keyCircuits;
+}
+
+// Read-modify-write of one key's circuit; update(circuit) returns the new circuit (or the same one to skip)
+function updateKeyCircuit(keyRef, update) {
+  const write = keyCircuitWriteQueue.then(async () => {
+    const circuits = await loadKeyCircuits();
+    const previous = circuits[keyRef];
+    const next = update(previous);
+    if (!next || next === previous) return previous;
+
+    circuits[keyRef] = next;
+    await chrome.storage.local.set({ [KeyCircuit.STORAGE_KEY]: circuits });
+
+    if (next.state !== (previous?.state || 'closed')) {
+      console.log(`Firebase Background: Key ${keyRef} circuit ${previous?.state || 'closed'} -> ${next.state}`, next.reason || '');
+      await scheduleProbeAlarm();
+    }
+    return next;
+  });
+  keyCircuitWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Check a key with a free countTokens call - any answer that is not about the key closes its circuit
+function probeKey(apiKey, keyRef) {
+  if (!keyProbes.has(keyRef)) {
+    const probe = runKeyProbe(apiKey, keyRef).finally(() => {
+      keyProbes.delete(keyRef);
+      if (keyQueue.length > 0) {
+        scheduleKeyQueueDrain(0);
+      }
+    });
+    keyProbes.set(keyRef, probe);
+  }
+  return keyProbes.get(keyRef);
+}
+
+async function runKeyProbe(apiKey, keyRef) {
+  await updateKeyCircuit(keyRef, circuit => (KeyCircuit.isAvailable(circuit) ? circuit : { ...circuit, state: 'half-open', probeStartedAt: Date.now() }));
+
+  const stored = await chrome.storage.local.get('settings');
+  const model = stored.settings?.selectedModel || KeyCircuit.PROBE_MODEL;
+  try {
+    await new GeminiProvider().countTokens(
+      { contents: [{ role: 'user', parts: [{ text: 'ping' }] }] },
+      { model, apiKey, signal: AbortSignal.timeout(KeyCircuit.PROBE_TIMEOUT_MS) }
+    );
+    return await updateKeyCircuit(keyRef, circuit => KeyCircuit.recordSuccess(circuit));
+  } catch (error) {
+    const kind = KeyCircuit.classify(error);
+    if (!kind && !error.status) {
+      // The probe never reached the API (offline) - the key stays disabled and is probed again
+      console.warn(`Firebase Background: Probe of key ${keyRef} did not reach the API -`, error.message);
+      return await updateKeyCircuit(keyRef, circuit => (KeyCircuit.isAvailable(circuit) ? circuit : { ...circuit, state: 'open', probeStartedAt: null }));
+    }
+    if (!kind) {
+      return await updateKeyCircuit(keyRef, circuit => KeyCircuit.recordSuccess(circuit));
+    }
+    console.warn(`Firebase Background: Probe of key ${keyRef} failed -`, error.message);
+    return await updateKeyCircuit(keyRef, circuit => KeyCircuit.recordFailure(circuit, kind, KeyCircuit.toReport(error)));
+  }
+}
+
+// Probe every key whose cooldown is over
+async function probeDueKeys() {
+  const [apiKeys, circuits] = await Promise.all([KeyVault.getKeys(), loadKeyCircuits()]);
+  const now = Date.now();
+
+  const probes = [];
+  for (const apiKey of apiKeys) {
+    const keyRef = await getKeyRef(apiKey);
+    if (KeyCircuit.isProbeDue(circuits[keyRef], now)) {
+      probes.push(probeKey(apiKey, keyRef));
+    }
+  }
+  await Promise.all(probes);
+  await scheduleProbeAlarm();
+}
+
+// The probe alarm only runs while some circuit is not closed
+async function scheduleProbeAlarm() {
+  const circuits = await loadKeyCircuits();
+  const anyOpen = Object.values(circuits).some(circuit => !KeyCircuit.isAvailable(circuit));
+  const alarm = await chrome.alarms.get(KeyCircuit.PROBE_ALARM);
+
+  if (anyOpen && !alarm) {
+    chrome.alarms.create(KeyCircuit.PROBE_ALARM, { periodInMinutes: KeyCircuit.PROBE_MINUTES });
+  } else if (!anyOpen && alarm) {
+    await chrome.alarms.clear(KeyCircuit.PROBE_ALARM);
+  }
+}
+
+// Handle a probe requested from the popup - runs now, whatever the circuit's cooldown
+async function handleProbeApiKey(message, sendResponse) {
+  try {
+    const apiKeys = await KeyVault.getKeys();
+    let apiKey = null;
+    for (const key of apiKeys) {
+      if (await getKeyRef(key) === message.keyRef) {
+        apiKey = key;
+        break;
+      }
+    }
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    const circuit = await probeKey(apiKey, message.keyRef);
+    sendResponse({ success: true, data: circuit || KeyCircuit.closed() });
+  } catch (error) {
+    console.error('❌ Firebase Background: Probe API key error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Inbox sync - see InboxSync. Runs in an open Fiverr tab, which has the session Fiverr's inbox API needs
+let inboxSyncRun = null;
+
+function runInboxSync(options = {}) {
+  if (!inboxSyncRun) {
+    inboxSyncRun = performInboxSync(options).finally(() => {
+      inboxSyncRun = null;
+    });
+  }
+  return inboxSyncRun;
+}
+
+async function performInboxSync({ force = false } = {}) {
+  const stored = await chrome.storage.local.get(['settings', InboxSync.STORAGE_KEY]);
+  const state = stored[InboxSync.STORAGE_KEY] || {};
+
+  if (!force && !InboxSync.isEnabled(stored.settings)) {
+    await scheduleInboxSyncAlarm();
+    return state;
+  }
+  if (!force && InboxSync.isBackingOff(state)) {
+    console.log('Firebase Background: Inbox sync backing off until', new Date(state.nextAttemptAt).toISOString());
+    return state;
+  }
+
+  const tabs = await chrome.tabs.query({ url: 'https://www.fiverr.com/*' });
+  const tab = tabs.find(candidate => candidate.status === 'complete') || tabs[0];
+  if (!tab) {
+    return saveInboxSyncState(InboxSync.recordSkipped(state, 'No Fiverr tab open - sync runs while one is open'));
+  }
+
+  await saveInboxSyncState({ ...state, status: 'running' });
+
+  let timeout = null;
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'SYNC_INBOX',
+        since: state.syncedThrough || 0,
+        maxConversations: InboxSync.MAX_CONVERSATIONS_PER_RUN
+      }),
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(
+          () => reject(new Error(`Sync timed out after ${InboxSync.RUN_TIMEOUT_MS / 60000} minutes`)),
+          InboxSync.RUN_TIMEOUT_MS
+        );
+      })
+    ]);
+    if (!response?.success || !response.data) {
+      throw new Error(response?.error || 'The Fiverr tab did not run the sync - reload it and try again');
+    }
+
+    console.log('Firebase Background: Inbox sync done -', response.data.newMessages, 'new messages');
+    return await saveInboxSyncState(InboxSync.recordSuccess(state, response.data));
+  } catch (error) {
+    console.warn('Firebase Background: Inbox sync failed -', error.message);
+    return await saveInboxSyncState(InboxSync.recordFailure(state, error));
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function saveInboxSyncState(state) {
+  await chrome.storage.local.set({ [InboxSync.STORAGE_KEY]: state });
+  return state;
+}
+
+// The sync alarm follows settings.inboxSyncEnabled and settings.inboxSyncMinutes
+async function scheduleInboxSyncAlarm() {
+  const stored = await chrome.storage.local.get('settings');
+  const alarm = await chrome.alarms.get(InboxSync.ALARM);
+
+  if (!InboxSync.isEnabled(stored.settings)) {
+    if (alarm) await chrome.alarms.clear(InboxSync.ALARM);
+    return;
+  }
+
+  const minutes = InboxSync.getIntervalMinutes(stored.settings);
+  if (!alarm || alarm.periodInMinutes !== minutes) {
+    // A newly enabled sync runs within a minute, a changed interval from now on
+    chrome.alarms.create(InboxSync.ALARM, { delayInMinutes: alarm ? minutes : 1, periodInMinutes: minutes });
+  }
+}
+
+// Handle "Sync now" from the popup - runs even while backing off
+async function handleRunInboxSync(message, sendResponse) {
+  try {
+    const state = await runInboxSync({ force: true });
+    if (state.status === 'error') {
+      sendResponse({ success: false, error: state.lastError, data: state });
+    } else {
+      sendResponse({ success: true, data: state });
+    }
+  } catch (error) {
+    console.error('❌ Firebase Background: Inbox sync error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Context caches (see KnowledgeBaseManager.getContextCache) - invalidated here only, so every cache is
+// deleted once however many tabs are open
+function getFileSetSignature(files) {
+  return Object.values(files || {})
+    .map(file => file?.geminiUri)
+    .filter(Boolean)
+    .sort()
+    .join('|');
+}
+
+// Delete every context cache - the next request with files creates a fresh one
+async function invalidateContextCaches(reason) {
+  const result = await chrome.storage.local.get('contextCaches');
+  const entries = Object.values(result.contextCaches || {}).filter(entry => entry.name && entry.expiresAt > Date.now());
+  await chrome.storage.local.set({ contextCaches: {} });
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  console.log('Firebase Background: Invalidating', entries.length, 'context caches -', reason);
+
+  const provider = await getBatchProvider('gemini');
+  const keysByRef = new Map();
+  for (const apiKey of await KeyVault.getKeys()) {
+    keysByRef.set(await getKeyRef(apiKey), apiKey);
+  }
+
+  await Promise.all(entries.map(async entry => {
+    const apiKey = keysByRef.get(entry.keyRef);
+    if (!apiKey) {
+      return; // The key was removed (or the entry predates keyRefs) - the cache expires on its own
+    }
+    try {
+      await provider.deleteCachedContent(entry.name, { apiKey });
+    } catch (error) {
+      console.warn('Firebase Background: Failed to delete context cache', entry.name, '-', error.message);
+    }
+  }));
+}
+
+// Usage records are read-modify-write - queue the writes so concurrent tabs don't lose updates
+let usageWriteQueue = Promise.resolve();
+
+// Handle recording token usage of a completed AI request
+async function handleRecordUsage(message, sendResponse) {
+  const entry = message.entry;
+  if (!entry || !entry.day) {
+    sendResponse({ success: false, error: 'Invalid usage entry' });
+    return;
+  }
+
+  try {
+    await recordUsageEntry(entry);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('❌ Firebase Background: Record usage error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+function recordUsageEntry(entry) {
+  const write = usageWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get('usageStats');
+    const records = UsageStats.prune(UsageStats.addEntry(result.usageStats || {}, entry));
+    await chrome.storage.local.set({ usageStats: records });
+  });
+  usageWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Batch jobs and conversation results are read-modify-write as well - one queue each
+let batchJobsWriteQueue = Promise.resolve();
+let conversationWriteQueue = Promise.resolve();
+const runningSyncJobs = new Set();
+
+function updateBatchJobs(update) {
+  const write = batchJobsWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get('batchJobs');
+    const jobs = result.batchJobs || {};
+    update(jobs);
+    await chrome.storage.local.set({ batchJobs: jobs });
+    return jobs;
+  });
+  batchJobsWriteQueue = write.catch(() => {});
+  return write;
+}
+
+function updateBatchJob(jobId, update) {
+  return updateBatchJobs(jobs => {
+    if (jobs[jobId]) {
+      update(jobs[jobId]);
+      jobs[jobId].updatedAt = Date.now();
+    }
+  });
+}
+
+function updateStoredConversations(update) {
+  const write = conversationWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get('fiverrConversations');
+    const conversations = result.fiverrConversations || {};
+    update(conversations);
+    await chrome.storage.local.set({ fiverrConversations: conversations });
+  });
+  conversationWriteQueue = write.catch(() => {});
+  return write;
+}
+
+// Ollama calls from content scripts - sent from here, where the extension's origin is allowed
+// (see OllamaProvider). Values go back as { value }, then { done } or { error }; a disconnect aborts
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== OllamaProvider.RELAY_PORT) return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  port.onMessage.addListener(message => {
+    relayOllamaCall(port, message, controller.signal);
+  });
+});
+
+async function relayOllamaCall(port, message, signal) {
+  const send = reply => {
+    if (!signal.aborted) port.postMessage(reply);
+  };
+
+  try {
+    const provider = new OllamaProvider(message.config || {});
+    const options = { ...(message.options || {}), signal };
+    if (message.method === 'stream') {
+      for await (const chunk of provider.stream(message.payload, options)) {
+        send({ value: chunk });
+      }
+    } else if (message.method === 'generate') {
+      send({ value: await provider.generate(message.payload, options) });
+    } else if (message.method === 'listModels') {
+      send({ value: await provider.listModels(options) });
+    } else {
+      throw new Error(`Unknown Ollama method: ${message.method}`);
+    }
+    send({ done: true });
+  } catch (error) {
+    if (signal.aborted) return;
+    console.warn('Firebase Background: Ollama request failed -', error.message);
+    send({ error: { message: error.message, status: error.status, code: error.code, retryAfterMs: error.retryAfterMs } });
+  }
+}
+
+async function getBatchProvider(providerId) {
+  const registry = new AIProviderRegistry();
+  const settings = await registry.getSettings();
+  return registry.createProvider(providerId, settings.providerSettings || {});
+}
+
+// The key a batch was submitted with - its jobs are only visible to that key's project
+// Jobs from before keys had stable ids only recorded the key's label
+async function getBatchApiKey(job) {
+  const apiKeys = await KeyVault.getKeys();
+  for (const apiKey of apiKeys) {
+    if (job.keyRef ? await getKeyRef(apiKey) === job.keyRef : UsageStats.keyLabel(apiKey) === job.keyLabel) {
+      return apiKey;
+    }
+  }
+  return await getGeminiApiKey();
+}
+
+// First key that may use the model, preferring keys whose circuit is closed
+async function getModelApiKey(model) {
+  const [apiKeys, stored, circuits] = await Promise.all([
+    KeyVault.getKeys(),
+    chrome.storage.local.get('settings'),
+    loadKeyCircuits()
+  ]);
+
+  const allowed = [];
+  for (const apiKey of apiKeys) {
+    const keyRef = await getKeyRef(apiKey);
+    if (KeyProfiles.allowsModel(KeyProfiles.get(stored.settings, keyRef), model)) {
+      allowed.push({ apiKey, keyRef });
+    }
+  }
+  if (apiKeys.length > 0 && allowed.length === 0) {
+    throw KeyProfiles.modelNotAllowedError(model);
+  }
+
+  return (allowed.find(({ keyRef }) => KeyCircuit.isAvailable(circuits[keyRef])) || allowed[0])?.apiKey || null;
+}
+
+function recordBatchUsage(job, usageMetadata) {
+  const entry = UsageStats.fromUsageMetadata(usageMetadata, {
+    key: job.keyRef || job.keyLabel || job.provider,
+    model: job.model,
+    prompt: job.promptKey
+  });
+  if (entry) {
+    recordUsageEntry(entry).catch(error => {
+      console.warn('Firebase Background: Failed to record batch usage:', error);
+    });
+  }
+}
+
+// Handle submitting a prompt over several stored conversations
+async function handleBatchSubmit(message, sendResponse) {
+  try {
+    const request = message.job || {};
+    if (!request.promptKey || !request.promptText || !request.usernames?.length) {
+      throw new Error('Choose a prompt and at least one conversation');
+    }
+
+    const stored = await chrome.storage.local.get(['fiverrConversations', 'knowledgeBase', 'settings']);
+    const conversations = stored.fiverrConversations || {};
+    const settings = stored.settings || {};
+    const registry = new AIProviderRegistry();
+    const provider = await registry.getActiveProvider();
+    const model = request.model || await registry.getSelectedModel();
+
+    const items = request.usernames
+      .filter(username => conversations[username])
+      .map(username => ({
+        username,
+        prompt: BatchJobs.buildPrompt(request.promptText, {
+          username,
+          conversation: conversations[username],
+          variables: stored.knowledgeBase || {}
+        }),
+        status: 'pending',
+        error: null
+      }));
+
+    if (items.length === 0) {
+      throw new Error('None of the selected conversations are stored');
+    }
+
+    const job = {
+      id: `batch_${Date.now()}`,
+      mode: provider.getCapabilities().batch ? 'batch' : 'sync',
+      provider: provider.id,
+      model,
+      promptKey: request.promptKey,
+      promptName: request.promptName || request.promptKey,
+      systemInstruction: request.systemInstruction || settings.systemInstruction || '',
+      generationSettings: request.generationSettings || {},
+      state: 'pending',
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      items
+    };
+
+    if (job.mode === 'batch') {
+      const apiKey = await getModelApiKey(model);
+      if (!apiKey) {
+        throw new Error('No Gemini API key configured');
+      }
+
+      const requests = items.map(item => ({ key: item.username, payload: BatchJobs.buildPayload(job, item.prompt) }));
+      const operation = await provider.createBatch(model, requests, `aiFiverr ${job.promptName} (${items.length})`, { apiKey });
+      job.operationName = operation.name;
+      job.keyRef = await getKeyRef(apiKey);
+      job.keyLabel = UsageStats.keyLabel(apiKey);
+      job.state = BatchJobs.normalizeState(operation.metadata?.state);
+      // Gemini holds the prompts now
+      items.forEach(item => delete item.prompt);
+    }
+
+    await updateBatchJobs(jobs => {
+      jobs[job.id] = job;
+      BatchJobs.prune(jobs);
+    });
+    await chrome.alarms.create(BatchJobs.POLL_ALARM, { periodInMinutes: BatchJobs.POLL_MINUTES });
+
+    if (job.mode === 'sync') {
+      runSyncBatchJob(job.id);
+    }
+
+    console.log('✅ Firebase Background: Batch job', job.id, 'submitted -', job.mode, 'with', items.length, 'conversations');
+    sendResponse({ success: true, jobId: job.id, mode: job.mode });
+  } catch (error) {
+    console.error('❌ Firebase Background: Batch submit error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Check every unfinished job; the alarm is cleared once nothing is left to do
+async function pollBatchJobs() {
+  const result = await chrome.storage.local.get('batchJobs');
+  const active = Object.values(result.batchJobs || {}).filter(job => !BatchJobs.isFinished(job));
+
+  if (active.length === 0) {
+    await chrome.alarms.clear(BatchJobs.POLL_ALARM);
+    return;
+  }
+
+  for (const job of active) {
+    try {
+      if (job.mode === 'sync') {
+        runSyncBatchJob(job.id); // Resumes a job the suspended worker left unfinished
+      } else {
+        await pollGeminiBatch(job);
+      }
+    } catch (error) {
+      console.error('❌ Firebase Background: Failed to poll batch job', job.id, error);
+      await updateBatchJob(job.id, current => {
+        current.error = error.message;
+      });
+    }
+  }
+}
+
+async function pollGeminiBatch(job) {
+  const provider = await getBatchProvider('gemini');
+  const apiKey = await getBatchApiKey(job);
+  const operation = await provider.getBatch(job.operationName, { apiKey });
+
+  let state = BatchJobs.normalizeState(operation.metadata?.state);
+  if (operation.done && !BatchJobs.FINISHED_STATES.includes(state)) {
+    state = operation.error ? 'failed' : 'succeeded';
+  }
+
+  if (state !== 'succeeded') {
+    await updateBatchJob(job.id, current => {
+      current.state = state;
+      current.error = operation.error?.message || null;
+    });
+    return;
+  }
+
+  const results = BatchJobs.parseBatchOutput(operation);
+  await updateStoredConversations(conversations => {
+    job.items.forEach(item => {
+      BatchJobs.applyResult(conversations, job, item.username, results.get(item.username) || { error: 'No result returned' });
+    });
+  });
+
+  results.forEach(entry => recordBatchUsage(job, entry.usageMetadata));
+
+  await updateBatchJob(job.id, current => {
+    current.items.forEach(item => {
+      const entry = results.get(item.username);
+      item.status = entry?.text ? 'done' : 'failed';
+      item.error = entry?.text ? null : (entry?.error || 'No result returned');
+    });
+    current.state = 'succeeded';
+    current.error = null;
+  });
+
+  console.log('✅ Firebase Background: Batch job', job.id, 'finished with', results.size, 'results');
+}
+
+// Fallback for providers without batch support - one request at a time, resumable
+async function runSyncBatchJob(jobId) {
+  if (runningSyncJobs.has(jobId)) return;
+  runningSyncJobs.add(jobId);
+
+  try {
+    await updateBatchJob(jobId, job => {
+      job.state = 'running';
+    });
+
+    // Each item gets the same per-request timeout as the tabs (settings.apiTimeout, 30 s by default)
+    const stored = await chrome.storage.local.get('settings');
+    const timeoutSeconds = parseInt(stored.settings?.apiTimeout, 10) > 0 ? parseInt(stored.settings.apiTimeout, 10) : 30;
+
+    for (;;) {
+      const result = await chrome.storage.local.get('batchJobs');
+      const job = result.batchJobs?.[jobId];
+      if (!job || job.state === 'cancelled') break;
+
+      const item = job.items.find(entry => entry.status === 'pending');
+      if (!item) {
+        const progress = BatchJobs.getProgress(job);
+        await updateBatchJob(jobId, current => {
+          current.state = progress.done === 0 ? 'failed' : 'succeeded';
+        });
+        break;
+      }
+
+      let itemResult;
+      try {
+        const provider = await getBatchProvider(job.provider);
+        const response = await provider.generate(BatchJobs.buildPayload(job, item.prompt), {
+          model: job.model,
+          signal: AbortSignal.timeout(timeoutSeconds * 1000)
+        });
+        itemResult = response.text ? { text: response.text } : { error: 'Empty response' };
+        recordBatchUsage(job, response.usageMetadata);
+      } catch (error) {
+        itemResult = { error: error.name === 'TimeoutError' ? `Request timed out after ${timeoutSeconds}s` : error.message };
+      }
+
+      await updateStoredConversations(conversations => {
+        BatchJobs.applyResult(conversations, job, item.username, itemResult);
+      });
+      await updateBatchJob(jobId, current => {
+        const entry = current.items.find(candidate => candidate.username === item.username);
+        entry.status = itemResult.error ? 'failed' : 'done';
+        entry.error = itemResult.error || null;
+        delete entry.prompt;
+      });
+    }
+  } catch (error) {
+    console.error('❌ Firebase Background: Sync batch job', jobId, 'failed:', error);
+    await updateBatchJob(jobId, job => {
+      job.state = 'failed';
+      job.error = error.message;
+    });
+  } finally {
+    runningSyncJobs.delete(jobId);
+  }
+}
+
+// Handle cancelling a batch job - finished items keep their results
+async function handleBatchCancel(message, sendResponse) {
+  try {
+    const result = await chrome.storage.local.get('batchJobs');
+    const job = result.batchJobs?.[message.jobId];
+    if (!job) {
+      throw new Error('Batch job not found');
+    }
+
+    if (job.mode === 'batch' && !BatchJobs.isFinished(job)) {
+      const provider = await getBatchProvider('gemini');
+      await provider.cancelBatch(job.operationName, { apiKey: await getBatchApiKey(job) });
+    }
+
+    await updateBatchJob(job.id, current => {
+      if (!BatchJobs.isFinished(current)) {
+        current.state = 'cancelled';
+      }
+    });
+
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('❌ Firebase Background: Batch cancel error:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
@@ -2792,6 +3853,21 @@ async function initializeBackground() {
     isInitialized = true;
     console.log('✅ Firebase Background: Service worker initialized successfully');
 
+    // Pick up batch jobs that were running when the worker was suspended
+    pollBatchJobs().catch(error => {
+      console.error('❌ Firebase Background: Batch poll error:', error);
+    });
+
+    // Keep probing keys that were disabled before the worker was suspended
+    probeDueKeys().catch(error => {
+      console.error('❌ Firebase Background: Key probe error:', error);
+    });
+
+    // Start, update or stop the scheduled inbox sync
+    scheduleInboxSyncAlarm().catch(error => {
+      console.error('❌ Firebase Background: Inbox sync schedule error:', error);
+    });
+
   } catch (error) {
     console.error('❌ Firebase Background: Initialization error:', error);
     isInitialized = true; // Set to true even on error to prevent infinite waiting
@@ -10,7 +10,11 @@ class PopupManager {
     this.isLoading = false;
     this.currentApiKeys = [];
     this.apiKeyStatuses = [];
+    this.aiProvider = 'gemini';
+    this.providerSettings = {};
+    this.discoveredModels = {}; // providerId -> model details from the ModelCatalog
     this.favoritePrompts = new Set();
+    this.batchSelection = new Set(); // Usernames ticked for a batch job
     this.originalPromptData = null; // For tracking changes in prompt editing
     this.isLoadingDefaultPrompt = false; // For tracking default prompt loading
     this.init();
@@ -227,6 +231,29 @@ class PopupManager {
       this.clearApiKeys();
     });
 
+    // API key encryption
+    document.getElementById('encryptApiKeys')?.addEventListener('click', () => {
+      this.runKeyVaultAction('encrypt');
+    });
+
+    document.getElementById('unlockApiKeys')?.addEventListener('click', () => {
+      this.runKeyVaultAction('unlock');
+    });
+
+    document.getElementById('lockApiKeys')?.addEventListener('click', () => {
+      this.runKeyVaultAction('lock');
+    });
+
+    document.getElementById('removeKeyEncryption')?.addEventListener('click', () => {
+      this.runKeyVaultAction('remove');
+    });
+
+    document.getElementById('keyVaultPassphrase')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && document.getElementById('unlockApiKeys')?.style.display !== 'none') {
+        this.runKeyVaultAction('unlock');
+      }
+    });
+
     // Auto-save API keys on paste and input
     const apiKeysInput = document.getElementById('apiKeysInput');
     if (apiKeysInput) {
@@ -369,6 +396,20 @@ class PopupManager {
       });
     });
 
+    document.getElementById('systemInstruction')?.addEventListener('change', () => {
+      this.savePreferences();
+    });
+
+    document.getElementById('variantStyle')?.addEventListener('change', () => {
+      this.savePreferences();
+    });
+
+    document.querySelectorAll('.safety-threshold').forEach(select => {
+      select.addEventListener('change', () => {
+        this.savePreferences();
+      });
+    });
+
     // Global save button
     document.getElementById('globalSaveBtn')?.addEventListener('click', () => {
       this.saveAllSettings();
@@ -379,6 +420,83 @@ class PopupManager {
       this.saveApiConfiguration();
     });
 
+    // AI provider selection
+    document.getElementById('aiProvider')?.addEventListener('change', (e) => {
+      this.handleProviderChange(e.target.value);
+    });
+
+    document.getElementById('refreshModels')?.addEventListener('click', () => {
+      this.refreshProviderModels();
+    });
+
+    document.getElementById('defaultModel')?.addEventListener('change', () => {
+      this.updateModelCapabilities();
+    });
+
+    document.getElementById('newPromptModel')?.addEventListener('change', () => {
+      this.updatePromptFormCapabilities();
+    });
+
+    // Usage panel
+    document.getElementById('usageRange')?.addEventListener('change', () => {
+      this.loadUsagePanel();
+    });
+
+    document.getElementById('usageGroupBy')?.addEventListener('change', () => {
+      this.loadUsagePanel();
+    });
+
+    document.getElementById('exportUsageCsv')?.addEventListener('click', () => {
+      this.exportUsageCsv();
+    });
+
+    document.getElementById('toggleUsagePrices')?.addEventListener('click', () => {
+      this.toggleUsagePrices();
+    });
+
+    document.getElementById('resetUsage')?.addEventListener('click', () => {
+      this.resetUsage();
+    });
+
+    document.getElementById('addUsagePrice')?.addEventListener('click', () => {
+      this.addUsagePriceRow('', {});
+    });
+
+    document.getElementById('restoreUsagePrices')?.addEventListener('click', () => {
+      this.renderUsagePriceRows(UsageStats.DEFAULT_PRICES);
+    });
+
+    document.getElementById('saveUsagePrices')?.addEventListener('click', () => {
+      this.saveUsagePrices();
+    });
+
+    // Key details
+    document.getElementById('saveKeyProfiles')?.addEventListener('click', () => {
+      this.saveKeyProfiles();
+    });
+
+    // Key health
+    document.getElementById('keyHealthRows')?.addEventListener('click', (e) => {
+      if (e.target.classList.contains('key-probe-btn')) {
+        this.probeApiKey(e.target.getAttribute('data-key-ref'));
+      }
+    });
+
+    // Rate limits
+    document.getElementById('keyTierRows')?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('key-tier-select')) {
+        this.saveKeyTier(e.target.getAttribute('data-key-ref'), e.target.value);
+      }
+    });
+
+    document.getElementById('addCustomRateLimit')?.addEventListener('click', () => {
+      this.addCustomRateLimitRow('', {});
+    });
+
+    document.getElementById('saveCustomRateLimits')?.addEventListener('click', () => {
+      this.saveCustomRateLimits();
+    });
+
     // Conversations tab event listeners
     document.getElementById('refreshConversations')?.addEventListener('click', () => {
       this.loadConversations();
@@ -418,6 +536,11 @@ class PopupManager {
 
     // Event delegation for conversation items
     document.getElementById('conversationsList')?.addEventListener('click', (e) => {
+      if (e.target.classList.contains('conversation-select')) {
+        this.toggleBatchSelection(e.target.getAttribute('data-username'), e.target.checked);
+        return;
+      }
+
       const conversationItem = e.target.closest('.conversation-item');
       if (conversationItem) {
         const username = conversationItem.getAttribute('data-username');
@@ -425,6 +548,61 @@ class PopupManager {
       }
     });
 
+    // Background inbox sync
+    document.getElementById('inboxSyncEnabled')?.addEventListener('change', () => {
+      this.saveInboxSyncSettings();
+    });
+
+    document.getElementById('inboxSyncMinutes')?.addEventListener('change', () => {
+      this.saveInboxSyncSettings();
+    });
+
+    document.getElementById('runInboxSync')?.addEventListener('click', () => {
+      this.runInboxSync();
+    });
+
+    // Batch jobs
+    document.getElementById('batchSelectAll')?.addEventListener('change', (e) => {
+      document.querySelectorAll('#conversationsList .conversation-select').forEach(checkbox => {
+        checkbox.checked = e.target.checked;
+        this.toggleBatchSelection(checkbox.getAttribute('data-username'), e.target.checked);
+      });
+    });
+
+    document.getElementById('runBatch')?.addEventListener('click', () => {
+      this.submitBatchJob();
+    });
+
+    document.getElementById('batchJobsList')?.addEventListener('click', (e) => {
+      if (e.target.classList.contains('batch-cancel-btn')) {
+        this.cancelBatchJob(e.target.getAttribute('data-job-id'));
+      }
+    });
+
+    // The service worker updates jobs and writes results while the popup is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || this.currentTab !== 'conversations') return;
+
+      if (changes.batchJobs) {
+        this.renderBatchJobs(changes.batchJobs.newValue || {});
+      }
+      if (changes[InboxSync.STORAGE_KEY]) {
+        this.loadInboxSync();
+      }
+      if (changes.fiverrConversations) {
+        const conversations = changes.fiverrConversations.newValue || {};
+        this.updateConversationStats(conversations);
+        this.renderConversationsList(conversations);
+      }
+    });
+
+    // The service worker opens and closes key circuits while the popup is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[KeyCircuit.STORAGE_KEY] && this.currentTab === 'api') {
+        this.renderKeyHealth(changes[KeyCircuit.STORAGE_KEY].newValue || {});
+      }
+    });
+
     // Footer links
     document.getElementById('helpLink')?.addEventListener('click', (e) => {
       e.preventDefault();
@@ -492,6 +670,8 @@ class PopupManager {
         break;
       case 'conversations':
         await this.loadConversations();
+        await this.loadInboxSync();
+        await this.loadBatchPanel();
         break;
       case 'api':
         await this.loadApiConfig();
@@ -532,19 +712,424 @@ class PopupManager {
       document.getElementById('totalConversations').textContent = conversationCount;
 
       // Get API key count
-      const settings = await this.getStorageData('settings');
-      const apiKeyCount = settings?.apiKeys ? settings.apiKeys.length : 0;
+      const apiKeyCount = (await KeyVault.getKeys()).length;
       document.getElementById('healthyKeys').textContent = apiKeyCount;
 
       // Get custom prompts count
       const customPrompts = await this.getStorageData('customPrompts');
       const promptCount = customPrompts ? Object.keys(customPrompts).length : 0;
       document.getElementById('totalPrompts').textContent = promptCount;
+
+      await this.loadUsagePanel();
     } catch (error) {
       console.error('Failed to update stats:', error);
     }
   }
 
+  /**
+   * Saved price table, falling back to the built-in prices
+   */
+  async getPriceTable() {
+    const settings = await this.getStorageData('settings') || {};
+    return settings.priceTable && Object.keys(settings.priceTable).length > 0
+      ? settings.priceTable
+      : UsageStats.DEFAULT_PRICES;
+  }
+
+  /**
+   * First day included by the usage range select (null for all time)
+   */
+  getUsageSinceDay(range) {
+    if (range === 'all') return null;
+
+    const since = new Date();
+    since.setDate(since.getDate() - (parseInt(range, 10) - 1));
+    return UsageStats.dayKey(since);
+  }
+
+  /**
+   * Labels of the configured keys by keyRef - usage is recorded by keyRef
+   */
+  async getUsageKeyNames() {
+    const settings = await this.getStorageData('settings') || {};
+    const entries = await Promise.all(this.currentApiKeys.map(async apiKey => {
+      const keyRef = await RateLimits.keyRef(apiKey);
+      return [keyRef, KeyProfiles.displayName(KeyProfiles.get(settings, keyRef), apiKey)];
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  async loadUsagePanel() {
+    const tableBody = document.getElementById('usageTableBody');
+    if (!tableBody) return;
+
+    try {
+      const records = await this.getStorageData('usageStats') || {};
+      const priceTable = await this.getPriceTable();
+      const range = document.getElementById('usageRange')?.value || '30';
+      const groupBy = document.getElementById('usageGroupBy')?.value || 'model';
+
+      const monthRows = UsageStats.summarize(records, 'model', this.getUsageSinceDay('30'), priceTable);
+      const monthCost = monthRows.reduce((sum, row) => sum + row.cost, 0);
+      document.getElementById('usageCost').textContent = UsageStats.formatCost(monthCost);
+
+      const keyNames = groupBy === 'key' ? await this.getUsageKeyNames() : {};
+      const rows = UsageStats.summarize(records, groupBy, this.getUsageSinceDay(range), priceTable, keyNames);
+      if (rows.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="6" class="usage-empty">No usage recorded for this period</td></tr>';
+        return;
+      }
+
+      const number = value => value.toLocaleString();
+      tableBody.innerHTML = rows.map(row => `
+        <tr>
+          <td title="${this.escapeHtml(row.name)}">${this.escapeHtml(row.name)}</td>
+          <td>${number(row.requests)}</td>
+          <td>${number(row.inputTokens)}</td>
+          <td>${number(row.cachedTokens)}</td>
+          <td>${number(row.outputTokens)}</td>
+          <td title="${row.unpriced ? 'Some models have no price - add them under Prices' : ''}">${UsageStats.formatCost(row.cost)}${row.unpriced ? '*' : ''}</td>
+        </tr>
+      `).join('');
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  async exportUsageCsv() {
+    try {
+      const records = await this.getStorageData('usageStats') || {};
+      if (Object.keys(records).length === 0) {
+        this.showToast('No usage recorded yet', 'info');
+        return;
+      }
+
+      const priceTable = await this.getPriceTable();
+      this.downloadFile({
+        content: UsageStats.toCsv(records, priceTable, await this.getUsageKeyNames()),
+        filename: `aifiverr-usage-${UsageStats.dayKey()}.csv`,
+        mimeType: 'text/csv'
+      });
+      this.showToast('Usage exported');
+    } catch (error) {
+      console.error('Failed to export usage:', error);
+      this.showToast('Failed to export usage', 'error');
+    }
+  }
+
+  async resetUsage() {
+    if (!confirm('Are you sure you want to delete all recorded usage?')) {
+      return;
+    }
+
+    await this.setStorageData({ usageStats: {} });
+    await this.loadUsagePanel();
+    this.showToast('Usage reset');
+  }
+
+  async toggleUsagePrices() {
+    const pricesEl = document.getElementById('usagePrices');
+    if (!pricesEl) return;
+
+    const isHidden = pricesEl.style.display === 'none';
+    if (isHidden) {
+      this.renderUsagePriceRows(await this.getPriceTable());
+    }
+    pricesEl.style.display = isHidden ? '' : 'none';
+  }
+
+  renderUsagePriceRows(priceTable) {
+    const rowsEl = document.getElementById('usagePriceRows');
+    if (!rowsEl) return;
+
+    rowsEl.innerHTML = '';
+    Object.entries(priceTable).forEach(([model, price]) => this.addUsagePriceRow(model, price));
+  }
+
+  addUsagePriceRow(model, price) {
+    const rowsEl = document.getElementById('usagePriceRows');
+    if (!rowsEl) return;
+
+    const priceValue = value => (value === undefined || value === null ? '' : this.escapeHtml(String(value)));
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input type="text" class="usage-price-model" value="${this.escapeHtml(model)}" placeholder="model name"></td>
+      <td><input type="number" class="usage-price-input" value="${priceValue(price.input)}" min="0" step="0.001"></td>
+      <td><input type="number" class="usage-price-cached" value="${priceValue(price.cachedInput)}" min="0" step="0.001"></td>
+      <td><input type="number" class="usage-price-output" value="${priceValue(price.output)}" min="0" step="0.001"></td>
+      <td><button class="usage-price-remove" title="Remove">✕</button></td>
+    `;
+    row.querySelector('.usage-price-remove').addEventListener('click', () => row.remove());
+    rowsEl.appendChild(row);
+  }
+
+  async saveUsagePrices() {
+    try {
+      const priceTable = {};
+      const readPrice = (row, selector) => {
+        const value = row.querySelector(selector).value;
+        return value === '' ? undefined : parseFloat(value);
+      };
+
+      for (const row of document.querySelectorAll('#usagePriceRows tr')) {
+        const model = row.querySelector('.usage-price-model').value.trim();
+        if (!model) continue;
+
+        const price = {
+          input: readPrice(row, '.usage-price-input'),
+          cachedInput: readPrice(row, '.usage-price-cached'),
+          output: readPrice(row, '.usage-price-output')
+        };
+
+        if ([price.input, price.output].some(value => value === undefined || isNaN(value) || value < 0)) {
+          this.showToast(`Enter input and output prices for ${model}`, 'error');
+          return;
+        }
+        if (price.cachedInput === undefined || isNaN(price.cachedInput)) {
+          delete price.cachedInput;
+        }
+
+        priceTable[model] = price;
+      }
+
+      const settings = await this.getStorageData('settings') || {};
+      settings.priceTable = priceTable;
+      await this.setStorageData({ settings });
+
+      await this.loadUsagePanel();
+      this.showToast('Prices saved');
+    } catch (error) {
+      console.error('Failed to save prices:', error);
+      this.showToast('Failed to save prices', 'error');
+    }
+  }
+
+  // Key details - label, project and allowed models of each key by its stable id (see KeyProfiles)
+  async loadKeyProfiles() {
+    const rowsEl = document.getElementById('keyProfileRows');
+    if (!rowsEl) return;
+
+    if (this.currentApiKeys.length === 0) {
+      rowsEl.innerHTML = '<tr><td class="usage-empty" colspan="4">No API keys configured</td></tr>';
+      return;
+    }
+
+    const settings = await this.getStorageData('settings') || {};
+    const attr = text => this.escapeHtml(text).replace(/"/g, '&quot;');
+    const entries = await Promise.all(this.currentApiKeys.map(async apiKey => {
+      const keyRef = await RateLimits.keyRef(apiKey);
+      return { apiKey, keyRef, profile: KeyProfiles.get(settings, keyRef) };
+    }));
+
+    rowsEl.innerHTML = KeyProfiles.groupByProject(entries).map(([project, groupEntries]) => `
+      <tr class="key-profile-project"><td colspan="4">${project ? this.escapeHtml(project) : 'No project'}</td></tr>
+      ${groupEntries.map(({ apiKey, keyRef, profile }) => `
+        <tr data-key-ref="${keyRef}">
+          <td title="${this.escapeHtml(keyRef)}">${this.escapeHtml(UsageStats.keyLabel(apiKey))}</td>
+          <td><input type="text" class="key-profile-label" value="${attr(profile.label)}" placeholder="Label"></td>
+          <td><input type="text" class="key-profile-project-input" value="${attr(profile.project)}" placeholder="Project"></td>
+          <td><input type="text" class="key-profile-models" value="${attr(profile.allowedModels.join(', '))}" placeholder="All models"></td>
+        </tr>
+      `).join('')}
+    `).join('');
+  }
+
+  async saveKeyProfiles() {
+    try {
+      const settings = await this.getStorageData('settings') || {};
+      const profiles = { ...(settings.apiKeyProfiles || {}) };
+
+      document.querySelectorAll('#keyProfileRows tr[data-key-ref]').forEach(row => {
+        const keyRef = row.getAttribute('data-key-ref');
+        const profile = KeyProfiles.normalize({
+          label: row.querySelector('.key-profile-label')?.value,
+          project: row.querySelector('.key-profile-project-input')?.value,
+          allowedModels: row.querySelector('.key-profile-models')?.value
+        });
+
+        if (profile.label || profile.project || profile.allowedModels.length > 0) {
+          profiles[keyRef] = profile;
+        } else {
+          delete profiles[keyRef];
+        }
+      });
+
+      settings.apiKeyProfiles = profiles;
+      await this.setStorageData({ settings });
+      await this.loadKeyProfiles();
+      await this.loadKeyHealth();
+      await this.loadRateLimits();
+      this.showToast('Key details saved');
+    } catch (error) {
+      console.error('Failed to save key details:', error);
+      this.showToast('Failed to save key details', 'error');
+    }
+  }
+
+  // Key health - the service worker's circuit breaker state of each key
+  async loadKeyHealth() {
+    const circuits = await this.getStorageData(KeyCircuit.STORAGE_KEY) || {};
+    await this.renderKeyHealth(circuits);
+  }
+
+  async renderKeyHealth(circuits) {
+    const rowsEl = document.getElementById('keyHealthRows');
+    if (!rowsEl) return;
+
+    if (this.currentApiKeys.length === 0) {
+      rowsEl.innerHTML = '<tr><td class="usage-empty" colspan="4">No API keys configured</td></tr>';
+      return;
+    }
+
+    const settings = await this.getStorageData('settings') || {};
+    const rows = await Promise.all(this.currentApiKeys.map(async apiKey => {
+      const keyRef = await RateLimits.keyRef(apiKey);
+      const status = KeyCircuit.describe(circuits[keyRef]);
+      const label = this.escapeHtml(KeyProfiles.displayName(KeyProfiles.get(settings, keyRef), apiKey));
+      const message = circuits[keyRef]?.message || '';
+
+      return `
+        <tr>
+          <td title="${label}">${label}</td>
+          <td><span class="key-health-state ${status.state}">${status.label}</span></td>
+          <td title="${this.escapeHtml(message)}">${this.escapeHtml(status.detail) || '-'}</td>
+          <td><button class="key-probe-btn" data-key-ref="${keyRef}" ${status.state === 'half-open' ? 'disabled' : ''}>Check</button></td>
+        </tr>
+      `;
+    }));
+    rowsEl.innerHTML = rows.join('');
+  }
+
+  async probeApiKey(keyRef) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'PROBE_API_KEY', keyRef });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from the background script');
+      }
+
+      const status = KeyCircuit.describe(response.data);
+      this.showToast(status.state === 'closed' ? 'API key works' : `API key check failed: ${status.detail}`, status.state === 'closed' ? 'success' : 'error');
+      await this.loadKeyHealth();
+    } catch (error) {
+      console.error('Failed to check API key:', error);
+      this.showToast('Failed to check API key: ' + error.message, 'error');
+    }
+  }
+
+  // Rate limits - per-key tiers and the counters the service worker schedules keys with
+  async loadRateLimits() {
+    const rowsEl = document.getElementById('keyTierRows');
+    if (!rowsEl) return;
+
+    const settings = await this.getStorageData('settings') || {};
+    const counters = await this.getStorageData('rateLimitCounters') || {};
+    const model = settings.selectedModel || settings.defaultModel || 'gemini-2.5-flash';
+    const tiers = [...Object.entries(RateLimits.TIERS).map(([id, tier]) => [id, tier.name]), ['custom', 'Custom']];
+    const limit = value => (value ? value.toLocaleString() : '∞');
+
+    const modelEl = document.getElementById('rateLimitModel');
+    if (modelEl) modelEl.textContent = model;
+
+    if (this.currentApiKeys.length === 0) {
+      rowsEl.innerHTML = '<tr><td class="usage-empty" colspan="4">No API keys configured</td></tr>';
+    } else {
+      const rows = await Promise.all(this.currentApiKeys.map(async apiKey => {
+        const keyRef = await RateLimits.keyRef(apiKey);
+        const tier = settings.keyTiers?.[keyRef] || 'free';
+        const limits = RateLimits.getLimits(tier, model, settings.customRateLimits || {});
+        const entry = RateLimits.getEntry(counters, keyRef, model);
+        const label = this.escapeHtml(KeyProfiles.displayName(KeyProfiles.get(settings, keyRef), apiKey));
+        const options = tiers
+          .map(([id, name]) => `<option value="${id}" ${id === tier ? 'selected' : ''}>${name}</option>`)
+          .join('');
+
+        return `
+          <tr>
+            <td title="${label}">${label}</td>
+            <td><select class="key-tier-select" data-key-ref="${keyRef}">${options}</select></td>
+            <td>${entry.minuteRequests}/${limit(limits.rpm)}</td>
+            <td>${entry.dayRequests}/${limit(limits.rpd)}</td>
+          </tr>
+        `;
+      }));
+      rowsEl.innerHTML = rows.join('');
+    }
+
+    const customRowsEl = document.getElementById('customRateLimitRows');
+    if (customRowsEl) {
+      customRowsEl.innerHTML = '';
+      Object.entries(settings.customRateLimits || {}).forEach(([customModel, limits]) => this.addCustomRateLimitRow(customModel, limits));
+    }
+  }
+
+  async saveKeyTier(keyRef, tier) {
+    try {
+      const settings = await this.getStorageData('settings') || {};
+      settings.keyTiers = { ...(settings.keyTiers || {}), [keyRef]: tier };
+      await this.setStorageData({ settings });
+      await this.loadRateLimits();
+      this.showToast('Key tier saved');
+    } catch (error) {
+      console.error('Failed to save key tier:', error);
+      this.showToast('Failed to save key tier', 'error');
+    }
+  }
+
+  addCustomRateLimitRow(model, limits) {
+    const rowsEl = document.getElementById('customRateLimitRows');
+    if (!rowsEl) return;
+
+    const limitValue = value => (value === undefined || value === null ? '' : this.escapeHtml(String(value)));
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input type="text" class="rate-limit-model" value="${this.escapeHtml(model)}" placeholder="model name"></td>
+      <td><input type="number" class="rate-limit-rpm" value="${limitValue(limits.rpm)}" min="1" step="1"></td>
+      <td><input type="number" class="rate-limit-tpm" value="${limitValue(limits.tpm)}" min="1" step="1"></td>
+      <td><input type="number" class="rate-limit-rpd" value="${limitValue(limits.rpd)}" min="1" step="1"></td>
+      <td><button class="usage-price-remove" title="Remove">✕</button></td>
+    `;
+    row.querySelector('.usage-price-remove').addEventListener('click', () => row.remove());
+    rowsEl.appendChild(row);
+  }
+
+  async saveCustomRateLimits() {
+    try {
+      const customRateLimits = {};
+      // Empty fields mean no limit
+      const readLimit = (row, selector) => {
+        const value = row.querySelector(selector).value;
+        return value === '' ? null : parseInt(value, 10);
+      };
+
+      for (const row of document.querySelectorAll('#customRateLimitRows tr')) {
+        const model = row.querySelector('.rate-limit-model').value.trim();
+        if (!model) continue;
+
+        const limits = {
+          rpm: readLimit(row, '.rate-limit-rpm'),
+          tpm: readLimit(row, '.rate-limit-tpm'),
+          rpd: readLimit(row, '.rate-limit-rpd')
+        };
+        if (Object.values(limits).some(value => value !== null && (isNaN(value) || value < 1))) {
+          this.showToast(`Limits for ${model} must be positive whole numbers`, 'error');
+          return;
+        }
+
+        customRateLimits[model] = limits;
+      }
+
+      const settings = await this.getStorageData('settings') || {};
+      settings.customRateLimits = customRateLimits;
+      await this.setStorageData({ settings });
+
+      await this.loadRateLimits();
+      this.showToast('Custom limits saved');
+    } catch (error) {
+      console.error('Failed to save custom limits:', error);
+      this.showToast('Failed to save custom limits', 'error');
+    }
+  }
+
   async updateActivity() {
     const activityList = document.getElementById('activityList');
     if (!activityList) return;
@@ -601,19 +1186,17 @@ class PopupManager {
 
   async loadApiConfig() {
     try {
-      // Load API keys from the same location the background script uses
-      const result = await this.getStorageData(['apiKeys', 'settings']);
-
-      // Try to get API keys from the background script location first
-      this.currentApiKeys = result.apiKeys || [];
+      const result = await this.getStorageData(['settings']);
 
-      // If no keys found in background location, try settings as fallback
-      if (this.currentApiKeys.length === 0 && result.settings?.apiKeys) {
-        this.currentApiKeys = result.settings.apiKeys;
-      }
+      // Same keys the background script uses (empty while the key vault is locked)
+      this.currentApiKeys = await KeyVault.getKeys();
 
       // Display API keys in the list
       this.displayApiKeys();
+      await this.loadKeyVaultStatus();
+      await this.loadKeyProfiles();
+      await this.loadKeyHealth();
+      await this.loadRateLimits();
 
       // Initialize API keys visibility (default to hidden)
       const apiKeysInput = document.getElementById('apiKeysInput');
@@ -629,13 +1212,23 @@ class PopupManager {
 
       // Load API configuration
       if (result.settings) {
-        // Load model selection - prioritize selectedModel over defaultModel
-        const defaultModelEl = document.getElementById('defaultModel');
-        if (defaultModelEl) {
-          const modelToUse = result.settings.selectedModel || result.settings.defaultModel || 'gemini-2.5-flash';
-          defaultModelEl.value = modelToUse;
-          console.log('aiFiverr Popup: Loading API config with model:', modelToUse);
+        // Load provider selection and its connection settings
+        this.aiProvider = result.settings.aiProvider || 'gemini';
+        this.providerSettings = result.settings.providerSettings || {};
+        const aiProviderEl = document.getElementById('aiProvider');
+        if (aiProviderEl) {
+          aiProviderEl.value = this.aiProvider;
         }
+        this.updateProviderFields(this.aiProvider);
+
+        // Load model selection - prioritize selectedModel over defaultModel
+        const modelToUse = this.aiProvider === 'gemini'
+          ? (result.settings.selectedModel || result.settings.defaultModel || 'gemini-2.5-flash')
+          : this.providerSettings[this.aiProvider]?.model;
+        await this.loadDiscoveredModels(this.aiProvider);
+        this.populateModelOptions(this.aiProvider, modelToUse);
+        console.log('aiFiverr Popup: Loading API config with provider:', this.aiProvider, 'model:', modelToUse);
+        this.discoverModelsIfStale(this.aiProvider);
 
         document.getElementById('keyRotation').checked = result.settings.keyRotation !== false;
         document.getElementById('apiTimeout').value = result.settings.apiTimeout || 30;
@@ -646,6 +1239,235 @@ class PopupManager {
     }
   }
 
+  /**
+   * Show connection fields for non-Gemini providers
+   */
+  updateProviderFields(providerId) {
+    const connectionEl = document.getElementById('providerConnection');
+    const baseUrlEl = document.getElementById('providerBaseUrl');
+    const apiKeyEl = document.getElementById('providerApiKey');
+    const apiKeyItemEl = document.getElementById('providerApiKeyItem');
+    if (!connectionEl || !baseUrlEl || !apiKeyEl) return;
+
+    const config = this.providerSettings[providerId] || {};
+    connectionEl.style.display = providerId === 'gemini' ? 'none' : 'block';
+    if (apiKeyItemEl) {
+      apiKeyItemEl.style.display = providerId === 'openai' ? '' : 'none';
+    }
+    const ollamaHintEl = document.getElementById('ollamaHint');
+    if (ollamaHintEl) {
+      ollamaHintEl.style.display = providerId === 'ollama' ? '' : 'none';
+    }
+
+    baseUrlEl.placeholder = providerId === 'ollama' ? 'http://localhost:11434' : 'https://api.openai.com/v1';
+    baseUrlEl.value = config.baseUrl || '';
+    apiKeyEl.value = config.apiKey || '';
+  }
+
+  /**
+   * Fill the model dropdown for a provider (fetched list if available, otherwise built-in defaults)
+   */
+  populateModelOptions(providerId, selectedModel) {
+    const defaultModelEl = document.getElementById('defaultModel');
+    if (!defaultModelEl) return;
+
+    const models = this.getModelIds(providerId);
+    if (selectedModel && !models.includes(selectedModel)) {
+      models.unshift(selectedModel);
+    }
+
+    defaultModelEl.innerHTML = models
+      .map(model => `<option value="${this.escapeHtml(model)}">${this.escapeHtml(model)}</option>`)
+      .join('');
+    defaultModelEl.value = selectedModel || models[0];
+    this.updateModelCapabilities();
+  }
+
+  /**
+   * Model IDs for a provider: discovered models, then a saved list, then the built-in defaults
+   */
+  getModelIds(providerId) {
+    if (this.discoveredModels[providerId]?.length > 0) {
+      return this.discoveredModels[providerId].map(model => model.id);
+    }
+
+    const registry = window.initializeAIProviderRegistry();
+    return [...(this.providerSettings[providerId]?.models || registry.getDefaultModels(providerId))];
+  }
+
+  /**
+   * Limits and capabilities of a model (described by the provider when it was not discovered)
+   */
+  getModelDetails(providerId, modelId) {
+    const discovered = (this.discoveredModels[providerId] || []).find(model => model.id === modelId);
+    if (discovered) return discovered;
+
+    const registry = window.initializeAIProviderRegistry();
+    return registry.createProvider(providerId, this.providerSettings).describeModel(modelId);
+  }
+
+  /**
+   * Read the cached model list for a provider
+   */
+  async loadDiscoveredModels(providerId) {
+    const catalog = await window.initializeModelCatalog().loadCatalog();
+    this.discoveredModels[providerId] = catalog[providerId]?.models || [];
+  }
+
+  /**
+   * Fetch the provider's models in the background when the cache is missing or old
+   */
+  async discoverModelsIfStale(providerId) {
+    const modelCatalog = window.initializeModelCatalog();
+    if (!await modelCatalog.isStale(providerId)) return;
+    if (providerId === 'gemini' && this.currentApiKeys.length === 0) return;
+
+    try {
+      this.discoveredModels[providerId] = await modelCatalog.refresh(providerId, {
+        apiKeys: providerId === 'gemini' ? this.currentApiKeys : undefined,
+        providerSettings: this.providerSettings
+      });
+      if (this.aiProvider === providerId) {
+        this.populateModelOptions(providerId, document.getElementById('defaultModel')?.value);
+      }
+    } catch (error) {
+      console.warn('aiFiverr Popup: Automatic model discovery failed:', error.message);
+    }
+  }
+
+  /**
+   * Show the selected model's limits and disable settings it cannot use
+   */
+  updateModelCapabilities() {
+    const modelId = document.getElementById('defaultModel')?.value;
+    if (!modelId) return;
+
+    const details = this.getModelDetails(this.aiProvider, modelId);
+    const capabilitiesEl = document.getElementById('modelCapabilities');
+    if (capabilitiesEl) {
+      capabilitiesEl.textContent = ModelCatalog.describe(details);
+    }
+
+    ['googleSearchGrounding', 'urlContextExtraction'].forEach(id => {
+      const checkbox = document.getElementById(id);
+      if (!checkbox) return;
+      checkbox.disabled = !details.capabilities.grounding;
+      checkbox.closest('.preference-item')?.classList.toggle('preference-unsupported', !details.capabilities.grounding);
+      checkbox.title = details.capabilities.grounding ? '' : `${modelId} does not support grounding`;
+    });
+
+    const localToolsCheckbox = document.getElementById('localTools');
+    if (localToolsCheckbox) {
+      const supported = details.capabilities.functionCalling !== false;
+      localToolsCheckbox.disabled = !supported;
+      localToolsCheckbox.closest('.preference-item')?.classList.toggle('preference-unsupported', !supported);
+      localToolsCheckbox.title = supported ? '' : `${modelId} does not support function calling`;
+    }
+
+    this.updatePromptFormCapabilities();
+  }
+
+  /**
+   * Disable knowledge base files and response schemas in the prompt form when the prompt's model can't use them
+   */
+  updatePromptFormCapabilities() {
+    const promptModel = document.getElementById('newPromptModel')?.value;
+    const modelId = promptModel || document.getElementById('defaultModel')?.value;
+    if (!modelId) return;
+
+    const { capabilities } = this.getModelDetails(this.aiProvider, modelId);
+    const fileButton = document.getElementById('selectKbFiles');
+    const schemaField = document.getElementById('newPromptResponseSchema');
+
+    if (fileButton) {
+      fileButton.disabled = !capabilities.files;
+      fileButton.title = capabilities.files ? '' : `${modelId} does not accept files - attached files will not be sent`;
+    }
+    if (schemaField) {
+      schemaField.disabled = !capabilities.structuredOutput;
+      schemaField.title = capabilities.structuredOutput ? '' : `${modelId} does not support response schemas`;
+    }
+  }
+
+  /**
+   * Keep unsaved connection fields of the previous provider and switch the form
+   */
+  handleProviderChange(providerId) {
+    this.storeProviderFields(this.aiProvider);
+    this.aiProvider = providerId;
+    this.updateProviderFields(providerId);
+
+    const selectedModel = providerId === 'gemini' ? null : this.providerSettings[providerId]?.model;
+    this.populateModelOptions(providerId, selectedModel);
+    this.loadDiscoveredModels(providerId).then(() => {
+      this.populateModelOptions(providerId, document.getElementById('defaultModel')?.value);
+      this.discoverModelsIfStale(providerId);
+    });
+  }
+
+  /**
+   * Copy the connection fields from the form into providerSettings
+   */
+  storeProviderFields(providerId) {
+    if (providerId === 'gemini') return;
+
+    const config = this.providerSettings[providerId] || {};
+    config.baseUrl = document.getElementById('providerBaseUrl')?.value.trim() || '';
+    if (providerId === 'openai') {
+      config.apiKey = document.getElementById('providerApiKey')?.value.trim() || '';
+    }
+    config.model = document.getElementById('defaultModel')?.value || config.model;
+    this.providerSettings[providerId] = config;
+  }
+
+  /**
+   * Fetch the models available to the selected provider
+   */
+  async refreshProviderModels() {
+    const providerId = this.aiProvider;
+    const button = document.getElementById('refreshModels');
+
+    try {
+      if (button) button.disabled = true;
+      this.storeProviderFields(providerId);
+
+      const registry = window.initializeAIProviderRegistry();
+      const provider = registry.createProvider(providerId, this.providerSettings);
+      const modelDetails = await window.initializeModelCatalog().refresh(providerId, {
+        apiKeys: providerId === 'gemini' ? this.currentApiKeys : undefined,
+        providerSettings: this.providerSettings
+      });
+
+      const models = modelDetails.map(model => model.id);
+      const currentModel = document.getElementById('defaultModel')?.value;
+      this.discoveredModels[providerId] = modelDetails;
+      this.providerSettings[providerId] = { ...(this.providerSettings[providerId] || {}), models };
+      this.populateModelOptions(providerId, models.includes(currentModel) ? currentModel : models[0]);
+      this.showToast(`Loaded ${models.length} models from ${provider.name}`);
+    } catch (error) {
+      console.error('Failed to refresh models:', error);
+      this.showToast('Failed to load models: ' + error.message, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * Write provider and model selection into settings
+   */
+  applyProviderSelection(settings) {
+    const selectedModel = document.getElementById('defaultModel')?.value;
+    this.storeProviderFields(this.aiProvider);
+
+    settings.aiProvider = this.aiProvider;
+    settings.providerSettings = this.providerSettings;
+
+    if (this.aiProvider === 'gemini') {
+      settings.defaultModel = selectedModel;
+      settings.selectedModel = selectedModel; // Also save as selectedModel for enhanced client
+    }
+  }
+
   async loadSettings() {
     try {
       const settings = await this.getStorageData('settings');
@@ -658,9 +1480,9 @@ class PopupManager {
 
       // Load preferences and model selection
       if (settings) {
-        // Load model selection
+        // Load model selection (non-Gemini models are handled by loadApiConfig)
         const defaultModelEl = document.getElementById('defaultModel');
-        if (defaultModelEl && (settings.selectedModel || settings.defaultModel)) {
+        if (defaultModelEl && (settings.aiProvider || 'gemini') === 'gemini' && (settings.selectedModel || settings.defaultModel)) {
           defaultModelEl.value = settings.selectedModel || settings.defaultModel;
         }
 
@@ -668,8 +1490,16 @@ class PopupManager {
         document.getElementById('autoSave').checked = settings.autoSave !== false;
         document.getElementById('notifications').checked = settings.notifications !== false;
         document.getElementById('maxContextLength').value = settings.maxContextLength || 1048576;
+        document.getElementById('exactTokenCount').checked = settings.exactTokenCount === true;
+        document.getElementById('contextCaching').checked = settings.contextCaching !== false;
+        document.getElementById('variantStyle').value = settings.variantStyle || 'temperature';
+        document.getElementById('localTools').checked = settings.localTools !== false;
+        document.querySelectorAll('.safety-threshold').forEach(select => {
+          select.value = settings.safetySettings?.[select.dataset.category] || '';
+        });
         document.getElementById('googleSearchGrounding').checked = settings.googleSearchGrounding === true;
         document.getElementById('urlContextExtraction').checked = settings.urlContextExtraction === true;
+        document.getElementById('systemInstruction').value = settings.systemInstruction || '';
       }
     } catch (error) {
       console.error('Failed to load settings:', error);
@@ -1065,6 +1895,9 @@ class PopupManager {
     document.getElementById('newPromptName').value = `My ${template.name}`;
     document.getElementById('newPromptDescription').value = template.description;
     document.getElementById('newPromptContent').value = template.prompt;
+    document.getElementById('newPromptSystemInstruction').value = template.systemInstruction || '';
+    this.setResponseSchemaField(template.responseSchema);
+    this.setGenerationSettingsFields(template.generationSettings);
 
     // Clear any selected knowledge base files
     const selectedKbFiles = document.getElementById('selectedKbFiles');
@@ -1197,13 +2030,15 @@ class PopupManager {
         name: 'Proposal',
         description: 'Create project proposal',
         prompt: 'Create a short and concise project proposal (under 3000 characters) based on this:\n\n{conversation}\n\nextract and Include more example urls from my previous work.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.9 }
       },
       'translate': {
         name: 'Translate',
         description: 'Translate text',
         prompt: 'Translate this: {conversation}\n\nInto this language: {language}\n\nProvide only the translated text. No explanations.',
-        knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 }
       },
       'improve_translate': {
         name: 'Improve & Translate',
@@ -1216,6 +2051,14 @@ class PopupManager {
         description: 'Improve message',
         prompt: 'Improve this message: {conversation}\n\nMake it grammatically correct, clear, and professional, but keep the original meaning. No explanations.',
         knowledgeBaseFiles: 'AUTO_LOAD_ALL'
+      },
+      'brief_analysis': {
+        name: 'Brief Analysis',
+        description: 'Analyze brief as structured data',
+        prompt: 'Analyze this Fiverr project brief or buyer message:\n\n{conversation}\n\nUse my services and past work from the attached documents to judge how well the project fits me.',
+        knowledgeBaseFiles: 'AUTO_LOAD_ALL',
+        generationSettings: { temperature: 0.2 },
+        responseSchema: StructuredOutput.BRIEF_ANALYSIS_SCHEMA
       }
     };
   }
@@ -1307,6 +2150,9 @@ class PopupManager {
       nameField.value = '';
       descField.value = '';
       contentField.value = '';
+      document.getElementById('newPromptSystemInstruction').value = '';
+      this.setResponseSchemaField(null);
+      this.setGenerationSettingsFields({});
 
       // Make sure key field is enabled for new prompts
       keyField.readOnly = false;
@@ -1336,6 +2182,10 @@ class PopupManager {
     if (nameField) nameField.value = '';
     if (descField) descField.value = '';
     if (contentField) contentField.value = '';
+    const systemInstructionField = document.getElementById('newPromptSystemInstruction');
+    if (systemInstructionField) systemInstructionField.value = '';
+    this.setResponseSchemaField(null);
+    this.setGenerationSettingsFields({});
 
     // Clear original prompt data
     this.originalPromptData = null;
@@ -1344,12 +2194,114 @@ class PopupManager {
     this.clearSelectedKbFiles();
   }
 
+  /**
+   * Fill the prompt form's generation settings fields
+   */
+  setGenerationSettingsFields(generationSettings = {}) {
+    const settings = generationSettings || {};
+    const modelField = document.getElementById('newPromptModel');
+    if (!modelField) return;
+
+    const models = this.getModelIds(this.aiProvider);
+    if (settings.model && !models.includes(settings.model)) {
+      models.unshift(settings.model);
+    }
+
+    modelField.innerHTML = '<option value="">Default model</option>' + models
+      .map(model => `<option value="${this.escapeHtml(model)}">${this.escapeHtml(model)}</option>`)
+      .join('');
+    modelField.value = settings.model || '';
+    this.updatePromptFormCapabilities();
+
+    document.getElementById('newPromptTemperature').value = settings.temperature ?? '';
+    document.getElementById('newPromptMaxTokens').value = settings.maxOutputTokens ?? '';
+    document.getElementById('newPromptTopP').value = settings.topP ?? '';
+    document.getElementById('newPromptTopK').value = settings.topK ?? '';
+    document.getElementById('newPromptStopSequences').value = (settings.stopSequences || []).join(', ');
+  }
+
+  /**
+   * Show a prompt's response schema as formatted JSON
+   */
+  setResponseSchemaField(responseSchema) {
+    const schemaField = document.getElementById('newPromptResponseSchema');
+    if (schemaField) {
+      schemaField.value = responseSchema ? JSON.stringify(responseSchema, null, 2) : '';
+    }
+  }
+
+  /**
+   * Read and validate the prompt form's response schema
+   * Returns { responseSchema } (null when empty) or { error }
+   */
+  readResponseSchemaField() {
+    const rawSchema = document.getElementById('newPromptResponseSchema')?.value.trim();
+    if (!rawSchema) {
+      return { responseSchema: null };
+    }
+
+    let responseSchema;
+    try {
+      responseSchema = JSON.parse(rawSchema);
+    } catch (error) {
+      return { error: `Response schema is not valid JSON: ${error.message}` };
+    }
+
+    const problem = StructuredOutput.checkSchema(responseSchema);
+    return problem ? { error: `Response schema: ${problem}` } : { responseSchema };
+  }
+
+  /**
+   * Read and validate the prompt form's generation settings
+   * Returns { generationSettings } or { error, fieldId }; empty fields are left out
+   */
+  readGenerationSettingsFields() {
+    const generationSettings = {};
+    const numberFields = [
+      { id: 'newPromptTemperature', key: 'temperature', min: 0, max: 2, label: 'Temperature' },
+      { id: 'newPromptMaxTokens', key: 'maxOutputTokens', min: 1, max: 65536, integer: true, label: 'Max output tokens' },
+      { id: 'newPromptTopP', key: 'topP', min: 0, max: 1, label: 'Top P' },
+      { id: 'newPromptTopK', key: 'topK', min: 1, max: 100, integer: true, label: 'Top K' }
+    ];
+
+    const model = document.getElementById('newPromptModel')?.value.trim();
+    if (model) {
+      generationSettings.model = model;
+    }
+
+    for (const field of numberFields) {
+      const rawValue = document.getElementById(field.id)?.value.trim();
+      if (!rawValue) continue;
+
+      const value = Number(rawValue);
+      if (isNaN(value) || value < field.min || value > field.max || (field.integer && !Number.isInteger(value))) {
+        const kind = field.integer ? 'a whole number' : 'a number';
+        return { error: `${field.label} must be ${kind} between ${field.min} and ${field.max}`, fieldId: field.id };
+      }
+      generationSettings[field.key] = value;
+    }
+
+    const stopSequences = (document.getElementById('newPromptStopSequences')?.value || '')
+      .split(',')
+      .map(sequence => sequence.trim())
+      .filter(Boolean);
+    if (stopSequences.length > 5) {
+      return { error: 'Use at most 5 stop sequences', fieldId: 'newPromptStopSequences' };
+    }
+    if (stopSequences.length > 0) {
+      generationSettings.stopSequences = stopSequences;
+    }
+
+    return { generationSettings };
+  }
+
   async savePrompt() {
     try {
       const key = document.getElementById('newPromptKey').value.trim();
       const name = document.getElementById('newPromptName').value.trim();
       const description = document.getElementById('newPromptDescription').value.trim();
       const content = document.getElementById('newPromptContent').value.trim();
+      const systemInstruction = document.getElementById('newPromptSystemInstruction').value.trim();
 
       if (!key) {
         this.showToast('Please enter a prompt key', 'error');
@@ -1376,6 +2328,20 @@ class PopupManager {
         return;
       }
 
+      const { generationSettings, error: settingsError, fieldId } = this.readGenerationSettingsFields();
+      if (settingsError) {
+        this.showToast(settingsError, 'error');
+        document.getElementById(fieldId).focus();
+        return;
+      }
+
+      const { responseSchema, error: schemaError } = this.readResponseSchemaField();
+      if (schemaError) {
+        this.showToast(schemaError, 'error');
+        document.getElementById('newPromptResponseSchema').focus();
+        return;
+      }
+
       // Get selected knowledge base files first for change detection
       const selectedFiles = this.getSelectedKbFiles();
 
@@ -1389,7 +2355,10 @@ class PopupManager {
           name !== originalName ||
           description !== this.originalPromptData.description ||
           content !== this.originalPromptData.content ||
-          JSON.stringify(selectedFiles) !== JSON.stringify(this.originalPromptData.knowledgeBaseFiles || []);
+          systemInstruction !== this.originalPromptData.systemInstruction ||
+          JSON.stringify(responseSchema) !== JSON.stringify(this.originalPromptData.responseSchema || null) ||
+          JSON.stringify(selectedFiles) !== JSON.stringify(this.originalPromptData.knowledgeBaseFiles || []) ||
+          JSON.stringify(generationSettings) !== JSON.stringify(this.originalPromptData.generationSettings || {});
 
         if (!hasChanges) {
           this.hidePromptForm();
@@ -1408,7 +2377,10 @@ class PopupManager {
         name,
         description,
         prompt: content,
+        systemInstruction,
+        responseSchema,
         knowledgeBaseFiles: selectedFiles,
+        generationSettings,
         created: customPrompts[key]?.created || Date.now(),
         modified: Date.now()
       };
@@ -1475,7 +2447,10 @@ class PopupManager {
         name: prompt.name,
         description: prompt.description || '',
         content: prompt.prompt,
+        systemInstruction: prompt.systemInstruction || '',
+        responseSchema: prompt.responseSchema || null,
         knowledgeBaseFiles: prompt.knowledgeBaseFiles || [],
+        generationSettings: prompt.generationSettings || {},
         isDefaultPrompt: isDefaultPrompt,
         wasConverted: isDefaultPrompt // Track if this will be converted from default
       };
@@ -1510,6 +2485,9 @@ class PopupManager {
       nameField.value = prompt.name + (isDefaultPrompt ? ' (Custom)' : '');
       descField.value = prompt.description || '';
       contentField.value = prompt.prompt;
+      document.getElementById('newPromptSystemInstruction').value = prompt.systemInstruction || '';
+      this.setResponseSchemaField(prompt.responseSchema);
+      this.setGenerationSettingsFields(prompt.generationSettings);
 
       console.log('aiFiverr: Form populated successfully');
 
@@ -1652,6 +2630,76 @@ class PopupManager {
 
 
 
+  async loadKeyVaultStatus() {
+    const status = await KeyVault.getStatus();
+    const statusElement = document.getElementById('keyVaultStatus');
+    if (!statusElement) return status;
+
+    if (!status.encrypted) {
+      statusElement.textContent = '🔓 API keys are stored unencrypted';
+    } else if (status.unlocked) {
+      statusElement.textContent = '🔐 API keys are encrypted - unlocked for this browser session';
+    } else {
+      statusElement.textContent = '🔒 API keys are encrypted and locked - enter your passphrase to use them';
+    }
+    statusElement.classList.toggle('locked', !status.unlocked);
+
+    const show = (id, visible) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = visible ? '' : 'none';
+    };
+    show('keyVaultPassphraseConfirm', !status.encrypted);
+    show('encryptApiKeys', !status.encrypted);
+    show('unlockApiKeys', status.encrypted && !status.unlocked);
+    show('lockApiKeys', status.encrypted && status.unlocked);
+    show('removeKeyEncryption', status.encrypted && status.unlocked);
+
+    // New keys cannot be encrypted until the vault is unlocked
+    const apiKeysInput = document.getElementById('apiKeysInput');
+    if (apiKeysInput) apiKeysInput.disabled = !status.unlocked;
+
+    return status;
+  }
+
+  async runKeyVaultAction(action) {
+    const passphraseInput = document.getElementById('keyVaultPassphrase');
+    const confirmInput = document.getElementById('keyVaultPassphraseConfirm');
+    const passphrase = passphraseInput?.value || '';
+
+    try {
+      switch (action) {
+        case 'encrypt':
+          if (passphrase !== (confirmInput?.value || '')) {
+            throw new Error('The passphrases do not match');
+          }
+          await KeyVault.enable(passphrase);
+          this.showApiKeyStatus('API keys encrypted - you will be asked for the passphrase once per browser session', 'success');
+          break;
+        case 'unlock':
+          await KeyVault.unlock(passphrase);
+          this.showApiKeyStatus('API keys unlocked', 'success');
+          break;
+        case 'lock':
+          await KeyVault.lock();
+          this.showApiKeyStatus('API keys locked', 'success');
+          break;
+        case 'remove':
+          if (!confirm('Store your API keys unencrypted again?')) return;
+          await KeyVault.disable(passphrase);
+          this.showApiKeyStatus('Encryption removed - API keys are stored unencrypted', 'success');
+          break;
+      }
+
+      if (passphraseInput) passphraseInput.value = '';
+      if (confirmInput) confirmInput.value = '';
+      await this.loadApiConfig();
+      await this.updateStats();
+    } catch (error) {
+      console.error('Key vault action failed:', error);
+      this.showApiKeyStatus(error.message, 'error');
+    }
+  }
+
   toggleApiKeysVisibility() {
     const apiKeysInput = document.getElementById('apiKeysInput');
     const eyeIcon = document.getElementById('eyeIcon');
@@ -1703,14 +2751,6 @@ class PopupManager {
       });
 
       if (result.success) {
-        // Also clear from direct storage
-        await this.setStorageData({ apiKeys: [] });
-
-        // Clear from settings as well
-        const settings = await this.getStorageData('settings') || {};
-        settings.apiKeys = [];
-        await this.setStorageData({ settings });
-
         // Update display
         this.displayApiKeys();
 
@@ -1767,14 +2807,6 @@ class PopupManager {
         this.displayApiKeys();
         apiKeysInput.value = ''; // Clear input after saving
         this.showApiKeyStatus('API keys saved automatically', 'success');
-
-        // Also save directly to storage for consistency with background script
-        await this.setStorageData({ apiKeys: allKeys });
-
-        // Keep settings backup for compatibility
-        const settings = await this.getStorageData('settings') || {};
-        settings.apiKeys = allKeys;
-        await this.setStorageData({ settings });
         await this.updateStats();
       } else {
         throw new Error(result.error || 'Failed to save API keys');
@@ -1850,6 +2882,7 @@ class PopupManager {
     if (statusElement) {
       statusElement.textContent = message;
       statusElement.className = `api-keys-status ${type}`;
+      statusElement.style.display = '';
       
       setTimeout(() => {
         statusElement.style.display = 'none';
@@ -1859,11 +2892,9 @@ class PopupManager {
 
   async savePreferences() {
     try {
+      // API keys in settings are left as stored - they are written through UPDATE_API_KEYS (KeyVault)
       const settings = await this.getStorageData('settings') || {};
 
-      // Preserve API keys in settings
-      settings.apiKeys = this.currentApiKeys || [];
-
       // Get elements safely with null checks
       const defaultModelEl = document.getElementById('defaultModel');
       const restrictToFiverrEl = document.getElementById('restrictToFiverr');
@@ -1871,21 +2902,38 @@ class PopupManager {
       const notificationsEl = document.getElementById('notifications');
       const keyRotationEl = document.getElementById('keyRotation');
       const maxContextLengthEl = document.getElementById('maxContextLength');
+      const exactTokenCountEl = document.getElementById('exactTokenCount');
+      const contextCachingEl = document.getElementById('contextCaching');
+      const variantStyleEl = document.getElementById('variantStyle');
+      const localToolsEl = document.getElementById('localTools');
       const googleSearchGroundingEl = document.getElementById('googleSearchGrounding');
       const urlContextExtractionEl = document.getElementById('urlContextExtraction');
+      const systemInstructionEl = document.getElementById('systemInstruction');
 
       // Only update settings if elements exist
       if (defaultModelEl) {
-        settings.defaultModel = defaultModelEl.value;
-        settings.selectedModel = defaultModelEl.value; // Also save as selectedModel for enhanced client
+        this.applyProviderSelection(settings);
       }
       if (restrictToFiverrEl) settings.restrictToFiverr = restrictToFiverrEl.checked;
       if (autoSaveEl) settings.autoSave = autoSaveEl.checked;
       if (notificationsEl) settings.notifications = notificationsEl.checked;
       if (keyRotationEl) settings.keyRotation = keyRotationEl.checked;
       if (maxContextLengthEl) settings.maxContextLength = parseInt(maxContextLengthEl.value) || 1048576;
+      if (exactTokenCountEl) settings.exactTokenCount = exactTokenCountEl.checked;
+      if (contextCachingEl) settings.contextCaching = contextCachingEl.checked;
+      if (variantStyleEl) settings.variantStyle = variantStyleEl.value;
+      if (localToolsEl) settings.localTools = localToolsEl.checked;
+
+      const safetySelects = document.querySelectorAll('.safety-threshold');
+      if (safetySelects.length > 0) {
+        settings.safetySettings = {};
+        safetySelects.forEach(select => {
+          if (select.value) settings.safetySettings[select.dataset.category] = select.value;
+        });
+      }
       if (googleSearchGroundingEl) settings.googleSearchGrounding = googleSearchGroundingEl.checked;
       if (urlContextExtractionEl) settings.urlContextExtraction = urlContextExtractionEl.checked;
+      if (systemInstructionEl) settings.systemInstruction = systemInstructionEl.value.trim();
 
       console.log('Saving preferences:', settings);
 
@@ -1906,11 +2954,8 @@ class PopupManager {
       // Get current settings
       const settings = await this.getStorageData('settings') || {};
 
-      // Save API configuration
-      settings.apiKeys = this.currentApiKeys || [];
-      const selectedModel = document.getElementById('defaultModel').value;
-      settings.defaultModel = selectedModel;
-      settings.selectedModel = selectedModel; // Also save as selectedModel for enhanced client
+      // Save API configuration (keys are saved separately through UPDATE_API_KEYS)
+      this.applyProviderSelection(settings);
       settings.keyRotation = document.getElementById('keyRotation').checked;
       settings.apiTimeout = parseInt(document.getElementById('apiTimeout').value);
       settings.maxRetries = parseInt(document.getElementById('maxRetries').value);
@@ -2720,6 +3765,13 @@ class PopupManager {
       .join('');
 
     conversationsList.innerHTML = conversationItems;
+
+    // Forget selections of conversations that no longer exist
+    const usernames = new Set(validConversations.map(([username]) => username));
+    this.batchSelection.forEach(username => {
+      if (!usernames.has(username)) this.batchSelection.delete(username);
+    });
+    this.updateBatchControls();
   }
 
   createConversationItem(username, conversation) {
@@ -2740,20 +3792,30 @@ class PopupManager {
 
     // Format username better
     const displayUsername = this.formatUsername(username);
+    const partialStat = conversation.history && !conversation.history.complete
+      ? '<span class="conversation-stat" title="Some messages have not been fetched yet - extract the conversation again to continue">⏳ Partial history</span>'
+      : '';
+    const batchResultCount = Object.keys(conversation.batchResults || {}).length;
+    const batchResultStat = batchResultCount > 0
+      ? `<div class="conversation-stats"><span class="conversation-stat">📦 ${batchResultCount} batch result${batchResultCount === 1 ? '' : 's'}</span></div>`
+      : '';
 
     return `
       <div class="conversation-item" data-username="${username}">
         <div class="conversation-left-column">
           <div class="conversation-item-header">
+            <input type="checkbox" class="conversation-select" data-username="${username}" title="Select for a batch job" ${this.batchSelection.has(username) ? 'checked' : ''}>
             <div class="conversation-username">${displayUsername}</div>
             <div class="conversation-date" title="${fullDate}">${formattedDate}</div>
           </div>
           <div class="conversation-stats">
             <span class="conversation-stat">💬 ${messageCount} messages</span>
+            ${partialStat}
           </div>
           <div class="conversation-stats">
             <span class="conversation-stat">🕒 ${formattedDate}</span>
           </div>
+          ${batchResultStat}
         </div>
         <div class="conversation-right-column">
           <div class="conversation-preview">${preview}</div>
@@ -2905,7 +3967,227 @@ class PopupManager {
       `;
     }).join('');
 
-    contentContainer.innerHTML = messagesHtml;
+    contentContainer.innerHTML = this.renderBatchResults(conversation) + messagesHtml;
+  }
+
+  renderBatchResults(conversation) {
+    const results = Object.values(conversation.batchResults || {})
+      .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0));
+    if (results.length === 0) return '';
+
+    return `
+      <div class="conversation-batch-results">
+        ${results.map(result => `
+          <div class="batch-result ${result.error ? 'failed' : ''}">
+            <div class="message-header">
+              <div class="message-sender">📦 ${this.escapeHtml(result.promptName || 'Batch result')}</div>
+              <div class="message-time">${this.escapeHtml(result.model || '')} • ${new Date(result.completedAt).toLocaleString()}</div>
+            </div>
+            <div class="message-body">${this.escapeHtml(result.error ? `⚠️ ${result.error}` : result.text)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Background inbox sync - the service worker runs it on an alarm and stores the outcome (see InboxSync)
+  async loadInboxSync() {
+    const [settings, state] = await Promise.all([
+      this.getStorageData('settings'),
+      this.getStorageData(InboxSync.STORAGE_KEY)
+    ]);
+
+    const enabledCheckbox = document.getElementById('inboxSyncEnabled');
+    const minutesInput = document.getElementById('inboxSyncMinutes');
+    if (enabledCheckbox) enabledCheckbox.checked = InboxSync.isEnabled(settings);
+    if (minutesInput && document.activeElement !== minutesInput) {
+      minutesInput.value = InboxSync.getIntervalMinutes(settings);
+    }
+
+    const statusEl = document.getElementById('inboxSyncStatus');
+    if (statusEl) {
+      const status = InboxSync.describe(state, settings);
+      statusEl.textContent = status.text;
+      statusEl.classList.toggle('error', status.isError);
+    }
+  }
+
+  async saveInboxSyncSettings() {
+    try {
+      const settings = await this.getStorageData('settings') || {};
+      settings.inboxSyncEnabled = document.getElementById('inboxSyncEnabled')?.checked || false;
+      settings.inboxSyncMinutes = InboxSync.getIntervalMinutes({
+        inboxSyncMinutes: document.getElementById('inboxSyncMinutes')?.value
+      });
+
+      await this.setStorageData({ settings });
+      await this.loadInboxSync();
+    } catch (error) {
+      console.error('Failed to save inbox sync settings:', error);
+      this.showToast('Failed to save inbox sync settings', 'error');
+    }
+  }
+
+  async runInboxSync() {
+    const button = document.getElementById('runInboxSync');
+    if (button) button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RUN_INBOX_SYNC' });
+      if (response?.success && response.data?.status === 'skipped') {
+        this.showToast(response.data.skipReason, 'info');
+      } else if (response?.success) {
+        this.showToast('Inbox synced');
+      } else {
+        this.showToast(`Inbox sync failed: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('Failed to run inbox sync:', error);
+      this.showToast('Failed to run inbox sync', 'error');
+    } finally {
+      if (button) button.disabled = false;
+      await this.loadInboxSync();
+    }
+  }
+
+  // Batch jobs - run one prompt over the selected conversations
+  async loadBatchPanel() {
+    await this.loadBatchPrompts();
+
+    const batchJobs = await this.getStorageData('batchJobs') || {};
+    this.renderBatchJobs(batchJobs);
+
+    // Ask the service worker for fresh status rather than waiting for the next alarm
+    if (Object.values(batchJobs).some(job => !BatchJobs.isFinished(job))) {
+      chrome.runtime.sendMessage({ type: 'BATCH_POLL' }).catch(error => {
+        console.warn('Failed to poll batch jobs:', error);
+      });
+    }
+  }
+
+  async loadBatchPrompts() {
+    const select = document.getElementById('batchPrompt');
+    if (!select) return;
+
+    const customPrompts = await this.getStorageData('customPrompts') || {};
+    const allPrompts = { ...this.getDefaultPrompts(), ...customPrompts };
+    const selected = select.value;
+
+    select.innerHTML = Object.entries(allPrompts)
+      .filter(([, prompt]) => prompt?.prompt)
+      .map(([key, prompt]) => `<option value="${this.escapeHtml(key)}">${this.escapeHtml(prompt.name || key)}</option>`)
+      .join('');
+
+    if (selected && allPrompts[selected]) {
+      select.value = selected;
+    }
+  }
+
+  toggleBatchSelection(username, selected) {
+    if (!username) return;
+
+    if (selected) {
+      this.batchSelection.add(username);
+    } else {
+      this.batchSelection.delete(username);
+    }
+    this.updateBatchControls();
+  }
+
+  updateBatchControls() {
+    const count = this.batchSelection.size;
+    const runButton = document.getElementById('runBatch');
+    if (runButton) {
+      runButton.disabled = count === 0;
+      runButton.textContent = count > 0 ? `▶ Run batch (${count})` : '▶ Run batch';
+    }
+
+    const selectAll = document.getElementById('batchSelectAll');
+    if (selectAll) {
+      const total = document.querySelectorAll('#conversationsList .conversation-select').length;
+      selectAll.checked = total > 0 && count === total;
+    }
+  }
+
+  async submitBatchJob() {
+    const promptKey = document.getElementById('batchPrompt')?.value;
+    const customPrompts = await this.getStorageData('customPrompts') || {};
+    const prompt = { ...this.getDefaultPrompts(), ...customPrompts }[promptKey];
+
+    if (!prompt || this.batchSelection.size === 0) {
+      this.showToast('Choose a prompt and at least one conversation', 'error');
+      return;
+    }
+
+    const runButton = document.getElementById('runBatch');
+    if (runButton) runButton.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'BATCH_SUBMIT',
+        job: {
+          promptKey,
+          promptName: prompt.name || promptKey,
+          promptText: prompt.prompt,
+          usernames: Array.from(this.batchSelection)
+        }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to submit batch job');
+      }
+
+      this.showToast(response.mode === 'batch'
+        ? 'Batch job submitted - results will appear on each conversation'
+        : 'Batch started - running the conversations one by one');
+
+      this.batchSelection.clear();
+      document.querySelectorAll('#conversationsList .conversation-select').forEach(checkbox => {
+        checkbox.checked = false;
+      });
+    } catch (error) {
+      console.error('Failed to submit batch job:', error);
+      this.showToast(error.message, 'error');
+    } finally {
+      this.updateBatchControls();
+    }
+  }
+
+  async cancelBatchJob(jobId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'BATCH_CANCEL', jobId });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to cancel batch job');
+      }
+      this.showToast('Batch job cancelled');
+    } catch (error) {
+      console.error('Failed to cancel batch job:', error);
+      this.showToast(error.message, 'error');
+    }
+  }
+
+  renderBatchJobs(batchJobs) {
+    const container = document.getElementById('batchJobsList');
+    if (!container) return;
+
+    const jobs = Object.values(batchJobs || {}).sort((a, b) => b.createdAt - a.createdAt);
+    container.innerHTML = jobs.map(job => {
+      const progress = BatchJobs.getProgress(job);
+      const finished = BatchJobs.isFinished(job);
+      const counts = finished || job.mode === 'sync'
+        ? `${progress.done}/${progress.total} done${progress.failed > 0 ? `, ${progress.failed} failed` : ''}`
+        : `${progress.total} conversations`;
+
+      return `
+        <div class="batch-job ${this.escapeHtml(job.state)}">
+          <div class="batch-job-info">
+            <div class="batch-job-title">${this.escapeHtml(job.promptName)} <span class="batch-job-model">${this.escapeHtml(job.model || '')}</span></div>
+            <div class="batch-job-status">${this.escapeHtml(job.state)} • ${counts} • ${this.formatRelativeDate(new Date(job.createdAt))}${job.error ? ` • ⚠️ ${this.escapeHtml(job.error)}` : ''}</div>
+          </div>
+          ${finished ? '' : `<button class="btn-secondary batch-cancel-btn" data-job-id="${this.escapeHtml(job.id)}">Cancel</button>`}
+        </div>
+      `;
+    }).join('');
   }
 
   closeConversationModal() {
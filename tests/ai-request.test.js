@@ -0,0 +1,523 @@
+/**
+ * AIRequestClient - payloads built for each caller, generate() and stream() over a stubbed fetch,
+ * retries and API key failover
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createChrome, createFetch, jsonResponse, streamResponse, sseBody, loadScripts, globalOf, plain, until
+} = require('./helpers/extension-context');
+
+const SCRIPTS = [
+  'content/utils/key-vault.js',
+  'content/ai/session.js',
+  'content/ai/rate-limits.js',
+  'content/ai/key-circuit.js',
+  'content/ai/key-profiles.js',
+  'content/ai/api-manager.js',
+  'content/ai/sse-parser.js',
+  'content/ai/structured-output.js',
+  'content/ai/content-safety.js',
+  'content/ai/token-budget.js',
+  'content/ai/usage-stats.js',
+  'content/ai/ai-providers.js',
+  'content/ai/ai-request.js'
+];
+
+const KEY_A = 'AIzaTestKeyAAAA';
+const KEY_B = 'AIzaTestKeyBBBB';
+
+/**
+ * A tab with the request client, an APIKeyManager over the given keys and a service worker that
+ * grants every key request at once
+ */
+async function createTab({ keys = [KEY_A], settings = {}, fetchHandlers = [], onMessage = null } = {}) {
+  let context;
+  const chrome = createChrome({
+    storage: { apiKeys: keys, settings },
+    onMessage: onMessage || (async message => {
+      if (message.type === 'ACQUIRE_API_KEY') {
+        const keyRef = await globalOf(context, 'RateLimits').keyRef(message.preferredKey);
+        return { success: true, data: { key: message.preferredKey, keyRef, waitedMs: 0 } };
+      }
+      return { success: true };
+    })
+  });
+  const fetch = createFetch(fetchHandlers);
+  const storageManager = {
+    get: keyNames => chrome.storage.local.get(keyNames),
+    set: items => chrome.storage.local.set(items),
+    getSettings: async () => (await chrome.storage.local.get('settings')).settings || {},
+    isExtensionContextValid: () => true
+  };
+
+  context = loadScripts(SCRIPTS, {
+    chrome,
+    fetch,
+    storageManager,
+    generateSessionId: () => `msg_${Math.random().toString(36).slice(2)}`
+  });
+
+  const APIKeyManager = globalOf(context, 'APIKeyManager');
+  context.apiKeyManager = new APIKeyManager();
+  await until(() => context.apiKeyManager.initialized);
+
+  const client = new (globalOf(context, 'AIRequestClient'))();
+  client.retryBaseDelay = 1;
+  client.retryMaxDelay = 2;
+
+  return { context, client, chrome, fetch };
+}
+
+function geminiResponse(text, extra = {}) {
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 },
+    ...extra
+  };
+}
+
+function geminiError(status, message, details = []) {
+  return () => jsonResponse({ error: { code: status, message, details } }, status);
+}
+
+const sentTypes = chrome => chrome.sent.map(message => message.type);
+
+test('buildPayload - injector prompt with knowledge base files', async () => {
+  const { client } = await createTab();
+
+  const payload = await client.buildPayload({
+    prompt: 'Translate this message',
+    knowledgeBaseFiles: [
+      { name: 'rates.pdf', geminiUri: 'https://files/rates', mimeType: 'application/pdf' },
+      { name: 'rates.pdf', geminiUri: 'https://files/rates', mimeType: 'application/pdf' },
+      { name: 'notes', geminiUri: 'https://files/notes', mimeType: 'application/octet-stream' },
+      { name: 'not uploaded' }
+    ]
+  });
+
+  assert.deepEqual(plain(payload.contents), [{
+    role: 'user',
+    parts: [
+      { fileData: { fileUri: 'https://files/rates', mimeType: 'application/pdf' } },
+      { fileData: { fileUri: 'https://files/notes', mimeType: 'text/plain' } },
+      { text: 'Translate this message' }
+    ]
+  }]);
+  assert.deepEqual(plain(payload.generationConfig), { temperature: 0.7, maxOutputTokens: 8192, candidateCount: 1 });
+  assert.equal(payload.tools, undefined);
+});
+
+test('buildPayload - text selector session history', async () => {
+  const { context, client } = await createTab();
+  const session = new (globalOf(context, 'ChatSession'))('selection');
+  session.addMessage('user', 'First question');
+  session.addMessage('assistant', 'First answer');
+
+  const payload = await client.buildPayload({ session, prompt: 'Improve this text' });
+
+  assert.deepEqual(plain(payload.contents), [
+    { role: 'user', parts: [{ text: 'First question' }] },
+    { role: 'model', parts: [{ text: 'First answer' }] },
+    { role: 'user', parts: [{ text: 'Improve this text' }] }
+  ]);
+});
+
+test('buildPayload - chatbox contents with grounding', async () => {
+  const { client } = await createTab({ settings: { googleSearchGrounding: true } });
+  const contents = [
+    { role: 'user', parts: [{ text: 'Hi' }] },
+    { role: 'model', parts: [{ text: 'Hello' }] },
+    { role: 'user', parts: [{ text: 'What is new in logo design?' }] }
+  ];
+
+  const payload = await client.buildPayload({
+    contents,
+    knowledgeBaseFiles: [{ name: 'faq.txt', geminiUri: 'https://files/faq', mimeType: 'text/plain' }],
+    urlContextExtraction: true
+  });
+
+  assert.equal(payload.contents.length, 3);
+  assert.deepEqual(plain(payload.contents[2].parts[0]), { fileData: { fileUri: 'https://files/faq', mimeType: 'text/plain' } });
+  assert.deepEqual(plain(payload.tools), [{ googleSearch: {} }, { urlContext: {} }]);
+
+  const ungrounded = await client.buildPayload({ contents, googleSearchGrounding: false });
+  assert.equal(ungrounded.tools, undefined);
+});
+
+test('buildPayload - prompt manager result', async () => {
+  const { client } = await createTab();
+
+  const payload = await client.buildPayload({
+    prompt: {
+      prompt: 'Analyze the brief',
+      knowledgeBaseFiles: [{ name: 'guide.md', geminiUri: 'https://files/guide', mimeType: 'text/markdown' }]
+    },
+    generationConfig: { temperature: 0.2 }
+  });
+
+  assert.deepEqual(plain(payload.contents[0].parts), [
+    { fileData: { fileUri: 'https://files/guide', mimeType: 'text/markdown' } },
+    { text: 'Analyze the brief' }
+  ]);
+  assert.equal(payload.generationConfig.temperature, 0.2);
+});
+
+test('buildPayload - generation settings from the prompt and the request', async () => {
+  const { client } = await createTab();
+
+  const payload = await client.buildPayload({
+    prompt: {
+      prompt: 'Translate this message',
+      generationSettings: { temperature: 0.1, maxOutputTokens: 1024, topK: '' }
+    },
+    generationSettings: { temperature: '0.2' }
+  });
+
+  assert.deepEqual(plain(payload.generationConfig), { temperature: 0.2, maxOutputTokens: 1024, candidateCount: 1 });
+});
+
+test('buildPayload - system instruction from the prompt, settings and session', async () => {
+  const { context, client } = await createTab({ settings: { systemInstruction: 'Saved instruction' } });
+  const session = new (globalOf(context, 'ChatSession'))('selection');
+  session.addMessage('system', 'Reply as the seller');
+
+  const saved = await client.buildPayload({ session, prompt: 'Improve this text' });
+  assert.equal(saved.systemInstruction.parts[0].text, 'Saved instruction\n\nReply as the seller');
+  assert.equal(saved.contents.length, 1);
+
+  const fromPrompt = await client.buildPayload({ prompt: { prompt: 'Translate', systemInstruction: 'You are a translator' } });
+  assert.deepEqual(plain(fromPrompt.systemInstruction), { parts: [{ text: 'You are a translator' }] });
+
+  const disabled = await client.buildPayload({ prompt: 'Hi', systemInstruction: false });
+  assert.equal(disabled.systemInstruction, undefined);
+});
+
+test('buildPayload - response schema drops grounding tools', async () => {
+  const { client } = await createTab({ settings: { googleSearchGrounding: true } });
+  const responseSchema = { type: 'object', properties: { reply: { type: 'string' } }, required: ['reply'] };
+
+  const payload = await client.buildPayload({ prompt: { prompt: 'Analyze the brief', responseSchema } });
+
+  assert.equal(payload.generationConfig.responseMimeType, 'application/json');
+  assert.deepEqual(plain(payload.generationConfig.responseSchema), responseSchema);
+  // Grounding cannot be combined with JSON output
+  assert.equal(payload.tools, undefined);
+});
+
+test('buildPayload - local function declarations, unless grounding is on', async () => {
+  const { client } = await createTab();
+  const contents = [
+    { role: 'user', parts: [{ text: 'What did the buyer order?' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'get_order', args: {} } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_order', response: { title: 'Logo' } } }] }
+  ];
+  const functionDeclarations = [{ name: 'get_order', description: 'Current order' }];
+
+  const payload = await client.buildPayload({ contents, functionDeclarations, functionCallingMode: 'NONE' });
+  assert.deepEqual(plain(payload.tools), [{ functionDeclarations }]);
+  assert.deepEqual(plain(payload.toolConfig), { functionCallingConfig: { mode: 'NONE' } });
+
+  const grounded = await client.buildPayload({ contents, functionDeclarations, googleSearchGrounding: true });
+  assert.deepEqual(plain(grounded.tools), [{ googleSearch: {} }]);
+  assert.equal(grounded.toolConfig, undefined);
+});
+
+test('buildPayload - stopped responses are not sent back', async () => {
+  const { context, client } = await createTab();
+  const contents = [
+    { role: 'user', parts: [{ text: 'Write a long reply' }] },
+    { role: 'model', parts: [{ text: 'Dear buy' }], cancelled: true },
+    { role: 'user', parts: [{ text: 'Write a short reply' }] }
+  ];
+
+  const payload = await client.buildPayload({ contents });
+  assert.deepEqual(plain(payload.contents.map(content => content.parts[0].text)), ['Write a long reply', 'Write a short reply']);
+
+  const session = new (globalOf(context, 'ChatSession'))('selection');
+  session.addMessage('user', 'Write a long reply');
+  session.addMessage('assistant', 'Dear buy', { cancelled: true });
+  const fromSession = await client.buildPayload({ session, prompt: 'Write a short reply' });
+  assert.equal(fromSession.contents.length, 2);
+});
+
+test('buildPayload - rejects a request without a user turn', async () => {
+  const { client } = await createTab();
+  await assert.rejects(
+    client.buildPayload({ contents: [{ role: 'model', parts: [{ text: 'Hi' }] }] }),
+    /no user message/
+  );
+});
+
+test('generate - sends the payload and records the exchange', async () => {
+  const { context, client, chrome, fetch } = await createTab({
+    settings: { selectedModel: 'gemini-2.5-flash' },
+    fetchHandlers: [() => jsonResponse(geminiResponse('Hello buyer'))]
+  });
+  const session = new (globalOf(context, 'ChatSession'))('chat');
+
+  const result = await client.generate({ session, prompt: 'Say hello', promptKey: 'custom_reply' });
+
+  assert.equal(result.text, 'Hello buyer');
+  assert.equal(result.model, 'gemini-2.5-flash');
+  assert.equal(result.safety, null);
+  assert.equal(result.usageMetadata.promptTokenCount, 12);
+  assert.equal(fetch.calls.length, 1);
+  assert.match(fetch.calls[0].url, /models\/gemini-2\.5-flash:generateContent\?key=AIzaTestKeyAAAA$/);
+  assert.equal(fetch.calls[0].body.contents.at(-1).parts.at(-1).text, 'Say hello');
+  assert.deepEqual(plain(session.messages.map(message => [message.role, message.content])), [
+    ['user', 'Say hello'],
+    ['assistant', 'Hello buyer']
+  ]);
+
+  await until(() => sentTypes(chrome).includes('RECORD_USAGE'));
+  assert.deepEqual(sentTypes(chrome), ['ACQUIRE_API_KEY', 'REPORT_KEY_USAGE', 'RECORD_USAGE']);
+  const report = chrome.sent[1];
+  assert.equal(report.success, true);
+  assert.equal(report.tokens, 12);
+  assert.equal(report.requestId, chrome.sent[0].requestId);
+  const usage = chrome.sent[2].entry;
+  assert.equal(usage.model, 'gemini-2.5-flash');
+  assert.equal(usage.prompt, 'custom_reply');
+  assert.equal(usage.inputTokens, 12);
+  assert.equal(usage.outputTokens, 5);
+  assert.equal(usage.key, report.keyRef);
+});
+
+test('generate - retries server errors with backoff', async () => {
+  const retries = [];
+  const { client, fetch } = await createTab({
+    settings: { maxRetries: 2 },
+    fetchHandlers: [
+      geminiError(503, 'The model is overloaded'),
+      () => { throw new TypeError('Failed to fetch'); },
+      () => jsonResponse(geminiResponse('Third time'))
+    ]
+  });
+
+  const result = await client.generate({ prompt: 'Hi', onRetry: info => retries.push(info) });
+
+  assert.equal(result.text, 'Third time');
+  assert.equal(fetch.calls.length, 3);
+  assert.deepEqual(plain(retries.map(info => [info.attempt, info.switchedKey])), [[1, false], [2, false]]);
+  assert.match(retries[0].message, /Server error \(503\)/);
+});
+
+test('generate - gives up after maxRetries', async () => {
+  const { client, fetch } = await createTab({
+    settings: { maxRetries: 1 },
+    fetchHandlers: [geminiError(500, 'Internal'), geminiError(500, 'Internal')]
+  });
+
+  await assert.rejects(client.generate({ prompt: 'Hi' }), error => error.status === 500);
+  assert.equal(fetch.calls.length, 2);
+});
+
+test('generate - does not retry client errors', async () => {
+  const { client, fetch } = await createTab({ fetchHandlers: [geminiError(400, 'Invalid argument')] });
+
+  await assert.rejects(client.generate({ prompt: 'Hi' }), /Gemini API error: 400 - Invalid argument/);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test('generate - a rate-limited key fails over to the next key', async () => {
+  const retries = [];
+  const { client, chrome, fetch } = await createTab({
+    keys: [KEY_A, KEY_B],
+    fetchHandlers: [
+      geminiError(429, 'Resource exhausted', [{ retryDelay: '30s' }]),
+      () => jsonResponse(geminiResponse('From the second key'))
+    ]
+  });
+
+  const result = await client.generate({ prompt: 'Hi', onRetry: info => retries.push(info) });
+
+  assert.equal(result.text, 'From the second key');
+  assert.match(fetch.calls[0].url, /key=AIzaTestKeyAAAA$/);
+  assert.match(fetch.calls[1].url, /key=AIzaTestKeyBBBB$/);
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].switchedKey, true);
+  assert.equal(retries[0].delayMs, 0);
+
+  const rateLimited = chrome.sent.find(message => message.type === 'REPORT_KEY_USAGE' && message.rateLimited);
+  assert.equal(rateLimited.retryAfterMs, 30000);
+  const acquires = chrome.sent.filter(message => message.type === 'ACQUIRE_API_KEY');
+  assert.deepEqual(acquires.map(message => message.preferredKey), [KEY_A, KEY_B]);
+});
+
+test('generate - a rejected key fails over, and fails without another key', async () => {
+  const invalidKey = geminiError(400, 'API key not valid. Please pass a valid API key.', [{ reason: 'API_KEY_INVALID' }]);
+
+  const twoKeys = await createTab({
+    keys: [KEY_A, KEY_B],
+    fetchHandlers: [invalidKey, () => jsonResponse(geminiResponse('Valid key'))]
+  });
+  assert.equal((await twoKeys.client.generate({ prompt: 'Hi' })).text, 'Valid key');
+
+  const oneKey = await createTab({ fetchHandlers: [invalidKey] });
+  await assert.rejects(oneKey.client.generate({ prompt: 'Hi' }), /API key not valid/);
+  assert.equal(oneKey.fetch.calls.length, 1);
+});
+
+test('generate - requests with uploaded files keep their key', async () => {
+  const { client, fetch } = await createTab({
+    keys: [KEY_A, KEY_B],
+    settings: { maxRetries: 1 },
+    fetchHandlers: [geminiError(429, 'Resource exhausted'), () => jsonResponse(geminiResponse('Same key'))]
+  });
+
+  await client.generate({
+    prompt: 'Use the file',
+    knowledgeBaseFiles: [{ name: 'faq.txt', geminiUri: 'https://files/faq', mimeType: 'text/plain' }]
+  });
+
+  assert.match(fetch.calls[1].url, /key=AIzaTestKeyAAAA$/);
+});
+
+test('stream - yields chunks, records the response and reports usage from the final chunk', async () => {
+  const body = sseBody([
+    { candidates: [{ content: { parts: [{ text: 'Hello ' }] } }] },
+    { candidates: [{ content: { parts: [{ text: 'buyer' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 8, candidatesTokenCount: 2 } }
+  ], '\n');
+  const { context, client, chrome, fetch } = await createTab({ fetchHandlers: [() => streamResponse([body.slice(0, 17), body.slice(17)])] });
+  const session = new (globalOf(context, 'ChatSession'))('chat');
+
+  const chunks = [];
+  for await (const chunk of client.stream({ session, prompt: 'Say hello' })) {
+    chunks.push(chunk);
+  }
+
+  assert.match(fetch.calls[0].url, /:streamGenerateContent\?alt=sse&key=AIzaTestKeyAAAA$/);
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['Hello ', 'buyer']);
+  await until(() => session.messages.length === 2);
+  assert.equal(session.messages[1].content, 'Hello buyer');
+  await until(() => sentTypes(chrome).includes('REPORT_KEY_USAGE'));
+  assert.equal(chrome.sent.find(message => message.type === 'REPORT_KEY_USAGE').tokens, 8);
+});
+
+test('stream - retries a failed start and fails over on 429', async () => {
+  const retries = [];
+  const { client, fetch } = await createTab({
+    keys: [KEY_A, KEY_B],
+    fetchHandlers: [
+      geminiError(503, 'Overloaded'),
+      geminiError(429, 'Resource exhausted'),
+      () => streamResponse([sseBody([geminiResponse('Recovered')])])
+    ]
+  });
+
+  const result = await client.collect({ prompt: 'Hi', onRetry: info => retries.push(info) });
+
+  assert.equal(result.text, 'Recovered');
+  assert.equal(fetch.calls.length, 3);
+  assert.deepEqual(plain(retries.map(info => info.switchedKey)), [false, true]);
+  assert.match(fetch.calls[2].url, /key=AIzaTestKeyBBBB$/);
+});
+
+test('stream - an error after the first chunk is not retried', async () => {
+  const { client, fetch } = await createTab({
+    fetchHandlers: [() => streamResponse([
+      sseBody([{ candidates: [{ content: { parts: [{ text: 'Partial' }] } }] }]),
+      sseBody([{ error: { code: 500, message: 'Stream broke' } }])
+    ])]
+  });
+
+  const chunks = [];
+  await assert.rejects(async () => {
+    for await (const chunk of client.stream({ prompt: 'Hi' })) {
+      chunks.push(chunk.text);
+    }
+  }, /Stream broke/);
+  assert.deepEqual(chunks, ['Partial']);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test('stream - aborting while waiting for a key leaves the queue', async () => {
+  const { client, chrome, fetch } = await createTab({
+    onMessage: message => (message.type === 'ACQUIRE_API_KEY' ? new Promise(() => {}) : { success: true })
+  });
+  const controller = new AbortController();
+
+  const result = client.collect({ prompt: 'Hi', signal: controller.signal });
+  await until(() => sentTypes(chrome).includes('ACQUIRE_API_KEY'));
+  controller.abort();
+
+  assert.equal((await result).cancelled, true);
+  const acquire = chrome.sent.find(message => message.type === 'ACQUIRE_API_KEY');
+  const cancel = chrome.sent.find(message => message.type === 'CANCEL_KEY_REQUEST');
+  assert.equal(cancel.requestId, acquire.requestId);
+  assert.equal(fetch.calls.length, 0);
+});
+
+test('providers - OpenAI-compatible and Ollama streams report token usage', async () => {
+  const { context, fetch } = await createTab({
+    fetchHandlers: [
+      () => streamResponse([
+        'data: {"choices":[{"delta":{"content":"Hi"},"finish_reason":"stop"}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":7,"completion_tokens":1,"total_tokens":8}}\n\n',
+        'data: [DONE]\n\n'
+      ]),
+      () => streamResponse([
+        '{"message":{"content":"Hi"},"done":false}\n',
+        '{"message":{"content":""},"done":true,"done_reason":"stop","prompt_eval_count":9,"eval_count":2}\n'
+      ])
+    ]
+  });
+  const payload = { contents: [{ role: 'user', parts: [{ text: 'Hello' }] }] };
+  const collectUsage = async provider => {
+    let usage;
+    for await (const chunk of provider.stream(payload, { model: 'test-model' })) {
+      usage = chunk.usageMetadata || usage;
+    }
+    return plain(usage);
+  };
+
+  const openai = new (globalOf(context, 'OpenAICompatibleProvider'))({ baseUrl: 'http://localhost:1234/v1' });
+  assert.deepEqual(await collectUsage(openai), { promptTokenCount: 7, candidatesTokenCount: 1, totalTokenCount: 8 });
+  assert.deepEqual(plain(fetch.calls[0].body.stream_options), { include_usage: true });
+
+  const ollama = new (globalOf(context, 'OllamaProvider'))();
+  assert.deepEqual(await collectUsage(ollama), { promptTokenCount: 9, candidatesTokenCount: 2 });
+});
+
+test('providers - Ollama calls from a page go through the service worker', async () => {
+  const posted = [];
+  const port = {
+    listeners: { message: [], disconnect: [] },
+    onMessage: { addListener: listener => port.listeners.message.push(listener) },
+    onDisconnect: { addListener: listener => port.listeners.disconnect.push(listener) },
+    postMessage: message => {
+      posted.push(message);
+      const replies = message.method === 'stream'
+        ? [{ value: { text: 'Hi', done: false } }, { value: { text: '!', done: false } }, { done: true }]
+        : [{ error: { message: 'Ollama refused the request (403)', code: 'OLLAMA_ORIGIN', status: 403 } }];
+      replies.forEach(reply => setTimeout(() => port.listeners.message.forEach(listener => listener(reply))));
+    },
+    disconnect() {}
+  };
+  const context = loadScripts(['content/ai/sse-parser.js', 'content/ai/structured-output.js', 'content/ai/ai-providers.js'], {
+    chrome: { runtime: { connect: ({ name }) => (name === 'aiFiverrOllama' ? port : null) } },
+    location: { protocol: 'https:' },
+    fetch: createFetch()
+  });
+  const ollama = new (globalOf(context, 'OllamaProvider'))({ baseUrl: 'http://localhost:11434' });
+  const payload = { contents: [{ role: 'user', parts: [{ text: 'Hello' }] }] };
+
+  const texts = [];
+  for await (const chunk of ollama.stream(payload, { model: 'llama3' })) {
+    texts.push(chunk.text);
+  }
+  assert.deepEqual(texts, ['Hi', '!']);
+  assert.equal(posted[0].options.model, 'llama3');
+  assert.equal(posted[0].config.baseUrl, 'http://localhost:11434');
+
+  await assert.rejects(ollama.generate(payload, { model: 'llama3' }), error => error.code === 'OLLAMA_ORIGIN' && error.status === 403);
+});
+
+test('providers - an unreachable Ollama server gets a specific error', async () => {
+  const { context } = await createTab({ fetchHandlers: [() => { throw new TypeError('Failed to fetch'); }] });
+  const ollama = new (globalOf(context, 'OllamaProvider'))();
+
+  await assert.rejects(ollama.listModels(), error => error.code === 'OLLAMA_UNREACHABLE' && /localhost:11434/.test(error.message));
+});
@@ -0,0 +1,200 @@
+/**
+ * Test harness for the extension's browser scripts
+ * Scripts are loaded into a fresh VM context the way the manifest injects them (shared globals,
+ * window === the global object), with in-memory chrome.* APIs and a scripted fetch().
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+const quietConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+/**
+ * In-memory chrome.storage / chrome.runtime - onMessage(message) answers runtime.sendMessage()
+ */
+function createChrome({ storage = {}, onMessage = () => undefined } = {}) {
+  const data = structuredClone(storage);
+  const listeners = [];
+  const sent = [];
+
+  const pick = keys => {
+    if (keys === null || keys === undefined) return structuredClone(data);
+    const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    return Object.fromEntries(names.filter(name => name in data).map(name => [name, structuredClone(data[name])]));
+  };
+
+  const local = {
+    get: async keys => pick(keys),
+    set: async items => {
+      const changes = {};
+      Object.entries(items).forEach(([name, value]) => {
+        changes[name] = { oldValue: data[name], newValue: structuredClone(value) };
+        data[name] = structuredClone(value);
+      });
+      listeners.forEach(listener => listener(changes, 'local'));
+    },
+    remove: async keys => {
+      [].concat(keys).forEach(name => delete data[name]);
+    }
+  };
+
+  return {
+    sent,
+    data,
+    runtime: {
+      id: 'test-extension',
+      sendMessage: async message => {
+        sent.push(message);
+        return onMessage(message);
+      },
+      onMessage: { addListener() {} }
+    },
+    storage: {
+      local,
+      session: { get: async () => ({}), set: async () => {} },
+      onChanged: { addListener: listener => listeners.push(listener) }
+    }
+  };
+}
+
+/**
+ * fetch() stand-in answering calls in order from a list of handlers (url, init) => Response
+ * calls records { url, init, body } for every request
+ */
+function createFetch(handlers = []) {
+  const queue = [...handlers];
+  const calls = [];
+
+  const fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init, body: init.body ? JSON.parse(init.body) : undefined });
+    const handler = queue.shift();
+    if (!handler) {
+      throw new Error(`Unexpected fetch: ${url}`);
+    }
+    if (init.signal?.aborted) {
+      throw new DOMException('The operation was aborted.', 'AbortError');
+    }
+    return handler(String(url), init);
+  };
+
+  fetch.calls = calls;
+  fetch.push = (...more) => queue.push(...more);
+  return fetch;
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * A streamed response delivering each chunk (string or bytes) as one network read
+ */
+function streamResponse(chunks, status = 200) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+  const body = new ReadableStream({
+    pull(controller) {
+      if (queue.length > 0) {
+        controller.enqueue(queue.shift());
+      } else {
+        controller.close();
+      }
+    }
+  });
+  return new Response(body, { status, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+/**
+ * alt=sse body for a list of GenerateContentResponse objects
+ */
+function sseBody(events, lineEnding = '\r\n') {
+  return events.map(event => `data: ${JSON.stringify(event)}${lineEnding}${lineEnding}`).join('');
+}
+
+/**
+ * Load scripts (paths relative to the repository root) into a new context
+ */
+function loadScripts(files, globals = {}) {
+  const context = {
+    console: quietConsole,
+    setTimeout,
+    clearTimeout,
+    // Intervals (health monitors and the like) must not keep the test process alive
+    setInterval: (callback, ms) => setInterval(callback, ms).unref(),
+    clearInterval,
+    AbortController,
+    DOMException,
+    TextEncoder,
+    TextDecoder,
+    Response,
+    ReadableStream,
+    URL,
+    crypto: globalThis.crypto,
+    structuredClone,
+    ...globals
+  };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  if (globals.fetch) {
+    // Network failures reject with the page's own TypeError (scripts test `instanceof TypeError`)
+    const ContextTypeError = vm.runInContext('TypeError', context);
+    context.fetch = async (...args) => {
+      try {
+        return await globals.fetch(...args);
+      } catch (error) {
+        throw error instanceof TypeError ? new ContextTypeError(error.message) : error;
+      }
+    };
+  }
+
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+
+  return context;
+}
+
+/**
+ * Top-level class or function declared by a loaded script
+ */
+function globalOf(context, name) {
+  return vm.runInContext(name, context);
+}
+
+/**
+ * Copy of a value made in the context - its objects have the context's prototypes,
+ * which assert.deepStrictEqual would otherwise reject
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Resolve once condition() is true (for objects that initialize themselves asynchronously)
+ */
+async function until(condition, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+module.exports = {
+  createChrome,
+  createFetch,
+  jsonResponse,
+  streamResponse,
+  sseBody,
+  loadScripts,
+  globalOf,
+  plain,
+  until
+};
@@ -0,0 +1,160 @@
+/**
+ * SSEParser - recorded streamGenerateContent?alt=sse bodies replayed with every possible read split
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { streamResponse, loadScripts, globalOf, plain } = require('./helpers/extension-context');
+
+const context = loadScripts(['content/ai/sse-parser.js']);
+const SSEParser = globalOf(context, 'SSEParser');
+
+// Recorded from gemini-2.5-flash - CRLF line endings, multi-byte text, a keep-alive comment and the
+// usage totals on the final chunk
+const RECORDED_STREAM = [
+  'data: {"candidates": [{"content": {"parts": [{"text": "Hi there — "}],"role": "model"},"index": 0}],"usageMetadata": {"promptTokenCount": 9,"totalTokenCount": 9},"modelVersion": "gemini-2.5-flash","responseId": "r1"}',
+  '',
+  ': keep-alive',
+  'data: {"candidates": [{"content": {"parts": [{"text": "thanks for the brief 👍"}],"role": "model"},"index": 0}],"modelVersion": "gemini-2.5-flash","responseId": "r1"}',
+  '',
+  'data: {"candidates": [{"content": {"parts": [{"text": ""}],"role": "model"},"finishReason": "STOP","index": 0}],"usageMetadata": {"promptTokenCount": 9,"candidatesTokenCount": 11,"totalTokenCount": 24,"thoughtsTokenCount": 4},"modelVersion": "gemini-2.5-flash","responseId": "r1"}',
+  '',
+  ''
+].join('\r\n');
+
+// Output stopped by the safety filter after some text
+const RECORDED_SAFETY_STREAM = [
+  'data: {"candidates": [{"content": {"parts": [{"text": "Here is"}],"role": "model"},"index": 0}]}',
+  '',
+  'data: {"candidates": [{"content": {"parts": [{"text": ""}],"role": "model"},"finishReason": "SAFETY","index": 0,"safetyRatings": [{"category": "HARM_CATEGORY_HARASSMENT","probability": "HIGH","blocked": true}]}],"usageMetadata": {"promptTokenCount": 20,"candidatesTokenCount": 2,"totalTokenCount": 22}}',
+  '',
+  ''
+].join('\r\n');
+
+// The prompt itself was blocked - no candidates at all
+const RECORDED_BLOCKED_PROMPT = [
+  'data: {"promptFeedback": {"blockReason": "SAFETY","safetyRatings": [{"category": "HARM_CATEGORY_DANGEROUS_CONTENT","probability": "HIGH"}]},"usageMetadata": {"promptTokenCount": 14,"totalTokenCount": 14}}',
+  '',
+  ''
+].join('\r\n');
+
+async function collectChunks(reads) {
+  const chunks = [];
+  for await (const chunk of SSEParser.geminiChunks(streamResponse(reads))) {
+    chunks.push(plain(chunk));
+  }
+  return chunks;
+}
+
+/**
+ * Every way of splitting the body into two reads gives the same chunks as one read
+ */
+async function assertSplitInvariant(body) {
+  const bytes = new TextEncoder().encode(body);
+  const expected = await collectChunks([bytes]);
+
+  for (let offset = 1; offset < bytes.length; offset++) {
+    const chunks = await collectChunks([bytes.slice(0, offset), bytes.slice(offset)]);
+    assert.deepEqual(chunks, expected, `split at byte ${offset}`);
+  }
+
+  const byteByByte = await collectChunks(Array.from(bytes, byte => Uint8Array.of(byte)));
+  assert.deepEqual(byteByByte, expected, 'one byte per read');
+
+  return expected;
+}
+
+test('recorded stream - identical chunks at every split offset', async () => {
+  const chunks = await assertSplitInvariant(RECORDED_STREAM);
+
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['Hi there — ', 'thanks for the brief 👍', '']);
+  assert.equal(chunks[2].finishReason, 'STOP');
+  assert.equal(chunks.some(chunk => chunk.blocked), false);
+});
+
+test('recorded stream - usage totals come from the final chunk', async () => {
+  const chunks = await collectChunks([RECORDED_STREAM]);
+
+  assert.equal(chunks[1].usageMetadata, undefined);
+  assert.deepEqual(chunks.at(-1).usageMetadata, {
+    promptTokenCount: 9, candidatesTokenCount: 11, totalTokenCount: 24, thoughtsTokenCount: 4
+  });
+});
+
+test('finishReason SAFETY marks the chunk blocked', async () => {
+  const chunks = await assertSplitInvariant(RECORDED_SAFETY_STREAM);
+
+  assert.equal(chunks[0].text, 'Here is');
+  assert.equal(chunks[0].blocked, false);
+  assert.equal(chunks[1].finishReason, 'SAFETY');
+  assert.equal(chunks[1].blocked, true);
+  assert.equal(chunks[1].blockReason, 'SAFETY');
+  assert.equal(chunks[1].safetyRatings[0].category, 'HARM_CATEGORY_HARASSMENT');
+});
+
+test('promptFeedback.blockReason marks a blocked prompt', async () => {
+  const [chunk] = await assertSplitInvariant(RECORDED_BLOCKED_PROMPT);
+
+  assert.equal(chunk.text, '');
+  assert.equal(chunk.finishReason, 'BLOCKED');
+  assert.equal(chunk.blocked, true);
+  assert.equal(chunk.blockReason, 'SAFETY');
+  assert.equal(chunk.safetyRatings[0].category, 'HARM_CATEGORY_DANGEROUS_CONTENT');
+  assert.equal(chunk.usageMetadata.promptTokenCount, 14);
+});
+
+test('"\\r\\n" split across reads is one line break', () => {
+  const parser = new SSEParser();
+
+  assert.deepEqual(plain(parser.feed('data: {"text":\r')), []);
+  // Treating the "\n" as a second line break would dispatch the first data line on its own
+  assert.deepEqual(plain(parser.feed('\ndata: "joined"}\r')), []);
+  assert.deepEqual(plain(parser.feed('\n\r')), []);
+  assert.deepEqual(plain(parser.feed('\n')), [{ event: 'message', data: '{"text":\n"joined"}', id: '' }]);
+  assert.deepEqual(plain(parser.end()), []);
+});
+
+test('multi-line data events are joined with "\\n" and parsed as one chunk', async () => {
+  const body = [
+    'event: message',
+    'id: 7',
+    'data: {"candidates": [{"content": {"parts":',
+    'data: [{"text": "two lines"}]}}],',
+    'data: "usageMetadata": {"promptTokenCount": 3}}',
+    '',
+    ''
+  ].join('\r\n');
+
+  const parser = new SSEParser();
+  const [event] = plain(parser.feed(body));
+  assert.equal(event.id, '7');
+  assert.equal(event.data.split('\n').length, 3);
+
+  const chunks = await assertSplitInvariant(body);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, 'two lines');
+  assert.equal(chunks[0].usageMetadata.promptTokenCount, 3);
+});
+
+test('a final event without the closing blank line is flushed at the end', async () => {
+  const body = 'data: {"candidates": [{"content": {"parts": [{"text": "last"}]},"finishReason": "MAX_TOKENS"}]}\n';
+  const chunks = await assertSplitInvariant(body);
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, 'last');
+  assert.equal(chunks[0].finishReason, 'MAX_TOKENS');
+  assert.equal(chunks[0].blocked, false);
+});
+
+test('[DONE] ends the stream and malformed events are skipped', async () => {
+  const body = 'data: not json\n\ndata: {"candidates": [{"content": {"parts": [{"text": "ok"}]}}]}\n\ndata: [DONE]\n\ndata: {"candidates": []}\n\n';
+  const chunks = await collectChunks([body]);
+
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['ok']);
+});
+
+test('an error event rejects the stream', async () => {
+  const body = 'data: {"error": {"code": 503, "message": "The model is overloaded"}}\r\n\r\n';
+
+  await assert.rejects(collectChunks([body]), /503 - The model is overloaded/);
+});